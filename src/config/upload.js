@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+
+// Where uploaded files are kept; served under /uploads (see index.js)
+const UPLOAD_DIR = process.env.UPLOAD_DIR || 'uploads/';
+
+/**
+ * Multer instance that stores files on disk under UPLOAD_DIR with a unique
+ * name, accepting only the given types
+ * @param {Object} options
+ * @param {string} options.prefix - Start of the stored file names
+ * @param {string} [options.subdir] - Folder inside UPLOAD_DIR
+ * @param {Array<string>} options.mimeTypes - Accepted MIME types
+ * @param {Array<string>} options.extensions - Accepted extensions (".pdf")
+ * @param {boolean} [options.requireBoth] - Both the MIME type and the
+ *   extension must be accepted; otherwise either is enough
+ * @param {string} options.typeError - Message for other files
+ * @param {number} [options.maxFileSize] - In bytes; MAX_FILE_SIZE or 10MB
+ * @returns {Object} - Multer instance
+ */
+const createUpload = ({
+  prefix,
+  subdir = '',
+  mimeTypes,
+  extensions,
+  requireBoth = false,
+  typeError,
+  maxFileSize,
+}) => {
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = path.join(UPLOAD_DIR, subdir);
+      fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+      const extension = path.extname(file.originalname).toLowerCase();
+      cb(null, prefix + uniqueSuffix + extension);
+    },
+  });
+
+  return multer({
+    storage,
+    fileFilter: (req, file, cb) => {
+      const typeOk = mimeTypes.includes(file.mimetype);
+      const extensionOk = extensions.includes(
+        path.extname(file.originalname).toLowerCase()
+      );
+      if (requireBoth ? typeOk && extensionOk : typeOk || extensionOk) {
+        cb(null, true);
+      } else {
+        cb(new Error(typeError), false);
+      }
+    },
+    limits: {
+      fileSize:
+        maxFileSize || parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB limit
+    },
+  });
+};
+
+/**
+ * Accept one file in `field`, answering upload problems (type, size, wrong
+ * field) with a 400 instead of passing them to the app's error handler
+ * @param {Object} upload - From createUpload
+ * @param {string} field - Form field of the file
+ * @returns {Function} - Express middleware
+ */
+const singleUpload = (upload, field) => (req, res, next) =>
+  upload.single(field)(req, res, (error) => {
+    if (!error) return next();
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    return res.status(400).json({
+      success: false,
+      error: tooLarge ? 'File too large' : 'Invalid upload',
+      message:
+        error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Send the file in the "${field}" field`
+          : error.message,
+    });
+  });
+
+module.exports = {
+  UPLOAD_DIR,
+  createUpload,
+  singleUpload,
+};
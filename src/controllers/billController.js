@@ -1,540 +1,156 @@
 /**
- * Voice → Bill controller (single-file, DB-free, LLM-optimized)
+ * Voice → Bill controller (single-file, LLM-optimized)
  * ------------------------------------------------------------------
- * - Assumes ONLY DEFAULT_MENU_ITEMS (no DB).
- * - Tries deterministic fuzzy parsing first (₹0).
- * - Falls back to Gemini 1.5 Flash with ultra-compact prompt (very low cost).
- * - LLM returns only { id, qty } against a short ID catalog to minimize tokens.
- * - All totals/prices are computed deterministically in code (no LLM math).
- * - In-memory storage for bills & menu endpoints preserved for easy testing.
+ * - Menu comes from each shop's available MenuItem documents (cached per
+ *   shop in utils/menuCatalog, invalidated when the menu changes).
+ * - Parsing lives in utils/voiceBillParser: deterministic fuzzy parsing
+ *   first (₹0), Gemini 1.5 Flash fallback with an ultra-compact prompt.
+ * - All totals/prices are computed deterministically in code (no LLM math),
+ *   with discounts, coupons, charges and GST from utils/billCalculator for
+ *   every bill path.
+ * - Every bill is stored as a Bill document linked to its shop and MenuItems,
+ *   with a per-shop invoice number (utils/invoiceNumber).
  *
  * ENV:
  *   GEMINI_API_KEY=...
- *   ENABLE_GEMINI_BILLING=true|false   (optional, default true)
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const mongoose = require('mongoose');
 const Bill = require('../models/Bill');
+const CreditNote = require('../models/CreditNote');
 const Shop = require('../models/shop');
 const MenuItem = require('../models/MenuItem');
-
-// ------------------------------
-// Config & LLM init
-// ------------------------------
-const ENABLE_GEMINI_BILLING = true; // Force-enable LLM usage
-const MODEL_NAME = 'gemini-1.5-flash';
-const PRICING_PER_MTOKENS_USD = {
-  [MODEL_NAME]: {
-    input: parseFloat(process.env.GEMINI_FLASH_INPUT_PER_MTOKENS_USD || '0'),
-    output: parseFloat(process.env.GEMINI_FLASH_OUTPUT_PER_MTOKENS_USD || '0')
-  }
-};
-const genAI = process.env.GEMINI_API_KEY
-  ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
-  : null;
-
-// ------------------------------
-// In-memory persistence (no DB)
-// ------------------------------
-const BILLS = []; // simple store for demo
-const nowISO = () => new Date().toISOString();
-const rndId = () =>
-  (Date.now().toString(16) + Math.random().toString(16).slice(2, 10)).slice(0, 24);
-
-// ------------------------------
-// Hardcoded Indian hotel menu items
-// ------------------------------
-const DEFAULT_MENU_ITEMS = [
-  // ✅ DOSAS
-  { name: 'Plain Dosa', tamilName: 'பிளைன் தோசை', price: 30, category: 'breakfast', unit: 'piece' },
-  { name: 'Kal Dosa (2 pcs)', tamilName: 'கல் தோசை (2)', price: 40, category: 'breakfast', unit: 'piece' },
-  { name: 'Set Dosa (1 pcs)', tamilName: 'செட் தோசை', price: 40, category: 'breakfast', unit: 'piece' },
-  { name: 'Ghee Dosa', tamilName: 'நெய் தோசை', price: 50, category: 'breakfast', unit: 'piece' },
-  { name: 'Masala Dosa', tamilName: 'மசாலா தோசை', price: 60, category: 'breakfast', unit: 'piece' },
-  { name: 'Ghee Masala Dosa', tamilName: 'நெய் மசாலா தோசை', price: 80, category: 'breakfast', unit: 'piece' },
-  { name: 'Onion Dosa', tamilName: 'வெங்காய தோசை', price: 50, category: 'breakfast', unit: 'piece' },
-  { name: 'Onion Uthappam', tamilName: 'வெங்காய ஊத்தாப்பம்', price: 60, category: 'breakfast', unit: 'piece' },
-  { name: 'Egg Dosa', tamilName: 'முட்டை தோசை', price: 50, category: 'breakfast', unit: 'piece' },
-  { name: 'Egg Masala Dosa', tamilName: 'முட்டை மசாலா தோசை', price: 80, category: 'breakfast', unit: 'piece' },
-  { name: 'Podi Dosa', tamilName: 'பொடி தோசை', price: 50, category: 'breakfast', unit: 'piece' },
-  { name: 'Masala Podi Dosa', tamilName: 'மசாலா பொடி தோசை', price: 60, category: 'breakfast', unit: 'piece' },
-  { name: 'Ghee Podi Dosa', tamilName: 'நெய் பொடி தோசை', price: 70, category: 'breakfast', unit: 'piece' },
-  { name: 'Chicken Dosa', tamilName: 'சிக்கன் தோசை', price: 80, category: 'breakfast', unit: 'piece' },
-  { name: 'Chicken Keema Dosa', tamilName: 'சிக்கன் கீமா தோசை', price: 100, category: 'breakfast', unit: 'piece' },
-  { name: 'Liver Dosa', tamilName: 'கல்லீரல் தோசை', price: 100, category: 'breakfast', unit: 'piece' },
-
-  // ✅ BREADS
-  { name: 'Chapathi (2 pcs)', tamilName: 'சப்பாத்தி', price: 35, category: 'lunch', unit: 'piece' },
-  { name: 'Egg Chapathi', tamilName: 'முட்டை சப்பாத்தி', price: 40, category: 'lunch', unit: 'piece' },
-  { name: 'Parotta (2 pcs)', tamilName: 'பரோட்டா', price: 40, category: 'lunch', unit: 'piece' },
-  { name: 'Egg Parotta', tamilName: 'முட்டை பரோட்டா', price: 40, category: 'lunch', unit: 'piece' },
-  { name: 'Veg Kothu Parotta', tamilName: 'காய்கறி கொத்து பரோட்டா', price: 60, category: 'lunch', unit: 'plate' },
-  { name: 'Egg Kothu Parotta', tamilName: 'முட்டை கொத்து பரோட்டா', price: 60, category: 'lunch', unit: 'plate' },
-  { name: 'Chicken Kothu Parotta', tamilName: 'சிக்கன் கொத்து பரோட்டா', price: 100, category: 'lunch', unit: 'plate' },
-  { name: 'Liver Kothu Parotta', tamilName: 'கல்லீரல் கொத்து பரோட்டா', price: 120, category: 'lunch', unit: 'plate' },
-
-  // ✅ IDLY & VADA
-  { name: 'Idly (4 pcs)', tamilName: 'இட்லி', price: 40, category: 'breakfast', unit: 'piece' },
-  { name: 'Podi Idly', tamilName: 'பொடி இட்லி', price: 60, category: 'breakfast', unit: 'plate' },
-  { name: 'Onion Idly', tamilName: 'வெங்காய இட்லி', price: 60, category: 'breakfast', unit: 'plate' },
-  { name: 'Methu Vada', tamilName: 'மேது வடை', price: 10, category: 'breakfast', unit: 'piece' },
-
-  // ✅ EGG ITEMS
-  { name: 'Omelette', tamilName: 'ஆம்லெட்', price: 20, category: 'snacks', unit: 'piece' },
-  { name: 'Double Omelette', tamilName: 'டபுள் ஆம்லெட்', price: 40, category: 'snacks', unit: 'piece' },
-  { name: 'Half Boil', tamilName: 'ஹாஃப் போயில்', price: 20, category: 'snacks', unit: 'piece' },
-  { name: 'Full Boil', tamilName: 'புல் போயில்', price: 20, category: 'snacks', unit: 'piece' },
-  { name: 'Kalakki', tamilName: 'கலகி', price: 40, category: 'snacks', unit: 'piece' },
-  { name: 'Egg Pepper', tamilName: 'முட்டை மிளகு', price: 40, category: 'snacks', unit: 'piece' },
-  { name: 'Egg Masala', tamilName: 'முட்டை மசாலா', price: 60, category: 'snacks', unit: 'plate' },
-
-  // ✅ KEBAB
-  { name: 'Kebab 100 gms', tamilName: 'கெபாப் 100 கிராம்', price: 60, category: 'starters', unit: 'plate' },
-  { name: 'Kebab 250 gms', tamilName: 'கெபாப் 250 கிராம்', price: 120, category: 'starters', unit: 'plate' },
-
-  // ✅ RICE & NOODLES
-  { name: 'Veg Fried Rice', tamilName: 'வெஜ் பிரைட் ரைஸ்', price: 60, category: 'lunch', unit: 'plate' },
-  { name: 'Egg Fried Rice', tamilName: 'முட்டை பிரைட் ரைஸ்', price: 70, category: 'lunch', unit: 'plate' },
-  { name: 'Double Egg Fried Rice', tamilName: 'டபுள் முட்டை பிரைட் ரைஸ்', price: 80, category: 'lunch', unit: 'plate' },
-  { name: 'Gobi Fried Rice', tamilName: 'கோபி பிரைட் ரைஸ்', price: 70, category: 'lunch', unit: 'plate' },
-  { name: 'Mushroom Fried Rice', tamilName: 'காளான் பிரைட் ரைஸ்', price: 90, category: 'lunch', unit: 'plate' },
-  { name: 'Chicken Fried Rice', tamilName: 'சிக்கன் பிரைட் ரைஸ்', price: 100, category: 'lunch', unit: 'plate' },
-  { name: 'Paneer Fried Rice', tamilName: 'பனீர் பிரைட் ரைஸ்', price: 100, category: 'lunch', unit: 'plate' },
-  { name: 'Pepper Fried Rice', tamilName: 'மிளகு பிரைட் ரைஸ்', price: 100, category: 'lunch', unit: 'plate' },
-  { name: 'Liver Fried Rice', tamilName: 'கல்லீரல் பிரைட் ரைஸ்', price: 120, category: 'lunch', unit: 'plate' },
-
-  // ✅ BIRYANI
-  { name: 'Chicken Biryani', tamilName: 'சிக்கன் பிரியாணி', price: 120, category: 'lunch', unit: 'plate' },
-  { name: 'Kuska', tamilName: 'குஸ்கா', price: 60, category: 'lunch', unit: 'plate' },
-
-  // ✅ VEG GRAVY
-  { name: 'Gobi Manchurian', tamilName: 'கோபி மஞ்சூரியன்', price: 60, category: 'gravy', unit: 'plate' },
-  { name: 'Gobi Chilli', tamilName: 'கோபி சில்லி', price: 70, category: 'gravy', unit: 'plate' },
-  { name: 'Gobi Pepper', tamilName: 'கோபி மிளகு', price: 70, category: 'gravy', unit: 'plate' },
-  { name: 'Paneer Manchurian', tamilName: 'பனீர் மஞ்சூரியன்', price: 120, category: 'gravy', unit: 'plate' },
-  { name: 'Chilli Paneer', tamilName: 'சில்லி பனீர்', price: 120, category: 'gravy', unit: 'plate' },
-  { name: 'Pepper Paneer', tamilName: 'மிளகு பனீர்', price: 120, category: 'gravy', unit: 'plate' },
-  { name: 'Mushroom Chilli', tamilName: 'காளான் சில்லி', price: 100, category: 'gravy', unit: 'plate' },
-  { name: 'Mushroom Manchurian', tamilName: 'காளான் மஞ்சூரியன்', price: 100, category: 'gravy', unit: 'plate' },
-  { name: 'Mushroom Pepper', tamilName: 'காளான் மிளகு', price: 100, category: 'gravy', unit: 'plate' },
-
-  // ✅ NON-VEG GRAVY
-  { name: 'Chicken Manchurian', tamilName: 'சிக்கன் மஞ்சூரியன்', price: 120, category: 'gravy', unit: 'plate' },
-  { name: 'Chilli Chicken', tamilName: 'சில்லி சிக்கன்', price: 120, category: 'gravy', unit: 'plate' },
-  { name: 'Pepper Chicken', tamilName: 'மிளகு சிக்கன்', price: 120, category: 'gravy', unit: 'plate' },
-  { name: 'Chettinad Chicken', tamilName: 'செட்டிநாடு சிக்கன்', price: 120, category: 'gravy', unit: 'plate' },
-  { name: 'Liver Fry', tamilName: 'கல்லீரல் வறுவல்', price: 50, category: 'gravy', unit: 'plate' }
-];
-
-// ------------------------------
-// Deterministic Tamil mapping helpers (free path first)
-// ------------------------------
-const TAMIL_NUMBER_MAP = new Map([
-  ['ஓர்', 1], ['ஒரு', 1],
-  ['இரண்டு', 2], ['ரெண்டு', 2],
-  ['மூன்று', 3], ['மூணு', 3],
-  ['நான்கு', 4], ['நாலு', 4],
-  ['ஐந்து', 5],
-  ['ஆறு', 6], ['ஆரு', 6],
-  ['ஏழு', 7],
-  ['எட்டு', 8],
-  ['ஒன்பது', 9],
-  ['பத்து', 10]
-]);
-
-const QUALIFIER_SKIP = {
-  'Plain Dosa': [/(மசாலா|மசால்|நெய்|egg|முட்டை|masala|ghee)/iu],
-  'Parotta (2 pcs)': [/(கொத்து|kothu|egg|முட்டை|chicken|சிக்கன்)/iu]
-};
-
-function getSynonymPatterns() {
-  return new Map([
-    ['Veg Kothu Parotta', [
-      /(கொத்து|குத்து|கோத்து|கொத்த)\s*பரோட்டா/iu,
-      /kothu\s*parotta/iu, /kothu\s*parota/iu, /kuthu\s*parotta/iu, /kothu\s*barotta/iu, /kothu\s*porotta/iu
-    ]],
-    ['Egg Kothu Parotta', [
-      /முட்டை\s*(கொத்து|குத்து|கோத்து|கொத்த)\s*(பரோட்டா)?/iu,
-      /((ஏ|எ)க்|எக|ஏக்க)\s*(கொத்து|குத்து|கோத்து|கொத்த)\s*(பரோட்டா)?/iu,
-      /அண்ட(ு)?\s*(கொத்து|குத்து|கோத்து|கொத்த)\s*(பரோட்டா)?/iu,
-      /egg\s*(kothu|kuthu|koththu)\s*(parotta|parota|porotta|barotta)?/iu
-    ]],
-    ['Chicken Kothu Parotta', [
-      /சிக்கன்\s*(கொத்து|குத்து|கோத்து|கொத்த)\s*(பரோட்டா)?/iu,
-      /chicken\s*(kothu|kuthu|koththu)\s*(parotta|parota|porotta|barotta)?/iu
-    ]],
-    ['Set Dosa (1 pcs)', [/செட்\s*தோசை/iu, /set\s*dosa/iu, /set\s*dosai/iu]],
-    ['Ghee Dosa', [/நெய்\s*தோசை/iu, /ghee\s*dosa/iu]],
-    ['Masala Dosa', [/மசா(ல|ல்)ா\s*தோசை/iu, /masala\s*dosa/iu, /\bm\s*dosa\b/iu]],
-    ['Egg Dosa', [/முட்டை\s*தோசை/iu, /egg\s*dosa/iu, /((ஏ|எ)க்).{0,12}தோசை/iu]],
-    ['Plain Dosa', [/தோசை/iu, /\bdosa\b/iu, /\bdosai\b/iu]],
-    ['Parotta (2 pcs)', [/ப(ு|)ரோட்டா/iu, /\bparotta\b/iu, /\bparota\b/iu, /\bbarotta\b/iu, /\bporotta\b/iu]],
-    ['Kalakki', [/கலக்கி/iu, /kalakki/iu]],
-    ['Omelette', [/ஆம்லெட்/iu, /omelette?/iu, /omlette/iu, /omlet/iu]],
-    ['Idly (4 pcs)', [/இட்லி/iu, /\bidli\b/iu, /\bidly\b/iu, /\bitly\b/iu]],
-    ['Chicken Biryani', [/சிக்கன்\s*பிரியாணி/iu, /chicken\s*biryani/iu]]
-  ]);
-}
-
-function preprocessText(input) {
-  return (input || '')
-    .normalize('NFC')
-    .replace(/[\u200B-\u200D\uFEFF]/g, '')
-    .replace(/[.,;:!?()\[\]{}"'`~@#%^*&_=+<>/\\|-]+/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-function detectQuantityNear(text, matchStartIndex, usedRanges) {
-  const MAX_BEFORE = 14;
-  const MAX_AFTER = 10;
-  const windowStart = Math.max(0, matchStartIndex - MAX_BEFORE);
-  const windowEnd = Math.min(text.length, matchStartIndex + MAX_AFTER);
-  const beforeTextFull = text.slice(windowStart, matchStartIndex);
-  const afterTextFull = text.slice(matchStartIndex, windowEnd);
-
-  const tamilNumberWords = Array.from(TAMIL_NUMBER_MAP.keys()).sort((a, b) => b.length - a.length);
-
-  const isUnused = (s, e) => !usedRanges.some(r => !(e <= r.start || s >= r.end));
-
-  // 1) Numbers before the item
-  const beforeNum = beforeTextFull.match(/(\d+)\s*$/);
-  if (beforeNum) {
-    const numStart = matchStartIndex - beforeNum[0].length;
-    const numEnd = matchStartIndex;
-    const parsed = parseInt(beforeNum[1], 10);
-    if (!Number.isNaN(parsed) && parsed > 0 && isUnused(numStart, numEnd)) {
-      return { quantity: parsed, start: numStart, end: numEnd };
-    }
-  }
-
-  // 2) Tamil words before
-  for (const word of tamilNumberWords) {
-    const re = new RegExp(word + '\\s*$', 'iu');
-    const m = beforeTextFull.match(re);
-    if (m) {
-      const numStart = matchStartIndex - m[0].length;
-      const numEnd = matchStartIndex;
-      if (isUnused(numStart, numEnd)) {
-        return { quantity: TAMIL_NUMBER_MAP.get(word), start: numStart, end: numEnd };
-      }
-    }
-  }
-
-  // 3) Numbers after
-  const afterNum = afterTextFull.match(/^\s*(\d+)/);
-  if (afterNum) {
-    const numStart = matchStartIndex + afterTextFull.indexOf(afterNum[1]);
-    const numEnd = numStart + afterNum[1].length;
-    const parsed = parseInt(afterNum[1], 10);
-    if (!Number.isNaN(parsed) && parsed > 0 && isUnused(numStart, numEnd)) {
-      return { quantity: parsed, start: numStart, end: numEnd };
-    }
-  }
-
-  // 4) Tamil words after
-  for (const word of tamilNumberWords) {
-    const re = new RegExp('^\\s*' + word, 'iu');
-    const m = afterTextFull.match(re);
-    if (m) {
-      const s = matchStartIndex + afterTextFull.indexOf(m[0]);
-      const e = s + m[0].length;
-      if (isUnused(s, e)) {
-        return { quantity: TAMIL_NUMBER_MAP.get(word), start: s, end: e };
-      }
-    }
-  }
-
-  return { quantity: 1, start: -1, end: -1 };
-}
-
-function buildMenuResolver(menuItems) {
-  const contains = (s, re) => re.test((s || '').toLowerCase());
-  const by = (predicate) => menuItems.find(predicate);
-  const has = (item, re) => contains(item.name, re) || contains(item.tamilName || '', re);
-  return function resolve(aliasKey) {
-    switch (aliasKey) {
-      case 'Veg Kothu Parotta':
-        return by(item => has(item, /kothu\s*parotta/i) && !has(item, /egg|chicken/i));
-      case 'Egg Kothu Parotta':
-        return by(item => has(item, /egg/i) && has(item, /kothu\s*parotta/i));
-      case 'Chicken Kothu Parotta':
-        return by(item => has(item, /chicken/i) && has(item, /kothu\s*parotta/i));
-      case 'Set Dosa (1 pcs)':
-        return by(item => has(item, /set\s*dosa/i));
-      case 'Ghee Dosa':
-        return by(item => has(item, /ghee\s*dosa/i) || has(item, /நெய்\s*தோசை/i));
-      case 'Masala Dosa':
-        return by(item => has(item, /masala\s*dosa/i) || has(item, /மசாலா\s*தோசை/i));
-      case 'Egg Dosa':
-        return by(item => has(item, /egg\s*dosa/i) || has(item, /முட்டை\s*தோசை/i));
-      case 'Plain Dosa':
-        return by(item => has(item, /\bdosa\b/i) && !has(item, /masala|ghee|onion|egg|uthappam|set|kal/i) && !has(item, /மசாலா|நெய்|வெங்காய|முட்டை|செட்/i));
-      case 'Parotta (2 pcs)':
-        return by(item => has(item, /parotta|parota/i) && !has(item, /kothu|egg|chicken/i));
-      case 'Kalakki':
-        return by(item => has(item, /kalakki/i) || has(item, /கலகி/i));
-      case 'Omelette':
-        return by(item => has(item, /omelet/i) || has(item, /ஆம்லெட்/i));
-      case 'Idly (4 pcs)':
-        return by(item => has(item, /idli|idly/i) || has(item, /இட்லி/i));
-      case 'Chicken Biryani':
-        return by(item => has(item, /chicken/i) && has(item, /biryani|பிரியாணி/i));
-      default:
-        return undefined;
-    }
-  };
-}
-
-function parseOrderWithFuzzyMap(voiceInputText, menuItems) {
-  if (!voiceInputText || typeof voiceInputText !== 'string') return [];
-  const text = preprocessText(voiceInputText);
-  if (!text) return [];
-
-  const patternsMap = getSynonymPatterns();
-  const resolve = buildMenuResolver(menuItems);
-
-  const orderMap = new Map();
-  const usedRanges = [];
-
-  for (const [aliasKey, patternList] of patternsMap.entries()) {
-    for (const pat of patternList) {
-      const regex = pat.global ? pat : new RegExp(pat.source, pat.flags + 'g');
-      let match;
-      while ((match = regex.exec(text)) !== null) {
-        const skipQualifiers = QUALIFIER_SKIP[aliasKey];
-        if (skipQualifiers && Array.isArray(skipQualifiers)) {
-          const windowStart = Math.max(0, match.index - 16);
-          const windowText = text.slice(windowStart, match.index);
-          const shouldSkip = skipQualifiers.some(re => re.test(windowText));
-          if (shouldSkip) continue;
-        }
-
-        const { quantity, start, end } = detectQuantityNear(text, match.index, usedRanges);
-        if (start >= 0 && end > start) usedRanges.push({ start, end });
-        orderMap.set(aliasKey, (orderMap.get(aliasKey) || 0) + quantity);
-      }
-    }
+const { getShopCatalog } = require('../utils/menuCatalog');
+const { parseVoiceOrder } = require('../utils/voiceBillParser');
+const {
+  round2,
+  normalizeAdjustments,
+  normalizeDiscount,
+} = require('../utils/billCalculator');
+const { createPricedBill } = require('../utils/billStore');
+const { PAYMENT_STATUSES, normalizePayments } = require('../utils/payments');
+const { loadReceipt } = require('../utils/receipt');
+const { renderReceiptPdf } = require('../utils/receiptPdf');
+const { renderReceiptEscPos } = require('../utils/receiptEscPos');
+const { resolveSelection } = require('../utils/menuOptions');
+const { localDayRange, loadServiceContext, checkServiceTime } = require('../utils/serviceTime');
+const { INVOICE_TIMEZONE } = require('../utils/invoiceNumber');
+const { actorOf } = require('../utils/permissions');
+
+const DEFAULT_PAGE_SIZE = 20;
+// Receipt formats and the paper sizes each supports (first is the default)
+const RECEIPT_SIZES = { pdf: ['A4', 'A5'], escpos: ['80mm', '58mm'] };
+const MAX_PAGE_SIZE = 100;
+
+// Accepts ISO timestamps or plain dates; a plain `to` date covers that whole day
+function parseDateParam(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setUTCDate(date.getUTCDate() + 1);
   }
-
-  const items = [];
-  for (const [aliasKey, quantity] of orderMap.entries()) {
-    const menuItem = resolve(aliasKey);
-    if (!menuItem) continue;
-    const unitPrice = menuItem.price;
-    const totalPrice = unitPrice * quantity;
-    items.push({ itemName: menuItem.name, quantity, unitPrice, totalPrice });
-  }
-  return items;
-}
-
-// Legacy deterministic (kept as a second free parser; simplified to reuse fuzzy)
-function parseTamilOrderToItems(voiceInputText, menuItems) {
-  return parseOrderWithFuzzyMap(voiceInputText, menuItems);
-}
-
-// ------------------------------
-// Ultra-low-token LLM fallback
-// ------------------------------
-
-// Build compact catalog with short IDs to minimize tokens
-const MENU_CATALOG = (() => {
-  const list = DEFAULT_MENU_ITEMS.map((it, i) => ({
-    id: 'M' + i.toString(36), // short id
-    name: it.name,
-    ta: it.tamilName || '',
-    price: it.price,
-    unit: it.unit,
-    category: it.category
-  }));
-  const byId = new Map(list.map(x => [x.id, x]));
-  const byName = new Map(list.map(x => [x.name.toLowerCase(), x]));
-  return { list, byId, byName };
-})();
-
-// Very small, deterministic JSON schema for LLM output
-// { processed: string, lines: [{ id: "M1", qty: number }] }
-async function llmParseToIds(voiceInput) {
-  if (!genAI) {
-    console.warn('⚠️ GEMINI_API_KEY not set; skipping LLM fallback.');
-    return null;
-  }
-
-  const catalogLines = MENU_CATALOG.list
-    .map(x => `${x.id}|${x.name}|${x.ta}`)
-    .join('\n');
-
-  const prompt =
-`TASK: Convert noisy Tamil/English speech text to bill items by MENU ID.
-MENU (id|en|ta):
-${catalogLines}
-
-RULES:
-- Return ONLY JSON: {"processed":string,"lines":[{"id":string,"qty":number}]}
-- Map slang/misspellings/accents (Tamil+Tanglish) to the closest menu item ID.
-- Quantities can be digits or Tamil words (ஒரு, ரெண்டு, மூணு, நாலு...).
-- Treat "Parotta" as "Parotta (2 pcs)" unless kothu/egg/chicken is said.
-- If dosa has qualifiers (masala/ghee/egg), pick that specific item; else Plain Dosa.
-- If idly is mentioned, default to "Idly (4 pcs)".
-- Ignore anything not in MENU. Do not invent items.
-- If the same item is repeated, sum quantities.
-- Keep processed as a clean human-readable summary string.
-
-TEXT:
-"""${voiceInput}"""`;
-
-  const model = genAI.getGenerativeModel({ model: MODEL_NAME });
-
-  const result = await model.generateContent({
-    contents: [{ role: 'user', parts: [{ text: prompt }] }],
-    generationConfig: {
-      temperature: 0.2,
-      maxOutputTokens: 256
-    }
-  });
-
-  // ------- usage metrics & response text -------
-  let text = '';
-  const usage = (result && result.response && result.response.usageMetadata)
-    || (result && result.usageMetadata)
-    || {};
-  const toInt = (v) => {
-    const n = Number(v);
-    return Number.isFinite(n) ? n : undefined;
-  };
-  const promptTokens = toInt(usage.promptTokenCount ?? usage.inputTokenCount);
-  const outputTokens = toInt(usage.candidatesTokenCount ?? usage.outputTokenCount);
-  const totalTokens = toInt(usage.totalTokenCount ?? ((promptTokens || 0) + (outputTokens || 0)));
-  const pricing = PRICING_PER_MTOKENS_USD[MODEL_NAME] || { input: 0, output: 0 };
-  const estimatedCostUsd = Number((((promptTokens || 0) * pricing.input + (outputTokens || 0) * pricing.output) / 1_000_000).toFixed(6));
-  try {
-    text = result.response.text();
-  } catch {
-    // Older SDKs
-    text = (await result.response)?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-  }
-
-  // Defensive un-fencing
-  if (!text) return null;
-  if (text.includes('```')) {
-    text = text.replace(/```json\s*|```/g, '').trim();
-  }
-  // Extract JSON
-  const match = text.match(/\{[\s\S]*\}/);
-  const jsonStr = match ? match[0] : text;
-  try {
-    const obj = JSON.parse(jsonStr);
-    if (!obj || !Array.isArray(obj.lines)) return null;
-    // sanitize
-    const lines = obj.lines
-      .filter(l => l && typeof l.id === 'string' && Number.isFinite(l.qty))
-      .map(l => ({ id: l.id.trim(), qty: Math.max(1, Math.floor(l.qty)) }));
-    const metrics = {
-      model: MODEL_NAME,
-      promptTokens: promptTokens ?? null,
-      outputTokens: outputTokens ?? null,
-      totalTokens: totalTokens ?? null,
-      estimatedCostUsd,
-      pricingPerMTokensUsd: { input: pricing.input, output: pricing.output }
-    };
-    if (metrics.totalTokens != null) {
-      console.log(`🤖 Gemini usage → in: ${metrics.promptTokens || 0}, out: ${metrics.outputTokens || 0}, total: ${metrics.totalTokens || 0}, est. cost: $${metrics.estimatedCostUsd}`);
-    }
-    return { processed: String(obj.processed || '').slice(0, 300), lines, metrics };
-  } catch {
-    return null;
-  }
-}
-
-// Cache LLM results per normalized input to save cost on repeats
-const LLM_CACHE = new Map(); // key: normalized input, value: {processed, lines}
-function cacheKeyFromInput(s) {
-  return preprocessText((s || '').toLowerCase());
+  return date;
 }
 
 // ------------------------------
 // Public endpoints
 // ------------------------------
 const initializeMenu = async () => {
-  // No-op; menu is in-memory by DEFAULT_MENU_ITEMS
-  console.log('✅ Default menu items loaded in-memory:', DEFAULT_MENU_ITEMS.length);
+  // No-op; menus are loaded lazily per shop from the MenuItem collection
+  console.log('✅ Voice billing will load menus per shop from MenuItem');
 };
 
 const generateBillFromVoice = async (req, res) => {
   try {
     const { voiceInput } = req.body || {};
+    const { shopId } = req;
     if (!voiceInput || typeof voiceInput !== 'string' || !voiceInput.trim()) {
       return res.status(400).json({
         error: 'Voice input required',
         message: 'Please provide the voice input text',
       });
     }
-
-    const mergedMenuItems = DEFAULT_MENU_ITEMS; // only default menu
-
-    // ---- LLM-only path -----
-    const key = cacheKeyFromInput(voiceInput);
-    let parsed = LLM_CACHE.get(key);
-    if (!parsed) {
-      parsed = await llmParseToIds(voiceInput);
-      if (parsed) LLM_CACHE.set(key, parsed);
+    const shopExists = await Shop.exists({ _id: shopId });
+    if (!shopExists) {
+      return res.status(404).json({ error: 'Shop not found', message: 'No shop found for given shopId' });
     }
 
-    if (!parsed || !parsed.lines || parsed.lines.length === 0) {
+    const catalog = await getShopCatalog(shopId);
+    if (catalog.list.length === 0) {
       return res.status(422).json({
         success: false,
-        error: 'Unrecognized order',
-        message: 'Could not map voice input to any known menu items.'
+        error: 'Empty menu',
+        message: 'This shop has no available menu items. Add items via /api/menu first.'
       });
     }
 
-    const processedText = parsed.processed || '';
-    const usageMetrics = parsed.metrics || null;
+    const {
+      items,
+      lines,
+      unmatchedWords,
+      text,
+      processedText,
+      adjustments: spoken,
+      warnings,
+      parser,
+      usage: usageMetrics
+    } = await parseVoiceOrder(voiceInput, catalog, { service: await loadServiceContext(shopId) });
 
-    // Map IDs to actual items & compute totals deterministically
-    const agg = new Map();
-    for (const { id, qty } of parsed.lines) {
-      const cat = MENU_CATALOG.byId.get(id);
-      if (!cat) continue;
-      const k = cat.name;
-      agg.set(k, (agg.get(k) || 0) + qty);
+    if (items.length === 0 && warnings.length > 0) {
+      // Everything spoken is outside its service time and the shop blocks such items
+      return res.status(409).json({
+        success: false,
+        error: 'Outside service time',
+        message: warnings.map(w => w.message).join('; '),
+        parse: { parser, text, lines, unmatchedWords, adjustments: spoken, warnings }
+      });
     }
-    const items = [];
-    for (const [itemName, quantity] of agg.entries()) {
-      const menuItem = mergedMenuItems.find(m => m.name === itemName);
-      if (!menuItem) continue;
-      const unitPrice = menuItem.price;
-      const totalPrice = unitPrice * quantity;
-      items.push({ itemName, quantity, unitPrice, totalPrice });
+    if (items.length === 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'Unrecognized order',
+        message: 'Could not map voice input to any known menu items.',
+        parse: { parser, text, lines, unmatchedWords, adjustments: spoken }
+      });
     }
 
-    const subtotal = items.reduce((sum, it) => sum + it.totalPrice, 0);
-    const tax = 0;
-    const total = subtotal + tax;
-
-    const bill = {
-      _id: rndId(),
+    // Spoken discount/coupon/parcel, overridden by any sent in the body
+    const bill = await createPricedBill({
+      shop: shopId,
+      items,
+      adjustments: normalizeAdjustments({ ...spoken.values, ...req.body }),
+      payments: normalizePayments(req.body.payments),
+      source: 'voice',
+      createdBy: actorOf(req.user),
       voiceInput,
       processedText,
-      items,
-      subtotal,
-      tax,
-      total,
-      usage: usageMetrics,
-      createdAt: nowISO()
-    };
-
-    // Save in memory
-    BILLS.unshift(bill);
+      usage: usageMetrics
+    });
 
     return res.status(201).json({
       success: true,
       message: 'Bill generated successfully',
       bill,
+      // Per-mention evidence so the POS can highlight doubtful lines
+      parse: {
+        parser,
+        text,
+        lines,
+        unmatchedWords,
+        adjustments: spoken,
+        warnings,
+        needsReview: lines.some(l => l.doubtful) || (unmatchedWords || []).length > 0 || warnings.length > 0
+      },
       usage: usageMetrics
     });
   } catch (error) {
+    if (error.name === 'BillAdjustmentError') {
+      return res.status(error.status).json({ error: 'Invalid adjustment', message: error.message });
+    }
+    if (error.name === 'PaymentError') {
+      return res.status(error.status).json({ error: 'Invalid payment', message: error.message });
+    }
     console.error('❌ Error generating bill:', error);
     if ((error.message || '').includes('Invalid bill structure')) {
       return res.status(500).json({
@@ -552,7 +168,55 @@ const generateBillFromVoice = async (req, res) => {
 
 const getAllBills = async (req, res) => {
   try {
-    return res.json({ success: true, count: BILLS.length, bills: BILLS });
+    const { from, to, invoiceNumber, paymentStatus, staffId } = req.query;
+    const filter = { shop: req.shopId };
+    if (invoiceNumber) filter.invoiceNumber = String(invoiceNumber).trim();
+    if (staffId) {
+      if (!mongoose.Types.ObjectId.isValid(staffId)) {
+        return res.status(400).json({ error: 'Invalid staffId', message: 'Provide a valid Mongo ObjectId' });
+      }
+      filter['createdBy.staff'] = staffId;
+    }
+    if (paymentStatus) {
+      if (!PAYMENT_STATUSES.includes(paymentStatus)) {
+        return res.status(400).json({ error: 'Invalid paymentStatus', message: `paymentStatus must be one of ${PAYMENT_STATUSES.join(', ')}` });
+      }
+      filter.paymentStatus = paymentStatus;
+    }
+
+    const fromDate = parseDateParam(from);
+    const toDate = parseDateParam(to, { endOfDay: true });
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ error: 'Invalid date range', message: 'from/to must be valid dates (YYYY-MM-DD or ISO)' });
+    }
+    if (fromDate || toDate) {
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) filter.createdAt.$lt = toDate;
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || DEFAULT_PAGE_SIZE));
+
+    const [bills, total] = await Promise.all([
+      Bill.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v')
+        .lean(),
+      Bill.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      count: bills.length,
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      bills
+    });
   } catch (error) {
     console.error('❌ Error fetching bills:', error);
     return res.status(500).json({ error: 'Internal server error', message: 'Failed to fetch bills' });
@@ -561,7 +225,10 @@ const getAllBills = async (req, res) => {
 
 const getBillById = async (req, res) => {
   try {
-    const bill = BILLS.find(b => b._id === req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid bill id', message: 'Provide a valid Mongo ObjectId' });
+    }
+    const bill = await Bill.findOne({ _id: req.params.id, shop: req.shopId }).select('-__v').lean();
     if (!bill) {
       return res.status(404).json({ error: 'Bill not found', message: 'The requested bill does not exist' });
     }
@@ -572,14 +239,54 @@ const getBillById = async (req, res) => {
   }
 };
 
+// GET /bills/:id/receipt?format=pdf|escpos&size=A4|A5|58mm|80mm
+const getBillReceipt = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid bill id', message: 'Provide a valid Mongo ObjectId' });
+    }
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    const sizes = RECEIPT_SIZES[format];
+    if (!sizes) {
+      return res.status(400).json({ error: 'Invalid format', message: `format must be one of ${Object.keys(RECEIPT_SIZES).join(', ')}` });
+    }
+    const size = req.query.size ? String(req.query.size) : sizes[0];
+    const matched = sizes.find((s) => s.toLowerCase() === size.toLowerCase());
+    if (!matched) {
+      return res.status(400).json({ error: 'Invalid size', message: `size for ${format} must be one of ${sizes.join(', ')}` });
+    }
+
+    const receipt = await loadReceipt(req.params.id, req.shopId);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Bill not found', message: 'The requested bill does not exist' });
+    }
+    const fileName = receipt.invoiceNumber.replace(/[^A-Za-z0-9-]+/g, '_');
+
+    if (format === 'escpos') {
+      const bytes = renderReceiptEscPos(receipt, { paper: matched });
+      res.set('Content-Type', 'application/octet-stream');
+      res.set('Content-Disposition', `attachment; filename="${fileName}.bin"`);
+      return res.send(bytes);
+    }
+    const pdf = await renderReceiptPdf(receipt, { size: matched });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+    return res.send(pdf);
+  } catch (error) {
+    console.error('❌ Error rendering receipt:', error);
+    return res.status(500).json({ error: 'Internal server error', message: 'Failed to render receipt' });
+  }
+};
+
 const getAllMenuItems = async (req, res) => {
   try {
-    // Return catalog with IDs (handy for client UI), plus full menu
+    const { shopId } = req;
+    // Return the shop's billing catalog with short IDs (handy for client UI)
+    const catalog = await getShopCatalog(shopId);
     return res.json({
       success: true,
-      count: DEFAULT_MENU_ITEMS.length,
-      menuItems: DEFAULT_MENU_ITEMS,
-      catalog: MENU_CATALOG.list // id|name|ta|price
+      count: catalog.list.length,
+      catalog: catalog.list // id|menuItemId|name|ta|price
     });
   } catch (error) {
     console.error('❌ Error fetching menu items:', error);
@@ -587,23 +294,23 @@ const getAllMenuItems = async (req, res) => {
   }
 };
 
-// The following CRUD endpoints are no-ops or simple in-memory
+// Menu CRUD lives under /api/menu; these legacy endpoints only redirect
 const addMenuItem = async (req, res) => {
   return res.status(400).json({
     error: 'Not supported',
-    message: 'Menu is fixed in this build (DEFAULT_MENU_ONLY)'
+    message: 'Manage menu items through /api/menu'
   });
 };
 const updateMenuItem = async (req, res) => {
   return res.status(400).json({
     error: 'Not supported',
-    message: 'Menu is fixed in this build (DEFAULT_MENU_ONLY)'
+    message: 'Manage menu items through /api/menu'
   });
 };
 const deleteMenuItem = async (req, res) => {
   return res.status(400).json({
     error: 'Not supported',
-    message: 'Menu is fixed in this build (DEFAULT_MENU_ONLY)'
+    message: 'Manage menu items through /api/menu'
   });
 };
 
@@ -612,11 +319,8 @@ const deleteMenuItem = async (req, res) => {
 // ------------------------------
 const createBill = async (req, res) => {
   try {
-    const { shopId, voiceInput, processedText, items, subtotal, tax, total } = req.body || {};
-
-    if (!shopId || !mongoose.Types.ObjectId.isValid(shopId)) {
-      return res.status(400).json({ error: 'Invalid shopId', message: 'Provide a valid Mongo ObjectId for shopId' });
-    }
+    const { voiceInput, processedText, items } = req.body || {};
+    const { shopId } = req;
 
     // Optional: verify shop exists
     try {
@@ -640,10 +344,20 @@ const createBill = async (req, res) => {
       if (!menuItemId || !mongoose.Types.ObjectId.isValid(menuItemId)) {
         return res.status(400).json({ error: 'Invalid item.menuItemId', message: 'Each item must include a valid menuItemId' });
       }
+      // Variant/modifier choices are priced from the menu; unitPrice then defaults to that price
+      let selection = {};
+      let entry = null;
+      if (it.variantId != null || it.modifierIds != null || it.note != null) {
+        entry = (await getShopCatalog(shopId)).byMenuItemId.get(String(menuItemId));
+        if (!entry) {
+          return res.status(400).json({ error: 'Invalid item.menuItemId', message: 'Variants, modifiers and notes need an available menu item of the shop' });
+        }
+        selection = resolveSelection(entry, it);
+      }
       const quantity = Math.max(1, Number(it.quantity || 0));
-      const unitPrice = Number(it.unitPrice);
+      const unitPrice = Number(it.unitPrice != null ? it.unitPrice : selection.unitPrice);
       const totalPrice = Number(it.totalPrice != null ? it.totalPrice : (Number.isFinite(unitPrice) ? unitPrice * quantity : NaN));
-      const itemName = (typeof it.itemName === 'string' && it.itemName.trim()) ? it.itemName.trim() : '';
+      const itemName = (typeof it.itemName === 'string' && it.itemName.trim()) ? it.itemName.trim() : (entry ? entry.name : '');
 
       if (!itemName) {
         return res.status(400).json({ error: 'Invalid itemName', message: 'Each item must include itemName' });
@@ -663,31 +377,55 @@ const createBill = async (req, res) => {
         itemName,
         quantity,
         unitPrice,
-        totalPrice
+        totalPrice,
+        variant: selection.variant,
+        modifiers: selection.modifiers,
+        note: selection.note,
+        discount: it.discount ? normalizeDiscount(it.discount, 'item.discount') : undefined
       });
     }
 
     if (normalizedItems.length === 0) {
       return res.status(400).json({ error: 'Invalid items', message: 'Items must include itemName, quantity, unitPrice' });
     }
+    const menuItemIds = [...new Set(normalizedItems.map(it => String(it.menuItem)))];
+    if (await MenuItem.countDocuments({ _id: { $in: menuItemIds }, shopId }) !== menuItemIds.length) {
+      return res.status(400).json({ error: 'Invalid item.menuItemId', message: 'Each menuItemId must be a menu item of your shop' });
+    }
 
-    const computedSubtotal = normalizedItems.reduce((s, it) => s + it.totalPrice, 0);
-    const taxValue = Number.isFinite(Number(tax)) && Number(tax) >= 0 ? Number(tax) : 0;
-    const subtotalValue = Number.isFinite(Number(subtotal)) && Number(subtotal) >= 0 ? Number(subtotal) : computedSubtotal;
-    const totalValue = Number.isFinite(Number(total)) && Number(total) >= 0 ? Number(total) : (subtotalValue + taxValue);
+    // Items outside their service time are warned about, or refused when the shop blocks them
+    const catalog = await getShopCatalog(shopId);
+    const warnings = checkServiceTime(
+      normalizedItems.map(it => catalog.byMenuItemId.get(String(it.menuItem))),
+      await loadServiceContext(shopId)
+    );
 
-    const doc = await Bill.create({
+    // Totals, discounts and GST are always computed here; client-sent subtotal/tax/total are ignored
+    const doc = await createPricedBill({
       shop: shopId,
+      items: normalizedItems,
+      adjustments: normalizeAdjustments(req.body),
+      payments: normalizePayments(req.body.payments),
+      source: 'manual',
+      createdBy: actorOf(req.user),
       voiceInput: voiceInput || '',
       processedText: processedText || '',
-      items: normalizedItems,
-      subtotal: subtotalValue,
-      tax: taxValue,
-      total: totalValue,
     });
 
-    return res.status(201).json({ success: true, message: 'Bill stored', bill: doc });
+    return res.status(201).json({ success: true, message: 'Bill stored', bill: doc, warnings });
   } catch (error) {
+    if (error.name === 'BillAdjustmentError') {
+      return res.status(error.status).json({ error: 'Invalid adjustment', message: error.message });
+    }
+    if (error.name === 'PaymentError') {
+      return res.status(error.status).json({ error: 'Invalid payment', message: error.message });
+    }
+    if (error.name === 'MenuOptionError') {
+      return res.status(error.status).json({ error: 'Invalid item options', message: error.message });
+    }
+    if (error.name === 'ServiceTimeError') {
+      return res.status(error.status).json({ error: 'Outside service time', message: error.message });
+    }
     console.error('❌ Error creating bill:', error);
     return res.status(500).json({ error: 'Internal server error', message: 'Failed to store bill' });
   }
@@ -698,18 +436,42 @@ const createBill = async (req, res) => {
 // ------------------------------
 const getDailyReport = async (req, res) => {
   try {
-    const { shopId } = req.query;
-    if (!shopId || !mongoose.Types.ObjectId.isValid(shopId)) {
-      return res.status(400).json({ error: 'Invalid shopId', message: 'Provide a valid Mongo ObjectId for shopId' });
+    const { shopId } = req;
+    // Cash in the drawer when the day started, for the reconciliation
+    const openingCash = req.query.openingCash === undefined ? 0 : Number(req.query.openingCash);
+    if (!Number.isFinite(openingCash) || openingCash < 0) {
+      return res.status(400).json({ error: 'Invalid openingCash', message: 'openingCash must be a non-negative number' });
     }
+    // One staff member's figures: the bills they rang up and what happened to them today
+    const { staffId } = req.query;
+    if (staffId !== undefined && !mongoose.Types.ObjectId.isValid(staffId)) {
+      return res.status(400).json({ error: 'Invalid staffId', message: 'Provide a valid Mongo ObjectId' });
+    }
+    const byStaffMember = staffId ? { 'createdBy.staff': new mongoose.Types.ObjectId(staffId) } : {};
 
-    const now = new Date();
-    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const endOfDay = new Date(startOfDay);
-    endOfDay.setDate(endOfDay.getDate() + 1);
+    // Today as the shop's clock has it, in the shop's currency
+    const shop = await Shop.findById(shopId).select('serviceSettings currency').lean();
+    const timezone = shop?.serviceSettings?.timezone || INVOICE_TIMEZONE;
+    const currency = shop?.currency || 'INR';
+    const { date, start: startOfDay, end: endOfDay } = localDayRange(timezone);
 
+    const shopObjectId = new mongoose.Types.ObjectId(shopId);
+    // Units and revenue of an unwound line, net of units refunded on credit notes
+    const netLineStages = [
+      {
+        $addFields: {
+          netQty: { $subtract: ['$items.quantity', { $ifNull: ['$items.refundedQuantity', 0] }] },
+          netRevenue: {
+            $multiply: [
+              '$items.totalPrice',
+              { $subtract: [1, { $divide: [{ $ifNull: ['$items.refundedQuantity', 0] }, '$items.quantity'] }] }
+            ]
+          }
+        }
+      }
+    ];
     const [summary] = await Bill.aggregate([
-      { $match: { shop: new mongoose.Types.ObjectId(shopId), createdAt: { $gte: startOfDay, $lt: endOfDay } } },
+      { $match: { shop: shopObjectId, createdAt: { $gte: startOfDay, $lt: endOfDay }, status: { $ne: 'void' }, ...byStaffMember } },
       {
         $facet: {
           totals: [
@@ -717,8 +479,16 @@ const getDailyReport = async (req, res) => {
               $group: {
                 _id: null,
                 totalSales: { $sum: '$total' },
+                totalGross: { $sum: '$grossAmount' },
+                totalDiscount: { $sum: '$discountTotal' },
+                totalCouponDiscount: { $sum: '$coupon.amount' },
                 totalSubtotal: { $sum: '$subtotal' },
+                totalServiceCharge: { $sum: '$serviceCharge' },
+                totalPackingCharge: { $sum: '$packingCharge' },
                 totalTax: { $sum: '$tax' },
+                totalRoundOff: { $sum: '$roundOff' },
+                totalPaid: { $sum: '$amountPaid' },
+                totalOutstanding: { $sum: '$balanceDue' },
                 billCount: { $sum: 1 },
                 avgBill: { $avg: '$total' },
                 minBill: { $min: '$total' },
@@ -728,20 +498,100 @@ const getDailyReport = async (req, res) => {
           ],
           topItems: [
             { $unwind: '$items' },
+            ...netLineStages,
+            // A combo counts as the items in it, so kitchen and stock figures stay right;
+            // its revenue is shared out by the components' menu prices when it was sold
+            {
+              $project: {
+                rows: {
+                  $cond: [
+                    { $gt: [{ $size: { $ifNull: ['$items.components', []] } }, 0] },
+                    {
+                      $map: {
+                        input: '$items.components',
+                        as: 'c',
+                        in: {
+                          menuItem: '$$c.menuItem',
+                          itemName: '$$c.itemName',
+                          qty: { $multiply: ['$netQty', '$$c.quantity'] },
+                          revenue: { $multiply: ['$netRevenue', '$$c.share'] },
+                          inCombos: { $multiply: ['$netQty', '$$c.quantity'] }
+                        }
+                      }
+                    },
+                    [{ menuItem: '$items.menuItem', itemName: '$items.itemName', qty: '$netQty', revenue: '$netRevenue', inCombos: 0 }]
+                  ]
+                }
+              }
+            },
+            { $unwind: '$rows' },
             {
               $group: {
-                _id: { menuItem: '$items.menuItem', itemName: '$items.itemName' },
-                qty: { $sum: '$items.quantity' },
-                revenue: { $sum: '$items.totalPrice' }
+                _id: { menuItem: '$rows.menuItem', itemName: '$rows.itemName' },
+                qty: { $sum: '$rows.qty' },
+                revenue: { $sum: '$rows.revenue' },
+                inCombos: { $sum: '$rows.inCombos' }
               }
             },
             { $sort: { qty: -1, revenue: -1 } },
             { $limit: 10 }
           ],
+          combos: [
+            { $unwind: '$items' },
+            { $match: { 'items.components.0': { $exists: true } } },
+            ...netLineStages,
+            {
+              $group: {
+                _id: { menuItem: '$items.menuItem', itemName: '$items.itemName' },
+                qty: { $sum: '$netQty' },
+                revenue: { $sum: '$netRevenue' }
+              }
+            },
+            { $sort: { qty: -1, revenue: -1 } }
+          ],
+          coupons: [
+            { $match: { 'coupon.code': { $exists: true } } },
+            {
+              $group: {
+                _id: '$coupon.code',
+                // Parts of a split bill share its coupon; one of them holds the use
+                uses: { $sum: { $cond: [{ $ifNull: ['$coupon.coupon', false] }, 1, 0] } },
+                discount: { $sum: '$coupon.amount' }
+              }
+            },
+            { $sort: { uses: -1 } }
+          ],
+          taxByRate: [
+            { $unwind: '$taxBreakdown' },
+            {
+              $group: {
+                _id: '$taxBreakdown.rate',
+                taxableValue: { $sum: '$taxBreakdown.taxableValue' },
+                cgst: { $sum: '$taxBreakdown.cgst' },
+                sgst: { $sum: '$taxBreakdown.sgst' },
+                igst: { $sum: '$taxBreakdown.igst' },
+                tax: { $sum: '$taxBreakdown.tax' }
+              }
+            },
+            { $sort: { '_id': 1 } }
+          ],
+          byStaff: [
+            {
+              $group: {
+                // Staff id, 'owner', or null for bills from before staff logins
+                _id: { $ifNull: ['$createdBy.staff', '$createdBy.role'] },
+                name: { $last: '$createdBy.name' },
+                role: { $last: '$createdBy.role' },
+                totalSales: { $sum: '$total' },
+                billCount: { $sum: 1 }
+              }
+            },
+            { $sort: { totalSales: -1 } }
+          ],
           hourly: [
             {
               $group: {
-                _id: { $hour: { date: '$createdAt', timezone: 'UTC' } },
+                _id: { $hour: { date: '$createdAt', timezone } },
                 totalSales: { $sum: '$total' },
                 billCount: { $sum: 1 }
               }
@@ -752,21 +602,105 @@ const getDailyReport = async (req, res) => {
       }
     ]);
 
-    const totals = (summary?.totals?.[0]) || { totalSales: 0, totalSubtotal: 0, totalTax: 0, billCount: 0, avgBill: 0, minBill: 0, maxBill: 0 };
+    // Payments and refunds are counted on the day they happened, whatever the bill's date
+    const [paymentsByMode, refundsByMode, [voided]] = await Promise.all([
+      Bill.aggregate([
+        { $match: { shop: shopObjectId, 'payments.receivedAt': { $gte: startOfDay, $lt: endOfDay }, status: { $ne: 'void' }, ...byStaffMember } },
+        { $unwind: '$payments' },
+        { $match: { 'payments.receivedAt': { $gte: startOfDay, $lt: endOfDay } } },
+        {
+          $group: {
+            _id: '$payments.mode',
+            amount: { $sum: '$payments.amount' },
+            tendered: { $sum: { $ifNull: ['$payments.tendered', '$payments.amount'] } },
+            change: { $sum: { $ifNull: ['$payments.change', 0] } },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { amount: -1 } }
+      ]),
+      CreditNote.aggregate([
+        { $match: { shop: shopObjectId, createdAt: { $gte: startOfDay, $lt: endOfDay } } },
+        ...(staffId
+          ? [
+            { $lookup: { from: Bill.collection.name, localField: 'bill', foreignField: '_id', as: 'refundedBill' } },
+            { $match: { 'refundedBill.createdBy.staff': byStaffMember['createdBy.staff'] } }
+          ]
+          : []),
+        {
+          $group: {
+            _id: '$refundMode',
+            total: { $sum: '$total' },
+            tax: { $sum: '$tax' },
+            refundAmount: { $sum: '$refundAmount' },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      Bill.aggregate([
+        // Bills replaced by a split or merge are not lost sales
+        { $match: { shop: shopObjectId, status: 'void', replacedBy: { $exists: false }, 'voided.at': { $gte: startOfDay, $lt: endOfDay }, ...byStaffMember } },
+        { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$total' } } }
+      ])
+    ]);
+
+    const totals = (summary?.totals?.[0]) || { totalSales: 0, totalGross: 0, totalDiscount: 0, totalCouponDiscount: 0, totalSubtotal: 0, totalServiceCharge: 0, totalPackingCharge: 0, totalTax: 0, totalRoundOff: 0, totalPaid: 0, totalOutstanding: 0, billCount: 0, avgBill: 0, minBill: 0, maxBill: 0 };
     const topItems = (summary?.topItems || []).map(x => ({
+      menuItem: x._id.menuItem,
+      itemName: x._id.itemName,
+      quantity: x.qty,
+      revenue: x.revenue,
+      inCombos: x.inCombos
+    }));
+    const combos = (summary?.combos || []).map(x => ({
       menuItem: x._id.menuItem,
       itemName: x._id.itemName,
       quantity: x.qty,
       revenue: x.revenue
     }));
-    const hourly = (summary?.hourly || []).map(x => ({ hourUtc: x._id, totalSales: x.totalSales, billCount: x.billCount }));
+    const coupons = (summary?.coupons || []).map(x => ({ code: x._id, uses: x.uses, discount: x.discount }));
+    const taxByRate = (summary?.taxByRate || []).map(({ _id, ...slab }) => ({ rate: _id, ...slab }));
+    // Bills rung up by the owner's own login have no staff id
+    const byStaff = (summary?.byStaff || []).map(x => ({ staffId: x._id && x._id !== 'owner' ? x._id : null, name: x.name || null, role: x.role || null, totalSales: x.totalSales, billCount: x.billCount }));
+    const hourly = (summary?.hourly || []).map(x => ({ hour: x._id, totalSales: x.totalSales, billCount: x.billCount }));
+    const paymentModes = paymentsByMode.map(x => ({ mode: x._id, amount: x.amount, count: x.count }));
+    const refunds = {
+      count: refundsByMode.reduce((s, x) => s + x.count, 0),
+      total: round2(refundsByMode.reduce((s, x) => s + x.total, 0)),
+      tax: round2(refundsByMode.reduce((s, x) => s + x.tax, 0)),
+      // Money handed back per mode; the rest was written off unpaid balances
+      byMode: refundsByMode.filter(x => x._id).map(x => ({ mode: x._id, amount: x.refundAmount, count: x.count }))
+    };
+    totals.totalRefunds = refunds.total;
+    totals.netSales = round2(totals.totalSales - refunds.total);
+    totals.netTax = round2(totals.totalTax - refunds.tax);
+    const cash = paymentsByMode.find(x => x._id === 'cash') || { amount: 0, tendered: 0, change: 0 };
+    const cashRefunded = refunds.byMode.find(x => x.mode === 'cash')?.amount || 0;
+    const cashDrawer = {
+      openingCash,
+      cashReceived: cash.tendered,
+      changeGiven: cash.change,
+      netCash: cash.amount,
+      cashRefunded,
+      expectedInDrawer: round2(openingCash + cash.amount - cashRefunded)
+    };
 
     return res.json({
       success: true,
-      range: { start: startOfDay.toISOString(), end: endOfDay.toISOString(), timezone: 'UTC' },
+      range: { date, start: startOfDay.toISOString(), end: endOfDay.toISOString(), timezone },
       shopId,
+      currency,
+      staffId: staffId || null,
       totals,
       topItems,
+      combos,
+      coupons,
+      taxByRate,
+      paymentModes,
+      refunds,
+      voided: { count: voided?.count || 0, amount: voided?.amount || 0 },
+      cashDrawer,
+      byStaff,
       hourly
     });
   } catch (error) {
@@ -779,6 +713,7 @@ module.exports = {
   generateBillFromVoice,
   getAllBills,
   getBillById,
+  getBillReceipt,
   getAllMenuItems,
   addMenuItem,
   updateMenuItem,
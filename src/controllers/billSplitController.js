@@ -0,0 +1,148 @@
+/**
+ * Split and merge bills
+ * ------------------------------------------------------------------
+ * - An unpaid bill can be split by line, by quantity or into N equal shares;
+ *   two or more unpaid bills of a shop can be merged into one.
+ * - Saved bills are never edited: the new bills are priced again from the
+ *   old bills' lines and terms (utils/billSplit), take new invoice numbers,
+ *   and the old bills are voided with a pointer to them.
+ */
+
+const mongoose = require('mongoose');
+const Bill = require('../models/Bill');
+const Shop = require('../models/shop');
+const {
+  normalizeSplitAudit,
+  planSplit,
+  priceSplit,
+  priceMerge,
+  unsplittableReason,
+} = require('../utils/billSplit');
+const { replaceBills } = require('../utils/billStore');
+
+const MAX_MERGE = 10;
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.name === 'BillSplitError' || error.name === 'BillAdjustmentError') {
+    return res
+      .status(error.status)
+      .json({ error: 'Invalid split', message: error.message });
+  }
+  console.error('❌ Bill split error:', error);
+  return res
+    .status(500)
+    .json({ error: 'Internal server error', message: fallbackMessage });
+};
+
+const loadShop = (shopId) => Shop.findById(shopId).select('taxSettings').lean();
+
+// POST /bills/:id/split
+// { shares: N } or { parts: [{ lines: [{ lineId, quantity? }] }] },
+// plus { performedBy, reason? }
+const splitBill = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid bill id',
+        message: 'Provide a valid Mongo ObjectId',
+      });
+    }
+    const body = req.body || {};
+    const audit = normalizeSplitAudit(body);
+    const bill = await Bill.findOne({
+      _id: req.params.id,
+      shop: req.shopId,
+    }).lean();
+    if (!bill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist',
+      });
+    }
+    const reason = unsplittableReason(bill);
+    if (reason) {
+      return res
+        .status(409)
+        .json({ error: 'Bill cannot be split', message: reason });
+    }
+
+    const parts = planSplit(bill, body);
+    const priced = priceSplit(bill, parts, await loadShop(bill.shop));
+    const result = await replaceBills([bill], priced, {
+      action: 'split',
+      ...audit,
+    });
+    return res.status(201).json({
+      success: true,
+      message: `Bill split into ${result.bills.length} bills`,
+      bills: result.bills,
+      replaced: result.replaced[0],
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to split bill');
+  }
+};
+
+// POST /bills/merge  { billIds: [...], performedBy, reason? }
+const mergeBills = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const ids = Array.isArray(body.billIds)
+      ? [...new Set(body.billIds.map(String))]
+      : [];
+    if (ids.length < 2 || ids.length > MAX_MERGE) {
+      return res.status(400).json({
+        error: 'Invalid billIds',
+        message: `Provide 2 to ${MAX_MERGE} different bill ids`,
+      });
+    }
+    if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        error: 'Invalid billIds',
+        message: 'Provide valid Mongo ObjectIds',
+      });
+    }
+    const audit = normalizeSplitAudit(body);
+
+    const found = await Bill.find({
+      _id: { $in: ids },
+      shop: req.shopId,
+    }).lean();
+    if (found.length !== ids.length) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'One or more bills do not exist',
+      });
+    }
+    // Keep the order the bills were given in
+    const bills = ids.map((id) => found.find((b) => String(b._id) === id));
+    for (const bill of bills) {
+      const reason = unsplittableReason(bill);
+      if (reason) {
+        return res.status(409).json({
+          error: 'Bill cannot be merged',
+          message: `${bill.invoiceNumber || bill._id}: ${reason}`,
+        });
+      }
+    }
+
+    const priced = priceMerge(bills, await loadShop(bills[0].shop));
+    const result = await replaceBills(bills, [priced], {
+      action: 'merge',
+      ...audit,
+    });
+    return res.status(201).json({
+      success: true,
+      message: `${bills.length} bills merged`,
+      bill: result.bills[0],
+      replaced: result.replaced,
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to merge bills');
+  }
+};
+
+module.exports = {
+  splitBill,
+  mergeBills,
+};
@@ -0,0 +1,178 @@
+const Coupon = require('../models/Coupon');
+const {
+  BillAdjustmentError,
+  couponDiscount,
+} = require('../utils/billCalculator');
+
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'value',
+  'maxDiscount',
+  'minOrderValue',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'isActive',
+];
+
+const pickEditable = (body = {}) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+const sendCouponError = (res, error, fallback) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'Duplicate code',
+      message: 'The shop already has a coupon with this code',
+    });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid coupon',
+      message: error.message,
+    });
+  }
+  console.error('❌ Coupon error:', error);
+  return res
+    .status(500)
+    .json({ success: false, error: fallback, message: error.message });
+};
+
+// Create a coupon for a shop
+const createCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.create({
+      ...pickEditable(req.body || {}),
+      shop: req.shopId,
+    });
+    res.status(201).json({ success: true, coupon });
+  } catch (error) {
+    sendCouponError(res, error, 'Failed to create coupon');
+  }
+};
+
+// List a shop's coupons, optionally only the active ones
+const listCoupons = async (req, res) => {
+  try {
+    const { active } = req.query;
+    const filter = { shop: req.shopId };
+    if (active === 'true') filter.isActive = true;
+    if (active === 'false') filter.isActive = false;
+    const coupons = await Coupon.find(filter)
+      .sort({ createdAt: -1 })
+      .select('-__v')
+      .lean();
+    res.json({ success: true, count: coupons.length, coupons });
+  } catch (error) {
+    sendCouponError(res, error, 'Failed to list coupons');
+  }
+};
+
+const getCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({
+      _id: req.params.id,
+      shop: req.shopId,
+    })
+      .select('-__v')
+      .lean();
+    if (!coupon) {
+      return res.status(404).json({ success: false, error: 'Not found' });
+    }
+    res.json({ success: true, coupon });
+  } catch (error) {
+    sendCouponError(res, error, 'Failed to fetch coupon');
+  }
+};
+
+// Partial update; usedCount is only changed by billing
+const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({
+      _id: req.params.id,
+      shop: req.shopId,
+    });
+    if (!coupon) {
+      return res.status(404).json({ success: false, error: 'Not found' });
+    }
+    coupon.set(pickEditable(req.body));
+    await coupon.save();
+    res.json({ success: true, coupon });
+  } catch (error) {
+    sendCouponError(res, error, 'Failed to update coupon');
+  }
+};
+
+// Coupons are deactivated rather than deleted so bills keep their reference
+const deactivateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findOneAndUpdate(
+      { _id: req.params.id, shop: req.shopId },
+      { isActive: false },
+      { new: true }
+    );
+    if (!coupon) {
+      return res.status(404).json({ success: false, error: 'Not found' });
+    }
+    res.json({ success: true, coupon });
+  } catch (error) {
+    sendCouponError(res, error, 'Failed to deactivate coupon');
+  }
+};
+
+// Check a code against an order value without using it up
+const validateCoupon = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const orderValue = Number(req.body?.orderValue);
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: 'Provide the code',
+      });
+    }
+    if (!Number.isFinite(orderValue) || orderValue < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid orderValue',
+        message: 'orderValue must be a non-negative number',
+      });
+    }
+
+    const coupon = await Coupon.findOne({
+      shop: req.shopId,
+      code: String(code).trim().toUpperCase(),
+    });
+    if (!coupon) {
+      return res.json({ success: true, valid: false, reason: 'Unknown code' });
+    }
+    const reason = coupon.unavailableReason();
+    if (reason) return res.json({ success: true, valid: false, reason });
+
+    const discount = couponDiscount(coupon, orderValue);
+    res.json({ success: true, valid: true, code: coupon.code, discount });
+  } catch (error) {
+    if (error instanceof BillAdjustmentError) {
+      return res.json({ success: true, valid: false, reason: error.message });
+    }
+    sendCouponError(res, error, 'Failed to validate coupon');
+  }
+};
+
+module.exports = {
+  createCoupon,
+  listCoupons,
+  getCoupon,
+  updateCoupon,
+  deactivateCoupon,
+  validateCoupon,
+};
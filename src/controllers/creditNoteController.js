@@ -0,0 +1,142 @@
+/**
+ * Voids, refunds and credit notes
+ * ------------------------------------------------------------------
+ * - A saved bill is never edited. Voiding marks the whole bill void (only
+ *   while nothing of it was refunded); it drops out of reports.
+ * - Refunding selected lines/quantities writes a CreditNote linked to the
+ *   bill, numbered in the shop's own credit note series (utils/refunds).
+ * - Every void and refund records who did it, when and why, both on the
+ *   bill's audit trail and on the credit note.
+ */
+
+const mongoose = require('mongoose');
+const CreditNote = require('../models/CreditNote');
+const {
+  normalizeAuditInput,
+  normalizeRefundLines,
+} = require('../utils/refunds');
+const { markBillVoid, createCreditNote } = require('../utils/billStore');
+
+const invalidId = (res, what) =>
+  res.status(400).json({
+    error: `Invalid ${what} id`,
+    message: 'Provide a valid Mongo ObjectId',
+  });
+
+const billNotFound = (res) =>
+  res.status(404).json({
+    error: 'Bill not found',
+    message: 'The requested bill does not exist',
+  });
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.name === 'RefundError') {
+    return res
+      .status(error.status)
+      .json({ error: 'Invalid refund', message: error.message });
+  }
+  console.error('❌ Credit note error:', error);
+  return res
+    .status(500)
+    .json({ error: 'Internal server error', message: fallbackMessage });
+};
+
+// POST /bills/:id/void  { reason, performedBy }
+const voidBill = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidId(res, 'bill');
+    }
+    const audit = normalizeAuditInput(req.body);
+    const bill = await markBillVoid(req.params.id, req.shopId, audit);
+    if (!bill) return billNotFound(res);
+    return res.json({
+      success: true,
+      message: 'Bill voided',
+      // Money taken for the bill that has to be handed back
+      refundDue: bill.amountPaid || 0,
+      bill,
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to void bill');
+  }
+};
+
+// POST /bills/:id/refunds
+// { lines: [{ lineId, quantity }], reason, performedBy, refundMode? }
+const refundBill = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidId(res, 'bill');
+    }
+    const body = req.body || {};
+    const audit = normalizeAuditInput(body);
+    const lines = normalizeRefundLines(body.lines);
+    const result = await createCreditNote(req.params.id, req.shopId, {
+      ...audit,
+      lines,
+      refundMode: body.refundMode,
+    });
+    if (!result) return billNotFound(res);
+    return res.status(201).json({
+      success: true,
+      message: 'Credit note created',
+      creditNote: result.creditNote,
+      bill: result.bill,
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to refund bill');
+  }
+};
+
+// GET /credit-notes?billId=  (the signed-in shop's credit notes)
+const listCreditNotes = async (req, res) => {
+  try {
+    const { billId } = req.query;
+    const filter = { shop: req.shopId };
+    if (billId) {
+      if (!mongoose.Types.ObjectId.isValid(billId)) {
+        return invalidId(res, 'bill');
+      }
+      filter.bill = billId;
+    }
+    const creditNotes = await CreditNote.find(filter)
+      .sort({ createdAt: -1 })
+      .select('-__v')
+      .lean();
+    return res.json({ success: true, count: creditNotes.length, creditNotes });
+  } catch (error) {
+    return sendError(res, error, 'Failed to fetch credit notes');
+  }
+};
+
+// GET /credit-notes/:id
+const getCreditNote = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidId(res, 'credit note');
+    }
+    const creditNote = await CreditNote.findOne({
+      _id: req.params.id,
+      shop: req.shopId,
+    })
+      .select('-__v')
+      .lean();
+    if (!creditNote) {
+      return res.status(404).json({
+        error: 'Credit note not found',
+        message: 'The requested credit note does not exist',
+      });
+    }
+    return res.json({ success: true, creditNote });
+  } catch (error) {
+    return sendError(res, error, 'Failed to fetch credit note');
+  }
+};
+
+module.exports = {
+  voidBill,
+  refundBill,
+  listCreditNotes,
+  getCreditNote,
+};
@@ -0,0 +1,508 @@
+/**
+ * Draft bills: voice → draft → cashier review/corrections → confirmed Bill
+ * ------------------------------------------------------------------
+ * - A draft is created from voice input with the same parser as
+ *   /generate-bill, but nothing is final until it is confirmed.
+ * - Lines can be added, removed, re-quantified or swapped for another item;
+ *   every change is recorded in `corrections` next to the original voiceInput
+ *   so parser mistakes can be reviewed later.
+ * - Spoken discounts, coupons and parcel requests are kept on the draft and
+ *   can be overridden in the confirm request body.
+ * - Confirming prices the lines (adjustments and GST included), writes the
+ *   Bill and assigns the shop's next invoice number.
+ */
+
+const mongoose = require('mongoose');
+const BillDraft = require('../models/BillDraft');
+const Shop = require('../models/shop');
+const { getShopCatalog } = require('../utils/menuCatalog');
+const { parseVoiceOrder } = require('../utils/voiceBillParser');
+const { normalizeAdjustments } = require('../utils/billCalculator');
+const { createPricedBill } = require('../utils/billStore');
+const { actorOf } = require('../utils/permissions');
+const { normalizePayments } = require('../utils/payments');
+const { resolveSelection, lineLabel } = require('../utils/menuOptions');
+const {
+  loadServiceContext,
+  checkServiceTime,
+} = require('../utils/serviceTime');
+
+const snapshot = (line) => ({
+  menuItem: line.menuItem,
+  itemName: lineLabel(line),
+  quantity: line.quantity,
+});
+
+const parseQuantity = (value) => {
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity > 0 ? quantity : null;
+};
+
+const sendSaveError = (res, error, fallbackMessage) => {
+  // Also a spoken discount out of range, e.g. "200 percent off"
+  if (error.name === 'BillAdjustmentError') {
+    return res
+      .status(error.status)
+      .json({ error: 'Invalid adjustment', message: error.message });
+  }
+  if (error.name === 'MenuOptionError') {
+    return res
+      .status(error.status)
+      .json({ error: 'Invalid item options', message: error.message });
+  }
+  if (error.name === 'ServiceTimeError') {
+    return res
+      .status(error.status)
+      .json({ error: 'Outside service time', message: error.message });
+  }
+  if (error.name === 'VersionError') {
+    return res.status(409).json({
+      error: 'Draft changed',
+      message: 'The draft was modified by another request. Reload and retry.',
+    });
+  }
+  console.error('❌ Draft error:', error);
+  return res
+    .status(500)
+    .json({ error: 'Internal server error', message: fallbackMessage });
+};
+
+// Loads an open draft or answers the request with the matching error
+const loadOpenDraft = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      error: 'Invalid draft id',
+      message: 'Provide a valid Mongo ObjectId',
+    });
+    return null;
+  }
+  const draft = await BillDraft.findOne({
+    _id: req.params.id,
+    shop: req.shopId,
+  });
+  if (!draft) {
+    res.status(404).json({
+      error: 'Draft not found',
+      message: 'The requested draft does not exist',
+    });
+    return null;
+  }
+  if (draft.status !== 'open') {
+    res.status(409).json({
+      error: 'Draft closed',
+      message: `The draft is already ${draft.status}`,
+    });
+    return null;
+  }
+  return draft;
+};
+
+// Resolves a menuItemId against the shop's available items
+const findCatalogItem = async (shopId, menuItemId) => {
+  if (!menuItemId || !mongoose.Types.ObjectId.isValid(menuItemId)) return null;
+  const catalog = await getShopCatalog(shopId);
+  return catalog.byMenuItemId.get(String(menuItemId)) || null;
+};
+
+const findLine = (draft, lineId) =>
+  mongoose.Types.ObjectId.isValid(lineId) ? draft.items.id(lineId) : null;
+
+const createDraft = async (req, res) => {
+  try {
+    const { voiceInput } = req.body || {};
+    const { shopId } = req;
+    if (!voiceInput || typeof voiceInput !== 'string' || !voiceInput.trim()) {
+      return res.status(400).json({
+        error: 'Voice input required',
+        message: 'Please provide the voice input text',
+      });
+    }
+    if (!(await Shop.exists({ _id: shopId }))) {
+      return res.status(404).json({
+        error: 'Shop not found',
+        message: 'No shop found for given shopId',
+      });
+    }
+
+    const catalog = await getShopCatalog(shopId);
+    const {
+      lines,
+      unmatchedWords,
+      adjustments,
+      warnings,
+      text,
+      processedText,
+      parser,
+    } = await parseVoiceOrder(voiceInput, catalog, {
+      service: await loadServiceContext(shopId),
+    });
+
+    // One draft line per recognised mention so each can be reviewed on its
+    // own. An empty draft is still useful: the cashier can add lines by hand.
+    const draft = await BillDraft.create({
+      shop: shopId,
+      voiceInput,
+      processedText,
+      parsedText: text,
+      unmatchedWords: unmatchedWords || [],
+      adjustments: normalizeAdjustments(adjustments.values),
+      parser,
+      items: lines.map((line) => ({ ...line, origin: 'parser' })),
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: lines.length
+        ? 'Draft created'
+        : 'Draft created, but no items were recognised',
+      draft,
+      warnings,
+    });
+  } catch (error) {
+    return sendSaveError(res, error, 'Failed to create draft');
+  }
+};
+
+const getDraft = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid draft id',
+        message: 'Provide a valid Mongo ObjectId',
+      });
+    }
+    const draft = await BillDraft.findOne({
+      _id: req.params.id,
+      shop: req.shopId,
+    }).lean();
+    if (!draft) {
+      return res.status(404).json({
+        error: 'Draft not found',
+        message: 'The requested draft does not exist',
+      });
+    }
+    return res.json({ success: true, draft });
+  } catch (error) {
+    console.error('❌ Error fetching draft:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch draft',
+    });
+  }
+};
+
+const addDraftLine = async (req, res) => {
+  try {
+    const draft = await loadOpenDraft(req, res);
+    if (!draft) return;
+
+    const { menuItemId } = req.body || {};
+    const quantity = parseQuantity(req.body?.quantity ?? 1);
+    if (!quantity) {
+      return res.status(400).json({
+        error: 'Invalid quantity',
+        message: 'quantity must be a positive integer',
+      });
+    }
+    const item = await findCatalogItem(draft.shop, menuItemId);
+    if (!item) {
+      return res.status(400).json({
+        error: 'Invalid menuItemId',
+        message: "menuItemId must be an available item of the draft's shop",
+      });
+    }
+
+    const selection = resolveSelection(item, req.body);
+    const warnings = checkServiceTime(
+      [item],
+      await loadServiceContext(draft.shop)
+    );
+    draft.items.push({
+      menuItem: item.menuItemId,
+      itemName: item.name,
+      quantity,
+      ...selection,
+      totalPrice: selection.unitPrice * quantity,
+      origin: 'cashier',
+    });
+    const line = draft.items[draft.items.length - 1];
+    draft.corrections.push({
+      action: 'add',
+      line: line._id,
+      after: snapshot(line),
+    });
+    await draft.save();
+
+    return res.status(201).json({ success: true, draft, warnings });
+  } catch (error) {
+    return sendSaveError(res, error, 'Failed to add line');
+  }
+};
+
+// Change a line's quantity, its variant/modifiers/note, and/or swap it for
+// another menu item
+const updateDraftLine = async (req, res) => {
+  try {
+    const draft = await loadOpenDraft(req, res);
+    if (!draft) return;
+
+    const line = findLine(draft, req.params.lineId);
+    if (!line) {
+      return res.status(404).json({
+        error: 'Line not found',
+        message: 'The draft has no line with this id',
+      });
+    }
+
+    const {
+      menuItemId,
+      quantity: rawQuantity,
+      variantId,
+      modifierIds,
+      note,
+    } = req.body || {};
+    const changesOptions =
+      variantId !== undefined ||
+      modifierIds !== undefined ||
+      note !== undefined;
+    if (
+      menuItemId === undefined &&
+      rawQuantity === undefined &&
+      !changesOptions
+    ) {
+      return res.status(400).json({
+        error: 'Nothing to change',
+        message:
+          'Provide quantity, menuItemId and/or variantId, modifierIds, note',
+      });
+    }
+
+    const swaps =
+      menuItemId !== undefined && String(menuItemId) !== String(line.menuItem);
+    let warnings = [];
+    if (swaps || changesOptions) {
+      const item = await findCatalogItem(
+        draft.shop,
+        swaps ? menuItemId : line.menuItem
+      );
+      if (!item) {
+        return res.status(400).json({
+          error: 'Invalid menuItemId',
+          message: swaps
+            ? "menuItemId must be an available item of the draft's shop"
+            : "The line's item is no longer available",
+        });
+      }
+      // A swapped line starts from the new item's defaults; otherwise the
+      // choices not sent are kept
+      const selection = resolveSelection(
+        item,
+        swaps
+          ? { variantId, modifierIds, note }
+          : {
+              variantId: variantId ?? line.variant?.variant,
+              modifierIds: modifierIds ?? line.modifiers?.map((m) => m.option),
+              note: note === undefined ? line.note : note,
+            }
+      );
+      if (swaps) {
+        warnings = checkServiceTime(
+          [item],
+          await loadServiceContext(draft.shop)
+        );
+      }
+      const before = snapshot(line);
+      line.menuItem = item.menuItemId;
+      line.itemName = item.name;
+      line.unitPrice = selection.unitPrice;
+      line.variant = selection.variant;
+      line.modifiers = selection.modifiers;
+      line.note = selection.note;
+      line.totalPrice = selection.unitPrice * line.quantity;
+      line.doubtful = false;
+      if (swaps) line.outsideServiceTime = warnings.length > 0;
+      draft.corrections.push({
+        action: swaps ? 'swap' : 'options',
+        line: line._id,
+        before,
+        after: snapshot(line),
+      });
+    }
+
+    if (rawQuantity !== undefined) {
+      const quantity = parseQuantity(rawQuantity);
+      if (!quantity) {
+        return res.status(400).json({
+          error: 'Invalid quantity',
+          message: 'quantity must be a positive integer',
+        });
+      }
+      if (quantity !== line.quantity) {
+        const before = snapshot(line);
+        line.quantity = quantity;
+        line.totalPrice = line.unitPrice * quantity;
+        line.doubtful = false;
+        draft.corrections.push({
+          action: 'quantity',
+          line: line._id,
+          before,
+          after: snapshot(line),
+        });
+      }
+    }
+
+    await draft.save();
+    return res.json({ success: true, draft, warnings });
+  } catch (error) {
+    return sendSaveError(res, error, 'Failed to update line');
+  }
+};
+
+const removeDraftLine = async (req, res) => {
+  try {
+    const draft = await loadOpenDraft(req, res);
+    if (!draft) return;
+
+    const line = findLine(draft, req.params.lineId);
+    if (!line) {
+      return res.status(404).json({
+        error: 'Line not found',
+        message: 'The draft has no line with this id',
+      });
+    }
+    draft.corrections.push({
+      action: 'remove',
+      line: line._id,
+      before: snapshot(line),
+    });
+    line.deleteOne();
+    await draft.save();
+
+    return res.json({ success: true, draft });
+  } catch (error) {
+    return sendSaveError(res, error, 'Failed to remove line');
+  }
+};
+
+const confirmDraft = async (req, res) => {
+  try {
+    const draft = await loadOpenDraft(req, res);
+    if (!draft) return;
+    if (draft.items.length === 0) {
+      return res.status(400).json({
+        error: 'Empty draft',
+        message: 'Add at least one line before confirming',
+      });
+    }
+    const adjustments = normalizeAdjustments({
+      ...draft.adjustments?.toObject(),
+      ...req.body,
+    });
+    const payments = normalizePayments(req.body?.payments);
+
+    // Claim the draft first so a double submit cannot create two bills;
+    // bumping __v makes any in-flight line edit fail with a VersionError.
+    const claimed = await BillDraft.findOneAndUpdate(
+      { _id: draft._id, status: 'open', __v: draft.__v },
+      {
+        $set: { status: 'confirmed', confirmedAt: new Date() },
+        $inc: { __v: 1 },
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        error: 'Draft changed',
+        message: 'The draft was modified or confirmed by another request.',
+      });
+    }
+
+    let bill;
+    try {
+      bill = await createPricedBill({
+        shop: claimed.shop,
+        items: claimed.items,
+        adjustments,
+        payments,
+        source: 'voice',
+        createdBy: actorOf(req.user),
+        draft: claimed._id,
+        voiceInput: claimed.voiceInput,
+        processedText: claimed.processedText,
+      });
+    } catch (error) {
+      await BillDraft.updateOne(
+        { _id: claimed._id },
+        { $set: { status: 'open' }, $unset: { confirmedAt: 1 } }
+      );
+      throw error;
+    }
+
+    await BillDraft.updateOne(
+      { _id: claimed._id },
+      { $set: { bill: bill._id } }
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: 'Bill confirmed',
+      bill,
+      corrections: claimed.corrections.length,
+    });
+  } catch (error) {
+    if (error.name === 'PaymentError') {
+      return res
+        .status(error.status)
+        .json({ error: 'Invalid payment', message: error.message });
+    }
+    return sendSaveError(res, error, 'Failed to confirm draft');
+  }
+};
+
+const discardDraft = async (req, res) => {
+  try {
+    const draft = await loadOpenDraft(req, res);
+    if (!draft) return;
+    draft.status = 'discarded';
+    await draft.save();
+    return res.json({ success: true, draft });
+  } catch (error) {
+    return sendSaveError(res, error, 'Failed to discard draft');
+  }
+};
+
+// Drafts whose parse needed fixing, newest first, for parser review
+const listDraftCorrections = async (req, res) => {
+  try {
+    const { shopId } = req;
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const drafts = await BillDraft.find({
+      shop: shopId,
+      'corrections.0': { $exists: true },
+    })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('voiceInput processedText parser status corrections createdAt')
+      .lean();
+
+    return res.json({ success: true, count: drafts.length, drafts });
+  } catch (error) {
+    console.error('❌ Error fetching draft corrections:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch corrections',
+    });
+  }
+};
+
+module.exports = {
+  createDraft,
+  getDraft,
+  addDraftLine,
+  updateDraftLine,
+  removeDraftLine,
+  confirmDraft,
+  discardDraft,
+  listDraftCorrections,
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Kot = require('../models/Kot');
+const { kotDateOf } = require('../utils/tableOrders');
+
+const KOT_STATUSES = Kot.schema.path('status').enumValues;
+// A ticket moves forward through the kitchen; served/cancelled are final
+const NEXT_STATUSES = {
+  pending: ['preparing', 'ready', 'served', 'cancelled'],
+  preparing: ['ready', 'served', 'cancelled'],
+  ready: ['served'],
+  served: [],
+  cancelled: [],
+};
+
+const invalidId = (res, what) =>
+  res.status(400).json({
+    error: `Invalid ${what}`,
+    message: 'Provide a valid Mongo ObjectId',
+  });
+
+// GET /api/kots?status=&date=YYYY-MM-DD  (date defaults to today)
+const listKots = async (req, res) => {
+  try {
+    const { status, date } = req.query;
+    const { shopId } = req;
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'date must be YYYY-MM-DD',
+      });
+    }
+    const filter = { shop: shopId, kotDate: date || kotDateOf() };
+    if (status) {
+      const statuses = String(status).split(',');
+      if (!statuses.every((s) => KOT_STATUSES.includes(s))) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          message: `status must be one of ${KOT_STATUSES.join(', ')}`,
+        });
+      }
+      filter.status = { $in: statuses };
+    }
+    const kots = await Kot.find(filter)
+      .sort({ kotNumber: 1 })
+      .select('-__v')
+      .lean();
+    return res.json({
+      success: true,
+      date: filter.kotDate,
+      count: kots.length,
+      kots,
+    });
+  } catch (error) {
+    console.error('❌ KOT list error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch KOTs',
+    });
+  }
+};
+
+// PATCH /api/kots/:id  { status }
+const updateKotStatus = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidId(res, 'KOT id');
+    }
+    const { status } = req.body || {};
+    if (!KOT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of ${KOT_STATUSES.join(', ')}`,
+      });
+    }
+    const from = Object.keys(NEXT_STATUSES).filter((s) =>
+      NEXT_STATUSES[s].includes(status)
+    );
+    const kot = await Kot.findOneAndUpdate(
+      { _id: req.params.id, shop: req.shopId, status: { $in: from } },
+      { $set: { status } },
+      { new: true }
+    ).lean();
+    if (kot) return res.json({ success: true, kot });
+
+    const current = await Kot.findOne({ _id: req.params.id, shop: req.shopId })
+      .select('status')
+      .lean();
+    if (!current) {
+      return res.status(404).json({
+        error: 'KOT not found',
+        message: 'The requested KOT does not exist',
+      });
+    }
+    return res.status(409).json({
+      error: 'Invalid status change',
+      message: `A ${current.status} KOT cannot be marked ${status}`,
+    });
+  } catch (error) {
+    console.error('❌ KOT update error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update KOT',
+    });
+  }
+};
+
+module.exports = {
+  listKots,
+  updateKotStatus,
+};
@@ -1,4 +1,16 @@
+const mongoose = require('mongoose');
 const MenuItem = require('../models/MenuItem');
+const { invalidateShopCatalog, toCatalogEntry } = require('../utils/menuCatalog');
+const { compileSearchIndex, searchMenu } = require('../utils/menuSearch');
+const { loadServiceContext } = require('../utils/serviceTime');
+const { FORMATS, formatOf, readMenuSheet, writeMenuSheet } = require('../utils/menuSpreadsheet');
+const { normalizeChangedBy, recordPriceChanges, cancelScheduledChanges } = require('../utils/priceChanges');
+const { removeImageFiles } = require('../utils/menuImages');
+const { missingPermission } = require('../utils/permissions');
+const { forbidden } = require('../middleware/auth');
+
+// Permission each patched field needs; any other field needs menu:write
+const PATCH_PERMISSIONS = { isAvailable: 'menu:availability', price: 'menu:price', variants: 'menu:price' };
 
 function normalizeTrimmedArray(input) {
   if (!input) return [];
@@ -26,7 +38,105 @@ function mapToServiceCategories(input) {
   const raw = normalizeTrimmedArray(input);
   const mapped = raw.map(x => map[x.toLowerCase()] || x.toLowerCase());
   const result = mapped.filter(x => allowed.has(x));
-  return result.length ? Array.from(new Set(result)) : ['lunch'];
+  if (!result.length) throw new Error('foodTimes must include breakfast, lunch or dinner');
+  return Array.from(new Set(result));
+}
+
+function optionalPrice(value, field) {
+  const price = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(price)) {
+    throw new Error(`${field} must be a number`);
+  }
+  return price;
+}
+
+// Variants: [{ _id?, name, ta?, price, synonyms?, isDefault? }]; _id keeps an existing variant
+function normalizeVariants(input) {
+  if (!Array.isArray(input)) throw new Error('variants must be an array');
+  const variants = input.map((v, i) => {
+    const name = String(v?.name || '').trim();
+    if (!name) throw new Error(`variants[${i}].name is required`);
+    const price = optionalPrice(v.price, `variants[${i}].price`);
+    if (price < 0) throw new Error(`variants[${i}].price cannot be negative`);
+    return {
+      _id: v._id,
+      name,
+      ta: v.ta ? String(v.ta).trim() : undefined,
+      price,
+      synonyms: normalizeTrimmedArray(v.synonyms),
+      isDefault: Boolean(v.isDefault)
+    };
+  });
+  if (variants.filter(v => v.isDefault).length > 1) {
+    throw new Error('Only one variant can be the default');
+  }
+  return variants;
+}
+
+// Modifier groups: [{ _id?, name, minSelect?, maxSelect?, options: [{ _id?, name, ta?, priceDelta?, synonyms? }] }]
+function normalizeModifierGroups(input) {
+  if (!Array.isArray(input)) throw new Error('modifierGroups must be an array');
+  return input.map((g, i) => {
+    const name = String(g?.name || '').trim();
+    if (!name) throw new Error(`modifierGroups[${i}].name is required`);
+    if (!Array.isArray(g.options) || g.options.length === 0) {
+      throw new Error(`modifierGroups[${i}].options must be a non-empty array`);
+    }
+    const options = g.options.map((o, j) => {
+      const optionName = String(o?.name || '').trim();
+      if (!optionName) throw new Error(`modifierGroups[${i}].options[${j}].name is required`);
+      return {
+        _id: o._id,
+        name: optionName,
+        ta: o.ta ? String(o.ta).trim() : undefined,
+        priceDelta: o.priceDelta === undefined ? 0 : optionalPrice(o.priceDelta, `modifierGroups[${i}].options[${j}].priceDelta`),
+        synonyms: normalizeTrimmedArray(o.synonyms)
+      };
+    });
+    const minSelect = g.minSelect === undefined ? 0 : Number(g.minSelect);
+    const maxSelect = g.maxSelect === undefined || g.maxSelect === null ? undefined : Number(g.maxSelect);
+    if (!Number.isInteger(minSelect) || minSelect < 0 || minSelect > options.length) {
+      throw new Error(`modifierGroups[${i}].minSelect must be between 0 and the number of options`);
+    }
+    if (maxSelect !== undefined && (!Number.isInteger(maxSelect) || maxSelect < Math.max(1, minSelect))) {
+      throw new Error(`modifierGroups[${i}].maxSelect must be a whole number of at least minSelect and 1`);
+    }
+    return { _id: g._id, name, minSelect, maxSelect, options };
+  });
+}
+
+// Combo components: [{ menuItemId, quantity? }]; [] turns a combo back into a plain item
+function normalizeComponents(input) {
+  if (!Array.isArray(input)) throw new Error('components must be an array');
+  const seen = new Set();
+  return input.map((c, i) => {
+    const id = String(c?.menuItemId || c?.menuItem || '');
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error(`components[${i}].menuItemId must be a valid id`);
+    if (seen.has(id)) throw new Error(`components[${i}] repeats an item; raise its quantity instead`);
+    seen.add(id);
+    const quantity = c.quantity === undefined ? 1 : Number(c.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error(`components[${i}].quantity must be a positive whole number`);
+    }
+    return { menuItem: id, quantity };
+  });
+}
+
+// Components must be plain items of the combo's own shop; combos do not nest
+async function checkComponents(components, shopId, comboId) {
+  if (!components || components.length === 0) return;
+  const ids = components.map(c => String(c.menuItem));
+  if (comboId && ids.includes(String(comboId))) throw new Error('A combo cannot contain itself');
+  const items = await MenuItem.find({ _id: { $in: ids }, shopId }).select('components').lean();
+  if (items.length !== ids.length) {
+    throw new Error('components must be menu items of the same shop');
+  }
+  if (items.some(it => it.components && it.components.length)) {
+    throw new Error('A combo cannot contain another combo');
+  }
+  if (comboId && await MenuItem.exists({ 'components.menuItem': comboId })) {
+    throw new Error('The item is part of a combo, so it cannot be a combo itself');
+  }
 }
 
 function buildMenuItemPayload(body) {
@@ -41,8 +151,8 @@ function buildMenuItemPayload(body) {
     }
   };
 
+  // shopId is set by the caller from the signed-in shop
   const payload = {
-    shopId: (body.shopId || '').trim() || undefined,
     names,
     price: Number(body.price),
     unit: (body.unit || 'piece').trim(),
@@ -53,7 +163,10 @@ function buildMenuItemPayload(body) {
     },
     tags: normalizeTrimmedArray(body.tags),
     isAvailable: body.isAvailable !== undefined ? Boolean(body.isAvailable) : true,
-    description: body.description ? String(body.description).trim() : undefined
+    description: body.description ? String(body.description).trim() : undefined,
+    // GST: omitted rate falls back to the shop's default rate
+    taxRate: body.taxRate !== undefined && body.taxRate !== null && body.taxRate !== '' ? Number(body.taxRate) : undefined,
+    hsnCode: body.hsnCode ? String(body.hsnCode).trim() : undefined
   };
 
   if (!payload.names.en.full) {
@@ -65,15 +178,42 @@ function buildMenuItemPayload(body) {
   if (!payload.categories || payload.categories.length === 0) {
     payload.categories = ['lunch'];
   }
+  // Only replaced when sent, so a plain update keeps the item's options
+  if (body.variants !== undefined) payload.variants = normalizeVariants(body.variants);
+  if (body.modifierGroups !== undefined) payload.modifierGroups = normalizeModifierGroups(body.modifierGroups);
+  if (body.components !== undefined) payload.components = normalizeComponents(body.components);
+  // When the item is served (see the shop's service windows); all day when not sent
+  if (body.foodTimes !== undefined) payload.foodTimes = mapToServiceCategories(body.foodTimes);
   return payload;
 }
 
+// Messages of a mongoose ValidationError, or of any other error
+function errorMessages(error) {
+  return error.errors ? Object.values(error.errors).map(e => e.message) : [error.message];
+}
+
+// Build and validate one item of a shop; problems are returned instead of thrown so every row can be reported
+async function preparePayload(body, shopId) {
+  try {
+    const payload = { ...buildMenuItemPayload(body), shopId };
+    await checkComponents(payload.components, shopId);
+    const invalid = new MenuItem(payload).validateSync();
+    return invalid ? { errors: errorMessages(invalid) } : { payload };
+  } catch (error) {
+    return { errors: errorMessages(error) };
+  }
+}
+
 // Create one item
 const createMenuItem = async (req, res) => {
   try {
-    const payload = buildMenuItemPayload(req.body || {});
+    const payload = { ...buildMenuItemPayload(req.body || {}), shopId: req.shopId };
+    const changedBy = normalizeChangedBy(req.body?.performedBy);
+    await checkComponents(payload.components, req.shopId);
     const item = new MenuItem(payload);
     await item.save();
+    invalidateShopCatalog(item.shopId);
+    await recordPriceChanges([{ before: null, after: item }], { changedBy, source: 'create' });
     res.status(201).json({ success: true, item });
   } catch (error) {
     res.status(400).json({ success: false, error: 'Invalid menu item', message: error.message });
@@ -87,8 +227,23 @@ const bulkCreateMenuItems = async (req, res) => {
     if (!Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ success: false, error: 'No items provided' });
     }
-    const payloads = items.map(buildMenuItemPayload);
-    const result = await MenuItem.insertMany(payloads, { ordered: false });
+    const changedBy = normalizeChangedBy(Array.isArray(req.body) ? req.query.performedBy : req.body.performedBy);
+    // Every item is checked first; nothing is created unless all of them are valid
+    const prepared = [];
+    for (const body of items) {
+      prepared.push(body?.shopId && String(body.shopId) !== req.shopId
+        ? { errors: ['shopId must be the shop you are logged in as'] }
+        : await preparePayload(body || {}, req.shopId));
+    }
+    const failed = prepared
+      .map((p, index) => ({ index, name: items[index]?.names?.en?.full || items[index]?.name, errors: p.errors }))
+      .filter(p => p.errors);
+    if (failed.length) {
+      return res.status(400).json({ success: false, error: 'Invalid items', message: `${failed.length} of ${items.length} items are invalid; none were created`, failed });
+    }
+    const result = await MenuItem.insertMany(prepared.map(p => p.payload));
+    invalidateShopCatalog(req.shopId);
+    await recordPriceChanges(result.map(after => ({ before: null, after })), { changedBy, source: 'create' });
     res.status(201).json({ success: true, created: result.length, items: result });
   } catch (error) {
     res.status(400).json({ success: false, error: 'Bulk create failed', message: error.message });
@@ -98,11 +253,24 @@ const bulkCreateMenuItems = async (req, res) => {
 // List with filters
 const listMenuItems = async (req, res) => {
   try {
-    const { shopId, q, available, category } = req.query;
-    const filter = {};
-    if (shopId) filter.shopId = shopId;
+    const { q, available, availableNow, category } = req.query;
+    const filter = { shopId: req.shopId };
     if (available === 'true') filter.isAvailable = true;
     if (available === 'false') filter.isAvailable = false;
+    // What can be ordered right now: available and served at this time of day in the shop's timezone
+    let service = null;
+    if (availableNow === 'true') {
+      service = await loadServiceContext(req.shopId);
+      filter.isAvailable = true;
+      // Items without foodTimes are served all day, as in billing (isServedNow)
+      if (service.foodTimes) {
+        filter.$or = [
+          { foodTimes: { $in: service.foodTimes } },
+          { foodTimes: { $exists: false } },
+          { foodTimes: { $size: 0 } }
+        ];
+      }
+    }
     // if (category) filter.categories = { $in: Array.isArray(category) ? category : [category] };
 
     let query = MenuItem.find(filter).select('-__v');
@@ -110,16 +278,43 @@ const listMenuItems = async (req, res) => {
       query = query.find({ $text: { $search: q } });
     }
     const items = await query.sort({ 'names.en.full': 1 }).lean();
-    res.json({ success: true, count: items.length, items });
+    const serviceTime = service && { timezone: service.timezone, localTime: service.localTime, foodTimes: service.foodTimes };
+    res.json({ success: true, count: items.length, items, ...(serviceTime && { serviceTime }) });
   } catch (error) {
     res.status(500).json({ success: false, error: 'Failed to list menu items', message: error.message });
   }
 };
 
+// GET /api/menu/search?q=barotta&limit=10&available=true
+// Ranked, spelling-tolerant search over names, synonyms and tags (see utils/menuSearch)
+const searchMenuItems = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q || q.length > 100) {
+      return res.status(400).json({ success: false, error: 'Invalid query', message: 'q must be 1 to 100 characters' });
+    }
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({ success: false, error: 'Invalid limit', message: 'limit must be a whole number from 1 to 50' });
+    }
+    const filter = { shopId: req.shopId };
+    if (req.query.available === 'true') filter.isAvailable = true;
+    if (req.query.available === 'false') filter.isAvailable = false;
+
+    const docs = await MenuItem.find(filter).select('-__v').lean();
+    const byId = new Map(docs.map(doc => [String(doc._id), doc]));
+    const results = searchMenu(compileSearchIndex(docs.map(toCatalogEntry)), q, { limit })
+      .map(({ item, score, field, term }) => ({ item: byId.get(item.menuItemId), score, matchedOn: { field, term } }));
+    res.json({ success: true, query: q, count: results.length, results });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Search failed', message: error.message });
+  }
+};
+
 // Get by id
 const getMenuItem = async (req, res) => {
   try {
-    const item = await MenuItem.findById(req.params.id).lean();
+    const item = await MenuItem.findOne({ _id: req.params.id, shopId: req.shopId }).lean();
     if (!item) return res.status(404).json({ success: false, error: 'Not found' });
     res.json({ success: true, item });
   } catch (error) {
@@ -131,15 +326,22 @@ const getMenuItem = async (req, res) => {
 const updateMenuItem = async (req, res) => {
   try {
     const payload = buildMenuItemPayload({ ...req.body, price: req.body.price ?? 0 });
-    const item = await MenuItem.findByIdAndUpdate(req.params.id, payload, { new: true });
+    const changedBy = normalizeChangedBy(req.body.performedBy);
+    const owned = { _id: req.params.id, shopId: req.shopId };
+    const previous = await MenuItem.findOne(owned).select('shopId price variants').lean();
+    if (!previous) return res.status(404).json({ success: false, error: 'Not found' });
+    await checkComponents(payload.components, req.shopId, req.params.id);
+    const item = await MenuItem.findOneAndUpdate(owned, payload, { new: true, runValidators: true });
     if (!item) return res.status(404).json({ success: false, error: 'Not found' });
+    invalidateShopCatalog(req.shopId);
+    await recordPriceChanges([{ before: previous, after: item }], { changedBy, source: 'update' });
     res.json({ success: true, item });
   } catch (error) {
     res.status(400).json({ success: false, error: 'Update failed', message: error.message });
   }
 };
 
-// Partial update: synonyms/categories/availability
+// Partial update: synonyms/categories/availability; what may be changed depends on the user's permissions
 const patchMenuItem = async (req, res) => {
   try {
     const update = {};
@@ -152,12 +354,34 @@ const patchMenuItem = async (req, res) => {
       update['synonyms.ta'] = normalizeTrimmedArray(req.body.taSynonyms || req.body.synonyms.ta);
     }
     if (req.body.tags) update.tags = normalizeTrimmedArray(req.body.tags);
+    if (req.body.foodTimes !== undefined) update.foodTimes = mapToServiceCategories(req.body.foodTimes);
     if (req.body.isAvailable !== undefined) update.isAvailable = Boolean(req.body.isAvailable);
     if (req.body.price !== undefined) update.price = Number(req.body.price);
     if (req.body.unit) update.unit = String(req.body.unit);
+    // null clears the item override so the shop default applies again
+    if (req.body.taxRate !== undefined) update.taxRate = req.body.taxRate === null ? null : Number(req.body.taxRate);
+    if (req.body.hsnCode !== undefined) update.hsnCode = req.body.hsnCode ? String(req.body.hsnCode).trim() : null;
+    if (req.body.variants !== undefined) update.variants = normalizeVariants(req.body.variants);
+    if (req.body.modifierGroups !== undefined) update.modifierGroups = normalizeModifierGroups(req.body.modifierGroups);
+    // Cashiers and the kitchen may mark items sold out, only managers change prices
+    const fields = Object.keys(update).concat(req.body.components !== undefined ? ['components'] : []);
+    const missing = missingPermission(req.user, [...new Set(fields.map(f => PATCH_PERMISSIONS[f] || 'menu:write'))]);
+    if (missing) return forbidden(req, res, missing);
+    const owned = { _id: req.params.id, shopId: req.shopId };
+    if (req.body.components !== undefined) {
+      update.components = normalizeComponents(req.body.components);
+      if (!await MenuItem.exists(owned)) return res.status(404).json({ success: false, error: 'Not found' });
+      await checkComponents(update.components, req.shopId, req.params.id);
+    }
 
-    const item = await MenuItem.findByIdAndUpdate(req.params.id, update, { new: true });
+    // Price edits are kept in the item's price history
+    const changedBy = normalizeChangedBy(req.body.performedBy);
+    const pricesChange = update.price !== undefined || update.variants !== undefined;
+    const previous = pricesChange && await MenuItem.findOne(owned).select('price variants').lean();
+    const item = await MenuItem.findOneAndUpdate(owned, update, { new: true, runValidators: true });
     if (!item) return res.status(404).json({ success: false, error: 'Not found' });
+    invalidateShopCatalog(req.shopId);
+    if (previous) await recordPriceChanges([{ before: previous, after: item }], { changedBy, source: 'update' });
     res.json({ success: true, item });
   } catch (error) {
     res.status(400).json({ success: false, error: 'Patch failed', message: error.message });
@@ -167,8 +391,16 @@ const patchMenuItem = async (req, res) => {
 // Delete
 const deleteMenuItem = async (req, res) => {
   try {
-    const result = await MenuItem.findByIdAndDelete(req.params.id);
+    const owned = { _id: req.params.id, shopId: req.shopId };
+    if (!await MenuItem.exists(owned)) return res.status(404).json({ success: false, error: 'Not found' });
+    if (await MenuItem.exists({ 'components.menuItem': req.params.id })) {
+      return res.status(409).json({ success: false, error: 'Item is part of a combo', message: 'Remove it from its combos first' });
+    }
+    const result = await MenuItem.findOneAndDelete(owned);
     if (!result) return res.status(404).json({ success: false, error: 'Not found' });
+    invalidateShopCatalog(req.shopId);
+    await cancelScheduledChanges({ menuItem: result._id }, { reason: 'The item was deleted' });
+    await removeImageFiles(result.images);
     res.json({ success: true, deleted: true });
   } catch (error) {
     res.status(400).json({ success: false, error: 'Delete failed', message: error.message });
@@ -190,18 +422,162 @@ const addMenuItemSynonyms = async (req, res) => {
 
     const path = `synonyms.${lang}`;
     const update = { $addToSet: { [path]: { $each: values } } };
-    const item = await MenuItem.findByIdAndUpdate(id, update, { new: true });
+    const item = await MenuItem.findOneAndUpdate({ _id: id, shopId: req.shopId }, update, { new: true });
     if (!item) return res.status(404).json({ success: false, error: 'Not found' });
+    invalidateShopCatalog(req.shopId);
     return res.json({ success: true, item });
   } catch (error) {
     res.status(400).json({ success: false, error: 'Add synonyms failed', message: error.message });
   }
 };
 
+// ------------------------------
+// Spreadsheet import/export (see utils/menuSpreadsheet)
+// ------------------------------
+const SHEET_BOOLEANS = { yes: true, y: true, true: true, 1: true, no: false, n: false, false: false, 0: false };
+
+// A menu item as the body fields a sheet row can set
+function itemToBody(item) {
+  return {
+    name: item.names?.en?.full,
+    shortName: item.names?.en?.short,
+    tamilName: item.names?.ta?.full,
+    tamilShortName: item.names?.ta?.short,
+    price: item.price,
+    unit: item.unit,
+    categories: item.categories,
+    foodTimes: item.foodTimes,
+    enSynonyms: item.synonyms?.en,
+    taSynonyms: item.synonyms?.ta,
+    tags: item.tags,
+    isAvailable: item.isAvailable,
+    taxRate: item.taxRate,
+    hsnCode: item.hsnCode,
+    description: item.description
+  };
+}
+
+// Sheet cells as body fields; blank cells were left out by readMenuSheet
+function rowToBody(values) {
+  const body = { ...values };
+  if (values.categories !== undefined) body.categories = normalizeTrimmedArray(values.categories);
+  if (values.isAvailable !== undefined) {
+    body.isAvailable = SHEET_BOOLEANS[values.isAvailable.toLowerCase()];
+    if (body.isAvailable === undefined) throw new Error('Available must be yes or no');
+  }
+  return body;
+}
+
+// POST /api/menu/import?dryRun=true  (multipart field "file": .csv or .xlsx)
+// Rows are matched to the shop's items by English name (case-insensitive): a match is updated from the
+// row's non-blank cells, anything else is created. Nothing is written if any row is invalid.
+const importMenuItems = async (req, res) => {
+  try {
+    const { shopId } = req;
+    const format = formatOf(req.file);
+    if (!format) {
+      return res.status(400).json({ success: false, error: 'Invalid file', message: 'Upload a .csv or .xlsx file in the "file" field' });
+    }
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun ?? req.body?.dryRun ?? '').toLowerCase());
+    const changedBy = normalizeChangedBy(req.query.performedBy ?? req.body?.performedBy);
+
+    const sheetRows = await readMenuSheet(req.file.buffer, format);
+    const existing = await MenuItem.find({ shopId }).lean();
+    const byName = new Map();
+    for (const item of existing) {
+      const key = (item.names?.en?.full || '').trim().toLowerCase();
+      byName.set(key, byName.has(key) ? null : item); // null: several items share the name
+    }
+
+    const seen = new Map(); // name -> first row
+    const rows = [];
+    for (const { row, values } of sheetRows) {
+      const key = (values.name || '').trim().toLowerCase();
+      const current = byName.get(key);
+      const result = { row, name: values.name, action: current ? 'update' : 'create' };
+      let prepared;
+      if (key && seen.has(key)) {
+        prepared = { errors: [`Name repeats row ${seen.get(key)}`] };
+      } else if (current === null) {
+        prepared = { errors: ['Several menu items have this name; rename them first'] };
+      } else {
+        try {
+          const body = rowToBody(values);
+          prepared = await preparePayload({ ...(current && itemToBody(current)), ...body }, shopId);
+        } catch (error) {
+          prepared = { errors: errorMessages(error) };
+        }
+      }
+      if (key && !seen.has(key)) seen.set(key, row);
+      if (prepared.errors) result.errors = prepared.errors;
+      rows.push({ ...result, payload: prepared.payload, current });
+    }
+
+    const failed = rows.filter(r => r.errors);
+    const summary = {
+      rows: rows.length,
+      create: rows.filter(r => !r.errors && r.action === 'create').length,
+      update: rows.filter(r => !r.errors && r.action === 'update').length,
+      invalid: failed.length
+    };
+    const report = rows.map(({ payload, current, ...r }) => r);
+    if (failed.length || dryRun) {
+      return res.status(failed.length ? 422 : 200).json({
+        success: failed.length === 0,
+        dryRun,
+        message: failed.length ? `${failed.length} rows are invalid; nothing was imported` : 'Dry run: nothing was imported',
+        summary,
+        rows: report
+      });
+    }
+
+    // New items get their ids here so their prices can be recorded
+    for (const r of rows) if (!r.current) r.payload._id = new mongoose.Types.ObjectId();
+    await MenuItem.bulkWrite(rows.map(r => (r.current
+      ? { updateOne: { filter: { _id: r.current._id }, update: { $set: r.payload } } }
+      : { insertOne: { document: r.payload } })));
+    invalidateShopCatalog(shopId);
+    await recordPriceChanges(
+      rows.map(r => ({ before: r.current || null, after: { ...r.current, ...r.payload } })),
+      { changedBy, source: 'import' }
+    );
+    res.json({ success: true, dryRun: false, message: 'Menu imported', summary, rows: report });
+  } catch (error) {
+    if (error.name === 'PriceChangeError') {
+      return res.status(error.status).json({ success: false, error: 'Invalid request', message: error.message });
+    }
+    if (error.name === 'MenuSheetError') {
+      return res.status(error.status).json({ success: false, error: 'Invalid file', message: error.message });
+    }
+    res.status(500).json({ success: false, error: 'Import failed', message: error.message });
+  }
+};
+
+// GET /api/menu/export?format=csv|xlsx
+const exportMenuItems = async (req, res) => {
+  try {
+    const { shopId } = req;
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!FORMATS[format]) {
+      return res.status(400).json({ success: false, error: 'Invalid format', message: 'format must be csv or xlsx' });
+    }
+    const items = await MenuItem.find({ shopId }).sort({ 'names.en.full': 1 }).lean();
+    const file = await writeMenuSheet(items, format);
+    res.set({
+      'Content-Type': FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="menu-${shopId}.${FORMATS[format].extension}"`
+    });
+    res.send(file);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Export failed', message: error.message });
+  }
+};
+
 // Categories helper
 const getCategories = async (req, res) => {
   try {
     const cats = await MenuItem.aggregate([
+      { $match: { shopId: new mongoose.Types.ObjectId(req.shopId) } },
       { $unwind: '$categories' },
       { $group: { _id: '$categories', count: { $sum: 1 } } },
       { $project: { name: '$_id', count: 1, _id: 0 } },
@@ -222,7 +598,10 @@ module.exports = {
   patchMenuItem,
   deleteMenuItem,
   getCategories,
-  addMenuItemSynonyms
+  addMenuItemSynonyms,
+  importMenuItems,
+  exportMenuItems,
+  searchMenuItems
 };
 
 
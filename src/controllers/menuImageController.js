@@ -0,0 +1,193 @@
+/**
+ * Menu item photos
+ * ------------------------------------------------------------------
+ * - POST /api/menu/:id/images takes one image (field "image") and adds it,
+ *   with its thumbnail, to the item's `images` (utils/menuImages).
+ * - The first image is the item's main photo; PATCH with `primary: true`
+ *   moves an image to the front.
+ * - Deleting an image, or its item, deletes its files.
+ */
+
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const {
+  MAX_MENU_IMAGES,
+  MenuImageError,
+  processMenuImage,
+  removeImageFiles,
+  discardUpload,
+} = require('../utils/menuImages');
+
+const invalidId = (res, what) =>
+  res.status(400).json({
+    success: false,
+    error: `Invalid ${what} id`,
+    message: 'Provide a valid Mongo ObjectId',
+  });
+
+const notFound = (res, what) =>
+  res.status(404).json({
+    success: false,
+    error: 'Not found',
+    message: `The ${what} does not exist`,
+  });
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.name === 'MenuImageError') {
+    return res.status(error.status).json({
+      success: false,
+      error: 'Invalid image',
+      message: error.message,
+    });
+  }
+  console.error('❌ Menu image error:', error);
+  return res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: fallbackMessage,
+  });
+};
+
+// Optional caption; undefined when not sent, null to clear it
+const normalizeCaption = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string' || value.trim().length > 140) {
+    throw new MenuImageError('caption must be text of at most 140 characters');
+  }
+  return value.trim();
+};
+
+const validIds = (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    invalidId(res, 'menu item');
+    return false;
+  }
+  if (
+    req.params.imageId !== undefined &&
+    !mongoose.Types.ObjectId.isValid(req.params.imageId)
+  ) {
+    invalidId(res, 'image');
+    return false;
+  }
+  return true;
+};
+
+// POST /api/menu/:id/images  (multipart: image, caption?)
+const uploadMenuImage = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No image',
+        message: 'Send the image in the "image" field',
+      });
+    }
+    if (!validIds(req, res)) {
+      await discardUpload(req.file);
+      return;
+    }
+    let caption;
+    try {
+      caption = normalizeCaption(req.body?.caption);
+    } catch (error) {
+      await discardUpload(req.file);
+      throw error;
+    }
+    const image = await processMenuImage(req.file);
+
+    // Only pushed while the item has room, so parallel uploads cannot
+    // go over the limit
+    const item = await MenuItem.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        shopId: req.shopId,
+        [`images.${MAX_MENU_IMAGES - 1}`]: { $exists: false },
+      },
+      { $push: { images: { ...image, caption: caption || undefined } } },
+      { new: true, runValidators: true }
+    );
+    if (!item) {
+      await removeImageFiles([image]);
+      if (
+        !(await MenuItem.exists({ _id: req.params.id, shopId: req.shopId }))
+      ) {
+        return notFound(res, 'menu item');
+      }
+      return res.status(409).json({
+        success: false,
+        error: 'Too many images',
+        message: `An item can have at most ${MAX_MENU_IMAGES} images; delete one first`,
+      });
+    }
+    return res.status(201).json({
+      success: true,
+      message: 'Image added',
+      image: item.images[item.images.length - 1],
+      item,
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to add image');
+  }
+};
+
+// PATCH /api/menu/:id/images/:imageId  { caption?, primary? }
+const updateMenuImage = async (req, res) => {
+  try {
+    if (!validIds(req, res)) return;
+    const body = req.body || {};
+    const caption = normalizeCaption(body.caption);
+    const item = await MenuItem.findOne({
+      _id: req.params.id,
+      shopId: req.shopId,
+    });
+    if (!item) return notFound(res, 'menu item');
+    const image = item.images.id(req.params.imageId);
+    if (!image) return notFound(res, 'image');
+
+    if (caption !== undefined) image.caption = caption || undefined;
+    if (body.primary === true) {
+      item.images = [
+        image,
+        ...item.images.filter((img) => !img._id.equals(image._id)),
+      ];
+    }
+    await item.save();
+    return res.json({ success: true, image, item });
+  } catch (error) {
+    return sendError(res, error, 'Failed to update image');
+  }
+};
+
+// DELETE /api/menu/:id/images/:imageId
+const deleteMenuImage = async (req, res) => {
+  try {
+    if (!validIds(req, res)) return;
+    const before = await MenuItem.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        shopId: req.shopId,
+        'images._id': req.params.imageId,
+      },
+      { $pull: { images: { _id: req.params.imageId } } },
+      { new: false, projection: { images: 1 } }
+    ).lean();
+    if (!before) {
+      return (await MenuItem.exists({ _id: req.params.id, shopId: req.shopId }))
+        ? notFound(res, 'image')
+        : notFound(res, 'menu item');
+    }
+    await removeImageFiles(
+      before.images.filter((img) => String(img._id) === req.params.imageId)
+    );
+    return res.json({ success: true, deleted: true });
+  } catch (error) {
+    return sendError(res, error, 'Failed to delete image');
+  }
+};
+
+module.exports = {
+  uploadMenuImage,
+  updateMenuImage,
+  deleteMenuImage,
+};
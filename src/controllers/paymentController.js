@@ -0,0 +1,159 @@
+/**
+ * Bill payments
+ * ------------------------------------------------------------------
+ * - A bill can be paid with several tenders (cash, card, UPI, credit);
+ *   cash beyond the balance is returned as change (utils/payments).
+ * - Payments can be sent when the bill is created or recorded later here;
+ *   the bill keeps amountPaid, balanceDue and paymentStatus in step.
+ * - The UPI endpoint builds a upi://pay intent for the balance due, to the
+ *   VPA set in the shop's paymentSettings, and a QR code of it.
+ */
+
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+const Bill = require('../models/Bill');
+const Shop = require('../models/shop');
+const { round2 } = require('../utils/billCalculator');
+const { normalizePayments } = require('../utils/payments');
+const { recordBillPayments } = require('../utils/billStore');
+const { buildUpiUri } = require('../utils/upi');
+
+const invalidBillId = (res) =>
+  res.status(400).json({
+    error: 'Invalid bill id',
+    message: 'Provide a valid Mongo ObjectId',
+  });
+
+const billNotFound = (res) =>
+  res.status(404).json({
+    error: 'Bill not found',
+    message: 'The requested bill does not exist',
+  });
+
+// POST /bills/:id/payments  { payments: [{ mode, amount, reference? }] }
+// or a single tender { mode, amount, reference? }
+const recordPayment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidBillId(res);
+    }
+    const body = req.body || {};
+    const tenders = normalizePayments(
+      body.payments !== undefined ? body.payments : body
+    );
+    if (tenders.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid payment',
+        message: 'Provide at least one payment { mode, amount }',
+      });
+    }
+
+    const bill = await recordBillPayments(req.params.id, req.shopId, tenders);
+    if (!bill) return billNotFound(res);
+    return res.status(201).json({
+      success: true,
+      message: 'Payment recorded',
+      // Change to hand back for this request's cash
+      change: round2(
+        bill.payments
+          .slice(-tenders.length)
+          .reduce((s, p) => s + (p.change || 0), 0)
+      ),
+      bill,
+    });
+  } catch (error) {
+    if (error.name === 'PaymentError') {
+      return res
+        .status(error.status)
+        .json({ error: 'Invalid payment', message: error.message });
+    }
+    console.error('❌ Error recording payment:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to record payment',
+    });
+  }
+};
+
+// GET /bills/:id/upi?format=json|png
+const getBillUpi = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidBillId(res);
+    }
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['json', 'png'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: 'format must be json or png',
+      });
+    }
+
+    const bill = await Bill.findOne({ _id: req.params.id, shop: req.shopId })
+      .select(
+        'shop status invoiceNumber total amountPaid balanceDue paymentStatus'
+      )
+      .lean();
+    if (!bill) return billNotFound(res);
+    if (bill.status === 'void') {
+      return res
+        .status(409)
+        .json({ error: 'Bill is void', message: 'A void bill cannot be paid' });
+    }
+    // Bills saved before payments were tracked have no balanceDue
+    const amount = bill.balanceDue ?? bill.total - (bill.amountPaid || 0);
+    if (bill.paymentStatus === 'paid' || amount <= 0) {
+      return res.status(409).json({
+        error: 'Bill already paid',
+        message: 'Nothing is due on this bill',
+      });
+    }
+
+    const shop = await Shop.findById(bill.shop)
+      .select('shopName paymentSettings')
+      .lean();
+    const vpa = shop?.paymentSettings?.upiVpa;
+    if (!vpa) {
+      return res.status(422).json({
+        error: 'UPI not configured',
+        message:
+          'Set the shop UPI ID with PUT /api/shop/:id/payment-settings first',
+      });
+    }
+
+    const reference = bill.invoiceNumber || String(bill._id);
+    const uri = buildUpiUri({
+      vpa,
+      payeeName: shop.paymentSettings.upiPayeeName || shop.shopName,
+      amount,
+      reference,
+      note: `Bill ${reference}`,
+    });
+    const qrOptions = { errorCorrectionLevel: 'M', margin: 2, width: 320 };
+
+    if (format === 'png') {
+      res.set('Content-Type', 'image/png');
+      return res.send(await QRCode.toBuffer(uri, qrOptions));
+    }
+    return res.json({
+      success: true,
+      upi: {
+        vpa,
+        amount,
+        uri,
+        qr: await QRCode.toDataURL(uri, qrOptions),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error building UPI payment:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to build UPI payment',
+    });
+  }
+};
+
+module.exports = {
+  recordPayment,
+  getBillUpi,
+};
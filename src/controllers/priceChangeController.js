@@ -0,0 +1,167 @@
+/**
+ * Menu price history and scheduled price changes
+ * ------------------------------------------------------------------
+ * - Every price edit made through /api/menu is recorded as an applied
+ *   PriceChange (utils/priceChanges); this controller lists them.
+ * - A future price can be scheduled for an item or one of its variants. It
+ *   takes effect at its effectiveAt without anyone editing the item.
+ * - The impact report compares the item's sales before and after a change.
+ */
+
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const PriceChange = require('../models/PriceChange');
+const {
+  normalizeChangedBy,
+  schedulePriceChange,
+  cancelScheduledChanges,
+  priceChangeImpact,
+} = require('../utils/priceChanges');
+const { invalidateShopCatalog } = require('../utils/menuCatalog');
+
+const invalidId = (res, what) =>
+  res.status(400).json({
+    success: false,
+    error: `Invalid ${what} id`,
+    message: 'Provide a valid Mongo ObjectId',
+  });
+
+const notFound = (res, what) =>
+  res.status(404).json({
+    success: false,
+    error: 'Not found',
+    message: `The ${what} does not exist`,
+  });
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.name === 'PriceChangeError') {
+    return res.status(error.status).json({
+      success: false,
+      error: 'Invalid price change',
+      message: error.message,
+    });
+  }
+  console.error('❌ Price change error:', error);
+  return res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: fallbackMessage,
+  });
+};
+
+// Changes of the signed-in shop only
+const findChange = (req) =>
+  PriceChange.findOne({
+    _id: req.params.changeId,
+    menuItem: req.params.id,
+    shopId: req.shopId,
+  });
+
+// GET /api/menu/:id/price-changes?status=scheduled
+const listPriceChanges = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidId(res, 'menu item');
+    }
+    const filter = { menuItem: req.params.id, shopId: req.shopId };
+    if (req.query.status) filter.status = String(req.query.status);
+    const changes = await PriceChange.find(filter)
+      .sort({ effectiveAt: -1, createdAt: -1 })
+      .lean();
+    return res.json({ success: true, count: changes.length, changes });
+  } catch (error) {
+    return sendError(res, error, 'Failed to list price changes');
+  }
+};
+
+// POST /api/menu/:id/price-changes
+// { price, effectiveAt, variantId?, performedBy }
+const createPriceChange = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidId(res, 'menu item');
+    }
+    const item = await MenuItem.findOne({
+      _id: req.params.id,
+      shopId: req.shopId,
+    })
+      .select('shopId names price variants')
+      .lean();
+    if (!item) return notFound(res, 'menu item');
+    const change = await schedulePriceChange(item, req.body || {});
+    // The shop's catalog is rebuilt when the change is due
+    invalidateShopCatalog(item.shopId);
+    return res.status(201).json({
+      success: true,
+      message: 'Price change scheduled',
+      change,
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to schedule price change');
+  }
+};
+
+// DELETE /api/menu/:id/price-changes/:changeId  { performedBy?, reason? }
+const cancelPriceChange = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidId(res, 'menu item');
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.changeId)) {
+      return invalidId(res, 'price change');
+    }
+    const body = req.body || {};
+    const by = normalizeChangedBy(body.performedBy);
+    const reason =
+      typeof body.reason === 'string' && body.reason.trim()
+        ? body.reason.trim().slice(0, 200)
+        : 'Cancelled';
+    const { modifiedCount } = await cancelScheduledChanges(
+      { _id: req.params.changeId, menuItem: req.params.id, shopId: req.shopId },
+      { by, reason }
+    );
+    const change = await findChange(req).lean();
+    if (!change) return notFound(res, 'price change');
+    if (!modifiedCount) {
+      return res.status(409).json({
+        success: false,
+        error: 'Not scheduled',
+        message: `The price change is already ${change.status}`,
+      });
+    }
+    invalidateShopCatalog(change.shopId);
+    return res.json({
+      success: true,
+      message: 'Price change cancelled',
+      change,
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to cancel price change');
+  }
+};
+
+// GET /api/menu/:id/price-changes/:changeId/impact?days=7
+const getPriceChangeImpact = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidId(res, 'menu item');
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.changeId)) {
+      return invalidId(res, 'price change');
+    }
+    const change = await findChange(req).lean();
+    if (!change) return notFound(res, 'price change');
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    const report = await priceChangeImpact(change, { days });
+    return res.json({ success: true, ...report });
+  } catch (error) {
+    return sendError(res, error, 'Failed to build the price impact report');
+  }
+};
+
+module.exports = {
+  listPriceChanges,
+  createPriceChange,
+  cancelPriceChange,
+  getPriceChangeImpact,
+};
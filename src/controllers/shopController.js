@@ -1,50 +1,433 @@
+const mongoose = require('mongoose');
 const Shop = require('../models/shop');
+const Staff = require('../models/Staff');
+const {
+  MIN_PASSWORD_LENGTH,
+  AuthError,
+  isPasswordHash,
+  checkNewPassword,
+  verifyPassword,
+  createSession,
+  refreshSession,
+  revokeSessions,
+} = require('../utils/auth');
+const { permissionsFor } = require('../utils/permissions');
+const {
+  OTP_PURPOSES,
+  otpTimings,
+  issueOtp,
+  verifyOtp,
+} = require('../utils/otp');
+const {
+  PROFILE_SELECT,
+  profileOf,
+  applyProfile,
+} = require('../utils/shopProfile');
+const { processShopLogo, removeShopLogo } = require('../utils/shopLogo');
+const { discardUpload } = require('../utils/menuImages');
+
+const TAX_SETTING_FIELDS = [
+  'enabled',
+  'pricesIncludeTax',
+  'defaultRate',
+  'defaultHsnCode',
+  'interState',
+  'roundingMode',
+  'roundTo',
+];
+
+const CHARGE_SETTING_FIELDS = ['serviceChargeRate', 'packingCharge'];
+
+const INVOICE_SETTING_FIELDS = [
+  'prefix',
+  'format',
+  'padding',
+  'resetEachFinancialYear',
+];
+
+const RECEIPT_SETTING_FIELDS = ['headerLines', 'footer'];
+
+const PAYMENT_SETTING_FIELDS = ['upiVpa', 'upiPayeeName'];
+
+const SERVICE_SETTING_FIELDS = ['timezone', 'windows', 'outOfWindow'];
+
+const PHONE_PATTERN = /^\d{10}$/;
+
+// Tokens, the shop without its password and who signed in (the owner or a
+// staff member, with what they may do), as returned by login and register
+const signedIn = (shop, tokens, staff) => ({
+  shop: {
+    _id: shop._id,
+    shopName: shop.shopName,
+    name: shop.name,
+    phone: shop.phone,
+  },
+  user: staff
+    ? {
+        staffId: staff._id,
+        name: staff.name,
+        username: staff.username,
+        role: staff.role,
+        permissions: permissionsFor(staff.role, staff.permissions),
+      }
+    : {
+        staffId: null,
+        name: shop.name,
+        role: 'owner',
+        permissions: permissionsFor('owner'),
+      },
+  ...tokens,
+});
+
+const FAILURE_LABELS = {
+  400: 'Invalid input',
+  429: 'Too many requests',
+  502: 'SMS not sent',
+};
+
+// Answer for an AuthError, OtpError or SmsError
+const authFailed = (res, error) => {
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  return res.status(error.status).json({
+    success: false,
+    error: FAILURE_LABELS[error.status] || 'Unauthorized',
+    message: error.message,
+    retryAfter: error.retryAfter,
+  });
+};
+
+const AUTH_ERRORS = ['AuthError', 'OtpError', 'SmsError'];
 
 const shopRegister = async (req, res) => {
   try {
-    let { name, phone, shopName } = req.body;
-    // Convert phone to string
-    const phoneStr = phone.toString();
-    // Take first 4 digits as password
-    const password = phoneStr.slice(0, 4);   
-    const userRegister = new Shop({
-      shopName,
-      name,
-      phone,
-      password,
-    });
-    if (!/^\d{10}$/.test(phone)) {
+    const { name, phone, shopName, password } = req.body || {};
+    if (!PHONE_PATTERN.test(String(phone ?? ''))) {
       return res.status(400).json({
         success: false,
         message: 'Phone number must be exactly 10 digits',
       });
     }
-    const existingUser = await Shop.findOne({ phone });
+    checkNewPassword(password);
+    const existingUser = await Shop.exists({ phone });
     if (existingUser) {
       return res.status(400).json({
         success: false,
         message: 'Phone number already registered!',
       });
     }
+    const userRegister = new Shop({
+      shopName,
+      name,
+      phone,
+      password,
+    });
     await userRegister.save();
+    const tokens = await createSession(userRegister._id, req);
     res.status(201).json({
       success: true,
       message: 'Account created successfully',
       userRegister,
+      ...tokens,
     });
   } catch (error) {
+    if (error.name === 'AuthError') return authFailed(res, error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number already registered!',
+      });
+    }
     console.error('Error registering user:', error);
 
     res.status(500).json({
       error: 'Internal server error',
-      message: error,
+      message: error.message,
+    });
+  }
+};
+
+// POST /api/shop/login  { phone, password }; staff also send their
+// { username } and their own password
+const shopLogin = async (req, res) => {
+  try {
+    const { phone, password, username } = req.body || {};
+    if (username !== undefined && username !== '') {
+      await staffLogin(req, res);
+      return;
+    }
+    const phoneStr = String(phone ?? '').trim();
+    const shop = PHONE_PATTERN.test(phoneStr)
+      ? await Shop.findOne({ phone: Number(phoneStr) }).select(
+          '+password shopName name phone'
+        )
+      : null;
+    // Same answer for an unknown phone and a wrong password
+    if (!shop || !(await verifyPassword(password, shop.password))) {
+      return authFailed(
+        res,
+        new AuthError('Phone number or password is incorrect')
+      );
+    }
+    if (!isPasswordHash(shop.password)) {
+      shop.password = password;
+      await shop.save();
+    }
+    // The old 4-digit passwords were often taken from the phone number, so
+    // they no longer sign in: the owner proves they hold the phone instead
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(403).json({
+        success: false,
+        error: 'Password reset required',
+        message:
+          'This password is too short to sign in with. Ask for a code with POST /api/shop/otp (purpose "password-reset") and set a new password',
+        passwordResetRequired: true,
+      });
+    }
+    const tokens = await createSession(shop._id, req);
+    res.status(200).json({ success: true, ...signedIn(shop, tokens) });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+const staffLogin = async (req, res) => {
+  const { phone, password, username } = req.body;
+  const phoneStr = String(phone ?? '').trim();
+  const shop = PHONE_PATTERN.test(phoneStr)
+    ? await Shop.findOne({ phone: Number(phoneStr) }).select(
+        'shopName name phone'
+      )
+    : null;
+  const staff = shop
+    ? await Staff.findOne({
+        shop: shop._id,
+        username: String(username).trim().toLowerCase(),
+        active: true,
+      }).select('+password name username role permissions')
+    : null;
+  if (!staff || !(await verifyPassword(password, staff.password))) {
+    return authFailed(
+      res,
+      new AuthError('Phone number, username or password is incorrect')
+    );
+  }
+  const tokens = await createSession(shop._id, req, { staffId: staff._id });
+  res.status(200).json({ success: true, ...signedIn(shop, tokens, staff) });
+};
+
+// POST /api/shop/otp  { phone, purpose: "login" | "password-reset" }
+// Answers the same whether or not the number is registered
+const requestOtp = async (req, res) => {
+  try {
+    const { phone, purpose = 'login' } = req.body || {};
+    const phoneStr = String(phone ?? '').trim();
+    if (!PHONE_PATTERN.test(phoneStr)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number must be exactly 10 digits',
+      });
+    }
+    if (!OTP_PURPOSES.includes(purpose)) {
+      return res.status(400).json({
+        success: false,
+        message: `purpose must be one of ${OTP_PURPOSES.join(', ')}`,
+      });
+    }
+    const registered = await Shop.exists({ phone: Number(phoneStr) });
+    const timings = registered
+      ? await issueOtp(phoneStr, purpose, req)
+      : otpTimings();
+    res.status(202).json({
+      success: true,
+      message: 'If the number is registered, a code has been sent to it',
+      ...timings,
+    });
+  } catch (error) {
+    if (AUTH_ERRORS.includes(error.name)) return authFailed(res, error);
+    console.error('Error sending code:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+const wrongCode = () => new AuthError('Phone number or code is incorrect');
+
+// POST /api/shop/otp/login  { phone, code }: the owner logs in with a code
+// instead of the password
+const otpLogin = async (req, res) => {
+  try {
+    const { phone, code } = req.body || {};
+    const phoneStr = String(phone ?? '').trim();
+    if (!PHONE_PATTERN.test(phoneStr)) {
+      return authFailed(res, wrongCode());
+    }
+    await verifyOtp(phoneStr, 'login', code);
+    const shop = await Shop.findOne({ phone: Number(phoneStr) }).select(
+      'shopName name phone'
+    );
+    if (!shop) {
+      return authFailed(res, wrongCode());
+    }
+    const tokens = await createSession(shop._id, req);
+    res.status(200).json({ success: true, ...signedIn(shop, tokens) });
+  } catch (error) {
+    if (AUTH_ERRORS.includes(error.name)) return authFailed(res, error);
+    console.error('Error logging in with code:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+// POST /api/shop/password/reset  { phone, code, newPassword }: sets a new
+// owner password with a "password-reset" code, logs the owner out on every
+// device and signs this one in
+const resetPassword = async (req, res) => {
+  try {
+    const { phone, code, newPassword } = req.body || {};
+    const phoneStr = String(phone ?? '').trim();
+    // Checked first, so a password that is too short does not use up the code
+    checkNewPassword(newPassword);
+    if (!PHONE_PATTERN.test(phoneStr)) {
+      return authFailed(res, wrongCode());
+    }
+    await verifyOtp(phoneStr, 'password-reset', code);
+    const shop = await Shop.findOne({ phone: Number(phoneStr) }).select(
+      '+password shopName name phone'
+    );
+    if (!shop) {
+      return authFailed(res, wrongCode());
+    }
+    shop.password = newPassword;
+    await shop.save();
+    const revoked = await revokeSessions(
+      { shop: shop._id, staff: null },
+      'password-reset'
+    );
+    const tokens = await createSession(shop._id, req);
+    res.status(200).json({
+      success: true,
+      message: 'Password reset',
+      revoked,
+      ...signedIn(shop, tokens),
+    });
+  } catch (error) {
+    if (AUTH_ERRORS.includes(error.name)) return authFailed(res, error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error resetting password:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+// POST /api/shop/refresh  { refreshToken }
+const refreshTokens = async (req, res) => {
+  try {
+    const tokens = await refreshSession(req.body?.refreshToken, req);
+    res.status(200).json({ success: true, ...tokens });
+  } catch (error) {
+    if (error.name === 'AuthError') return authFailed(res, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+// POST /api/shop/logout: ends the session of the access token
+const shopLogout = async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.user.sessionId }, 'logout');
+    res.status(200).json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+// POST /api/shop/logout-all: the owner ends every session of the shop,
+// staff included, on all devices; a staff member only their own
+const shopLogoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeSessions(
+      req.user.staffId
+        ? { staff: req.user.staffId }
+        : { shop: req.user.shopId },
+      'logout-all'
+    );
+    res.status(200).json({ success: true, message: 'Logged out', revoked });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
     });
   }
 };
 
+// PUT /api/shop/password  { currentPassword, newPassword }: changes the
+// password of whoever is signed in (owner or staff member); their other
+// devices are logged out
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    checkNewPassword(newPassword);
+    const { shopId, staffId } = req.user;
+    const account = staffId
+      ? await Staff.findOne({ _id: staffId, shop: shopId }).select('+password')
+      : await Shop.findById(shopId).select('+password');
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: staffId ? 'Staff member not found' : 'Shop not found',
+      });
+    }
+    if (!(await verifyPassword(currentPassword, account.password))) {
+      return authFailed(res, new AuthError('Current password is incorrect'));
+    }
+    account.password = newPassword;
+    await account.save();
+    const revoked = await revokeSessions(
+      {
+        shop: shopId,
+        staff: staffId || null,
+        _id: { $ne: req.user.sessionId },
+      },
+      'password-change'
+    );
+    res.status(200).json({
+      success: true,
+      message: 'Password changed',
+      revoked,
+    });
+  } catch (error) {
+    if (error.name === 'AuthError') return authFailed(res, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+// The signed-in shop only, as a one-item list for existing clients
 const shopList = async (req, res) => {
   try {
-    const shop = await Shop.find();
+    const shop = await Shop.find({ _id: req.user.shopId });
     res.status(200).json(shop);
   } catch (error) {
     res.status(500).json({
@@ -54,4 +437,197 @@ const shopList = async (req, res) => {
   }
 };
 
-module.exports = { shopRegister, shopList };
+// GET /api/shop/me: the signed-in shop's profile and who is signed in
+const getMyShop = async (req, res) => {
+  try {
+    const shop = await Shop.findById(req.user.shopId).select(PROFILE_SELECT);
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found',
+      });
+    }
+    const { staffId, name, role, permissions } = req.user;
+    res.status(200).json({
+      success: true,
+      shop: profileOf(shop),
+      user: { staffId, name, role, permissions },
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+// PUT /api/shop/me: changes the given profile fields; null or "" clears an
+// optional one
+const updateMyShop = async (req, res) => {
+  try {
+    const shop = await Shop.findById(req.user.shopId).select(PROFILE_SELECT);
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found',
+      });
+    }
+    const previousLogo = shop.logoUrl;
+    const updated = applyProfile(shop, req.body);
+    await shop.save();
+    if (shop.logoUrl !== previousLogo) {
+      await removeShopLogo(previousLogo, shop._id);
+    }
+    res.status(200).json({ success: true, updated, shop: profileOf(shop) });
+  } catch (error) {
+    if (error.name === 'ShopProfileError') {
+      return res
+        .status(error.status)
+        .json({ success: false, message: error.message });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+// PUT /api/shop/me/logo  (multipart: logo): the logo printed on receipts
+const uploadShopLogo = async (req, res) => {
+  let logoUrl;
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No image',
+        message: 'Send the logo in the "logo" field',
+      });
+    }
+    const shop = await Shop.findById(req.user.shopId).select(PROFILE_SELECT);
+    if (!shop) {
+      await discardUpload(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found',
+      });
+    }
+    logoUrl = await processShopLogo(req.file, shop._id);
+    const previousLogo = shop.logoUrl;
+    shop.logoUrl = logoUrl;
+    await shop.save();
+    await removeShopLogo(previousLogo, shop._id);
+    res.status(200).json({ success: true, shop: profileOf(shop) });
+  } catch (error) {
+    if (error.name === 'ShopLogoError') {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Invalid image',
+        message: error.message,
+      });
+    }
+    await removeShopLogo(logoUrl, req.user.shopId);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+// Handler that updates one settings sub-document of the shop; only the
+// provided fields change
+const settingsUpdater = (path, fields) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a valid Mongo ObjectId',
+      });
+    }
+    if (req.params.id !== String(req.user.shopId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only change your own shop',
+      });
+    }
+    const update = {};
+    for (const field of fields) {
+      if (req.body?.[field] !== undefined) {
+        update[`${path}.${field}`] = req.body[field];
+      }
+    }
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${fields.join(', ')}`,
+      });
+    }
+
+    const shop = await Shop.findByIdAndUpdate(
+      req.params.id,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select(`shopName ${path}`);
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found',
+      });
+    }
+    res.status(200).json({ success: true, [path]: shop[path] });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+const updateTaxSettings = settingsUpdater('taxSettings', TAX_SETTING_FIELDS);
+const updateChargeSettings = settingsUpdater(
+  'chargeSettings',
+  CHARGE_SETTING_FIELDS
+);
+const updateInvoiceSettings = settingsUpdater(
+  'invoiceSettings',
+  INVOICE_SETTING_FIELDS
+);
+const updateReceiptSettings = settingsUpdater(
+  'receiptSettings',
+  RECEIPT_SETTING_FIELDS
+);
+const updatePaymentSettings = settingsUpdater(
+  'paymentSettings',
+  PAYMENT_SETTING_FIELDS
+);
+const updateServiceSettings = settingsUpdater(
+  'serviceSettings',
+  SERVICE_SETTING_FIELDS
+);
+
+module.exports = {
+  shopRegister,
+  shopLogin,
+  requestOtp,
+  otpLogin,
+  resetPassword,
+  refreshTokens,
+  shopLogout,
+  shopLogoutAll,
+  changePassword,
+  shopList,
+  getMyShop,
+  updateMyShop,
+  uploadShopLogo,
+  updateTaxSettings,
+  updateChargeSettings,
+  updateInvoiceSettings,
+  updateReceiptSettings,
+  updatePaymentSettings,
+  updateServiceSettings,
+};
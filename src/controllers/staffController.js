@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const Staff = require('../models/Staff');
+const { checkNewPassword, revokeSessions } = require('../utils/auth');
+const {
+  STAFF_ROLES,
+  permissionsFor,
+  missingPermission,
+  normalizePermissions,
+} = require('../utils/permissions');
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.name === 'AuthError' || error.name === 'PermissionError') {
+    return res.status(error.status).json({
+      success: false,
+      error: 'Invalid input',
+      message: error.message,
+    });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid staff member',
+      message: error.message,
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'Username taken',
+      message: 'Another staff member of the shop has this username',
+    });
+  }
+  console.error('❌ Staff error:', error);
+  return res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: fallbackMessage,
+  });
+};
+
+// Staff can only be given what the user managing them may do themselves, so
+// a manager allowed to manage staff cannot hand out more than they have
+const checkGrant = (req, res, role, permissions) => {
+  const missing = missingPermission(
+    req.user,
+    permissionsFor(role, permissions)
+  );
+  if (!missing) return true;
+  res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message: `You cannot give others the "${missing}" permission`,
+  });
+  return false;
+};
+
+const checkRole = (res, role) => {
+  if (STAFF_ROLES.includes(role)) return true;
+  res.status(400).json({
+    success: false,
+    error: 'Invalid role',
+    message: `role must be one of ${STAFF_ROLES.join(', ')}`,
+  });
+  return false;
+};
+
+// Staff with the permissions they end up with
+const withPermissions = (staff) => ({
+  ...staff.toJSON(),
+  effectivePermissions: permissionsFor(staff.role, staff.permissions),
+});
+
+// POST /api/shop/staff  { name, username, password, role, permissions? }
+const createStaff = async (req, res) => {
+  try {
+    const { name, username, password, role, ...body } = req.body || {};
+    if (!checkRole(res, role)) return;
+    const permissions =
+      body.permissions == null
+        ? undefined
+        : normalizePermissions(body.permissions);
+    if (!checkGrant(req, res, role, permissions)) return;
+    checkNewPassword(password);
+    const staff = await Staff.create({
+      shop: req.user.shopId,
+      name,
+      username,
+      password,
+      role,
+      permissions,
+    });
+    return res.status(201).json({
+      success: true,
+      staff: withPermissions(staff),
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to add staff member');
+  }
+};
+
+// GET /api/shop/staff?active=false includes removed staff
+const listStaff = async (req, res) => {
+  try {
+    const filter = { shop: req.user.shopId };
+    if (req.query.active !== 'false') filter.active = true;
+    const staff = await Staff.find(filter).sort({ role: 1, name: 1 });
+    return res.json({
+      success: true,
+      count: staff.length,
+      staff: staff.map(withPermissions),
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to list staff');
+  }
+};
+
+const loadStaff = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.staffId)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid staff id',
+      message: 'Provide a valid Mongo ObjectId',
+    });
+    return null;
+  }
+  const staff = await Staff.findOne({
+    _id: req.params.staffId,
+    shop: req.user.shopId,
+  });
+  if (!staff) {
+    res.status(404).json({
+      success: false,
+      error: 'Not found',
+      message: 'No such staff member in your shop',
+    });
+  }
+  return staff;
+};
+
+// PATCH /api/shop/staff/:staffId
+// { name?, role?, permissions? (null: the role's), active?, password? }
+// A new password or deactivation logs the staff member out everywhere
+const updateStaff = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const staff = await loadStaff(req, res);
+    if (!staff) return;
+    if (String(staff._id) === String(req.user.staffId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Ask another manager or the owner to change your own account',
+      });
+    }
+    // Only staff the user could have set up can be changed
+    if (!checkGrant(req, res, staff.role, staff.permissions)) return;
+
+    if (body.name !== undefined) staff.name = body.name;
+    if (body.role !== undefined) {
+      if (!checkRole(res, body.role)) return;
+      staff.role = body.role;
+    }
+    if (body.permissions !== undefined) {
+      staff.permissions =
+        body.permissions === null
+          ? undefined
+          : normalizePermissions(body.permissions);
+    }
+    if (!checkGrant(req, res, staff.role, staff.permissions)) return;
+    if (body.password !== undefined) {
+      staff.password = checkNewPassword(body.password);
+    }
+    if (body.active !== undefined) staff.active = Boolean(body.active);
+
+    await staff.save();
+    const revoked =
+      body.password !== undefined || !staff.active
+        ? await revokeSessions(
+            { staff: staff._id },
+            staff.active ? 'password-change' : 'staff-removed'
+          )
+        : 0;
+    return res.json({ success: true, staff: withPermissions(staff), revoked });
+  } catch (error) {
+    return sendError(res, error, 'Failed to update staff member');
+  }
+};
+
+// DELETE /api/shop/staff/:staffId: deactivates the staff member (their
+// bills keep naming them) and logs them out
+const removeStaff = async (req, res) => {
+  try {
+    const staff = await loadStaff(req, res);
+    if (!staff) return;
+    if (String(staff._id) === String(req.user.staffId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You cannot remove yourself',
+      });
+    }
+    if (!checkGrant(req, res, staff.role, staff.permissions)) return;
+    staff.active = false;
+    await staff.save();
+    const revoked = await revokeSessions({ staff: staff._id }, 'staff-removed');
+    return res.json({ success: true, removed: true, revoked });
+  } catch (error) {
+    return sendError(res, error, 'Failed to remove staff member');
+  }
+};
+
+module.exports = {
+  createStaff,
+  listStaff,
+  updateStaff,
+  removeStaff,
+};
@@ -0,0 +1,391 @@
+/**
+ * Dine-in tables, running orders and kitchen order tickets (KOTs)
+ * ------------------------------------------------------------------
+ * - Each shop has numbered tables. Items are added to a table's open order
+ *   in batches over the meal; every batch raises one KOT for the kitchen.
+ * - Batches can be spoken ("table 4 rendu parotta"): the table number is read
+ *   from the speech (utils/voiceTable) and the items by the voice bill parser.
+ * - Closing the table bills the accumulated order like any other bill
+ *   (discounts, GST, invoice number, payments) and frees the table.
+ */
+
+const mongoose = require('mongoose');
+const Shop = require('../models/shop');
+const Table = require('../models/Table');
+const TableOrder = require('../models/TableOrder');
+const { getShopCatalog } = require('../utils/menuCatalog');
+const { resolveSelection } = require('../utils/menuOptions');
+const {
+  loadServiceContext,
+  checkServiceTime,
+} = require('../utils/serviceTime');
+const { parseVoiceOrder } = require('../utils/voiceBillParser');
+const { extractTableReference } = require('../utils/voiceTable');
+const { normalizeAdjustments } = require('../utils/billCalculator');
+const { normalizePayments } = require('../utils/payments');
+const {
+  sendToKitchen,
+  closeTable: billTable,
+} = require('../utils/tableOrders');
+const { actorOf } = require('../utils/permissions');
+
+const TABLE_FIELDS = ['number', 'name', 'seats', 'isActive'];
+
+const invalidId = (res, what) =>
+  res.status(400).json({
+    error: `Invalid ${what}`,
+    message: 'Provide a valid Mongo ObjectId',
+  });
+
+const sendError = (res, error, fallbackMessage) => {
+  const known = {
+    TableOrderError: 'Invalid table order',
+    BillAdjustmentError: 'Invalid adjustment',
+    PaymentError: 'Invalid payment',
+    MenuOptionError: 'Invalid item options',
+    ServiceTimeError: 'Outside service time',
+  };
+  if (known[error.name]) {
+    return res
+      .status(error.status)
+      .json({ error: known[error.name], message: error.message });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res
+      .status(400)
+      .json({ error: 'Invalid table', message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: 'Duplicate table',
+      message: 'The shop already has a table with this number',
+    });
+  }
+  console.error('❌ Table error:', error);
+  return res
+    .status(500)
+    .json({ error: 'Internal server error', message: fallbackMessage });
+};
+
+// Loads a table or answers the request with the matching error
+const loadTable = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    invalidId(res, 'table id');
+    return null;
+  }
+  const table = await Table.findOne({ _id: req.params.id, shop: req.shopId });
+  if (!table) {
+    res.status(404).json({
+      error: 'Table not found',
+      message: 'The requested table does not exist',
+    });
+    return null;
+  }
+  return table;
+};
+
+const inactiveTable = (res) =>
+  res.status(409).json({
+    error: 'Table inactive',
+    message: 'Reactivate the table before taking orders on it',
+  });
+
+const orderSummary = (order) =>
+  order && {
+    orderId: order._id,
+    itemCount: order.items.reduce((s, it) => s + it.quantity, 0),
+    runningTotal: order.items.reduce((s, it) => s + it.totalPrice, 0),
+    kotCount: order.kotCount,
+    openedAt: order.createdAt,
+  };
+
+// POST /api/tables  { number, name?, seats? }
+const createTable = async (req, res) => {
+  try {
+    const { number, name, seats } = req.body || {};
+    const { shopId } = req;
+    if (!(await Shop.exists({ _id: shopId }))) {
+      return res.status(404).json({
+        error: 'Shop not found',
+        message: 'No shop found for given shopId',
+      });
+    }
+    const table = await Table.create({ shop: shopId, number, name, seats });
+    return res.status(201).json({ success: true, table });
+  } catch (error) {
+    return sendError(res, error, 'Failed to create table');
+  }
+};
+
+// GET /api/tables  (with each table's open order, if any)
+const listTables = async (req, res) => {
+  try {
+    const { shopId } = req;
+    const [tables, orders] = await Promise.all([
+      Table.find({ shop: shopId }).sort({ number: 1 }).lean(),
+      TableOrder.find({ shop: shopId, status: 'open' }).lean(),
+    ]);
+    const openByTable = new Map(orders.map((o) => [String(o.table), o]));
+    return res.json({
+      success: true,
+      count: tables.length,
+      tables: tables.map((table) => ({
+        ...table,
+        openOrder: orderSummary(openByTable.get(String(table._id))) || null,
+      })),
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to fetch tables');
+  }
+};
+
+// PATCH /api/tables/:id  { number?, name?, seats?, isActive? }
+const updateTable = async (req, res) => {
+  try {
+    const table = await loadTable(req, res);
+    if (!table) return;
+    for (const field of TABLE_FIELDS) {
+      if (req.body?.[field] !== undefined) table[field] = req.body[field];
+    }
+    if (
+      table.isModified('isActive') &&
+      !table.isActive &&
+      (await TableOrder.exists({ table: table._id, status: 'open' }))
+    ) {
+      return res.status(409).json({
+        error: 'Table in use',
+        message: 'Close the open order before deactivating the table',
+      });
+    }
+    await table.save();
+    return res.json({ success: true, table });
+  } catch (error) {
+    return sendError(res, error, 'Failed to update table');
+  }
+};
+
+// GET /api/tables/:id/order
+const getTableOrder = async (req, res) => {
+  try {
+    const table = await loadTable(req, res);
+    if (!table) return;
+    const order = await TableOrder.findOne({
+      table: table._id,
+      status: 'open',
+    }).lean();
+    if (!order) {
+      return res.status(404).json({
+        error: 'No open order',
+        message: 'The table has no open order',
+      });
+    }
+    return res.json({ success: true, order, summary: orderSummary(order) });
+  } catch (error) {
+    return sendError(res, error, 'Failed to fetch order');
+  }
+};
+
+// POST /api/tables/:id/items
+// { items: [{ menuItemId, quantity, variantId?, modifierIds?, note? }] }
+const addTableItems = async (req, res) => {
+  try {
+    const table = await loadTable(req, res);
+    if (!table) return;
+    if (!table.isActive) return inactiveTable(res);
+
+    const { items } = req.body || {};
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid items',
+        message: 'Provide a non-empty items array',
+      });
+    }
+    const catalog = await getShopCatalog(table.shop);
+    const lines = [];
+    const entries = [];
+    for (const it of items) {
+      const item = catalog.byMenuItemId.get(String(it.menuItemId));
+      const quantity = Number(it.quantity ?? 1);
+      if (!item) {
+        return res.status(400).json({
+          error: 'Invalid menuItemId',
+          message:
+            "Each menuItemId must be an available item of the table's shop",
+        });
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({
+          error: 'Invalid quantity',
+          message: 'quantity must be a positive integer',
+        });
+      }
+      lines.push({
+        menuItem: item.menuItemId,
+        itemName: item.name,
+        quantity,
+        ...resolveSelection(item, it),
+      });
+      entries.push(item);
+    }
+    const warnings = checkServiceTime(
+      entries,
+      await loadServiceContext(table.shop)
+    );
+
+    const { order, kot } = await sendToKitchen(table, lines, {
+      source: 'manual',
+    });
+    return res.status(201).json({
+      success: true,
+      kot,
+      order,
+      summary: orderSummary(order),
+      warnings,
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to add items');
+  }
+};
+
+// Parse a spoken batch and send it to the kitchen for the table
+const addSpokenBatch = async (res, table, voiceInput, reservedRanges) => {
+  const catalog = await getShopCatalog(table.shop);
+  const { items, lines, unmatchedWords, warnings, text, parser } =
+    await parseVoiceOrder(voiceInput, catalog, {
+      reservedRanges,
+      service: await loadServiceContext(table.shop),
+    });
+  const parse = { parser, text, lines, unmatchedWords, warnings };
+  if (items.length === 0 && warnings.length > 0) {
+    // Everything spoken is outside its service time and the shop blocks it
+    return res.status(409).json({
+      success: false,
+      error: 'Outside service time',
+      message: warnings.map((w) => w.message).join('; '),
+      parse,
+    });
+  }
+  if (items.length === 0) {
+    return res.status(422).json({
+      success: false,
+      error: 'Unrecognized order',
+      message: 'Could not map voice input to any known menu items.',
+      parse,
+    });
+  }
+
+  const { order, kot } = await sendToKitchen(table, items, {
+    source: 'voice',
+    voiceInput,
+  });
+  return res.status(201).json({
+    success: true,
+    kot,
+    order,
+    summary: orderSummary(order),
+    parse: {
+      ...parse,
+      needsReview:
+        lines.some((l) => l.doubtful) ||
+        (unmatchedWords || []).length > 0 ||
+        warnings.length > 0,
+    },
+  });
+};
+
+const voiceInputOf = (req, res) => {
+  const { voiceInput } = req.body || {};
+  if (!voiceInput || typeof voiceInput !== 'string' || !voiceInput.trim()) {
+    res.status(400).json({
+      error: 'Voice input required',
+      message: 'Please provide the voice input text',
+    });
+    return null;
+  }
+  return voiceInput;
+};
+
+// POST /api/tables/voice  { voiceInput: "table 4 rendu parotta" }
+const addItemsByVoice = async (req, res) => {
+  try {
+    const voiceInput = voiceInputOf(req, res);
+    if (!voiceInput) return;
+    const { shopId } = req;
+    const reference = extractTableReference(voiceInput);
+    if (!reference) {
+      return res.status(422).json({
+        success: false,
+        error: 'No table',
+        message: 'Say the table first, e.g. "table 4 rendu parotta"',
+      });
+    }
+    const table = await Table.findOne({
+      shop: shopId,
+      number: reference.tableNumber,
+    });
+    if (!table) {
+      return res.status(404).json({
+        error: 'Table not found',
+        message: `The shop has no table ${reference.tableNumber}`,
+      });
+    }
+    if (!table.isActive) return inactiveTable(res);
+    return await addSpokenBatch(res, table, voiceInput, [reference.span]);
+  } catch (error) {
+    return sendError(res, error, 'Failed to add items');
+  }
+};
+
+// POST /api/tables/:id/voice  { voiceInput }
+const addTableItemsByVoice = async (req, res) => {
+  try {
+    const voiceInput = voiceInputOf(req, res);
+    if (!voiceInput) return;
+    const table = await loadTable(req, res);
+    if (!table) return;
+    if (!table.isActive) return inactiveTable(res);
+    // "table 4" may still be said; it is not part of the order
+    const reference = extractTableReference(voiceInput);
+    return await addSpokenBatch(
+      res,
+      table,
+      voiceInput,
+      reference ? [reference.span] : []
+    );
+  } catch (error) {
+    return sendError(res, error, 'Failed to add items');
+  }
+};
+
+// POST /api/tables/:id/close  { discount?, couponCode?, ..., payments? }
+const closeTable = async (req, res) => {
+  try {
+    const table = await loadTable(req, res);
+    if (!table) return;
+    const body = req.body || {};
+    const { order, bill } = await billTable(table, {
+      adjustments: normalizeAdjustments(body),
+      payments: normalizePayments(body.payments),
+      createdBy: actorOf(req.user),
+    });
+    return res.status(201).json({
+      success: true,
+      message: 'Table closed',
+      order,
+      bill,
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to close table');
+  }
+};
+
+module.exports = {
+  createTable,
+  listTables,
+  updateTable,
+  getTableOrder,
+  addTableItems,
+  addItemsByVoice,
+  addTableItemsByVoice,
+  closeTable,
+};
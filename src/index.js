@@ -10,12 +10,18 @@ const billRoutes = require('./routes/billRoutes');
 const menuRoutes = require('./routes/menuRoutes');
 const genericBillRoutes = require('./routes/genericBillRoutes');
 const shopRouter = require('./routes/shopRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const tableRoutes = require('./routes/tableRoutes');
+const kotRoutes = require('./routes/kotRoutes');
+const { UPLOAD_DIR } = require('./config/upload');
+const { authenticate } = require('./middleware/auth');
+const { scopeToShop } = require('./middleware/tenant');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Check required environment variables
-const requiredEnvVars = ['GEMINI_API_KEY', 'MONGO_URI'];
+const requiredEnvVars = ['GEMINI_API_KEY', 'MONGO_URI', 'JWT_SECRET'];
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
@@ -27,6 +33,7 @@ if (missingEnvVars.length > 0) {
   console.log('📝 Example .env file:');
   console.log('   GEMINI_API_KEY=your-gemini-api-key-here');
   console.log('   MONGO_URI=mongodb://localhost:27017/nutrition-ai');
+  console.log('   JWT_SECRET=a-long-random-string');
   process.exit(1);
 }
 
@@ -40,6 +47,10 @@ const initializeServer = async () => {
     const { initializeMenu } = require('./controllers/billController');
     await initializeMenu();
 
+    // Menu shopIds were strings before tenant scoping
+    const { migrateMenuShopRefs } = require('./migrations/menuShopRefs');
+    await migrateMenuShopRefs();
+
     // Sync indexes for updated models (drops obsolete ones like legacy unique name index)
     try {
       const MenuItem = require('./models/MenuItem');
@@ -49,6 +60,11 @@ const initializeServer = async () => {
       console.warn('⚠️  Could not sync MenuItem indexes:', idxErr.message);
     }
 
+    // Apply scheduled menu price changes as they fall due
+    const { startPriceScheduler } = require('./utils/priceChanges');
+    const { invalidateShopCatalog } = require('./utils/menuCatalog');
+    startPriceScheduler((shopIds) => invalidateShopCatalog(...shopIds));
+
     console.log('✅ Server initialization completed');
   } catch (error) {
     console.error('❌ Server initialization failed:', error);
@@ -68,8 +84,14 @@ app.options('*', cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static('uploads'));
+// Serve static files from uploads directory; menu photos are shown by
+// frontends on other origins
+app.use(
+  '/uploads',
+  express.static(UPLOAD_DIR, {
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin'),
+  })
+);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -83,12 +105,17 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// API routes
+// API routes; shop data needs a logged-in shop (POST /api/shop/login) and
+// only ever reaches that shop's records
+const shopScoped = [authenticate, scopeToShop];
 app.use('/api', nutritionRoutes);
-app.use('/api/bill', billRoutes);
-app.use('/api/menu', menuRoutes);
-app.use('/api/generic-bill', genericBillRoutes);
+app.use('/api/bill', shopScoped, billRoutes);
+app.use('/api/menu', shopScoped, menuRoutes);
+app.use('/api/generic-bill', shopScoped, genericBillRoutes);
 app.use('/api/shop', shopRouter);
+app.use('/api/coupons', shopScoped, couponRoutes);
+app.use('/api/tables', shopScoped, tableRoutes);
+app.use('/api/kots', shopScoped, kotRoutes);
 
 // Root route with API documentation
 app.get('/', (req, res) => {
@@ -193,6 +220,9 @@ app.use('*', (req, res) => {
       'GET /api/bill/menu',
       'POST /api/generic-bill/generate-bill',
       'POST /api/shop/register',
+      'POST /api/shop/login',
+      'POST /api/shop/refresh',
+      'POST /api/shop/logout',
       'GET /api/shop/shop-list',
     ],
   });
@@ -0,0 +1,90 @@
+const Shop = require('../models/shop');
+const Staff = require('../models/Staff');
+const { verifyAccessToken } = require('../utils/auth');
+const { permissionsFor, missingPermission } = require('../utils/permissions');
+
+// Who a session belongs to, with the role and permissions as they are now,
+// so changing or removing a staff member applies to their next request
+const loadSignedInUser = async ({ shopId, sessionId, staffId }) => {
+  if (!staffId) {
+    const shop = await Shop.findById(shopId).select('name').lean();
+    if (!shop) return null;
+    return {
+      shopId,
+      sessionId,
+      staffId: null,
+      role: 'owner',
+      name: shop.name,
+      permissions: permissionsFor('owner'),
+    };
+  }
+  const staff = await Staff.findOne({
+    _id: staffId,
+    shop: shopId,
+    active: true,
+  })
+    .select('name role permissions')
+    .lean();
+  if (!staff) return null;
+  return {
+    shopId,
+    sessionId,
+    staffId,
+    role: staff.role,
+    name: staff.name,
+    permissions: permissionsFor(staff.role, staff.permissions),
+  };
+};
+
+// Express middleware: requires a valid access token ("Authorization: Bearer
+// <token>") and sets req.user = { shopId, sessionId, staffId, role, name,
+// permissions } for the signed-in shop owner (staffId null) or staff member
+const authenticate = async (req, res, next) => {
+  const unauthorized = (message) =>
+    res
+      .status(401)
+      .set('WWW-Authenticate', 'Bearer')
+      .json({ success: false, error: 'Unauthorized', message });
+
+  const [scheme, token] = String(req.headers.authorization || '').split(' ');
+  if (!/^bearer$/i.test(scheme) || !token) {
+    return unauthorized(
+      'Log in and send "Authorization: Bearer <accessToken>"'
+    );
+  }
+  try {
+    req.user = await loadSignedInUser(await verifyAccessToken(token));
+    if (!req.user) return unauthorized('The account is no longer active');
+  } catch (error) {
+    if (error.name === 'AuthError') return unauthorized(error.message);
+    console.error('❌ Authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Could not check the access token',
+    });
+  }
+  return next();
+};
+
+// 403 for a request the signed-in user lacks a permission for
+const forbidden = (req, res, permission) =>
+  res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message: `This needs the "${permission}" permission, which your ${req.user.role} login does not have`,
+  });
+
+/**
+ * Express middleware, after authenticate: lets the request through only
+ * when the signed-in user has every given permission (utils/permissions)
+ * @param {...string} needed
+ */
+const requirePermission =
+  (...needed) =>
+  (req, res, next) => {
+    const missing = missingPermission(req.user, needed);
+    return missing ? forbidden(req, res, missing) : next();
+  };
+
+module.exports = { authenticate, requirePermission, forbidden };
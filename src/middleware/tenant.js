@@ -0,0 +1,35 @@
+// Express middleware, after authenticate: a request can only reach the data
+// of the shop that is signed in. Sets req.shopId from the access token. A
+// shopId sent in the query or JSON body must be that shop (403 otherwise);
+// when left out it is filled in, so clients no longer need to send it.
+//
+// performedBy (the name kept in audit trails and price history) is the
+// signed-in staff member's name; the owner's login, shared at many counters,
+// may still name who is at the till and defaults to the owner's name.
+const scopeToShop = (req, res, next) => {
+  const shopId = String(req.user.shopId);
+  for (const source of [req.query, req.body]) {
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      continue;
+    }
+    if (
+      source.shopId !== undefined &&
+      source.shopId !== '' &&
+      String(source.shopId).trim() !== shopId
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'shopId must be the shop you are logged in as',
+      });
+    }
+    source.shopId = shopId;
+    if (req.user.staffId || !source.performedBy) {
+      source.performedBy = req.user.name;
+    }
+  }
+  req.shopId = shopId;
+  return next();
+};
+
+module.exports = { scopeToShop };
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+
+// MenuItem.foodTimes used to default to ['lunch'] and was not enforced, so
+// every item was billed and listed all day whatever it held. Billing and
+// menu lists now follow foodTimes (see utils/serviceTime). Items saved before
+// that may hold ['lunch'] (or nothing) without anyone having chosen it; this
+// widens them to the whole day, which keeps them working as before.
+//
+// Some shops did mean lunch only, so it is not run on server start. Run it
+// with `npm run migrate`, or see what it would change first:
+// node src/migrations/menuFoodTimes.js --dry-run
+// It runs once: the run is recorded in the migrations collection, so items
+// set to lunch only afterwards stay that way.
+
+const MIGRATION_ID = 'menuFoodTimes';
+const ALL_DAY = ['breakfast', 'lunch', 'dinner'];
+const OLD_DEFAULTS = {
+  $or: [
+    { foodTimes: { $exists: false } },
+    { foodTimes: { $size: 0 } },
+    { foodTimes: { $eq: ['lunch'] } },
+  ],
+};
+
+/**
+ * Widen the foodTimes of items saved before service times were enforced
+ * @param {Object} [options] - { dryRun }: only report the items
+ * @returns {Promise<Object>} - { itemIds, widened, skipped }: the items
+ *   holding an old default, how many were widened, and whether it had run
+ *   before
+ */
+const migrateMenuFoodTimes = async ({ dryRun = false } = {}) => {
+  const migrations = mongoose.connection.collection('migrations');
+  if (await migrations.findOne({ _id: MIGRATION_ID })) {
+    return { itemIds: [], widened: 0, skipped: true };
+  }
+  // The driver's collection, so the filter is not cast to the schema
+  const itemIds = await MenuItem.collection.distinct('_id', OLD_DEFAULTS);
+  console.log(
+    `${itemIds.length} menu items hold lunch only or no foodTimes: ${itemIds.join(', ') || 'none'}`
+  );
+  if (dryRun) return { itemIds, widened: 0, skipped: false };
+
+  const { modifiedCount } = await MenuItem.collection.updateMany(
+    { _id: { $in: itemIds }, ...OLD_DEFAULTS },
+    { $set: { foodTimes: ALL_DAY } }
+  );
+  try {
+    await migrations.updateOne(
+      { _id: MIGRATION_ID },
+      { $setOnInsert: { ranAt: new Date(), widened: modifiedCount, itemIds } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Recorded by another run at the same time
+    if (error.code !== 11000) throw error;
+  }
+  if (modifiedCount) {
+    console.log(
+      `✅ Widened foodTimes of ${modifiedCount} menu items to the whole day`
+    );
+  }
+  return { itemIds, widened: modifiedCount, skipped: false };
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const connectDB = require('../config/db');
+  const dryRun = process.argv.includes('--dry-run');
+  connectDB()
+    .then(() => migrateMenuFoodTimes({ dryRun }))
+    .then((report) => {
+      console.log(JSON.stringify(report, null, 2));
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateMenuFoodTimes };
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const PriceChange = require('../models/PriceChange');
+const Shop = require('../models/shop');
+
+// MenuItem.shopId and PriceChange.shopId used to be free-form strings; they
+// are now ObjectId references to Shop, so tenant-scoped queries match them.
+// Stored strings that hold an ObjectId are converted in place. Documents
+// whose shopId is missing, not an ObjectId or names no existing shop belong
+// to no tenant: they are counted and left for an operator to fix.
+//
+// Runs on every server start (it is a no-op once converted) and can be run
+// on its own: node src/migrations/menuShopRefs.js
+
+const OBJECT_ID_STRING = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Convert one collection's string shopIds
+ * @param {Object} Model - Mongoose model with a shopId path
+ * @returns {Promise<Object>} - { converted, orphaned }
+ */
+const convertShopIds = async (Model) => {
+  // The driver's collection, so the filter is not cast to the new schema
+  const { collection } = Model;
+  const { modifiedCount } = await collection.updateMany(
+    { shopId: { $type: 'string', $regex: OBJECT_ID_STRING } },
+    [{ $set: { shopId: { $toObjectId: '$shopId' } } }]
+  );
+
+  const shopIds = await collection.distinct('shopId', {
+    shopId: { $type: 'objectId' },
+  });
+  const known = await Shop.find({ _id: { $in: shopIds } }).distinct('_id');
+  const orphaned = await collection.countDocuments({
+    $or: [
+      { shopId: { $not: { $type: 'objectId' } } },
+      { shopId: { $nin: known } },
+    ],
+  });
+  return { converted: modifiedCount, orphaned };
+};
+
+/**
+ * Make every stored menu shopId an ObjectId
+ * @returns {Promise<Object>} - { menuItems, priceChanges }, each
+ *   { converted, orphaned }
+ */
+const migrateMenuShopRefs = async () => {
+  const report = {
+    menuItems: await convertShopIds(MenuItem),
+    priceChanges: await convertShopIds(PriceChange),
+  };
+  for (const [name, { converted, orphaned }] of Object.entries(report)) {
+    if (converted) {
+      console.log(`✅ Converted shopId of ${converted} ${name} to ObjectId`);
+    }
+    if (orphaned) {
+      console.warn(
+        `⚠️  ${orphaned} ${name} have no valid shop and are hidden from every shop`
+      );
+    }
+  }
+  return report;
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const connectDB = require('../config/db');
+  connectDB()
+    .then(migrateMenuShopRefs)
+    .then((report) => {
+      console.log(JSON.stringify(report, null, 2));
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateMenuShopRefs };
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One signed-in device of a shop or of one of its staff (see utils/auth).
+// Access tokens name their session, so revoking it logs the device out at
+// once.
+const authSessionSchema = new mongoose.Schema(
+  {
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: true,
+      index: true,
+    },
+    // Empty when the shop's own login signed in
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff',
+      index: true,
+    },
+    // SHA-256 of the current refresh token; the token itself is not stored
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: Date,
+    revokedAt: Date,
+    // logout, logout-all, password-change, password-reset, staff-removed or
+    // reuse (an old refresh token was presented again)
+    revokeReason: String,
+    userAgent: {
+      type: String,
+      maxlength: 256,
+    },
+    ip: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expired sessions are removed by MongoDB a day after they end
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
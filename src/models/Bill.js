@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const { PAYMENT_MODES, PAYMENT_STATUSES } = require('../utils/payments');
+const { lineOptionFields } = require('./lineOptions');
+
+// A percent or flat discount and the amount it took off
+const discountSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['percent', 'flat'] },
+    value: Number,
+    amount: Number,
+  },
+  { _id: false }
+);
 
 const billItemSchema = new mongoose.Schema({
   menuItem: {
@@ -11,10 +23,11 @@ const billItemSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Whole units, except on bills split into equal shares
   quantity: {
     type: Number,
     required: true,
-    min: 1,
+    min: 0.001,
   },
   unitPrice: {
     type: Number,
@@ -26,8 +39,117 @@ const billItemSchema = new mongoose.Schema({
     required: true,
     min: 0,
   },
+  ...lineOptionFields,
+  // Combo lines: the items in one combo as sold, with each one's share of the
+  // combo price (by menu price) for item-wise reports
+  components: {
+    type: [
+      new mongoose.Schema(
+        {
+          menuItem: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' },
+          itemName: String,
+          quantity: Number,
+          share: Number,
+        },
+        { _id: false }
+      ),
+    ],
+    default: undefined,
+  },
+  discount: discountSchema,
+  // This line's part of the bill discount and coupon
+  billDiscountShare: { type: Number, default: 0 },
+  // GST, computed by utils/billCalculator
+  taxRate: {
+    type: Number,
+    default: 0,
+  },
+  hsnCode: String,
+  taxableValue: {
+    type: Number,
+    min: 0,
+  },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 },
+  // Units given back on credit notes
+  refundedQuantity: { type: Number, default: 0, min: 0 },
 });
 
+const taxSlabSchema = new mongoose.Schema(
+  {
+    rate: Number,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    tax: Number,
+  },
+  { _id: false }
+);
+
+// Service or packing charge, added before GST
+const chargeSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['service', 'packing'] },
+    // Percent of the item value, for service charges
+    rate: Number,
+    amount: Number,
+    taxRate: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    tax: Number,
+  },
+  { _id: false }
+);
+
+// One tender; split payments are several of these (utils/payments)
+const paymentSchema = new mongoose.Schema(
+  {
+    mode: {
+      type: String,
+      enum: PAYMENT_MODES,
+      required: true,
+    },
+    // Amount applied to the bill
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Cash handed over and change given back, for cash tenders
+    tendered: Number,
+    change: Number,
+    // Card slip / UPI transaction reference
+    reference: String,
+    note: String,
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Who changed a saved bill, when and why
+const auditEntrySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ['void', 'refund', 'split', 'merge'],
+      required: true,
+    },
+    by: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    reason: String,
+    amount: Number,
+    creditNote: { type: mongoose.Schema.Types.ObjectId, ref: 'CreditNote' },
+  },
+  { _id: false }
+);
+
 const billSchema = new mongoose.Schema(
   {
     shop: {
@@ -36,6 +158,49 @@ const billSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Human-readable number, e.g. SHOP-2026-27/000123 (utils/invoiceNumber)
+    invoiceNumber: {
+      type: String,
+      required: false,
+    },
+    // Position in the shop's series for financialYear
+    invoiceSeq: {
+      type: Number,
+      required: false,
+    },
+    financialYear: {
+      type: String,
+      required: false,
+    },
+    source: {
+      type: String,
+      enum: ['voice', 'manual', 'table'],
+      default: 'manual',
+    },
+    draft: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BillDraft',
+      required: false,
+    },
+    // Dine-in order the bill closed (source "table")
+    tableOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TableOrder',
+      required: false,
+    },
+    // Who rang the bill up (utils/permissions actorOf); staff is empty for
+    // the shop's own login. Split and merged bills keep the first bill's.
+    createdBy: {
+      type: new mongoose.Schema(
+        {
+          staff: { type: mongoose.Schema.Types.ObjectId, ref: 'Staff' },
+          name: String,
+          role: String,
+        },
+        { _id: false }
+      ),
+      required: false,
+    },
     voiceInput: {
       type: String,
       required: false,
@@ -45,21 +210,130 @@ const billSchema = new mongoose.Schema(
       required: false,
     },
     items: [billItemSchema],
+    // Sum of unitPrice × quantity before any discount
+    grossAmount: {
+      type: Number,
+      min: 0,
+    },
+    discount: discountSchema,
+    coupon: {
+      type: new mongoose.Schema(
+        {
+          coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+          code: String,
+          amount: Number,
+        },
+        { _id: false }
+      ),
+      required: false,
+    },
+    // Line discounts + bill discount + coupon
+    discountTotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     subtotal: {
       type: Number,
       required: true,
       min: 0,
     },
+    charges: [chargeSchema],
+    serviceCharge: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    packingCharge: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     tax: {
       type: Number,
       default: 0,
       min: 0,
     },
+    taxBreakdown: [taxSlabSchema],
+    taxInclusive: {
+      type: Boolean,
+      default: false,
+    },
+    // Difference between the rounded total and subtotal + charges + tax (may be negative)
+    roundOff: {
+      type: Number,
+      default: 0,
+    },
     total: {
       type: Number,
       required: true,
       min: 0,
     },
+    payments: [paymentSchema],
+    amountPaid: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    balanceDue: {
+      type: Number,
+      min: 0,
+    },
+    // Change handed back over all cash tenders
+    changeDue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    paymentStatus: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: 'unpaid',
+    },
+    // Voided bills stay stored but count for nothing in reports
+    status: {
+      type: String,
+      enum: ['completed', 'void'],
+      default: 'completed',
+    },
+    voided: {
+      type: new mongoose.Schema(
+        { reason: String, by: String, at: Date },
+        { _id: false }
+      ),
+      required: false,
+    },
+    // Sum of the bill's credit notes
+    refundedTotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    audit: [auditEntrySchema],
+    // Split/merge: the void bill lists the bills that replaced it, and each
+    // new bill the bills it replaced
+    replacedBy: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Bill' }],
+      default: undefined,
+    },
+    replaces: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Bill' }],
+      default: undefined,
+    },
+    // Gemini token usage when the LLM fallback parsed a voice bill
+    usage: {
+      type: new mongoose.Schema(
+        {
+          model: String,
+          promptTokens: Number,
+          outputTokens: Number,
+          totalTokens: Number,
+          estimatedCostUsd: Number,
+        },
+        { _id: false }
+      ),
+      required: false,
+    },
   },
   {
     timestamps: true,
@@ -68,5 +342,17 @@ const billSchema = new mongoose.Schema(
 
 // Helpful index for reports
 billSchema.index({ shop: 1, createdAt: 1 });
+billSchema.index({ createdAt: -1 });
+billSchema.index({ shop: 1, paymentStatus: 1 });
+billSchema.index({ shop: 1, status: 1 });
+billSchema.index({ shop: 1, 'payments.receivedAt': 1 });
+billSchema.index({ shop: 1, 'createdBy.staff': 1, createdAt: 1 });
+billSchema.index(
+  { shop: 1, invoiceNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { invoiceNumber: { $exists: true } },
+  }
+);
 
 module.exports = mongoose.model('Bill', billSchema);
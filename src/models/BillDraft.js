@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const { lineOptionFields } = require('./lineOptions');
+
+const draftLineSchema = new mongoose.Schema({
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem',
+    required: true,
+  },
+  itemName: {
+    type: String,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  totalPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  ...lineOptionFields,
+  // Whether the parser produced the line or the cashier added it
+  origin: {
+    type: String,
+    enum: ['parser', 'cashier'],
+    default: 'parser',
+  },
+  // Parser evidence (see utils/menuFuzzyMap analyzeOrder); empty for
+  // cashier lines. `doubtful` is cleared once the cashier corrects the line.
+  confidence: Number,
+  matchedBy: String,
+  span: {
+    type: new mongoose.Schema(
+      { start: Number, end: Number, text: String },
+      { _id: false }
+    ),
+    required: false,
+  },
+  quantitySource: {
+    type: String,
+    enum: ['digit', 'tamil-word', 'default', 'llm'],
+    required: false,
+  },
+  alternatives: [
+    new mongoose.Schema(
+      {
+        menuItem: mongoose.Schema.Types.ObjectId,
+        itemName: String,
+        unitPrice: Number,
+      },
+      { _id: false }
+    ),
+  ],
+  doubtful: {
+    type: Boolean,
+    default: false,
+  },
+  // Ordered outside the item's service time (see utils/serviceTime)
+  outsideServiceTime: Boolean,
+});
+
+const lineSnapshotSchema = new mongoose.Schema(
+  {
+    menuItem: mongoose.Schema.Types.ObjectId,
+    itemName: String,
+    quantity: Number,
+  },
+  { _id: false }
+);
+
+// One cashier fix to the parsed order, kept next to the voiceInput it corrects
+const correctionSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ['add', 'remove', 'quantity', 'swap', 'options'],
+      required: true,
+    },
+    line: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    before: lineSnapshotSchema,
+    after: lineSnapshotSchema,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const billDraftSchema = new mongoose.Schema(
+  {
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: true,
+      index: true,
+    },
+    voiceInput: {
+      type: String,
+      required: true,
+    },
+    processedText: {
+      type: String,
+      required: false,
+    },
+    // Normalised input that line spans and unmatchedWords index into
+    parsedText: {
+      type: String,
+      required: false,
+    },
+    unmatchedWords: [
+      new mongoose.Schema(
+        { word: String, start: Number, end: Number },
+        { _id: false }
+      ),
+    ],
+    parser: {
+      type: String,
+      enum: ['fuzzy', 'llm'],
+      required: false,
+    },
+    items: [draftLineSchema],
+    // Spoken discount/coupon/parcel, applied when the draft is confirmed
+    adjustments: {
+      type: new mongoose.Schema(
+        {
+          discount: {
+            type: new mongoose.Schema(
+              {
+                type: { type: String, enum: ['percent', 'flat'] },
+                value: Number,
+              },
+              { _id: false }
+            ),
+            required: false,
+          },
+          couponCode: String,
+          packing: Boolean,
+          serviceCharge: Boolean,
+        },
+        { _id: false }
+      ),
+      default: () => ({}),
+    },
+    subtotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ['open', 'confirmed', 'discarded'],
+      default: 'open',
+      index: true,
+    },
+    corrections: [correctionSchema],
+    bill: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill',
+      required: false,
+    },
+    confirmedAt: {
+      type: Date,
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+    optimisticConcurrency: true,
+  }
+);
+
+billDraftSchema.pre('validate', function (next) {
+  this.subtotal = this.items.reduce((sum, it) => sum + it.totalPrice, 0);
+  next();
+});
+
+billDraftSchema.index({ shop: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BillDraft', billDraftSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. per-shop bill numbers) incremented atomically
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+/**
+ * Increment a named sequence and return its new value
+ * @param {string} key - Sequence name
+ * @param {Object} [options] - { session } to run inside a transaction
+ * @returns {Promise<number>} - Next value, starting at 1
+ */
+counterSchema.statics.next = async function (key, { session } = {}) {
+  const doc = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return doc.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+// Reusable discount code of one shop, applied by utils/billCalculator
+const couponSchema = new mongoose.Schema(
+  {
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: true,
+      index: true,
+    },
+    // Stored upper-case; customers may say or type it in any case
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9]{3,20}$/, 'Code must be 3-20 letters or digits'],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    discountType: {
+      type: String,
+      enum: ['percent', 'flat'],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Cap for percent coupons (e.g. 20% up to ₹100)
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    // Bill amount after line discounts needed to use the coupon
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    validFrom: Date,
+    validUntil: Date,
+    // Total number of bills that may use the coupon; unset means unlimited
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponSchema.index({ shop: 1, code: 1 }, { unique: true });
+
+couponSchema.pre('validate', function (next) {
+  if (this.discountType === 'percent' && this.value > 100) {
+    this.invalidate('value', 'Percent coupons cannot exceed 100');
+  }
+  if (this.validFrom && this.validUntil && this.validFrom > this.validUntil) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  next();
+});
+
+/**
+ * Why the coupon cannot be used right now, or null when it can
+ * @param {Date} at - Time of use
+ * @returns {string|null}
+ */
+couponSchema.methods.unavailableReason = function (at = new Date()) {
+  if (!this.isActive) return 'Coupon is not active';
+  if (this.validFrom && at < this.validFrom) return 'Coupon is not valid yet';
+  if (this.validUntil && at > this.validUntil) return 'Coupon has expired';
+  if (this.usageLimit && this.usedCount >= this.usageLimit) {
+    return 'Coupon usage limit reached';
+  }
+  return null;
+};
+
+/**
+ * Count one use of a coupon, unless it is exhausted, inactive or outside
+ * its validity window. Atomic, so concurrent bills cannot overuse it.
+ * @param {string} couponId - Coupon ObjectId
+ * @param {Object} [options] - { session, at }
+ * @returns {Promise<boolean>} - Whether the use was counted
+ */
+couponSchema.statics.redeem = async function (
+  couponId,
+  { session, at = new Date() } = {}
+) {
+  const result = await this.updateOne(
+    {
+      _id: couponId,
+      isActive: true,
+      $and: [
+        { $or: [{ validFrom: null }, { validFrom: { $lte: at } }] },
+        { $or: [{ validUntil: null }, { validUntil: { $gte: at } }] },
+        {
+          $or: [
+            { usageLimit: null },
+            { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+          ],
+        },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give back a use counted by redeem: when the bill could not be saved and
+// no transaction rolled it back, or when the bill is voided
+couponSchema.statics.release = function (couponId, { session } = {}) {
+  return this.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { PAYMENT_MODES } = require('../utils/payments');
+
+// Refunded quantity of one bill line, with its share of tax
+const creditNoteItemSchema = new mongoose.Schema(
+  {
+    // _id of the line in Bill.items
+    billItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    menuItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MenuItem',
+    },
+    itemName: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    unitPrice: Number,
+    taxRate: Number,
+    hsnCode: String,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    taxAmount: Number,
+    // Refunded for this line, tax included
+    amount: Number,
+  },
+  { _id: false }
+);
+
+const taxSlabSchema = new mongoose.Schema(
+  {
+    rate: Number,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    tax: Number,
+  },
+  { _id: false }
+);
+
+// Refund of part of a bill (utils/refunds). The bill itself is never edited
+// beyond its refunded quantities, so the original invoice stays intact.
+const creditNoteSchema = new mongoose.Schema(
+  {
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: true,
+      index: true,
+    },
+    bill: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill',
+      required: true,
+      index: true,
+    },
+    // Original invoice number, kept for printing
+    invoiceNumber: String,
+    // e.g. CN-SHOP-2026-27/000004, its own series per shop
+    creditNoteNumber: {
+      type: String,
+      required: true,
+    },
+    creditNoteSeq: Number,
+    financialYear: String,
+    items: [creditNoteItemSchema],
+    // Charges and round-off given back when the last lines are refunded
+    otherAmount: {
+      type: Number,
+      default: 0,
+    },
+    subtotal: Number,
+    tax: Number,
+    taxBreakdown: [taxSlabSchema],
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Part of the total written off the bill's unpaid balance
+    adjustedAgainstBalance: {
+      type: Number,
+      default: 0,
+    },
+    // Part of the total handed back to the customer, and how
+    refundAmount: {
+      type: Number,
+      default: 0,
+    },
+    refundMode: {
+      type: String,
+      enum: PAYMENT_MODES,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    createdBy: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+creditNoteSchema.index({ shop: 1, createdAt: 1 });
+creditNoteSchema.index({ shop: 1, creditNoteNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
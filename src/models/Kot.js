@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { lineOptionFields } = require('./lineOptions');
+
+// Kitchen order ticket: one batch of items sent to the kitchen for a table
+const kotSchema = new mongoose.Schema(
+  {
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TableOrder',
+      required: true,
+      index: true,
+    },
+    table: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Table',
+      required: true,
+    },
+    tableNumber: Number,
+    // Restarts at 1 every day (IST), per shop
+    kotNumber: {
+      type: Number,
+      required: true,
+    },
+    kotDate: {
+      type: String,
+      required: true,
+    },
+    items: [
+      new mongoose.Schema(
+        {
+          menuItem: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' },
+          itemName: String,
+          quantity: Number,
+          ...lineOptionFields,
+        },
+        { _id: false }
+      ),
+    ],
+    source: {
+      type: String,
+      enum: ['voice', 'manual'],
+      default: 'manual',
+    },
+    voiceInput: String,
+    status: {
+      type: String,
+      enum: ['pending', 'preparing', 'ready', 'served', 'cancelled'],
+      default: 'pending',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+kotSchema.index({ shop: 1, status: 1, createdAt: 1 });
+kotSchema.index({ shop: 1, kotDate: 1, kotNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('Kot', kotSchema);
@@ -1,10 +1,54 @@
 const mongoose = require('mongoose');
 
+// A size or portion with its own price: "Half", "Full", "250 gms"
+const variantSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  ta: { type: String, trim: true },
+  price: { type: Number, required: true, min: 0 },
+  // Spoken words for the variant besides its names ("arai" for Half)
+  synonyms: { type: [String], default: [] },
+  isDefault: { type: Boolean, default: false }
+});
+
+// An add-on or preference; priceDelta is added to the line's unit price
+const modifierOptionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  ta: { type: String, trim: true },
+  priceDelta: { type: Number, default: 0 },
+  synonyms: { type: [String], default: [] }
+});
+
+const modifierGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // How many options of the group a line must / may take (no maximum if unset)
+  minSelect: { type: Number, default: 0, min: 0 },
+  maxSelect: { type: Number, min: 1 },
+  options: [modifierOptionSchema]
+});
+
+// One item inside a combo, e.g. 1 Parotta (2 pcs) in "Parotta + Egg Kalakki"
+const comboComponentSchema = new mongoose.Schema({
+  menuItem: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem', required: true },
+  quantity: { type: Number, default: 1, min: 1 }
+}, { _id: false });
+
+// A photo of the item, stored under uploads/menu (utils/menuImages)
+const menuImageSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  thumbnailUrl: { type: String, required: true },
+  contentType: String,
+  width: Number,
+  height: Number,
+  size: Number,
+  caption: { type: String, trim: true, maxlength: 140 }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
 const menuItemSchema = new mongoose.Schema({
+  // Owning shop; stored as a string before tenancy (see migrations/menuShopRefs)
   shopId: {
-    type: String,
-
-    trim: true,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true,
     index: true
   },
   names: {
@@ -17,18 +61,24 @@ const menuItemSchema = new mongoose.Schema({
       short: { type: String, trim: true }
     }
   },
+  // Price of the item; with variants, each variant has its own
   price: {
     type: Number,
     required: true,
     min: 0
   },
+  variants: { type: [variantSchema], default: [] },
+  modifierGroups: { type: [modifierGroupSchema], default: [] },
+  // Set on combos: sold at this item's price, counted as its components in reports
+  components: { type: [comboComponentSchema], default: [] },
   unit: {
     type: String,
     default: 'piece'
   },
+  // Parts of the day the item is served in; see the shop's serviceSettings
   foodTimes: {
     type: [String],
-    default: ['lunch'],
+    default: ['breakfast', 'lunch', 'dinner'],
     validate: v => {
       const allowed = ['breakfast', 'lunch', 'dinner'];
       return Array.isArray(v) && v.length > 0 && v.every(c => allowed.includes(String(c)));
@@ -43,10 +93,22 @@ const menuItemSchema = new mongoose.Schema({
     ta: { type: [String], default: [] }
   },
   tags: { type: [String], default: [] },
+  // GST slab in percent; falls back to the shop's taxSettings.defaultRate
+  taxRate: {
+    type: Number,
+    enum: [0, 0.25, 3, 5, 12, 18, 28],
+    required: false
+  },
+  hsnCode: {
+    type: String,
+    trim: true
+  },
   isAvailable: {
     type: Boolean,
     default: true
   },
+  // Photos for displays and printed menus; the first one is the main photo
+  images: { type: [menuImageSchema], default: [] },
   description: {
     type: String,
     trim: true
@@ -58,5 +120,6 @@ const menuItemSchema = new mongoose.Schema({
 // Text indexes for multilingual search and fuzzy prefiltering
 menuItemSchema.index({ 'names.en.full': 'text', 'names.ta.full': 'text', tags: 'text' });
 menuItemSchema.index({ shopId: 1, isAvailable: 1 });
+menuItemSchema.index({ 'components.menuItem': 1 });
 
 module.exports = mongoose.model('MenuItem', menuItemSchema);
\ No newline at end of file
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A one-time code sent by SMS to a shop's phone (see utils/otp). Only a
+// hash of the code is stored.
+const otpCodeSchema = new mongoose.Schema(
+  {
+    // Shop.phone as 10 digits
+    phone: {
+      type: String,
+      required: true,
+      match: /^\d{10}$/,
+    },
+    purpose: {
+      type: String,
+      enum: ['login', 'password-reset'],
+      required: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Wrong guesses so far; the code stops working at OTP_MAX_ATTEMPTS
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Set when the code was used, or replaced by a newer one
+    consumedAt: Date,
+    ip: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+otpCodeSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Codes are kept for a day after they expire
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
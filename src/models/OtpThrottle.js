@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// The codes sent to one phone number lately (see utils/otp). A send is
+// claimed with one conditional update of this document, so parallel
+// requests cannot get past the resend and hourly limits.
+const otpThrottleSchema = new mongoose.Schema(
+  {
+    // Shop.phone as 10 digits
+    _id: {
+      type: String,
+      required: true,
+      match: /^\d{10}$/,
+    },
+    // When the number may get its next code
+    resendAt: {
+      type: Date,
+      required: true,
+    },
+    // When the last OTP_MAX_PER_HOUR codes were sent, oldest first
+    sentAt: [Date],
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// Dropped once the last send is an hour old and no longer limits anything
+otpThrottleSchema.index({ resendAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+module.exports = mongoose.model('OtpThrottle', otpThrottleSchema);
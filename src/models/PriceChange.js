@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// One change to the price of a menu item (or of one of its variants): made
+// right away through the menu API, or scheduled to take effect later
+// (utils/priceChanges)
+const priceChangeSchema = new mongoose.Schema(
+  {
+    shopId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: true,
+    },
+    menuItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MenuItem',
+      required: true,
+    },
+    itemName: String,
+    // Set when the change is to a variant's price instead of the item's
+    variant: {
+      type: new mongoose.Schema(
+        {
+          variant: mongoose.Schema.Types.ObjectId,
+          name: String,
+        },
+        { _id: false }
+      ),
+      required: false,
+    },
+    // Price before the change; none for a new item or variant. Scheduled
+    // changes get it when they are applied.
+    oldPrice: {
+      type: Number,
+      min: 0,
+    },
+    newPrice: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    effectiveAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['scheduled', 'applied', 'cancelled'],
+      default: 'applied',
+    },
+    source: {
+      type: String,
+      enum: ['create', 'update', 'import', 'schedule'],
+      required: true,
+    },
+    changedBy: {
+      type: String,
+      trim: true,
+    },
+    appliedAt: Date,
+    cancelledAt: Date,
+    cancelledBy: String,
+    cancelReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+priceChangeSchema.index({ menuItem: 1, effectiveAt: -1 });
+priceChangeSchema.index({ status: 1, effectiveAt: 1 });
+priceChangeSchema.index({ shopId: 1, status: 1, effectiveAt: 1 });
+
+module.exports = mongoose.model('PriceChange', priceChangeSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { isPasswordHash, hashPassword } = require('../utils/auth');
+const { PERMISSIONS, STAFF_ROLES } = require('../utils/permissions');
+
+// A cashier, waiter, kitchen or manager login under a shop. Staff sign in
+// with the shop's phone number, their username and their own password.
+const staffSchema = new mongoose.Schema(
+  {
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 64,
+    },
+    username: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z0-9._-]{3,32}$/,
+        'Username must be 3-32 letters, digits, dots, dashes or underscores',
+      ],
+    },
+    // bcrypt hash; load it with .select('+password')
+    password: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: true,
+    },
+    // Replaces the role's permissions when set (see utils/permissions)
+    permissions: {
+      type: [{ type: String, enum: PERMISSIONS }],
+      default: undefined,
+    },
+    // Removed staff stay stored so their bills still name them
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.password;
+        return ret;
+      },
+    },
+  }
+);
+
+staffSchema.index({ shop: 1, username: 1 }, { unique: true });
+
+staffSchema.pre('save', async function () {
+  if (this.isModified('password') && !isPasswordHash(this.password)) {
+    this.password = await hashPassword(this.password);
+  }
+});
+
+module.exports = mongoose.model('Staff', staffSchema);
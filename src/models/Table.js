@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Dine-in table of a shop; its running order is the open TableOrder
+const tableSchema = new mongoose.Schema(
+  {
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: true,
+      index: true,
+    },
+    // What waiters say: "table 4"
+    number: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Optional display name, e.g. "Garden 2"
+    name: {
+      type: String,
+      trim: true,
+    },
+    seats: {
+      type: Number,
+      min: 1,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+tableSchema.index({ shop: 1, number: 1 }, { unique: true });
+
+module.exports = mongoose.model('Table', tableSchema);
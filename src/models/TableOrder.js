@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { lineOptionFields } = require('./lineOptions');
+
+// One item added to a table's order; every batch of lines has its own KOT
+const orderLineSchema = new mongoose.Schema({
+  menuItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem',
+    required: true,
+  },
+  itemName: {
+    type: String,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  totalPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  ...lineOptionFields,
+  kot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kot',
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Running order of a dine-in table, billed when the table is closed
+const tableOrderSchema = new mongoose.Schema(
+  {
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: true,
+      index: true,
+    },
+    table: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Table',
+      required: true,
+    },
+    tableNumber: Number,
+    status: {
+      type: String,
+      enum: ['open', 'billed', 'cancelled'],
+      default: 'open',
+    },
+    items: [orderLineSchema],
+    kotCount: {
+      type: Number,
+      default: 0,
+    },
+    bill: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill',
+      required: false,
+    },
+    closedAt: {
+      type: Date,
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// At most one open order per table
+tableOrderSchema.index(
+  { table: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+tableOrderSchema.index({ shop: 1, status: 1 });
+
+module.exports = mongoose.model('TableOrder', tableOrderSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Variant, modifiers and note chosen for an order line (utils/menuOptions);
+// shared by bill, draft, table order and KOT lines
+const lineOptionFields = {
+  variant: {
+    type: new mongoose.Schema(
+      {
+        variant: mongoose.Schema.Types.ObjectId,
+        name: String,
+      },
+      { _id: false }
+    ),
+    required: false,
+  },
+  modifiers: {
+    type: [
+      new mongoose.Schema(
+        {
+          group: mongoose.Schema.Types.ObjectId,
+          groupName: String,
+          option: mongoose.Schema.Types.ObjectId,
+          name: String,
+          priceDelta: Number,
+        },
+        { _id: false }
+      ),
+    ],
+    default: undefined,
+  },
+  // Free-text kitchen note, e.g. "No onion"
+  note: String,
+};
+
+module.exports = { lineOptionFields };
@@ -1,4 +1,196 @@
 const mongoose = require('mongoose');
+const { VPA_PATTERN } = require('../utils/upi');
+const { isPasswordHash, hashPassword } = require('../utils/auth');
+
+// GST configuration applied by utils/billCalculator to every bill of the shop
+const taxSettingsSchema = new mongoose.Schema(
+  {
+    // Unregistered shops bill without GST
+    enabled: { type: Boolean, default: false },
+    // true: menu prices already include GST; false: GST is added on top
+    pricesIncludeTax: { type: Boolean, default: false },
+    // Rate for items that do not set MenuItem.taxRate
+    defaultRate: {
+      type: Number,
+      default: 5,
+      enum: [0, 0.25, 3, 5, 12, 18, 28],
+    },
+    defaultHsnCode: { type: String, trim: true, default: '996331' },
+    // Inter-state supply is taxed as IGST instead of CGST + SGST
+    interState: { type: Boolean, default: false },
+    roundingMode: {
+      type: String,
+      enum: ['nearest', 'up', 'down', 'none'],
+      default: 'nearest',
+    },
+    // Round the bill total to a multiple of this amount (1 = whole rupee)
+    roundTo: { type: Number, default: 1, min: 0 },
+  },
+  { _id: false }
+);
+
+// Extra charges added to bills of the shop (before GST)
+const chargeSettingsSchema = new mongoose.Schema(
+  {
+    // Percent of the discounted item value; 0 turns the charge off
+    serviceChargeRate: { type: Number, default: 0, min: 0, max: 100 },
+    // Flat amount added once to parcel/takeaway bills
+    packingCharge: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+// Invoice numbering, see utils/invoiceNumber
+const invoiceSettingsSchema = new mongoose.Schema(
+  {
+    // Defaults to the first letters of shopName
+    prefix: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9]{1,10}$/, 'Prefix must be 1-10 letters or digits'],
+    },
+    // Placeholders: {prefix}, {fy} (e.g. 2026-27) and {seq}
+    format: {
+      type: String,
+      trim: true,
+      default: '{prefix}-{fy}/{seq}',
+      validate: {
+        validator: (v) => v.includes('{seq}'),
+        message: 'Format must contain {seq}',
+      },
+    },
+    // Digits of {seq}, zero-padded
+    padding: { type: Number, default: 6, min: 1, max: 12 },
+    // Restart at 1 every 1 April; off keeps one running series
+    resetEachFinancialYear: { type: Boolean, default: true },
+  },
+  { _id: false }
+);
+
+// Printed on PDF and thermal receipts (see utils/receipt.js)
+const receiptSettingsSchema = new mongoose.Schema(
+  {
+    // Extra lines under the shop name, e.g. address and GSTIN
+    headerLines: {
+      type: [{ type: String, trim: true, maxlength: 64 }],
+      validate: {
+        validator: (v) => v.length <= 4,
+        message: 'At most 4 header lines',
+      },
+      default: [],
+    },
+    footer: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: 'Thank you! Visit again. நன்றி, மீண்டும் வருக!',
+    },
+  },
+  { _id: false }
+);
+
+// Where UPI payments for the shop's bills go (see utils/upi.js)
+const paymentSettingsSchema = new mongoose.Schema(
+  {
+    upiVpa: {
+      type: String,
+      trim: true,
+      match: [VPA_PATTERN, 'UPI ID must look like name@bank'],
+    },
+    // Name shown in the customer's UPI app; defaults to shopName
+    upiPayeeName: { type: String, trim: true, maxlength: 50 },
+  },
+  { _id: false }
+);
+
+const TIME_OF_DAY = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be HH:MM (24-hour)'];
+
+const isTimeZone = (zone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// When each part of the menu (MenuItem.foodTimes) is served, see
+// utils/serviceTime.js
+const serviceWindowSchema = new mongoose.Schema(
+  {
+    foodTime: {
+      type: String,
+      enum: ['breakfast', 'lunch', 'dinner'],
+      required: true,
+    },
+    // Local times in the shop's timezone; end before start runs past midnight
+    start: { type: String, required: true, match: TIME_OF_DAY },
+    end: { type: String, required: true, match: TIME_OF_DAY },
+  },
+  { _id: false }
+);
+
+const serviceSettingsSchema = new mongoose.Schema(
+  {
+    timezone: {
+      type: String,
+      trim: true,
+      default: 'Asia/Kolkata',
+      validate: { validator: isTimeZone, message: 'Unknown timezone' },
+    },
+    // No windows: the whole menu is served all day
+    windows: { type: [serviceWindowSchema], default: [] },
+    // Items ordered outside their window: billed with a warning, or refused
+    outOfWindow: { type: String, enum: ['warn', 'block'], default: 'warn' },
+  },
+  { _id: false }
+);
+
+// Printed on receipts under the shop name
+const addressSchema = new mongoose.Schema(
+  {
+    line1: { type: String, trim: true, maxlength: 100 },
+    line2: { type: String, trim: true, maxlength: 100 },
+    city: { type: String, trim: true, maxlength: 50 },
+    state: { type: String, trim: true, maxlength: 50 },
+    pincode: {
+      type: String,
+      trim: true,
+      match: [/^[1-9]\d{5}$/, 'PIN code must be 6 digits'],
+    },
+  },
+  { _id: false }
+);
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// When the shop is open, in its timezone; a day may have several entries
+// (e.g. lunch and dinner) and days without any are closed
+const businessHoursSchema = new mongoose.Schema(
+  {
+    day: { type: String, enum: WEEKDAYS, required: true },
+    // close before open runs past midnight
+    open: { type: String, required: true, match: TIME_OF_DAY },
+    close: { type: String, required: true, match: TIME_OF_DAY },
+  },
+  { _id: false }
+);
+
+const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// 15 characters: state code, PAN, entity number, "Z" and a check character
+const isGstin = (value) => {
+  if (!/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(value)) return false;
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARS.indexOf(value[i]) * (i % 2 ? 2 : 1);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARS[(36 - (sum % 36)) % 36] === value[14];
+};
+
+const isCurrency = (code) => Intl.supportedValuesOf('currency').includes(code);
 
 const shopSchema = new mongoose.Schema(
   {
@@ -16,13 +208,94 @@ const shopSchema = new mongoose.Schema(
     unique: true,
     match: [/^\d{10}$/, 'Phone number must be exactly 10 digits'],
   },
+  // bcrypt hash; load it with .select('+password')
   password: {
     type: String,
     required: true,
+    select: false,
+  },
+  // Profile, see GET/PUT /api/shop/me (utils/shopProfile)
+  address: {
+    type: addressSchema,
+    default: () => ({}),
+  },
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    validate: { validator: isGstin, message: 'GSTIN is not valid' },
+  },
+  // FSSAI food licence or registration number
+  fssaiNumber: {
+    type: String,
+    trim: true,
+    match: [/^\d{14}$/, 'FSSAI number must be 14 digits'],
+  },
+  logoUrl: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    match: [/^(https:\/\/|\/uploads\/)\S+$/, 'Logo must be an https:// or /uploads/ URL'],
+  },
+  // ISO 4217 code of the shop's prices
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: 'INR',
+    validate: { validator: isCurrency, message: 'Unknown currency code' },
+  },
+  // Language of the shop's screens and messages
+  language: {
+    type: String,
+    enum: ['en', 'ta'],
+    default: 'en',
+  },
+  businessHours: {
+    type: [businessHoursSchema],
+    default: [],
+  },
+  taxSettings: {
+    type: taxSettingsSchema,
+    default: () => ({}),
+  },
+  chargeSettings: {
+    type: chargeSettingsSchema,
+    default: () => ({}),
+  },
+  invoiceSettings: {
+    type: invoiceSettingsSchema,
+    default: () => ({}),
+  },
+  receiptSettings: {
+    type: receiptSettingsSchema,
+    default: () => ({}),
+  },
+  paymentSettings: {
+    type: paymentSettingsSchema,
+    default: () => ({}),
+  },
+  serviceSettings: {
+    type: serviceSettingsSchema,
+    default: () => ({}),
   }
 }
 ,{ 
     timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.password;
+        return ret;
+      },
+    },
   });
 
+// Passwords are hashed when set (see utils/auth); shops registered before
+// hashing are rehashed when they next log in
+shopSchema.pre('save', async function () {
+  if (this.isModified('password') && !isPasswordHash(this.password)) {
+    this.password = await hashPassword(this.password);
+  }
+});
+
 module.exports = mongoose.model('Shop', shopSchema);
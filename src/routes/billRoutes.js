@@ -4,6 +4,7 @@ const {
   generateBillFromVoice,
   getAllBills,
   getBillById,
+  getBillReceipt,
   getAllMenuItems,
   addMenuItem,
   updateMenuItem,
@@ -11,18 +12,76 @@ const {
   createBill,
   getDailyReport,
 } = require('../controllers/billController');
+const {
+  recordPayment,
+  getBillUpi,
+} = require('../controllers/paymentController');
+const {
+  voidBill,
+  refundBill,
+  listCreditNotes,
+  getCreditNote,
+} = require('../controllers/creditNoteController');
+const { splitBill, mergeBills } = require('../controllers/billSplitController');
+const {
+  createDraft,
+  getDraft,
+  addDraftLine,
+  updateDraftLine,
+  removeDraftLine,
+  confirmDraft,
+  discardDraft,
+  listDraftCorrections,
+} = require('../controllers/draftBillController');
+const { requirePermission } = require('../middleware/auth');
 
 // Bill generation routes
-router.post('/generate-bill', generateBillFromVoice);
-router.get('/bills', getAllBills);
-router.get('/bills/:id', getBillById);
-router.post('/bills', createBill);
-router.get('/reports/daily', getDailyReport);
+router.post(
+  '/generate-bill',
+  requirePermission('bills:create'),
+  generateBillFromVoice
+);
+router.get('/bills', requirePermission('bills:read'), getAllBills);
+router.get('/bills/:id', requirePermission('bills:read'), getBillById);
+router.get(
+  '/bills/:id/receipt',
+  requirePermission('bills:read'),
+  getBillReceipt
+);
+router.post(
+  '/bills/:id/payments',
+  requirePermission('bills:pay'),
+  recordPayment
+);
+router.get('/bills/:id/upi', requirePermission('bills:pay'), getBillUpi);
+router.post('/bills/:id/void', requirePermission('bills:void'), voidBill);
+router.post(
+  '/bills/:id/refunds',
+  requirePermission('bills:refund'),
+  refundBill
+);
+router.post('/bills/:id/split', requirePermission('bills:split'), splitBill);
+router.post('/bills/merge', requirePermission('bills:split'), mergeBills);
+router.get('/credit-notes', requirePermission('bills:read'), listCreditNotes);
+router.get('/credit-notes/:id', requirePermission('bills:read'), getCreditNote);
+router.post('/bills', requirePermission('bills:create'), createBill);
+router.get('/reports/daily', requirePermission('reports:read'), getDailyReport);
+
+// Draft bills: review and correct a voice bill before confirming it
+router.use('/drafts', requirePermission('bills:create'));
+router.post('/drafts', createDraft);
+router.get('/drafts/corrections', listDraftCorrections);
+router.get('/drafts/:id', getDraft);
+router.delete('/drafts/:id', discardDraft);
+router.post('/drafts/:id/lines', addDraftLine);
+router.patch('/drafts/:id/lines/:lineId', updateDraftLine);
+router.delete('/drafts/:id/lines/:lineId', removeDraftLine);
+router.post('/drafts/:id/confirm', confirmDraft);
 
 // Menu management routes
-router.get('/menu', getAllMenuItems);
-router.post('/menu', addMenuItem);
-router.put('/menu/:id', updateMenuItem);
-router.delete('/menu/:id', deleteMenuItem);
+router.get('/menu', requirePermission('menu:read'), getAllMenuItems);
+router.post('/menu', requirePermission('menu:write'), addMenuItem);
+router.put('/menu/:id', requirePermission('menu:write'), updateMenuItem);
+router.delete('/menu/:id', requirePermission('menu:write'), deleteMenuItem);
 
 module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  createCoupon,
+  listCoupons,
+  getCoupon,
+  updateCoupon,
+  deactivateCoupon,
+  validateCoupon,
+} = require('../controllers/couponController');
+const { requirePermission } = require('../middleware/auth');
+
+router.get('/', requirePermission('coupons:read'), listCoupons);
+router.post('/', requirePermission('coupons:write'), createCoupon);
+// Preview a code's discount without using it
+router.post('/validate', requirePermission('coupons:read'), validateCoupon);
+
+router.get('/:id', requirePermission('coupons:read'), getCoupon);
+router.patch('/:id', requirePermission('coupons:write'), updateCoupon);
+router.delete('/:id', requirePermission('coupons:write'), deactivateCoupon);
+
+module.exports = router;
@@ -1,8 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { generateGenericBill } = require('../controllers/genericBillController');
+const { requirePermission } = require('../middleware/auth');
 
 // Generic billing routes
-router.post('/generate-bill', generateGenericBill);
+router.post(
+  '/generate-bill',
+  requirePermission('bills:create'),
+  generateGenericBill
+);
 
 module.exports = router;
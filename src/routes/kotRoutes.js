@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+
+const { listKots, updateKotStatus } = require('../controllers/kotController');
+const { requirePermission } = require('../middleware/auth');
+
+router.get('/', requirePermission('kots:read'), listKots);
+router.patch('/:id', requirePermission('kots:update'), updateKotStatus);
+
+module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 
 const {
@@ -10,25 +11,83 @@ const {
   patchMenuItem,
   deleteMenuItem,
   getCategories,
-  addMenuItemSynonyms
+  addMenuItemSynonyms,
+  importMenuItems,
+  exportMenuItems,
+  searchMenuItems
 } = require('../controllers/menuController');
+const {
+  listPriceChanges,
+  createPriceChange,
+  cancelPriceChange,
+  getPriceChangeImpact
+} = require('../controllers/priceChangeController');
+const {
+  uploadMenuImage,
+  updateMenuImage,
+  deleteMenuImage
+} = require('../controllers/menuImageController');
+const { createUpload, singleUpload } = require('../config/upload');
+const { requirePermission } = require('../middleware/auth');
+const {
+  MENU_IMAGE_DIR,
+  MAX_IMAGE_SIZE,
+  IMAGE_MIME_TYPES,
+  IMAGE_EXTENSIONS
+} = require('../utils/menuImages');
+
+// Menu sheets are parsed in memory; the controller checks the file type
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+// Item photos are stored on disk under uploads/menu
+const imageUpload = createUpload({
+  prefix: 'menu-',
+  subdir: MENU_IMAGE_DIR,
+  mimeTypes: IMAGE_MIME_TYPES,
+  extensions: IMAGE_EXTENSIONS,
+  requireBoth: true,
+  typeError: 'Only JPEG, PNG and WebP images are allowed',
+  maxFileSize: MAX_IMAGE_SIZE
+});
 
 // List and categories
-router.get('/', listMenuItems);
-router.get('/categories', getCategories);
+router.get('/', requirePermission('menu:read'), listMenuItems);
+router.get('/categories', requirePermission('menu:read'), getCategories);
+router.get('/search', requirePermission('menu:read'), searchMenuItems);
 
 // Create
-router.post('/', createMenuItem);
-router.post('/bulk', bulkCreateMenuItems);
+router.post('/', requirePermission('menu:write'), createMenuItem);
+router.post('/bulk', requirePermission('menu:write'), bulkCreateMenuItems);
+
+// CSV / Excel
+router.get('/export', requirePermission('menu:read'), exportMenuItems);
+router.post('/import', requirePermission('menu:write', 'menu:price'), upload.single('file'), importMenuItems);
 
 // Item by id
-router.get('/:id', getMenuItem);
-router.put('/:id', updateMenuItem);
+router.get('/:id', requirePermission('menu:read'), getMenuItem);
+router.put('/:id', requirePermission('menu:write', 'menu:price'), updateMenuItem);
+// Permissions depend on the fields sent; the controller checks them
 router.patch('/:id', patchMenuItem);
-router.delete('/:id', deleteMenuItem);
+router.delete('/:id', requirePermission('menu:write'), deleteMenuItem);
 
 // Append synonyms to a language
-router.post('/:id/synonyms', addMenuItemSynonyms);
+router.post('/:id/synonyms', requirePermission('menu:write'), addMenuItemSynonyms);
+
+// Price history, scheduled prices and their sales impact
+router.get('/:id/price-changes', requirePermission('menu:read'), listPriceChanges);
+router.post('/:id/price-changes', requirePermission('menu:price'), createPriceChange);
+router.delete('/:id/price-changes/:changeId', requirePermission('menu:price'), cancelPriceChange);
+router.get('/:id/price-changes/:changeId/impact', requirePermission('reports:read'), getPriceChangeImpact);
+
+// Photos; the first one is the main photo
+router.post('/:id/images', requirePermission('menu:write'), singleUpload(imageUpload, 'image'), uploadMenuImage);
+router.patch('/:id/images/:imageId', requirePermission('menu:write'), updateMenuImage);
+router.delete('/:id/images/:imageId', requirePermission('menu:write'), deleteMenuImage);
 
 module.exports = router;
 
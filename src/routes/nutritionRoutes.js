@@ -1,6 +1,4 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
 const rateLimit = require('express-rate-limit');
 const {
   uploadPlan,
@@ -9,47 +7,22 @@ const {
   clearPlan,
   healthCheck,
 } = require('../controllers/nutritionController');
+const { createUpload } = require('../config/upload');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, process.env.UPLOAD_DIR || 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const extension = path.extname(file.originalname);
-    cb(null, 'nutrition-plan-' + uniqueSuffix + extension);
-  },
-});
-
-const upload = multer({
-  storage: storage,
-  fileFilter: (req, file, cb) => {
-    // Allow PDF, DOCX, DOC, and text files
-    const allowedMimeTypes = [
-      'application/pdf',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/msword',
-      'text/plain',
-    ];
-
-    const allowedExtensions = ['.pdf', '.docx', '.doc', '.txt'];
-    const fileExtension = path.extname(file.originalname).toLowerCase();
-
-    if (
-      allowedMimeTypes.includes(file.mimetype) ||
-      allowedExtensions.includes(fileExtension)
-    ) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF, DOCX, DOC, and text files are allowed'), false);
-    }
-  },
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB limit
-  },
+// Nutrition plans are stored on disk for parsing
+const upload = createUpload({
+  prefix: 'nutrition-plan-',
+  // Allow PDF, DOCX, DOC, and text files
+  mimeTypes: [
+    'application/pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/msword',
+    'text/plain',
+  ],
+  extensions: ['.pdf', '.docx', '.doc', '.txt'],
+  typeError: 'Only PDF, DOCX, DOC, and text files are allowed',
 });
 
 // Rate limiting configuration
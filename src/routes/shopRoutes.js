@@ -1,8 +1,91 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
-const { shopRegister , shopList} = require('../controllers/shopController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { shopRegister , shopLogin, requestOtp, otpLogin, resetPassword, refreshTokens, shopLogout, shopLogoutAll, changePassword, shopList, getMyShop, updateMyShop, uploadShopLogo, updateTaxSettings, updateChargeSettings, updateInvoiceSettings, updateReceiptSettings, updatePaymentSettings, updateServiceSettings } = require('../controllers/shopController');
+const { createStaff, listStaff, updateStaff, removeStaff } = require('../controllers/staffController');
+const { createUpload, singleUpload } = require('../config/upload');
+const { MAX_IMAGE_SIZE, IMAGE_MIME_TYPES, IMAGE_EXTENSIONS } = require('../utils/menuImages');
+const { SHOP_LOGO_DIR } = require('../utils/shopLogo');
 
+// Slow down password and code guessing. Each endpoint counts on its own, so
+// using up one does not lock the shop out of the others.
+const guessLimiter = (options = {}) => rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10, // 10 attempts per window
+  message: {
+    success: false,
+    error: 'Too many login attempts',
+    message: 'Please wait before trying again.',
+    retryAfter: '15 minutes',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  ...options,
+});
+const loginLimiter = guessLimiter();
+const otpLoginLimiter = guessLimiter();
+const passwordResetLimiter = guessLimiter();
+// Runs after authenticate and counts per session, so logins behind one
+// address (a shop's wifi) do not share it
+const passwordChangeLimiter = guessLimiter({ keyGenerator: (req) => req.user.sessionId });
+
+// Limits SMS sent on behalf of one address; each number has its own
+// limits too (utils/otp)
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.OTP_RATE_LIMIT_MAX) || 5, // 5 codes per window
+  message: {
+    success: false,
+    error: 'Too many requests',
+    message: 'Too many codes requested. Please wait before trying again.',
+    retryAfter: '15 minutes',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+router.post('/register', shopRegister);
+// Old misspelt path, still used by existing clients
 router.post('/resgister', shopRegister);
-router.get('/shop-list', shopList);
+router.post('/login', loginLimiter, shopLogin);
+// One-time codes by SMS: log in or reset a forgotten password
+router.post('/otp', otpLimiter, requestOtp);
+router.post('/otp/login', otpLoginLimiter, otpLogin);
+router.post('/password/reset', passwordResetLimiter, resetPassword);
+router.post('/refresh', refreshTokens);
+router.post('/logout', authenticate, shopLogout);
+router.post('/logout-all', authenticate, shopLogoutAll);
+router.put('/password', authenticate, passwordChangeLimiter, changePassword);
+router.get('/shop-list', authenticate, shopList);
+
+// Staff logins of the shop (cashiers, waiters, kitchen, managers)
+const canManageStaff = [authenticate, requirePermission('staff:manage')];
+router.get('/staff', canManageStaff, listStaff);
+router.post('/staff', canManageStaff, createStaff);
+router.patch('/staff/:staffId', canManageStaff, updateStaff);
+router.delete('/staff/:staffId', canManageStaff, removeStaff);
+
+const canChangeSettings = [authenticate, requirePermission('shop:settings')];
+// Logos are stored on disk under uploads/logos
+const logoUpload = createUpload({
+  prefix: 'logo-',
+  subdir: SHOP_LOGO_DIR,
+  mimeTypes: IMAGE_MIME_TYPES,
+  extensions: IMAGE_EXTENSIONS,
+  requireBoth: true,
+  typeError: 'Only JPEG, PNG and WebP images are allowed',
+  maxFileSize: MAX_IMAGE_SIZE
+});
+// Profile: address, GSTIN, FSSAI number, currency, timezone, hours, ...
+router.get('/me', authenticate, getMyShop);
+router.put('/me', canChangeSettings, updateMyShop);
+router.put('/me/logo', canChangeSettings, singleUpload(logoUpload, 'logo'), uploadShopLogo);
+router.put('/:id/tax-settings', canChangeSettings, updateTaxSettings);
+router.put('/:id/charge-settings', canChangeSettings, updateChargeSettings);
+router.put('/:id/invoice-settings', canChangeSettings, updateInvoiceSettings);
+router.put('/:id/receipt-settings', canChangeSettings, updateReceiptSettings);
+router.put('/:id/payment-settings', canChangeSettings, updatePaymentSettings);
+router.put('/:id/service-settings', canChangeSettings, updateServiceSettings);
 
 module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  createTable,
+  listTables,
+  updateTable,
+  getTableOrder,
+  addTableItems,
+  addItemsByVoice,
+  addTableItemsByVoice,
+  closeTable,
+} = require('../controllers/tableController');
+const { requirePermission } = require('../middleware/auth');
+
+router.get('/', requirePermission('tables:read'), listTables);
+router.post('/', requirePermission('tables:write'), createTable);
+// The table is read from the speech: "table 4 rendu parotta"
+router.post('/voice', requirePermission('tables:order'), addItemsByVoice);
+
+router.patch('/:id', requirePermission('tables:write'), updateTable);
+router.get('/:id/order', requirePermission('tables:read'), getTableOrder);
+router.post('/:id/items', requirePermission('tables:order'), addTableItems);
+router.post(
+  '/:id/voice',
+  requirePermission('tables:order'),
+  addTableItemsByVoice
+);
+// Bill the running order and free the table
+router.post('/:id/close', requirePermission('bills:create'), closeTable);
+
+module.exports = router;
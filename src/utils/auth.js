@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+
+// Shop sign-in
+//
+// Passwords are bcrypt hashes. Logging in opens an AuthSession and returns
+// a short-lived JWT access token plus an opaque refresh token
+// ("<sessionId>.<secret>"). Each refresh replaces the refresh token; showing
+// an old one again revokes the session, as the token has leaked. Access
+// tokens name their session, which is checked on every request, so logout
+// takes effect at once. Staff (models/Staff) sign in the same way; their
+// sessions also name the staff member.
+
+const PASSWORD_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignores bytes after the 72nd
+const MAX_PASSWORD_BYTES = 72;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const TOKEN_ISSUER = 'bill-generator';
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+const sha256 = (value) =>
+  crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const jwtSecret = () => {
+  if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET is not set');
+  return process.env.JWT_SECRET;
+};
+
+/**
+ * Whether a stored password is already a bcrypt hash
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isPasswordHash = (value) =>
+  /^\$2[aby]\$\d{2}\$/.test(String(value || ''));
+
+/**
+ * Check a password chosen by a shop
+ * @param {*} password
+ * @returns {string}
+ * @throws {AuthError} - 400 when too short or too long
+ */
+const checkNewPassword = (password) => {
+  if (
+    typeof password !== 'string' ||
+    password.length < MIN_PASSWORD_LENGTH ||
+    Buffer.byteLength(password) > MAX_PASSWORD_BYTES
+  ) {
+    throw new AuthError(
+      `password must be at least ${MIN_PASSWORD_LENGTH} characters (at most ${MAX_PASSWORD_BYTES} bytes)`,
+      400
+    );
+  }
+  return password;
+};
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>} - bcrypt hash
+ */
+const hashPassword = (password) => bcrypt.hash(password, PASSWORD_ROUNDS);
+
+/**
+ * Compare a password with the stored one. Shops registered before hashing
+ * still hold their password in plain text; it is compared in constant time.
+ * @param {string} password - As typed
+ * @param {string} stored - Shop.password
+ * @returns {Promise<boolean>}
+ */
+const verifyPassword = async (password, stored) => {
+  if (typeof password !== 'string' || !stored) return false;
+  if (isPasswordHash(stored)) return bcrypt.compare(password, stored);
+  return crypto.timingSafeEqual(
+    Buffer.from(sha256(password)),
+    Buffer.from(sha256(stored))
+  );
+};
+
+const signAccessToken = (session) =>
+  jwt.sign({ sid: String(session._id) }, jwtSecret(), {
+    subject: String(session.shop),
+    expiresIn: ACCESS_TOKEN_TTL,
+    issuer: TOKEN_ISSUER,
+    algorithm: 'HS256',
+  });
+
+const tokensFor = (session, secret) => {
+  const accessToken = signAccessToken(session);
+  const { iat, exp } = jwt.decode(accessToken);
+  return {
+    tokenType: 'Bearer',
+    accessToken,
+    expiresIn: exp - iat,
+    refreshToken: `${session._id}.${secret}`,
+    refreshExpiresAt: session.expiresAt,
+  };
+};
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const clientOf = (req) => ({
+  userAgent:
+    String(req?.headers?.['user-agent'] || '').slice(0, 256) || undefined,
+  ip: req?.ip,
+});
+
+/**
+ * Open a session for a shop, or one of its staff, that has just proved who
+ * it is
+ * @param {string|ObjectId} shopId
+ * @param {Object} [req] - Request, for the device's user agent and IP
+ * @param {Object} [options] - { staffId } when a staff member signed in
+ * @returns {Promise<Object>} - { tokenType, accessToken, expiresIn (seconds),
+ *   refreshToken, refreshExpiresAt }
+ */
+const createSession = async (shopId, req, { staffId } = {}) => {
+  const secret = newSecret();
+  const session = await AuthSession.create({
+    shop: shopId,
+    staff: staffId,
+    refreshTokenHash: sha256(secret),
+    expiresAt: new Date(
+      Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    ),
+    lastUsedAt: new Date(),
+    ...clientOf(req),
+  });
+  return tokensFor(session, secret);
+};
+
+/**
+ * Revoke the open sessions matching a filter
+ * @param {Object} filter - e.g. { shop }, { staff } or { _id }
+ * @param {string} reason - Saved as revokeReason
+ * @returns {Promise<number>} - Sessions revoked
+ */
+const revokeSessions = async (filter, reason) => {
+  const result = await AuthSession.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokeReason: reason } }
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Trade a refresh token for new tokens. The old refresh token stops
+ * working; presenting it again revokes the session.
+ * @param {string} refreshToken
+ * @param {Object} [req] - Request, for the device's user agent and IP
+ * @returns {Promise<Object>} - Same shape as createSession
+ * @throws {AuthError}
+ */
+const refreshSession = async (refreshToken, req) => {
+  const invalid = () => new AuthError('Refresh token is invalid or expired');
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!/^[0-9a-f]{24}$/i.test(sessionId) || !secret) throw invalid();
+
+  const now = new Date();
+  const session = await AuthSession.findById(sessionId).lean();
+  if (!session || session.revokedAt || session.expiresAt <= now) {
+    throw invalid();
+  }
+  const presentedHash = sha256(secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    await revokeSessions({ _id: session._id }, 'reuse');
+    throw invalid();
+  }
+
+  const nextSecret = newSecret();
+  // Two refreshes racing with the same token: only one wins
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: sha256(nextSecret),
+        lastUsedAt: now,
+        ...clientOf(req),
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSessions({ _id: session._id }, 'reuse');
+    throw invalid();
+  }
+  return tokensFor(rotated, nextSecret);
+};
+
+/**
+ * Check an access token and that its session is still open
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Promise<Object>} - { shopId, sessionId, staffId (null for the
+ *   shop's own login) }
+ * @throws {AuthError}
+ */
+const verifyAccessToken = async (token) => {
+  const secret = jwtSecret();
+  let payload;
+  try {
+    payload = jwt.verify(token, secret, {
+      algorithms: ['HS256'],
+      issuer: TOKEN_ISSUER,
+    });
+  } catch (error) {
+    throw new AuthError(
+      error.name === 'TokenExpiredError'
+        ? 'Access token has expired; refresh it'
+        : 'Access token is invalid'
+    );
+  }
+  const session = await AuthSession.findOne({
+    _id: payload.sid,
+    shop: payload.sub,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select('staff')
+    .lean();
+  if (!session) throw new AuthError('The session has ended; log in again');
+  return {
+    shopId: payload.sub,
+    sessionId: payload.sid,
+    staffId: session.staff ? String(session.staff) : null,
+  };
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  AuthError,
+  isPasswordHash,
+  checkNewPassword,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  refreshSession,
+  revokeSessions,
+  verifyAccessToken,
+};
@@ -0,0 +1,416 @@
+const Coupon = require('../models/Coupon');
+const MenuItem = require('../models/MenuItem');
+const Shop = require('../models/shop');
+const { loadComponentItems, comboComponents } = require('./combos');
+
+// GST slabs accepted on menu items and as the shop default
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+// Restaurant service SAC, used when neither item nor shop sets a code
+const DEFAULT_HSN_CODE = '996331';
+
+const DEFAULT_TAX_SETTINGS = {
+  enabled: false,
+  pricesIncludeTax: false,
+  defaultRate: 5,
+  defaultHsnCode: DEFAULT_HSN_CODE,
+  interState: false,
+  roundingMode: 'nearest',
+  roundTo: 1,
+};
+
+const DEFAULT_CHARGE_SETTINGS = {
+  serviceChargeRate: 0,
+  packingCharge: 0,
+};
+
+const DISCOUNT_TYPES = ['percent', 'flat'];
+
+// A discount, coupon or charge the bill cannot apply; `status` is the HTTP
+// status controllers answer with
+class BillAdjustmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BillAdjustmentError';
+    this.status = status;
+  }
+}
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+// Quantities: whole units, or thousandths on bills split into equal shares
+const round3 = (value) => Math.round((value + Number.EPSILON) * 1000) / 1000;
+const sum = (values) => round2(values.reduce((s, v) => s + v, 0));
+
+// Stored settings of a shop sub-document merged over the defaults
+const mergeSettings = (defaults, stored) => {
+  const plain = stored?.toObject ? stored.toObject() : stored || {};
+  const settings = { ...defaults };
+  for (const [key, value] of Object.entries(plain)) {
+    if (value !== undefined && value !== null) settings[key] = value;
+  }
+  return settings;
+};
+
+/**
+ * Merge a shop's stored tax settings over the defaults
+ * @param {Object} shop - Shop document (may be null)
+ * @returns {Object} - Complete tax settings
+ */
+const resolveTaxSettings = (shop) =>
+  mergeSettings(DEFAULT_TAX_SETTINGS, shop?.taxSettings);
+
+/**
+ * Merge a shop's stored service/packing charge settings over the defaults
+ * @param {Object} shop - Shop document (may be null)
+ * @returns {Object} - { serviceChargeRate, packingCharge }
+ */
+const resolveChargeSettings = (shop) =>
+  mergeSettings(DEFAULT_CHARGE_SETTINGS, shop?.chargeSettings);
+
+/**
+ * Validate a discount given in a request
+ * @param {Object} input - { type: 'percent'|'flat', value }
+ * @param {string} field - Field name used in error messages
+ * @returns {Object} - { type, value }
+ * @throws {BillAdjustmentError}
+ */
+const normalizeDiscount = (input, field = 'discount') => {
+  if (!input || typeof input !== 'object') {
+    throw new BillAdjustmentError(`${field} must be { type, value }`);
+  }
+  const value = Number(input.value);
+  if (!DISCOUNT_TYPES.includes(input.type)) {
+    throw new BillAdjustmentError(`${field}.type must be "percent" or "flat"`);
+  }
+  if (!Number.isFinite(value) || value < 0) {
+    throw new BillAdjustmentError(`${field}.value must be a positive number`);
+  }
+  if (input.type === 'percent' && value > 100) {
+    throw new BillAdjustmentError(`${field}.value cannot exceed 100 percent`);
+  }
+  return { type: input.type, value };
+};
+
+/**
+ * Pick the bill-level adjustments out of a request body
+ * @param {Object} input - { discount?, couponCode?, packing?, serviceCharge? }
+ * @returns {Object} - Only the adjustments that were given
+ * @throws {BillAdjustmentError}
+ */
+const normalizeAdjustments = (input = {}) => {
+  const adjustments = {};
+  if (input.discount !== undefined && input.discount !== null) {
+    adjustments.discount = normalizeDiscount(input.discount);
+  }
+  if (input.couponCode) {
+    adjustments.couponCode = String(input.couponCode).trim().toUpperCase();
+  }
+  if (input.packing !== undefined) adjustments.packing = Boolean(input.packing);
+  if (input.serviceCharge !== undefined) {
+    adjustments.serviceCharge = Boolean(input.serviceCharge);
+  }
+  return adjustments;
+};
+
+const discountAmount = (discount, base) => {
+  if (!discount || !(base > 0)) return 0;
+  const amount =
+    discount.type === 'percent'
+      ? (base * discount.value) / 100
+      : discount.value;
+  return round2(Math.min(base, Math.max(0, amount)));
+};
+
+/**
+ * Amount a coupon takes off a bill
+ * @param {Object} coupon - Coupon (plain object or document)
+ * @param {number} orderValue - Bill value after line discounts
+ * @param {number} alreadyDiscounted - Bill discount applied before the coupon
+ * @returns {number}
+ * @throws {BillAdjustmentError} - When the coupon's minimum order is not met
+ */
+const couponDiscount = (coupon, orderValue, alreadyDiscounted = 0) => {
+  if (orderValue < (coupon.minOrderValue || 0)) {
+    throw new BillAdjustmentError(
+      `Coupon ${coupon.code} needs a bill of at least ${coupon.minOrderValue}`
+    );
+  }
+  const amount = discountAmount(
+    { type: coupon.discountType, value: coupon.value },
+    round2(orderValue - alreadyDiscounted)
+  );
+  return coupon.maxDiscount !== undefined && coupon.maxDiscount !== null
+    ? round2(Math.min(amount, coupon.maxDiscount))
+    : amount;
+};
+
+// Split a bill-level amount over lines in proportion to their weights; the
+// last weighted line absorbs the rounding difference
+const allocate = (amount, weights) => {
+  const shares = weights.map(() => 0);
+  const totalWeight = sum(weights);
+  if (!(amount > 0) || !(totalWeight > 0)) return shares;
+  const last = weights.reduce((acc, w, i) => (w > 0 ? i : acc), -1);
+  let remaining = amount;
+  weights.forEach((weight, i) => {
+    if (!(weight > 0)) return;
+    const share =
+      i === last ? remaining : round2((amount * weight) / totalWeight);
+    shares[i] = round2(Math.min(weight, share));
+    remaining = round2(remaining - shares[i]);
+  });
+  return shares;
+};
+
+const roundTotal = (amount, { roundingMode, roundTo }) => {
+  if (roundingMode === 'none' || !(roundTo > 0)) return round2(amount);
+  const units = amount / roundTo;
+  const fn =
+    roundingMode === 'up'
+      ? Math.ceil
+      : roundingMode === 'down'
+        ? Math.floor
+        : Math.round;
+  // Guard against float noise like 99.99999 being ceiled to 100.01
+  return round2(fn(round2(units * 100) / 100) * roundTo);
+};
+
+/**
+ * Compute discounts, charges, line taxes and bill totals. Discounts lower the
+ * taxable value: line discounts first, then the bill discount, then the
+ * coupon, the last two spread over the lines by value. Service and packing
+ * charges are added before GST and taxed at the shop's default rate.
+ * @param {Array<Object>} lines - { menuItem, itemName, quantity, unitPrice, taxRate?, hsnCode?, discount? }
+ * @param {Object} settings - Tax settings from resolveTaxSettings
+ * @param {Object} adjustments - { discount?, coupon?, serviceChargeRate?, packingCharge? }
+ * @returns {Object} - { items, grossAmount, discount, coupon, discountTotal, subtotal, charges,
+ *   serviceCharge, packingCharge, tax, taxBreakdown, roundOff, total, taxInclusive }
+ *   `subtotal` is the taxable value of the items after discounts;
+ *   `items[].totalPrice` stays unitPrice × quantity as printed on the menu.
+ * @throws {BillAdjustmentError} - When the coupon's minimum order is not met
+ */
+const calculateBill = (lines, settings, adjustments = {}) => {
+  const inclusive = Boolean(settings.enabled && settings.pricesIncludeTax);
+  const breakdown = new Map();
+
+  const applyTax = (value, rate, valueIncludesTax) => {
+    const taxableValue = valueIncludesTax
+      ? round2((value * 100) / (100 + rate))
+      : value;
+    const taxAmount = valueIncludesTax
+      ? round2(value - taxableValue)
+      : round2((taxableValue * rate) / 100);
+    const igst = settings.interState ? taxAmount : 0;
+    const cgst = settings.interState ? 0 : round2(taxAmount / 2);
+    const sgst = settings.interState ? 0 : round2(taxAmount - cgst);
+
+    const slab = breakdown.get(rate) || {
+      rate,
+      taxableValue: 0,
+      cgst: 0,
+      sgst: 0,
+      igst: 0,
+      tax: 0,
+    };
+    slab.taxableValue = round2(slab.taxableValue + taxableValue);
+    slab.cgst = round2(slab.cgst + cgst);
+    slab.sgst = round2(slab.sgst + sgst);
+    slab.igst = round2(slab.igst + igst);
+    slab.tax = round2(slab.tax + taxAmount);
+    breakdown.set(rate, slab);
+
+    return { taxableValue, cgst, sgst, igst, taxAmount };
+  };
+
+  const discounted = lines.map((line) => {
+    const gross = round2(line.unitPrice * line.quantity);
+    const discount = line.discount
+      ? { ...line.discount, amount: discountAmount(line.discount, gross) }
+      : undefined;
+    return {
+      line,
+      gross,
+      discount,
+      net: round2(gross - (discount?.amount || 0)),
+    };
+  });
+  const grossAmount = sum(discounted.map((d) => d.gross));
+  const afterLineDiscounts = sum(discounted.map((d) => d.net));
+
+  const billDiscount = adjustments.discount
+    ? {
+        ...adjustments.discount,
+        amount: discountAmount(adjustments.discount, afterLineDiscounts),
+      }
+    : undefined;
+
+  const coupon = adjustments.coupon
+    ? {
+        coupon: adjustments.coupon._id,
+        code: adjustments.coupon.code,
+        amount: couponDiscount(
+          adjustments.coupon,
+          afterLineDiscounts,
+          billDiscount?.amount
+        ),
+      }
+    : undefined;
+
+  const shares = allocate(
+    round2((billDiscount?.amount || 0) + (coupon?.amount || 0)),
+    discounted.map((d) => d.net)
+  );
+
+  const items = discounted.map(({ line, gross, discount, net }, i) => {
+    const rate = settings.enabled
+      ? Number(line.taxRate ?? settings.defaultRate) || 0
+      : 0;
+    return {
+      ...line,
+      totalPrice: gross,
+      discount,
+      billDiscountShare: shares[i],
+      taxRate: rate,
+      hsnCode: line.hsnCode || settings.defaultHsnCode || undefined,
+      ...applyTax(round2(net - shares[i]), rate, inclusive),
+    };
+  });
+  const subtotal = sum(items.map((it) => it.taxableValue));
+
+  // Charges are always quoted before tax, whatever the menu price mode
+  const chargeRate = settings.enabled ? Number(settings.defaultRate) || 0 : 0;
+  const charges = [];
+  const addCharge = (type, amount, rate) => {
+    if (!(amount > 0)) return;
+    const { cgst, sgst, igst, taxAmount } = applyTax(amount, chargeRate, false);
+    charges.push({
+      type,
+      rate,
+      amount,
+      taxRate: chargeRate,
+      cgst,
+      sgst,
+      igst,
+      tax: taxAmount,
+    });
+  };
+  addCharge(
+    'service',
+    round2((subtotal * (adjustments.serviceChargeRate || 0)) / 100),
+    adjustments.serviceChargeRate
+  );
+  addCharge('packing', round2(adjustments.packingCharge || 0));
+  const chargeTotal = (type) =>
+    sum(charges.filter((c) => c.type === type).map((c) => c.amount));
+
+  const tax = sum([
+    ...items.map((it) => it.taxAmount),
+    ...charges.map((c) => c.tax),
+  ]);
+  const beforeRounding = sum([subtotal, ...charges.map((c) => c.amount), tax]);
+  const total = roundTotal(beforeRounding, settings);
+
+  return {
+    items,
+    grossAmount,
+    discount: billDiscount,
+    coupon,
+    discountTotal: sum([
+      ...discounted.map((d) => d.discount?.amount || 0),
+      billDiscount?.amount || 0,
+      coupon?.amount || 0,
+    ]),
+    subtotal,
+    charges,
+    serviceCharge: chargeTotal('service'),
+    packingCharge: chargeTotal('packing'),
+    tax,
+    taxBreakdown: Array.from(breakdown.values()).sort(
+      (a, b) => a.rate - b.rate
+    ),
+    roundOff: round2(total - beforeRounding),
+    total,
+    taxInclusive: inclusive,
+  };
+};
+
+/**
+ * Price bill lines for a shop: looks up each item's GST rate and HSN/SAC
+ * code, the components of combos, the shop's tax and charge settings and the
+ * coupon, then runs calculateBill. Every bill path (voice, manual, draft confirm) goes
+ * through here.
+ * @param {string} shopId - Shop ObjectId
+ * @param {Array<Object>} lines - { menuItem, itemName, quantity, unitPrice, discount? }
+ * @param {Object} adjustments - From normalizeAdjustments
+ * @returns {Promise<Object>} - Result of calculateBill
+ * @throws {BillAdjustmentError} - Unknown or unusable coupon
+ */
+const priceBillLines = async (shopId, lines, adjustments = {}) => {
+  const ids = [...new Set(lines.map((l) => String(l.menuItem)))];
+  const [shop, menuItems, coupon] = await Promise.all([
+    Shop.findById(shopId).select('taxSettings chargeSettings').lean(),
+    MenuItem.find({ _id: { $in: ids }, shopId })
+      .select('taxRate hsnCode components')
+      .lean(),
+    adjustments.couponCode
+      ? Coupon.findOne({ shop: shopId, code: adjustments.couponCode })
+      : null,
+  ]);
+  if (adjustments.couponCode) {
+    if (!coupon) {
+      throw new BillAdjustmentError(
+        `Coupon ${adjustments.couponCode} does not exist`
+      );
+    }
+    const reason = coupon.unavailableReason();
+    if (reason) throw new BillAdjustmentError(reason);
+  }
+  const taxInfo = new Map(menuItems.map((m) => [String(m._id), m]));
+  const componentItems = await loadComponentItems(menuItems);
+  const charges = resolveChargeSettings(shop);
+
+  return calculateBill(
+    lines.map((line) => {
+      const info = taxInfo.get(String(line.menuItem)) || {};
+      return {
+        menuItem: line.menuItem,
+        itemName: line.itemName,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        variant: line.variant,
+        modifiers: line.modifiers,
+        note: line.note,
+        components: comboComponents(info, componentItems),
+        taxRate: info.taxRate,
+        hsnCode: info.hsnCode,
+        discount: line.discount?.type
+          ? { type: line.discount.type, value: line.discount.value }
+          : undefined,
+      };
+    }),
+    resolveTaxSettings(shop),
+    {
+      discount: adjustments.discount,
+      coupon: coupon && coupon.toObject(),
+      serviceChargeRate:
+        adjustments.serviceCharge === false ? 0 : charges.serviceChargeRate,
+      packingCharge: adjustments.packing ? charges.packingCharge : 0,
+    }
+  );
+};
+
+module.exports = {
+  GST_RATES,
+  DEFAULT_TAX_SETTINGS,
+  DEFAULT_CHARGE_SETTINGS,
+  BillAdjustmentError,
+  round2,
+  round3,
+  resolveTaxSettings,
+  resolveChargeSettings,
+  normalizeDiscount,
+  normalizeAdjustments,
+  couponDiscount,
+  calculateBill,
+  priceBillLines,
+};
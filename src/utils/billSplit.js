@@ -0,0 +1,342 @@
+const {
+  calculateBill,
+  resolveTaxSettings,
+  round2,
+  round3,
+} = require('./billCalculator');
+
+class BillSplitError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BillSplitError';
+    this.status = status;
+  }
+}
+
+const MAX_PARTS = 20;
+
+// Split an amount in proportion to weights without capping a share at its
+// weight; the last weighted part absorbs the rounding difference
+const prorate = (amount, weights, round = round2) => {
+  const total = weights.reduce((s, w) => s + w, 0);
+  const shares = weights.map(() => 0);
+  if (!(amount > 0) || !(total > 0)) return shares;
+  const last = weights.reduce((acc, w, i) => (w > 0 ? i : acc), -1);
+  let remaining = amount;
+  weights.forEach((weight, i) => {
+    if (!(weight > 0)) return;
+    shares[i] =
+      i === last ? round(remaining) : round((amount * weight) / total);
+    remaining -= shares[i];
+  });
+  return shares;
+};
+
+/**
+ * Validate who splits or merges bills
+ * @param {Object} body - { performedBy, reason? }
+ * @returns {Object} - { by, reason }
+ * @throws {BillSplitError}
+ */
+const normalizeSplitAudit = (body = {}) => {
+  const by =
+    typeof body.performedBy === 'string' ? body.performedBy.trim() : '';
+  const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+  if (!by) throw new BillSplitError('performedBy is required');
+  if (by.length > 64) {
+    throw new BillSplitError('performedBy must be at most 64 characters');
+  }
+  if (reason.length > 200) {
+    throw new BillSplitError('reason must be at most 200 characters');
+  }
+  return { by, reason: reason || undefined };
+};
+
+/**
+ * Work out which quantities of a bill's lines go on each new bill
+ * @param {Object} bill - Bill being split
+ * @param {Object} body - Either { shares: N } for N equal shares, or
+ *   { parts: [{ lines: [{ lineId, quantity? }] }] } to split by line (no
+ *   quantity: the whole line) or by quantity. Whatever the parts leave over
+ *   goes on one more bill.
+ * @returns {Array<Array<Object>>} - Per new bill, [{ index, quantity }]
+ *   where index is the line's position in bill.items
+ * @throws {BillSplitError}
+ */
+const planSplit = (bill, body = {}) => {
+  const items = bill.items;
+  if (body.shares !== undefined) {
+    const shares = Number(body.shares);
+    if (!Number.isInteger(shares) || shares < 2 || shares > MAX_PARTS) {
+      throw new BillSplitError(
+        `shares must be a whole number from 2 to ${MAX_PARTS}`
+      );
+    }
+    const perLine = items.map((item) =>
+      prorate(item.quantity, Array(shares).fill(1), round3)
+    );
+    return Array.from({ length: shares }, (_, part) =>
+      items.map((item, index) => ({ index, quantity: perLine[index][part] }))
+    );
+  }
+
+  if (!Array.isArray(body.parts) || body.parts.length === 0) {
+    throw new BillSplitError('Provide shares or a non-empty parts array');
+  }
+  const left = items.map((item) => item.quantity);
+  const parts = body.parts.map((part, p) => {
+    if (!Array.isArray(part?.lines) || part.lines.length === 0) {
+      throw new BillSplitError(`parts[${p}].lines must be a non-empty array`);
+    }
+    const quantities = new Map();
+    part.lines.forEach((line, i) => {
+      const index = items.findIndex(
+        (it) => String(it._id) === String(line?.lineId)
+      );
+      if (index === -1) {
+        throw new BillSplitError(
+          `parts[${p}].lines[${i}].lineId is not a line of this bill`
+        );
+      }
+      const quantity =
+        line.quantity === undefined ? left[index] : Number(line.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new BillSplitError(
+          `parts[${p}].lines[${i}].quantity must be a positive integer`
+        );
+      }
+      if (quantity > left[index]) {
+        throw new BillSplitError(
+          `Only ${left[index]} of ${items[index].itemName} is left to split`
+        );
+      }
+      left[index] -= quantity;
+      quantities.set(index, (quantities.get(index) || 0) + quantity);
+    });
+    return Array.from(quantities, ([index, quantity]) => ({ index, quantity }));
+  });
+
+  const rest = left
+    .map((quantity, index) => ({ index, quantity }))
+    .filter((line) => line.quantity > 0);
+  if (rest.length) parts.push(rest);
+  if (parts.length < 2) {
+    throw new BillSplitError('A split needs at least two resulting bills');
+  }
+  if (parts.length > MAX_PARTS) {
+    throw new BillSplitError(`A bill can be split into at most ${MAX_PARTS}`);
+  }
+  return parts;
+};
+
+const isInterState = (bill) =>
+  bill.items.some((it) => it.igst > 0) ||
+  (bill.charges || []).some((c) => c.igst > 0);
+
+// Tax settings a bill was priced with. Item rates and HSN codes come from the
+// bill itself; rounding follows the shop's current settings
+const settingsOf = (bill, shop) => {
+  const current = resolveTaxSettings(shop);
+  return {
+    ...current,
+    enabled: true,
+    pricesIncludeTax: Boolean(bill.taxInclusive),
+    interState: isInterState(bill),
+    defaultRate: bill.charges?.[0]?.taxRate || 0,
+    defaultHsnCode: undefined,
+  };
+};
+
+const chargeOf = (bill, type) =>
+  (bill.charges || []).find((c) => c.type === type);
+
+// A share of a bill line: its flat discount is split with the quantity
+const lineOf = (item, quantity, flatDiscount) => ({
+  menuItem: item.menuItem,
+  itemName: item.itemName,
+  quantity,
+  unitPrice: item.unitPrice,
+  variant: item.variant,
+  modifiers: item.modifiers,
+  note: item.note,
+  components: item.components,
+  taxRate: item.taxRate || 0,
+  hsnCode: item.hsnCode,
+  discount: item.discount?.type
+    ? {
+        type: item.discount.type,
+        value:
+          item.discount.type === 'flat' ? flatDiscount : item.discount.value,
+      }
+    : undefined,
+});
+
+// Value of lines after their own discounts; bill-level amounts follow it
+const netValue = (lines) =>
+  lines.reduce((s, line) => {
+    const gross = round2(line.unitPrice * line.quantity);
+    const off = !line.discount
+      ? 0
+      : line.discount.type === 'percent'
+        ? (gross * line.discount.value) / 100
+        : line.discount.value;
+    return s + Math.max(0, gross - off);
+  }, 0);
+
+const flatCoupon = (coupon, amount, carriesUse) =>
+  coupon && amount > 0
+    ? {
+        // The coupon's one use stays on a single bill
+        _id: carriesUse ? coupon.coupon : undefined,
+        code: coupon.code,
+        discountType: 'flat',
+        value: amount,
+      }
+    : undefined;
+
+/**
+ * Price the bills a bill is split into. Line discounts, the bill discount,
+ * coupon and packing charge are shared out so the new bills carry what the
+ * customer was charged; percent discounts and the service charge rate stay
+ * as they were. GST is worked out again on each bill.
+ * @param {Object} bill - Bill being split
+ * @param {Array} parts - From planSplit
+ * @param {Object} shop - The bill's shop (for rounding)
+ * @returns {Array<Object>} - calculateBill result per new bill
+ */
+const priceSplit = (bill, parts, shop) => {
+  const settings = settingsOf(bill, shop);
+  const flatLineDiscounts = bill.items.map((item, index) =>
+    item.discount?.type === 'flat'
+      ? prorate(
+          item.discount.amount ?? item.discount.value,
+          parts.map(
+            (part) => part.find((l) => l.index === index)?.quantity || 0
+          )
+        )
+      : null
+  );
+  const partLines = parts.map((part, p) =>
+    part.map(({ index, quantity }) =>
+      lineOf(bill.items[index], quantity, flatLineDiscounts[index]?.[p])
+    )
+  );
+
+  const values = partLines.map(netValue);
+  const discountShares =
+    bill.discount?.type === 'flat'
+      ? prorate(bill.discount.amount, values)
+      : null;
+  const couponShares = prorate(bill.coupon?.amount || 0, values);
+  const packingShares = prorate(chargeOf(bill, 'packing')?.amount || 0, values);
+  const couponCarrier = couponShares.findIndex((share) => share > 0);
+
+  return partLines.map((lines, p) =>
+    calculateBill(lines, settings, {
+      discount: !bill.discount?.type
+        ? undefined
+        : discountShares
+          ? { type: 'flat', value: discountShares[p] }
+          : { type: bill.discount.type, value: bill.discount.value },
+      coupon: flatCoupon(bill.coupon, couponShares[p], p === couponCarrier),
+      serviceChargeRate: chargeOf(bill, 'service')?.rate || 0,
+      packingCharge: packingShares[p],
+    })
+  );
+};
+
+/**
+ * Price the bill that replaces two or more merged bills. Their lines are
+ * kept as they were; discounts and packing charges add up.
+ * @param {Array<Object>} bills - Bills being merged (same shop)
+ * @param {Object} shop - Their shop (for rounding)
+ * @returns {Object} - calculateBill result
+ * @throws {BillSplitError} - 409 when the bills were priced on different terms
+ */
+const priceMerge = (bills, shop) => {
+  const [first] = bills;
+  const differ = (of) => new Set(bills.map(of)).size > 1;
+  if (differ((b) => Boolean(b.taxInclusive)) || differ(isInterState)) {
+    throw new BillSplitError(
+      'Bills were taxed differently and cannot be merged',
+      409
+    );
+  }
+  if (differ((b) => chargeOf(b, 'service')?.rate || 0)) {
+    throw new BillSplitError(
+      'Bills have different service charges and cannot be merged',
+      409
+    );
+  }
+  // Parts of a split bill share its coupon; only one of them holds the use
+  const withCoupon = bills.filter((b) => b.coupon?.amount > 0);
+  if (new Set(withCoupon.map((b) => b.coupon.code)).size > 1) {
+    throw new BillSplitError('Bills used different coupons', 409);
+  }
+  if (withCoupon.filter((b) => b.coupon.coupon).length > 1) {
+    throw new BillSplitError('The bills each used a coupon', 409);
+  }
+  const couponUse = withCoupon.find((b) => b.coupon.coupon) || withCoupon[0];
+  const couponAmount = round2(
+    withCoupon.reduce((s, b) => s + b.coupon.amount, 0)
+  );
+
+  const lines = bills.flatMap((bill) =>
+    bill.items.map((item) =>
+      lineOf(item, item.quantity, item.discount?.amount ?? item.discount?.value)
+    )
+  );
+  const discounts = bills.filter((b) => b.discount?.type);
+  const samePercent =
+    discounts.length === bills.length &&
+    discounts.every(
+      (d) =>
+        d.discount.type === 'percent' &&
+        d.discount.value === first.discount.value
+    );
+  const discountAmount = round2(
+    discounts.reduce((s, b) => s + (b.discount.amount || 0), 0)
+  );
+  const packing = round2(
+    bills.reduce((s, b) => s + (chargeOf(b, 'packing')?.amount || 0), 0)
+  );
+  // Lines and charges of a merge share the same terms, so any bill will do
+  const settings = settingsOf(
+    bills.find((b) => b.charges?.length) || first,
+    shop
+  );
+
+  return calculateBill(lines, settings, {
+    discount: samePercent
+      ? { type: 'percent', value: first.discount.value }
+      : discountAmount > 0
+        ? { type: 'flat', value: discountAmount }
+        : undefined,
+    coupon: couponUse && flatCoupon(couponUse.coupon, couponAmount, true),
+    serviceChargeRate: chargeOf(first, 'service')?.rate || 0,
+    packingCharge: packing,
+  });
+};
+
+/**
+ * Why a bill cannot be split or merged, if it cannot
+ * @param {Object} bill - Bill
+ * @returns {string|undefined}
+ */
+const unsplittableReason = (bill) => {
+  if (bill.status === 'void') return 'Bill is void';
+  if (bill.refundedTotal > 0) return 'Bill has credit notes';
+  if (bill.amountPaid > 0 || bill.payments?.length) {
+    return 'Bill already has payments';
+  }
+  return undefined;
+};
+
+module.exports = {
+  BillSplitError,
+  normalizeSplitAudit,
+  planSplit,
+  priceSplit,
+  priceMerge,
+  unsplittableReason,
+};
@@ -0,0 +1,384 @@
+const mongoose = require('mongoose');
+const Bill = require('../models/Bill');
+const Coupon = require('../models/Coupon');
+const CreditNote = require('../models/CreditNote');
+const {
+  BillAdjustmentError,
+  priceBillLines,
+  round2,
+} = require('./billCalculator');
+const { nextInvoiceNumber, nextCreditNoteNumber } = require('./invoiceNumber');
+const { PaymentError, paymentStatusOf, settlePayments } = require('./payments');
+const { RefundError, buildCreditNote, splitRefund } = require('./refunds');
+const { BillSplitError } = require('./billSplit');
+
+// Standalone MongoDB servers reject transactions; after the first refusal
+// bills are saved without one (a failed save then skips an invoice number)
+let transactionsSupported = true;
+
+const isTransactionUnsupported = (error) =>
+  error?.code === 20 ||
+  /Transaction numbers are only allowed/i.test(error?.message || '');
+
+/**
+ * Run `work(session)` in a transaction, or with a null session when the
+ * server does not support transactions
+ * @param {Function} work - async (session) => result; may be retried
+ * @returns {Promise<*>} - Result of work
+ */
+const runInTransaction = async (work) => {
+  if (transactionsSupported) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } catch (error) {
+      if (!isTransactionUnsupported(error)) throw error;
+      transactionsSupported = false;
+      console.warn(
+        '⚠️ MongoDB transactions unavailable; invoice numbers may skip when a bill fails to save'
+      );
+    } finally {
+      await session.endSession();
+    }
+  }
+  return work(null);
+};
+
+/**
+ * Price and save a bill with the shop's next invoice number, counting a use
+ * of its coupon. Number, coupon use and bill are written in one transaction
+ * so concurrent requests get consecutive numbers without gaps.
+ * @param {Object} data - Bill fields plus `shop`, `items`, `adjustments` and
+ *   optional `payments` (from utils/payments normalizePayments)
+ * @returns {Promise<Object>} - Saved Bill document
+ * @throws {BillAdjustmentError} - 409 when the coupon ran out meanwhile
+ * @throws {PaymentError} - When the payments do not fit the bill total
+ */
+const createPricedBill = async ({
+  shop,
+  items,
+  adjustments,
+  payments = [],
+  ...fields
+}) => {
+  const priced = await priceBillLines(shop, items, adjustments);
+  const settled = settlePayments(priced.total, [], payments);
+  const couponId = priced.coupon?.coupon;
+
+  return runInTransaction(async (session) => {
+    if (couponId && !(await Coupon.redeem(couponId, { session }))) {
+      throw new BillAdjustmentError('Coupon is no longer available', 409);
+    }
+    try {
+      const invoice = await nextInvoiceNumber(shop, { session });
+      const [bill] = await Bill.create(
+        [{ shop, ...fields, ...priced, ...settled, ...invoice }],
+        { session }
+      );
+      return bill;
+    } catch (error) {
+      if (couponId && !session) await Coupon.release(couponId);
+      throw error;
+    }
+  });
+};
+
+/**
+ * Record payments against a saved bill
+ * @param {string} billId - Bill ObjectId
+ * @param {string} shopId - Shop the bill must belong to
+ * @param {Array} tenders - From normalizePayments
+ * @returns {Promise<Object|null>} - Updated Bill, or null when the shop has
+ *   no such bill
+ * @throws {PaymentError} - When the tenders do not fit the balance, or 409
+ *   when another payment was recorded meanwhile
+ */
+const recordBillPayments = async (billId, shopId, tenders) => {
+  const bill = await Bill.findOne({ _id: billId, shop: shopId })
+    .select('status total payments')
+    .lean();
+  if (!bill) return null;
+  if (bill.status === 'void') {
+    throw new PaymentError('Bill is void', 409);
+  }
+  const existing = bill.payments || [];
+  const settled = settlePayments(bill.total, existing, tenders);
+  const { payments, ...totals } = settled;
+
+  // Only applies if no payment landed since the bill was read
+  const updated = await Bill.findOneAndUpdate(
+    {
+      _id: billId,
+      $expr: {
+        $eq: [{ $size: { $ifNull: ['$payments', []] } }, existing.length],
+      },
+    },
+    { $push: { payments: { $each: payments } }, $set: totals },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new PaymentError(
+      'Another payment was recorded for this bill; reload and retry',
+      409
+    );
+  }
+  return updated;
+};
+
+const changedMeanwhile = () =>
+  new RefundError(
+    'The bill was voided or refunded by another request; reload and retry',
+    409
+  );
+
+/**
+ * Void a bill: it stays stored, marked void, and drops out of reports. Its
+ * coupon use is given back.
+ * @param {string} billId - Bill ObjectId
+ * @param {string} shopId - Shop the bill must belong to
+ * @param {Object} audit - { reason, by } from normalizeAuditInput
+ * @returns {Promise<Object|null>} - Updated Bill, or null when the shop has
+ *   no such bill
+ * @throws {RefundError} - 409 when the bill is already void or has credit notes
+ */
+const markBillVoid = async (billId, shopId, { reason, by }) => {
+  const bill = await Bill.findOne({ _id: billId, shop: shopId })
+    .select('status refundedTotal coupon')
+    .lean();
+  if (!bill) return null;
+  if (bill.status === 'void') {
+    throw new RefundError('Bill is already void', 409);
+  }
+  if (bill.refundedTotal > 0) {
+    throw new RefundError(
+      'Bill has credit notes; refund the remaining lines instead',
+      409
+    );
+  }
+
+  const at = new Date();
+  return runInTransaction(async (session) => {
+    const updated = await Bill.findOneAndUpdate(
+      {
+        _id: billId,
+        status: { $ne: 'void' },
+        refundedTotal: { $in: [0, null] },
+      },
+      {
+        $set: { status: 'void', voided: { reason, by, at } },
+        $push: { audit: { action: 'void', by, at, reason } },
+      },
+      { new: true, session }
+    );
+    if (!updated) throw changedMeanwhile();
+    if (bill.coupon?.coupon) {
+      await Coupon.release(bill.coupon.coupon, { session });
+    }
+    return updated;
+  });
+};
+
+/**
+ * Refund lines of a bill as a credit note. The credit note takes the shop's
+ * next credit note number; both are written in one transaction.
+ * @param {string} billId - Bill ObjectId
+ * @param {string} shopId - Shop the bill must belong to
+ * @param {Object} data - { lines (normalizeRefundLines), reason, by,
+ *   refundMode? }
+ * @returns {Promise<Object|null>} - { bill, creditNote }, or null when the
+ *   shop has no such bill
+ * @throws {RefundError}
+ */
+const createCreditNote = async (
+  billId,
+  shopId,
+  { lines, reason, by, refundMode }
+) => {
+  const bill = await Bill.findOne({ _id: billId, shop: shopId }).lean();
+  if (!bill) return null;
+  if (bill.status === 'void') {
+    throw new RefundError('Bill is void', 409);
+  }
+
+  const { lineUpdates, ...note } = buildCreditNote(bill, lines);
+  const split = splitRefund(bill, note.total, refundMode);
+  const refundedBefore = bill.refundedTotal || 0;
+  const refundedTotal = round2(refundedBefore + note.total);
+  const balanceDue = round2(
+    (bill.balanceDue || 0) - split.adjustedAgainstBalance
+  );
+  const inc = {};
+  for (const { index, quantity } of lineUpdates) {
+    inc[`items.${index}.refundedQuantity`] = quantity;
+  }
+
+  return runInTransaction(async (session) => {
+    const numbering = await nextCreditNoteNumber(bill.shop, { session });
+    const [creditNote] = await CreditNote.create(
+      [
+        {
+          shop: bill.shop,
+          bill: bill._id,
+          invoiceNumber: bill.invoiceNumber,
+          ...numbering,
+          ...note,
+          ...split,
+          reason,
+          createdBy: by,
+        },
+      ],
+      { session }
+    );
+
+    // Applies only if nothing was refunded or voided since the bill was read
+    const updated = await Bill.findOneAndUpdate(
+      {
+        _id: bill._id,
+        status: { $ne: 'void' },
+        $expr: {
+          $eq: [{ $ifNull: ['$refundedTotal', 0] }, refundedBefore],
+        },
+      },
+      {
+        $inc: inc,
+        $set: {
+          refundedTotal,
+          balanceDue,
+          paymentStatus: paymentStatusOf(
+            bill.total - refundedTotal,
+            bill.amountPaid || 0
+          ),
+        },
+        $push: {
+          audit: {
+            action: 'refund',
+            by,
+            at: creditNote.createdAt,
+            reason,
+            amount: note.total,
+            creditNote: creditNote._id,
+          },
+        },
+      },
+      { new: true, session }
+    );
+    if (!updated) {
+      // Without a transaction the credit note has to be taken back by hand
+      if (!session) await CreditNote.deleteOne({ _id: creditNote._id });
+      throw changedMeanwhile();
+    }
+    return { bill: updated, creditNote };
+  });
+};
+
+/**
+ * Replace bills by new ones (split or merge): the new bills take the shop's
+ * next invoice numbers and the old ones are voided, pointing at them. The
+ * coupon use moves with the coupon, so it is not given back.
+ * @param {Array<Object>} bills - Bills being replaced, as read (unpaid)
+ * @param {Array<Object>} priced - calculateBill result per new bill
+ * @param {Object} data - { action: 'split' | 'merge', by, reason }
+ * @returns {Promise<Object>} - { bills: new Bills, replaced: old Bills }
+ * @throws {BillSplitError} - 409 when an old bill was paid, refunded or
+ *   voided meanwhile
+ */
+const replaceBills = async (bills, priced, { action, by, reason }) => {
+  const [first] = bills;
+  const replaces = bills.map((b) => b._id);
+  const at = new Date();
+
+  return runInTransaction(async (session) => {
+    const created = [];
+    try {
+      for (const result of priced) {
+        const invoice = await nextInvoiceNumber(first.shop, { session });
+        const [bill] = await Bill.create(
+          [
+            {
+              shop: first.shop,
+              source: first.source,
+              createdBy: first.createdBy,
+              tableOrder: bills.length === 1 ? first.tableOrder : undefined,
+              processedText: result.items
+                .map((it) => `${it.quantity} ${it.itemName}`)
+                .join(', '),
+              ...result,
+              ...settlePayments(result.total, [], []),
+              ...invoice,
+              replaces,
+            },
+          ],
+          { session }
+        );
+        created.push(bill);
+      }
+
+      const replacedBy = created.map((b) => b._id);
+      const note =
+        reason ||
+        (action === 'split'
+          ? `Split into ${created.map((b) => b.invoiceNumber).join(', ')}`
+          : `Merged into ${created[0].invoiceNumber}`);
+      const replaced = [];
+      for (const bill of bills) {
+        // Applies only if nothing was paid, refunded or voided since reading
+        const updated = await Bill.findOneAndUpdate(
+          {
+            _id: bill._id,
+            status: { $ne: 'void' },
+            refundedTotal: { $in: [0, null] },
+            $expr: { $eq: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+          },
+          {
+            $set: {
+              status: 'void',
+              voided: { reason: note, by, at },
+              replacedBy,
+            },
+            $push: { audit: { action, by, at, reason: note } },
+          },
+          { new: true, session }
+        );
+        if (!updated) {
+          throw new BillSplitError(
+            'A bill was paid, refunded or voided by another request; reload and retry',
+            409
+          );
+        }
+        replaced.push(updated);
+      }
+      return { bills: created, replaced };
+    } catch (error) {
+      // Without a transaction the writes have to be taken back by hand
+      if (!session) {
+        await Bill.deleteMany({ _id: { $in: created.map((b) => b._id) } });
+        await Bill.updateMany(
+          {
+            _id: { $in: replaces },
+            replacedBy: { $exists: true },
+            'voided.at': at,
+          },
+          {
+            $set: { status: 'completed' },
+            $unset: { voided: 1, replacedBy: 1 },
+            $pull: { audit: { action, at } },
+          }
+        );
+      }
+      throw error;
+    }
+  });
+};
+
+module.exports = {
+  runInTransaction,
+  createPricedBill,
+  recordBillPayments,
+  markBillVoid,
+  createCreditNote,
+  replaceBills,
+};
@@ -0,0 +1,56 @@
+const MenuItem = require('../models/MenuItem');
+
+// Combo meals ("Parotta + Egg Kalakki", a breakfast combo)
+//
+// A combo is a MenuItem with `components`: it is sold and priced as one item
+// at its own bundle price, so voice billing finds it by name like any dish.
+// Bill lines keep a snapshot of the components so reports can count the
+// items the kitchen actually made, even after the combo changes.
+
+/**
+ * Load the items that make up the combos among some menu items
+ * @param {Array<Object>} menuItems - MenuItems (lean) with `components`
+ * @returns {Promise<Map>} - Component MenuItems by id (names, price)
+ */
+const loadComponentItems = async (menuItems) => {
+  const ids = new Set();
+  for (const item of menuItems) {
+    for (const c of item.components || []) ids.add(String(c.menuItem));
+  }
+  if (ids.size === 0) return new Map();
+  const items = await MenuItem.find({ _id: { $in: [...ids] } })
+    .select('names price')
+    .lean();
+  return new Map(items.map((m) => [String(m._id), m]));
+};
+
+/**
+ * Components of a combo as stored on a bill line. Each gets a share of the
+ * combo price by its own menu price, so reports can split combo revenue.
+ * @param {Object} combo - MenuItem with `components`
+ * @param {Map} componentItems - From loadComponentItems
+ * @returns {Array<Object>|undefined} - [{ menuItem, itemName, quantity,
+ *   share }] with shares adding up to 1; undefined for a plain item
+ */
+const comboComponents = (combo, componentItems) => {
+  if (!combo?.components?.length) return undefined;
+  const rows = combo.components.map((c) => {
+    const item = componentItems.get(String(c.menuItem)) || {};
+    return {
+      menuItem: c.menuItem,
+      itemName: item.names?.en?.full || 'Unknown item',
+      quantity: c.quantity,
+      value: (item.price || 0) * c.quantity,
+    };
+  });
+  const total = rows.reduce((s, r) => s + r.value, 0);
+  return rows.map(({ value, ...row }) => ({
+    ...row,
+    share: total > 0 ? value / total : 1 / rows.length,
+  }));
+};
+
+module.exports = {
+  loadComponentItems,
+  comboComponents,
+};
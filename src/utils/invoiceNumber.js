@@ -0,0 +1,133 @@
+const Counter = require('../models/Counter');
+const Shop = require('../models/shop');
+
+// Indian financial year: 1 April to 31 March, counted in IST
+const FINANCIAL_YEAR_START_MONTH = 4;
+const INVOICE_TIMEZONE = 'Asia/Kolkata';
+
+const DEFAULT_INVOICE_SETTINGS = {
+  prefix: '',
+  format: '{prefix}-{fy}/{seq}',
+  padding: 6,
+  resetEachFinancialYear: true,
+};
+
+/**
+ * Financial year a moment falls in, as "2026-27"
+ * @param {Date} at - Moment to classify
+ * @param {string} timeZone - IANA zone the year boundary is counted in
+ * @returns {string}
+ */
+const financialYearOf = (at = new Date(), timeZone = INVOICE_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+  }).formatToParts(at);
+  const year = Number(parts.find((p) => p.type === 'year').value);
+  const month = Number(parts.find((p) => p.type === 'month').value);
+  const startYear = month >= FINANCIAL_YEAR_START_MONTH ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// "Sri Murugan Bhavan" -> "SRIMUR"; shops without a usable name get "INV"
+const prefixFromShopName = (shopName) =>
+  String(shopName || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .slice(0, 6) || 'INV';
+
+/**
+ * Merge a shop's stored invoice settings over the defaults
+ * @param {Object} shop - Shop document (may be null)
+ * @returns {Object} - { prefix, format, padding, resetEachFinancialYear }
+ */
+const resolveInvoiceSettings = (shop) => {
+  const stored = shop?.invoiceSettings?.toObject
+    ? shop.invoiceSettings.toObject()
+    : shop?.invoiceSettings || {};
+  const settings = { ...DEFAULT_INVOICE_SETTINGS };
+  for (const [key, value] of Object.entries(stored)) {
+    if (value !== undefined && value !== null && value !== '') {
+      settings[key] = value;
+    }
+  }
+  if (!settings.prefix) settings.prefix = prefixFromShopName(shop?.shopName);
+  return settings;
+};
+
+/**
+ * Render an invoice number from the shop's format
+ * @param {Object} settings - From resolveInvoiceSettings
+ * @param {number} seq - Sequence within the series
+ * @param {string} financialYear - e.g. "2026-27"
+ * @returns {string} - e.g. "SHOP-2026-27/000123"
+ */
+const formatInvoiceNumber = (settings, seq, financialYear) =>
+  settings.format
+    .replace(/\{prefix\}/g, settings.prefix)
+    .replace(/\{fy\}/g, financialYear)
+    .replace(/\{seq\}/g, String(seq).padStart(settings.padding, '0'));
+
+// Take the next number of one of the shop's series ('invoice', 'creditNote')
+const nextNumber = async (shopId, series, { session, at = new Date() }) => {
+  const shop = await Shop.findById(shopId)
+    .select('shopName invoiceSettings')
+    .session(session || null)
+    .lean();
+  const settings = resolveInvoiceSettings(shop);
+  if (series === 'creditNote') settings.prefix = `CN-${settings.prefix}`;
+  const financialYear = financialYearOf(at);
+  // One series per financial year unless the shop numbers continuously
+  const period = settings.resetEachFinancialYear ? financialYear : 'all';
+  const seq = await Counter.next(`${series}:${shopId}:${period}`, {
+    session,
+  });
+  return {
+    number: formatInvoiceNumber(settings, seq, financialYear),
+    seq,
+    financialYear,
+  };
+};
+
+/**
+ * Take the shop's next invoice number. Call it inside the transaction that
+ * saves the bill so a failed save gives the number back.
+ * @param {string} shopId - Shop ObjectId
+ * @param {Object} [options] - { session, at }
+ * @returns {Promise<Object>} - { invoiceNumber, invoiceSeq, financialYear }
+ */
+const nextInvoiceNumber = async (shopId, options = {}) => {
+  const { number, seq, financialYear } = await nextNumber(
+    shopId,
+    'invoice',
+    options
+  );
+  return { invoiceNumber: number, invoiceSeq: seq, financialYear };
+};
+
+/**
+ * Take the shop's next credit note number: the invoice format with "CN-"
+ * before the prefix, in a series of its own
+ * @param {string} shopId - Shop ObjectId
+ * @param {Object} [options] - { session, at }
+ * @returns {Promise<Object>} - { creditNoteNumber, creditNoteSeq, financialYear }
+ */
+const nextCreditNoteNumber = async (shopId, options = {}) => {
+  const { number, seq, financialYear } = await nextNumber(
+    shopId,
+    'creditNote',
+    options
+  );
+  return { creditNoteNumber: number, creditNoteSeq: seq, financialYear };
+};
+
+module.exports = {
+  INVOICE_TIMEZONE,
+  DEFAULT_INVOICE_SETTINGS,
+  financialYearOf,
+  resolveInvoiceSettings,
+  formatInvoiceNumber,
+  nextInvoiceNumber,
+  nextCreditNoteNumber,
+};
@@ -0,0 +1,149 @@
+const MenuItem = require('../models/MenuItem');
+const { defaultVariant } = require('./menuOptions');
+const { applyDuePriceChanges, nextPriceChangeAt } = require('./priceChanges');
+
+// Per-shop compact catalogs used by voice billing. Built from the shop's
+// available MenuItem documents and cached until the menu changes, the TTL
+// expires (the TTL covers edits made by other server instances) or the next
+// scheduled price change is due.
+const CATALOG_TTL_MS =
+  parseInt(process.env.MENU_CATALOG_TTL_MS) || 5 * 60 * 1000;
+
+const catalogCache = new Map(); // shopId -> { promise, expiresAt }
+let catalogBuilds = 0;
+
+const toVariant = (v) => ({
+  id: String(v._id),
+  name: v.name,
+  ta: v.ta || '',
+  price: v.price,
+  synonyms: v.synonyms || [],
+  isDefault: Boolean(v.isDefault),
+});
+
+const toModifierGroup = (g) => ({
+  id: String(g._id),
+  name: g.name,
+  minSelect: g.minSelect || 0,
+  maxSelect: g.maxSelect,
+  options: (g.options || []).map((o) => ({
+    id: String(o._id),
+    name: o.name,
+    ta: o.ta || '',
+    priceDelta: o.priceDelta || 0,
+    synonyms: o.synonyms || [],
+  })),
+});
+
+/**
+ * Convert a MenuItem document into a compact catalog entry. With variants,
+ * `price` is the default variant's price.
+ * @param {Object} doc - MenuItem (lean)
+ * @param {number} index - Position in the catalog, used for the short ID
+ * @returns {Object} - Catalog entry
+ */
+const toCatalogEntry = (doc, index) => {
+  const variants = (doc.variants || []).map(toVariant);
+  const entry = {
+    id: 'M' + index.toString(36), // short id for LLM prompts
+    menuItemId: String(doc._id),
+    name: doc.names?.en?.full || '',
+    shortName: doc.names?.en?.short || '',
+    ta: doc.names?.ta?.full || '',
+    taShort: doc.names?.ta?.short || '',
+    price: doc.price,
+    unit: doc.unit,
+    category: (doc.categories && doc.categories[0]) || doc.foodTimes?.[0] || '',
+    synonyms: {
+      en: doc.synonyms?.en || [],
+      ta: doc.synonyms?.ta || [],
+    },
+    tags: doc.tags || [],
+    // When the item is served, see utils/serviceTime
+    foodTimes: doc.foodTimes || [],
+    variants,
+    modifierGroups: (doc.modifierGroups || []).map(toModifierGroup),
+  };
+  if (variants.length) entry.price = defaultVariant(entry).price;
+  return entry;
+};
+
+/**
+ * Build a catalog from a list of MenuItem documents
+ * @param {string} shopId - Shop the items belong to
+ * @param {Array<Object>} docs - MenuItem documents (lean)
+ * @returns {Object} - { shopId, version, list, byId, byMenuItemId, byName }
+ */
+const buildCatalog = (shopId, docs) => {
+  const list = docs.map(toCatalogEntry);
+  catalogBuilds += 1;
+  return {
+    shopId,
+    version: catalogBuilds,
+    builtAt: new Date(),
+    list,
+    byId: new Map(list.map((x) => [x.id, x])),
+    byMenuItemId: new Map(list.map((x) => [x.menuItemId, x])),
+    byName: new Map(list.map((x) => [x.name.toLowerCase(), x])),
+    // LLM results are only valid for the catalog they were produced against
+    llmCache: new Map(),
+  };
+};
+
+const loadCatalog = async (shopId) => {
+  // Scheduled prices that are due take effect before the catalog is built
+  await applyDuePriceChanges({ shopId });
+  const [docs, changesAt] = await Promise.all([
+    MenuItem.find({ shopId, isAvailable: true })
+      .sort({ 'names.en.full': 1 })
+      .lean(),
+    nextPriceChangeAt(shopId),
+  ]);
+  return { catalog: buildCatalog(shopId, docs), changesAt };
+};
+
+/**
+ * Get the cached catalog for a shop, loading it from MongoDB when missing
+ * @param {string} shopId - Shop ObjectId as string
+ * @returns {Promise<Object>} - Catalog
+ */
+const getShopCatalog = async (shopId) => {
+  const key = String(shopId);
+  const cached = catalogCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.promise;
+  }
+
+  const promise = loadCatalog(key).then(({ catalog, changesAt }) => {
+    const entry = catalogCache.get(key);
+    if (entry?.promise === promise && changesAt) {
+      entry.expiresAt = Math.min(entry.expiresAt, changesAt.getTime());
+    }
+    return catalog;
+  });
+  catalogCache.set(key, { promise, expiresAt: Date.now() + CATALOG_TTL_MS });
+  try {
+    return await promise;
+  } catch (error) {
+    // Do not keep failed loads around
+    if (catalogCache.get(key)?.promise === promise) catalogCache.delete(key);
+    throw error;
+  }
+};
+
+/**
+ * Drop the cached catalog for one or more shops after a menu change
+ * @param {...string} shopIds - Shops whose menu changed
+ */
+const invalidateShopCatalog = (...shopIds) => {
+  for (const shopId of shopIds) {
+    if (shopId) catalogCache.delete(String(shopId));
+  }
+};
+
+module.exports = {
+  getShopCatalog,
+  invalidateShopCatalog,
+  buildCatalog,
+  toCatalogEntry,
+};
@@ -1,293 +1,955 @@
 // Tamil and English menu fuzzy mapping utilities
+//
+// Patterns are compiled from each shop's menu data (names, short names,
+// synonyms and tags) instead of being hand-written per dish. A compiled
+// matcher is cached on the shop catalog, so editing a MenuItem (for example
+// POST /api/menu/:id/synonyms) changes what is recognised on the next request.
+
+const { resolveSelection, selectionKey } = require('./menuOptions');
+const { compileSearchIndex, searchKey, searchMenu } = require('./menuSearch');
 
 const TAMIL_NUMBER_MAP = new Map([
-  ['ஓர்', 1], ['ஒரு', 1],
-  ['இரண்டு', 2], ['ரெண்டு', 2],
-  ['மூன்று', 3], ['மூணு', 3],
-  ['நான்கு', 4], ['நாலு', 4],
+  ['ஓர்', 1],
+  ['ஒரு', 1],
+  ['இரண்டு', 2],
+  ['ரெண்டு', 2],
+  ['மூன்று', 3],
+  ['மூணு', 3],
+  ['நான்கு', 4],
+  ['நாலு', 4],
   ['ஐந்து', 5],
-  ['ஆறு', 6], ['ஆரு', 6],
+  ['ஆறு', 6],
+  ['ஆரு', 6],
   ['ஏழு', 7],
   ['எட்டு', 8],
   ['ஒன்பது', 9],
-  ['பத்து', 10]
+  ['பத்து', 10],
+  // The same words typed in English letters ("rendu parotta")
+  ['oru', 1],
+  ['onnu', 1],
+  ['rendu', 2],
+  ['randu', 2],
+  ['moonu', 3],
+  ['munu', 3],
+  ['naalu', 4],
+  ['nalu', 4],
+  ['anju', 5],
+  ['aaru', 6],
+  ['ezhu', 7],
+  ['ettu', 8],
+  ['onbathu', 9],
+  ['pathu', 10],
+]);
+
+// Words that end one order line; qualifiers are never looked up across them
+const LINE_SEPARATORS = new Set([
+  'and',
+  'also',
+  'then',
+  'um',
+  'உம்',
+  'மற்றும்',
+  'அப்புறம்',
+  'அப்பறம்',
+]);
+
+// How far back (in words) a qualifier like "ghee" may sit from its base dish
+const QUALIFIER_WINDOW_TOKENS = 3;
+
+// Common spoken forms of variant names; a shop adds its own as variant synonyms
+const VARIANT_WORDS = new Map([
+  ['half', ['arai', 'அரை', 'ஹாஃப்']],
+  ['full', ['fullu', 'ஃபுல்', 'முழு']],
+  ['quarter', ['kaal', 'கால்']],
+  ['small', ['chinna', 'சின்ன']],
+  ['large', ['big', 'periya', 'பெரிய']],
+]);
+
+// Preferences spoken around a dish ("extra spicy", "onion illama"). When no
+// modifier of the dish matches they become a free-text note on its line.
+const NOTE_PREFIXES = new Map([
+  ['extra', 'Extra'],
+  ['more', 'Extra'],
+  ['less', 'Less'],
+  ['no', 'No'],
+  ['without', 'No'],
+]);
+const NOTE_SUFFIXES = new Map([
+  ['illama', 'No'],
+  ['illaama', 'No'],
+  ['illamal', 'No'],
+  ['illaamal', 'No'],
+  ['vendam', 'No'],
+  ['vendaam', 'No'],
+  ['இல்லாம', 'No'],
+  ['இல்லாமல்', 'No'],
+  ['வேண்டாம்', 'No'],
+  ['kammi', 'Less'],
+  ['கம்மி', 'Less'],
+  ['jaasti', 'Extra'],
+  ['jasti', 'Extra'],
+  ['ஜாஸ்தி', 'Extra'],
 ]);
 
-const QUALIFIER_SKIP = {
-  'Plain Dosa': [/(மசாலா|மசால்|நெய்|egg|முட்டை|masala|ghee)/iu],
-  'Parotta (2 pcs)': [/(கொத்து|kothu|egg|முட்டை|((ஏ|எ)க்+)|ஏக்க|அண்டு|chicken|சிக்கன்)/iu]
+// How many words may sit between a dish and its variant/modifier words
+const OPTION_WINDOW_TOKENS = 3;
+
+// Base confidence per way a dish was recognised (see analyzeOrder)
+const MATCH_CONFIDENCE = {
+  name: 0.95,
+  short: 0.95,
+  synonym: 0.95,
+  qualifier: 0.85,
+  head: 0.7,
+  'partial-qualifier': 0.65,
+  fuzzy: 0.6,
 };
+const MAX_ALTERNATIVES = 5;
+
+// Words no menu term matched are tried against the spelling-tolerant search
+// (utils/menuSearch), up to this many words at a time
+const FUZZY_WINDOW_TOKENS = 3;
+const FUZZY_MIN_SCORE = 0.8;
+// Shorter spoken words are too easily mistaken for a dish
+const FUZZY_MIN_KEY_LENGTH = 4;
+// Items scoring this close to the best are offered as alternatives
+const FUZZY_TIE_MARGIN = 0.05;
+
+const TAMIL_CHARS = /[\u0B80-\u0BFF]/u;
+
+function preprocessText(input) {
+  return (input || '')
+    .normalize('NFC')
+    .replace(/[\u200B-\u200D\uFEFF]/g, '') // zero-width chars
+    .replace(/%/g, ' percent ') // keep "10%" readable as a discount
+    .replace(/[.,;:!?()\[\]{}"'`~@#%^*&_=+<>/\\|-]+/g, ' ') // punctuation to space
+    .replace(/\s+/g, ' ') // collapse spaces
+    .trim();
+}
+
+// Menu names carry portion hints like "(2 pcs)" that are never spoken
+function normalizeTerm(term) {
+  return preprocessText(
+    String(term || '').replace(/\([^)]*\)/g, ' ')
+  ).toLowerCase();
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function termRegex(tokens) {
+  const body = tokens.map(escapeRegExp).join('\\s*');
+  const first = tokens[0];
+  const last = tokens[tokens.length - 1];
+  const lead = TAMIL_CHARS.test(first[0])
+    ? '(?<![\\u0B80-\\u0BFF])'
+    : '(?<![a-z0-9])';
+  // Tamil words take suffixes (தோசையும்), English ones plurals (dosas)
+  const tail = TAMIL_CHARS.test(last[last.length - 1])
+    ? ''
+    : /[a-z]$/.test(last)
+      ? '(?:s|es)?(?![a-z0-9])'
+      : '(?![a-z0-9])';
+  return new RegExp(lead + body + tail, 'giu');
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const re = /\S+/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    tokens.push({ text: m[0], start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+}
+
+function isNumberWord(word) {
+  return /^\d+$/.test(word) || TAMIL_NUMBER_MAP.has(word);
+}
+
+/**
+ * Collect the spoken terms of a catalog entry
+ * @param {Object} item - Catalog entry (see utils/menuCatalog)
+ * @returns {Array<Object>} - [{ text, tokens, kind }]
+ */
+function collectTerms(item) {
+  const raw = [
+    [item.name, 'name'],
+    [item.ta, 'name'],
+    [item.shortName, 'short'],
+    [item.taShort, 'short'],
+    ...(item.synonyms?.en || []).map((s) => [s, 'synonym']),
+    ...(item.synonyms?.ta || []).map((s) => [s, 'synonym']),
+  ];
+
+  const terms = [];
+  const seen = new Set();
+  const add = (value, kind) => {
+    const text = normalizeTerm(value);
+    if (!text || seen.has(text)) return;
+    const tokens = text.split(' ');
+    // A bare quantity is never a dish name
+    if (tokens.every(isNumberWord)) return;
+    seen.add(text);
+    terms.push({ text, tokens, kind });
+  };
+  raw.forEach(([value, kind]) => add(value, kind));
+
+  // The head noun of a full name ("dosa" in "Ghee Dosa") lets a bare
+  // "dosa" resolve to the plainest dosa the shop sells.
+  for (const full of [item.name, item.ta]) {
+    const tokens = normalizeTerm(full).split(' ').filter(Boolean);
+    const head = tokens.filter((t) => !isNumberWord(t)).pop();
+    if (head && tokens.length > 1) add(head, 'head');
+  }
+  return terms;
+}
+
+const KIND_RANK = { name: 0, short: 0, synonym: 0, head: 1, fuzzy: 2 };
+
+function compareCandidates(a, b) {
+  return (
+    KIND_RANK[a.kind] - KIND_RANK[b.kind] ||
+    a.item.price - b.item.price ||
+    a.item.name.localeCompare(b.item.name)
+  );
+}
+
+/**
+ * Compile a matcher for a shop's catalog entries
+ * @param {Array<Object>} menuItems - Catalog entries
+ * @returns {Object} - { terms, qualifiers } ready for parseOrderWithFuzzyMap
+ */
+function compileMenuMatcher(menuItems) {
+  // term text -> { text, tokens, regex, candidates: [{ item, kind }] }
+  const byText = new Map();
+  const itemTerms = new Map(); // item -> its terms
+
+  for (const item of menuItems || []) {
+    const terms = collectTerms(item);
+    itemTerms.set(item, terms);
+    for (const term of terms) {
+      let entry = byText.get(term.text);
+      if (!entry) {
+        entry = {
+          text: term.text,
+          tokens: term.tokens,
+          regex: termRegex(term.tokens),
+          candidates: [],
+        };
+        byText.set(term.text, entry);
+      }
+      entry.candidates.push({ item, kind: term.kind });
+    }
+  }
+  for (const entry of byText.values()) {
+    entry.candidates.sort(compareCandidates);
+  }
+
+  // Qualifiers: for every term that ends with another known term, the
+  // leading words qualify that base ("ghee" + "dosa" -> Ghee Dosa). Tags
+  // act as one-word qualifiers for every base of the item.
+  const qualifiers = new Map(); // base term text -> [{ item, words }]
+  const addQualifier = (base, item, words) => {
+    const list = qualifiers.get(base) || [];
+    const key = words.join(' ');
+    if (!list.some((q) => q.item === item && q.words.join(' ') === key)) {
+      list.push({ item, words });
+    }
+    qualifiers.set(base, list);
+  };
+  for (const [item, terms] of itemTerms.entries()) {
+    const tags = (item.tags || []).map(normalizeTerm).filter(Boolean);
+    for (const term of terms) {
+      for (let i = 1; i < term.tokens.length; i++) {
+        const base = term.tokens.slice(i).join(' ');
+        if (!byText.has(base)) continue;
+        addQualifier(base, item, term.tokens.slice(0, i));
+        tags.forEach((tag) => addQualifier(base, item, tag.split(' ')));
+      }
+    }
+  }
+
+  // Longest terms first so "ghee masala dosa" wins over "masala dosa"
+  const byLength = (a, b) =>
+    b.tokens.length - a.tokens.length ||
+    b.text.length - a.text.length ||
+    a.text.localeCompare(b.text);
+  const terms = Array.from(byText.values()).sort(byLength);
+
+  // Variant and modifier words of every item; which dish they belong to is
+  // decided from where they were said (see attachOptions)
+  const optionTerms = new Map();
+  const addOption = (value, ref) => {
+    const text = normalizeTerm(value);
+    if (!text) return;
+    let entry = optionTerms.get(text);
+    if (!entry) {
+      const tokens = text.split(' ');
+      entry = { text, tokens, regex: termRegex(tokens), refs: [] };
+      optionTerms.set(text, entry);
+    }
+    entry.refs.push(ref);
+  };
+  for (const item of menuItems || []) {
+    for (const variant of item.variants || []) {
+      const ref = { item, kind: 'variant', option: variant };
+      [
+        variant.name,
+        variant.ta,
+        ...(variant.synonyms || []),
+        ...(VARIANT_WORDS.get(normalizeTerm(variant.name)) || []),
+      ].forEach((value) => addOption(value, ref));
+    }
+    for (const group of item.modifierGroups || []) {
+      for (const option of group.options) {
+        const ref = { item, kind: 'modifier', option, group };
+        [option.name, option.ta, ...(option.synonyms || [])].forEach((value) =>
+          addOption(value, ref)
+        );
+      }
+    }
+  }
+
+  // One-word dish names; "extra parotta" orders another parotta
+  const dishWords = new Set(
+    terms
+      .filter(
+        (t) =>
+          t.tokens.length === 1 && t.candidates.some((c) => c.kind !== 'head')
+      )
+      .map((t) => t.text)
+  );
+  return {
+    terms,
+    qualifiers,
+    options: Array.from(optionTerms.values()).sort(byLength),
+    dishWords,
+    // Terms by phonetic key: "thosai" is read as the term "dosa"
+    termsByKey: new Map(
+      [...terms].reverse().map((t) => [searchKey(t.text).joined, t])
+    ),
+    search: compileSearchIndex(menuItems),
+  };
+}
+
+/**
+ * Return the compiled matcher for a catalog, compiling it on first use
+ * @param {Object} catalog - Shop catalog from utils/menuCatalog
+ * @returns {Object} - Compiled matcher
+ */
+function getCatalogMatcher(catalog) {
+  if (!catalog.matcher) catalog.matcher = compileMenuMatcher(catalog.list);
+  return catalog.matcher;
+}
+
+function overlaps(ranges, s, e) {
+  return ranges.some((r) => !(e <= r.start || s >= r.end));
+}
+
+/**
+ * Find variant, modifier and note phrases ("half", "extra egg", "onion
+ * illama"). Multi-word dish names win over them, so "half boil" stays a dish.
+ * @param {Array<Object>} reservedRanges - { start, end } spans that are taken
+ * @returns {Array<Object>} - [{ start, end, text, refs } | { start, end, text, note }]
+ */
+function findOptionSpans(text, matcher, reservedRanges = []) {
+  const blocked = [...reservedRanges];
+  for (const term of matcher.terms) {
+    if (term.tokens.length < 2) break;
+    term.regex.lastIndex = 0;
+    let match;
+    while ((match = term.regex.exec(text)) !== null) {
+      blocked.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
 
-// Synonym patterns for alias keys. Aim ~10+ variations across key items.
-function getSynonymPatterns() {
-  return new Map([
-    ['Veg Kothu Parotta', [
-      /(கொத்து|குத்து|கோத்து|கொத்த)\s*பரோட்டா/iu,
-      /kothu\s*parotta/iu,
-      /kothu\s*parota/iu,
-      /kuthu\s*parotta/iu,
-      /kothu\s*barotta/iu,
-      /kothu\s*porotta/iu
-    ]],
-    ['Egg Kothu Parotta', [
-      /முட்டை\s*(கொத்து|குத்து|கோத்து|கொத்த)\s*(பரோட்டா)?/iu,
-      /((ஏ|எ)க்|எக|ஏக்க)\s*(கொத்து|குத்து|கோத்து|கொத்த)\s*(பரோட்டா)?/iu,
-      /அண்ட(ு)?\s*(கொத்து|குத்து|கோத்து|கொத்த)\s*(பரோட்டா)?/iu,
-      /egg\s*(kothu|kuthu|koththu)\s*(parotta|parota|porotta|barotta)?/iu
-    ]],
-    ['Chicken Kothu Parotta', [
-      /சிக்கன்\s*(கொத்து|குத்து|கோத்து|கொத்த)\s*(பரோட்டா)?/iu,
-      /chicken\s*(kothu|kuthu|koththu)\s*(parotta|parota|porotta|barotta)?/iu
-    ]],
-
-    ['Set Dosa (1 pcs)', [
-      /செட்\s*தோசை/iu,
-      /set\s*dosa/iu,
-      /set\s*dosai/iu
-    ]],
-    ['Ghee Dosa', [
-      /நெய்\s*தோசை/iu,
-      /ghee\s*dosa/iu
-    ]],
-    ['Masala Dosa', [
-      /மசா(ல|ல்)ா\s*தோசை/iu,
-      /masala\s*dosa/iu,
-      /m\s*dosa/iu
-    ]],
-    ['Egg Dosa', [
-      /முட்டை\s*தோசை/iu,
-      /egg\s*dosa/iu,
-      /((ஏ|எ)க்).{0,12}தோசை/iu
-    ]],
-    ['Plain Dosa', [
-      /தோசை/iu,
-      /\bdosa\b/iu,
-      /\bdosai\b/iu
-    ]],
-
-    ['Parotta (2 pcs)', [
-      /ப(ு|)ரோட்டா/iu,
-      /\bparotta\b/iu,
-      /\bparota\b/iu,
-      /\bbarotta\b/iu,
-      /\bporotta\b/iu
-    ]],
-
-    // Egg Parotta (non-kothu)
-    ['Egg Parotta', [
-      /(முட்டை|((ஏ|எ)க்+)|ஏக்க|அண்டு)\s*(உடன்|ஓடு|ஒடு|தோடு|த்தோடு|கூட)?\s*(பரோட்டா)/iu,
-      /(egg)\s*(with)?\s*(parotta|parota|porotta|barotta)/iu,
-      /(parotta|parota|porotta|barotta)\s*(with)?\s*(egg)/iu
-    ]],
-
-    ['Kalakki', [
-      /கலக்கி/iu,
-      /kalakki/iu
-    ]],
-    ['Omelette', [
-      /ஆம்லெட்/iu,
-      /omelette?/iu,
-      /omlette/iu,
-      /omlet/iu
-    ]],
-    ['Idly (4 pcs)', [
-      /இட்லி/iu,
-      /\bidli\b/iu,
-      /\bidly\b/iu,
-      /\bitly\b/iu
-    ]],
-
-    ['Chicken Biryani', [
-      /சிக்கன்\s*பிரியாணி/iu,
-      /chicken\s*biryani/iu
-    ]],
-
-    // Beverages & others
-    ['Tea', [
-      /டீ/iu,
-      /tea/iu
-    ]],
-    ['Curd Rice', [
-      /தயிர்\s*(சாதம்|சோறு|சா)?/iu,
-      /curd\s*rice/iu
-    ]]
-  ]);
+  const spans = [];
+  const free = (s, e) => !overlaps(blocked, s, e) && !overlaps(spans, s, e);
+  for (const term of matcher.options || []) {
+    term.regex.lastIndex = 0;
+    let match;
+    while ((match = term.regex.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (free(start, end)) {
+        spans.push({ start, end, text: match[0], refs: term.refs });
+      }
+    }
+  }
+
+  const tokens = tokenize(text);
+  const isNoteWord = (tok) =>
+    tok &&
+    !isNumberWord(tok.text) &&
+    !LINE_SEPARATORS.has(tok.text) &&
+    !NOTE_PREFIXES.has(tok.text) &&
+    !NOTE_SUFFIXES.has(tok.text) &&
+    !matcher.dishWords?.has(tok.text);
+  const addNote = (first, last, note) => {
+    if (free(first.start, last.end)) {
+      spans.push({
+        start: first.start,
+        end: last.end,
+        text: text.slice(first.start, last.end),
+        note,
+      });
+    }
+  };
+  tokens.forEach((tok, i) => {
+    const prefix = NOTE_PREFIXES.get(tok.text);
+    if (prefix && isNoteWord(tokens[i + 1])) {
+      addNote(tok, tokens[i + 1], `${prefix} ${tokens[i + 1].text}`);
+    }
+    const suffix = NOTE_SUFFIXES.get(tok.text);
+    if (suffix && isNoteWord(tokens[i - 1])) {
+      addNote(tokens[i - 1], tok, `${suffix} ${tokens[i - 1].text}`);
+    }
+  });
+  return spans.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Give each variant/modifier/note phrase to the dish it was said with: the
+ * nearest one in the same order line, preferring the dish after a variant
+ * ("half biryani") and the dish before a modifier ("biryani extra egg").
+ * Sets `options` on the matches; phrases that fit no dish are left out.
+ * @param {Array<Object>} matches - From findMenuMatches, in text order
+ * @param {Array<Object>} spans - From findOptionSpans
+ */
+function attachOptions(text, matches, spans) {
+  const tokens = tokenize(text);
+  const wordsBetween = (s, e) =>
+    tokens.filter((tok) => tok.start >= s && tok.end <= e);
+  const reachable = (s, e) => {
+    const words = wordsBetween(s, e);
+    return (
+      words.length <= OPTION_WINDOW_TOKENS &&
+      !words.some((tok) => LINE_SEPARATORS.has(tok.text))
+    );
+  };
+
+  for (const match of matches) match.options = [];
+  for (const span of spans) {
+    const before = matches.filter((m) => m.end <= span.start).pop();
+    const after = matches.find((m) => m.start >= span.end);
+    const candidates = [];
+    if (before && reachable(before.end, span.start)) {
+      candidates.push({
+        match: before,
+        gap: wordsBetween(before.end, span.start).length,
+        side: 'before',
+      });
+    }
+    if (after && reachable(span.end, after.start)) {
+      candidates.push({
+        match: after,
+        gap: wordsBetween(span.end, after.start).length,
+        side: 'after',
+      });
+    }
+
+    const fitting = (match) =>
+      (span.refs || []).find((ref) => ref.item === match.item);
+    const isVariant = span.refs?.every((ref) => ref.kind === 'variant');
+    const preferred = isVariant ? 'after' : 'before';
+    candidates.sort(
+      (a, b) =>
+        Boolean(fitting(b.match)) - Boolean(fitting(a.match)) ||
+        a.gap - b.gap ||
+        (a.side === preferred ? -1 : 1)
+    );
+
+    const [best] = candidates;
+    if (!best) continue;
+    const ref = fitting(best.match);
+    if (ref) {
+      best.match.options.push({ ...span, ref });
+    } else if (!isVariant) {
+      // A modifier of another dish, or a plain preference: keep the words
+      best.match.options.push({ ...span, note: span.note || span.text });
+    }
+  }
 }
 
-function detectQuantityNear(text, matchStartIndex, usedRanges) {
+// Variant, modifiers and note of a line from the phrases attached to it
+function selectionOf(item, options) {
+  const variant = options.filter((o) => o.ref?.kind === 'variant').pop();
+  const modifierIds = options
+    .filter((o) => o.ref?.kind === 'modifier')
+    .map((o) => o.ref.option.id);
+  const notes = options.filter((o) => o.note).map((o) => o.note);
+  const choice = {
+    variantId: variant?.ref.option.id,
+    modifierIds,
+    note: notes.length ? notes.join(', ') : undefined,
+  };
+  try {
+    return { ...resolveSelection(item, choice, { strict: false }), ok: true };
+  } catch {
+    // More options than a group allows: keep the line, drop the modifiers
+    return {
+      ...resolveSelection(
+        item,
+        { ...choice, modifierIds: [] },
+        { strict: false }
+      ),
+      ok: false,
+    };
+  }
+}
+
+// Whether a voice line still misses a modifier its item requires
+const missesRequired = (item, selection) =>
+  (item.modifierGroups || []).some(
+    (group) =>
+      (group.minSelect || 0) >
+      (selection.modifiers || []).filter((m) => m.group === group.id).length
+  );
+
+function detectQuantityNear(text, matchStart, matchEnd, usedRanges) {
   const MAX_BEFORE = 14;
   const MAX_AFTER = 10;
-  const windowStart = Math.max(0, matchStartIndex - MAX_BEFORE);
-  const windowEnd = Math.min(text.length, matchStartIndex + MAX_AFTER);
-  const beforeTextFull = text.slice(windowStart, matchStartIndex);
-  const afterTextFull = text.slice(matchStartIndex, windowEnd);
+  const beforeTextFull = text.slice(
+    Math.max(0, matchStart - MAX_BEFORE),
+    matchStart
+  );
+  const afterTextFull = text.slice(
+    matchEnd,
+    Math.min(text.length, matchEnd + MAX_AFTER)
+  );
 
-  const tamilNumberWords = Array.from(TAMIL_NUMBER_MAP.keys()).sort((a, b) => b.length - a.length);
+  const tamilNumberWords = Array.from(TAMIL_NUMBER_MAP.keys()).sort(
+    (a, b) => b.length - a.length
+  );
+  // English-letter words must be whole words ("ettu", not "kettu")
+  const wordStart = (word) => (/^[a-z]/.test(word) ? '(?<![a-z])' : '');
+  const wordEnd = (word) => (/[a-z]$/.test(word) ? '(?![a-z])' : '');
 
-  const isUnused = (s, e) => !usedRanges.some(r => !(e <= r.start || s >= r.end));
+  const isUnused = (s, e) => !overlaps(usedRanges, s, e);
 
   // 1) Numbers before the item, adjacent-ish
   const beforeNum = beforeTextFull.match(/(\d+)\s*$/);
   if (beforeNum) {
-    const numStart = matchStartIndex - beforeNum[0].length;
-    const numEnd = matchStartIndex;
+    const numStart = matchStart - beforeNum[0].length;
     const parsed = parseInt(beforeNum[1], 10);
-    if (!Number.isNaN(parsed) && parsed > 0 && isUnused(numStart, numEnd)) {
-      return { quantity: parsed, start: numStart, end: numEnd };
+    if (parsed > 0 && isUnused(numStart, matchStart)) {
+      return {
+        quantity: parsed,
+        start: numStart,
+        end: matchStart,
+        source: 'digit',
+      };
     }
   }
 
   // 2) Tamil words before the item
   for (const word of tamilNumberWords) {
-    const re = new RegExp(word + '\\s*$', 'iu');
-    const m = beforeTextFull.match(re);
+    const m = beforeTextFull.match(
+      new RegExp(wordStart(word) + word + '\\s*$', 'iu')
+    );
     if (m) {
-      const numStart = matchStartIndex - m[0].length;
-      const numEnd = matchStartIndex;
-      if (isUnused(numStart, numEnd)) {
-        return { quantity: TAMIL_NUMBER_MAP.get(word), start: numStart, end: numEnd };
+      const numStart = matchStart - m[0].length;
+      if (isUnused(numStart, matchStart)) {
+        return {
+          quantity: TAMIL_NUMBER_MAP.get(word),
+          start: numStart,
+          end: matchStart,
+          source: 'tamil-word',
+        };
       }
     }
   }
 
   // 3) Numbers after the item (very close)
-  const afterNum = afterTextFull.match(/^\s*(\d+)/);
+  const afterNum = afterTextFull.match(/^\s*(\d+)(?!\s*(gms?|grams?|kg|ml))/i);
   if (afterNum) {
-    const numStart = matchStartIndex + afterTextFull.indexOf(afterNum[1]);
+    const numStart = matchEnd + afterTextFull.indexOf(afterNum[1]);
     const numEnd = numStart + afterNum[1].length;
     const parsed = parseInt(afterNum[1], 10);
-    if (!Number.isNaN(parsed) && parsed > 0 && isUnused(numStart, numEnd)) {
-      return { quantity: parsed, start: numStart, end: numEnd };
+    if (parsed > 0 && isUnused(numStart, numEnd)) {
+      return {
+        quantity: parsed,
+        start: numStart,
+        end: numEnd,
+        source: 'digit',
+      };
     }
   }
 
   // 4) Tamil words after the item
   for (const word of tamilNumberWords) {
-    const re = new RegExp('^\\s*' + word, 'iu');
-    const m = afterTextFull.match(re);
+    const m = afterTextFull.match(
+      new RegExp('^\\s*' + word + wordEnd(word), 'iu')
+    );
     if (m) {
-      const s = matchStartIndex + afterTextFull.indexOf(m[0]);
-      const e = s + m[0].length;
+      const s = matchEnd + m[0].length - word.length;
+      const e = matchEnd + m[0].length;
       if (isUnused(s, e)) {
-        return { quantity: TAMIL_NUMBER_MAP.get(word), start: s, end: e };
+        return {
+          quantity: TAMIL_NUMBER_MAP.get(word),
+          start: s,
+          end: e,
+          source: 'tamil-word',
+        };
       }
     }
   }
 
-  return { quantity: 1, start: -1, end: -1 };
+  return { quantity: 1, start: -1, end: -1, source: 'default' };
+}
+
+// Pick the qualified variant of a base match from the words spoken just
+// before it ("nei 2 dosa" -> Ghee Dosa). Returns null when none applies.
+function resolveQualifier(matcher, base, tokens, matchStart, usedRanges) {
+  const options = matcher.qualifiers.get(base);
+  if (!options) return null;
+
+  const window = [];
+  let i = tokens.findIndex((t) => t.start >= matchStart) - 1;
+  for (; i >= 0 && window.length < QUALIFIER_WINDOW_TOKENS; i--) {
+    const tok = tokens[i];
+    if (overlaps(usedRanges, tok.start, tok.end)) break;
+    if (LINE_SEPARATORS.has(tok.text)) break;
+    if (isNumberWord(tok.text)) continue;
+    window.push(tok);
+  }
+  if (!window.length) return null;
+
+  const scored = [];
+  for (const option of options) {
+    const hits = window.filter((tok) => option.words.includes(tok.text));
+    if (!hits.length) continue;
+    scored.push({
+      option,
+      hits,
+      overlap: hits.length,
+      missing: option.words.length - hits.length,
+    });
+  }
+  if (!scored.length) return null;
+
+  scored.sort(
+    (a, b) =>
+      b.overlap - a.overlap ||
+      a.missing - b.missing ||
+      a.option.item.price - b.option.item.price
+  );
+  const [best] = scored;
+  // Other items that fit the spoken qualifiers just as well
+  best.ties = scored
+    .filter(
+      (s) =>
+        s.option.item !== best.option.item &&
+        s.overlap === best.overlap &&
+        s.missing === best.missing
+    )
+    .map((s) => s.option.item);
+  return best;
 }
 
-function buildMenuResolver(menuItems) {
-  const contains = (s, re) => re.test(s);
-  const english = (s) => (s || '').toLowerCase();
-  const tamil = (s) => (s || '').toLowerCase();
-
-  const by = (predicate) => menuItems.find(predicate);
-  const has = (item, re) => contains(english(item.name), re) || contains(tamil(item.tamilName || ''), re);
-
-  return function resolve(aliasKey) {
-    const keyLower = (aliasKey || '').toLowerCase();
-    // Prefer exact canonical name match if present
-    const exact = menuItems.find(mi => (mi.name || '').toLowerCase() === keyLower);
-    if (exact) return exact;
-    switch (aliasKey) {
-      case 'Egg Parotta':
-        return by(item => has(item, /egg/i) && has(item, /parotta|parota|porotta|barotta/i));
-      case 'Veg Kothu Parotta':
-        return by(item => has(item, /kothu\s*parotta/i) && !has(item, /egg|chicken/i));
-      case 'Egg Kothu Parotta':
-        return by(item => has(item, /egg/i) && has(item, /kothu\s*parotta/i));
-      case 'Chicken Kothu Parotta':
-        return by(item => has(item, /chicken/i) && has(item, /kothu\s*parotta/i));
-      case 'Set Dosa (1 pcs)':
-        return by(item => has(item, /set\s*dosa/i));
-      case 'Ghee Dosa':
-        return by(item => has(item, /ghee\s*dosa/i) || has(item, /நெய்\s*தோசை/i));
-      case 'Masala Dosa':
-        return by(item => has(item, /masala\s*dosa/i) || has(item, /மசாலா\s*தோசை/i));
-      case 'Egg Dosa':
-        return by(item => has(item, /egg\s*dosa/i) || has(item, /முட்டை\s*தோசை/i));
-      case 'Plain Dosa':
-        return by(item => has(item, /\bdosa\b/i) && !has(item, /masala|ghee|onion|egg|uthappam|set|kal/i) && !has(item, /மசாலா|நெய்|வெங்காய|முட்டை|செட்/i));
-      case 'Parotta (2 pcs)':
-        return by(item => has(item, /parotta|parota/i) && !has(item, /kothu|egg|chicken/i));
-      case 'Kalakki':
-        return by(item => has(item, /kalakki/i) || has(item, /கலகி/i));
-      case 'Omelette':
-        return by(item => has(item, /omelet/i) || has(item, /ஆம்லெட்/i));
-      case 'Idly (4 pcs)':
-        return by(item => has(item, /idli|idly/i) || has(item, /இட்லி/i));
-      case 'Chicken Biryani':
-        return by(item => has(item, /chicken/i) && has(item, /biryani|பிரியாணி/i));
-      case 'Tea':
-        return by(item => has(item, /\btea\b/i) || has(item, /டீ/i));
-      case 'Curd Rice':
-        return by(item => has(item, /curd\s*rice/i) || has(item, /தயிர்\s*(சாதம்|சோறு)/i));
-      default:
-        return undefined;
+/**
+ * Find the dish spans in preprocessed text. Multi-word terms are claimed
+ * longest first; single words are then claimed right to left so a base dish
+ * can take the qualifier spoken before it ("chicken dosa") before that
+ * qualifier is read as a dish of its own.
+ * @param {Array<Object>} reservedRanges - { start, end } spans that are not dishes
+ * @returns {Array<Object>} - [{ item, matchedBy, alternatives, start, baseStart, end, ranges }] in text order
+ */
+function findMenuMatches(text, matcher, reservedRanges = []) {
+  const tokens = tokenize(text);
+  const usedRanges = [...reservedRanges];
+  const matches = [];
+
+  const claim = (term, start, end, fuzzy = false) => {
+    if (overlaps(usedRanges, start, end)) return;
+    const [first] = term.candidates;
+    let item = first.item;
+    let matchedBy = fuzzy ? 'fuzzy' : first.kind;
+    // Items sharing the exact term; for a bare head noun every sibling dish
+    let alternatives = term.candidates
+      .filter(
+        (c) =>
+          c.item !== item &&
+          (first.kind === 'head' || KIND_RANK[c.kind] === KIND_RANK[first.kind])
+      )
+      .map((c) => c.item);
+    let lineStart = start;
+    const ranges = [{ start, end }];
+    const qualified = resolveQualifier(
+      matcher,
+      term.text,
+      tokens,
+      start,
+      usedRanges
+    );
+    if (qualified) {
+      item = qualified.option.item;
+      if (!fuzzy) {
+        matchedBy = qualified.missing ? 'partial-qualifier' : 'qualifier';
+      }
+      alternatives = qualified.ties.concat(
+        qualified.missing && first.item !== item ? [first.item] : []
+      );
+      qualified.hits.forEach((tok) => {
+        ranges.push({ start: tok.start, end: tok.end });
+        lineStart = Math.min(lineStart, tok.start);
+      });
     }
+    usedRanges.push(...ranges);
+    matches.push({
+      item,
+      matchedBy,
+      alternatives: alternatives.slice(0, MAX_ALTERNATIVES),
+      start: lineStart,
+      baseStart: start,
+      end,
+      ranges,
+    });
   };
-}
 
-function preprocessText(input) {
-  return (input || '')
-    .normalize('NFC')
-    .replace(/[\u200B-\u200D\uFEFF]/g, '') // zero-width chars
-    .replace(/[.,;:!?()\[\]{}"'`~@#%^*&_=+<>/\\|-]+/g, ' ') // punctuation to space
-    .replace(/\s+/g, ' ') // collapse spaces
-    .trim();
+  const singles = [];
+  for (const term of matcher.terms) {
+    term.regex.lastIndex = 0;
+    let match;
+    while ((match = term.regex.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (term.tokens.length > 1) claim(term, start, end);
+      else singles.push({ term, start, end });
+    }
+  }
+  singles
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .forEach(({ term, start, end }) => claim(term, start, end));
+
+  claimFuzzy(tokens, matcher, usedRanges, claim);
+
+  return matches.sort((a, b) => a.start - b.start);
 }
 
-function parseOrderWithFuzzyMap(voiceInputText, menuItems) {
-  if (!voiceInputText || typeof voiceInputText !== 'string') return [];
-  const text = preprocessText(voiceInputText);
-  if (!text) return [];
-
-  const patternsMap = getSynonymPatterns();
-  const resolve = buildMenuResolver(menuItems);
-
-  const orderMap = new Map();
-  const usedRanges = [];
-
-  for (const [aliasKey, patternList] of patternsMap.entries()) {
-    for (const pat of patternList) {
-      const regex = pat.global ? pat : new RegExp(pat.source, pat.flags + 'g');
-      let match;
-      while ((match = regex.exec(text)) !== null) {
-        const skipQualifiers = QUALIFIER_SKIP[aliasKey];
-        if (skipQualifiers && Array.isArray(skipQualifiers)) {
-          const windowStart = Math.max(0, match.index - 28);
-          const windowText = text.slice(windowStart, match.index);
-          const shouldSkip = skipQualifiers.some(re => re.test(windowText));
-          if (shouldSkip) continue;
-        }
+// Dishes among the words left over, spelt differently from the menu
+// ("barotta", "thosai"). Runs of unclaimed words are tried longest window
+// first, so "kothu barotta" is read as one dish. A window that sounds like a
+// menu term is claimed as that term; otherwise the best search results
+// become the candidates.
+function claimFuzzy(tokens, matcher, usedRanges, claim) {
+  const runs = [[]];
+  for (const tok of tokens) {
+    const free =
+      !LINE_SEPARATORS.has(tok.text) &&
+      !isNumberWord(tok.text) &&
+      !overlaps(usedRanges, tok.start, tok.end);
+    if (free) runs[runs.length - 1].push(tok);
+    else if (runs[runs.length - 1].length) runs.push([]);
+  }
 
-        const { quantity, start, end } = detectQuantityNear(text, match.index, usedRanges);
-        if (start >= 0 && end > start) usedRanges.push({ start, end });
-        orderMap.set(aliasKey, (orderMap.get(aliasKey) || 0) + quantity);
+  for (const run of runs) {
+    let i = 0;
+    while (i < run.length) {
+      let size = Math.min(FUZZY_WINDOW_TOKENS, run.length - i);
+      for (; size > 0; size--) {
+        const words = run.slice(i, i + size);
+        const start = words[0].start;
+        const end = words[words.length - 1].end;
+        if (overlaps(usedRanges, start, end)) continue;
+        const phrase = words.map((t) => t.text).join(' ');
+        const key = searchKey(phrase).joined;
+        if (key.length < FUZZY_MIN_KEY_LENGTH) continue;
+        const term = matcher.termsByKey.get(key);
+        if (term) {
+          claim(term, start, end, true);
+          break;
+        }
+        const [best, ...rest] = searchMenu(matcher.search, phrase, {
+          prefix: false,
+          minScore: FUZZY_MIN_SCORE,
+          limit: MAX_ALTERNATIVES + 1,
+        });
+        if (best) {
+          const close = rest.filter(
+            (r) => r.score >= best.score - FUZZY_TIE_MARGIN
+          );
+          const candidates = [best, ...close].map((r) => ({
+            item: r.item,
+            kind: 'fuzzy',
+          }));
+          claim({ text: phrase, candidates }, start, end, true);
+          break;
+        }
       }
+      i += Math.max(size, 1);
     }
   }
+}
+
+// How sure the parser is about a line, from how the dish was matched
+function scoreLine(match, quantitySource) {
+  let confidence = MATCH_CONFIDENCE[match.matchedBy];
+  if (match.alternatives.length) confidence *= 0.75;
+  if (quantitySource === 'default') confidence -= 0.05;
+  return Math.round(Math.max(0, Math.min(1, confidence)) * 100) / 100;
+}
+
+const toItemRef = (item) => ({
+  menuItem: item.menuItemId,
+  itemName: item.name,
+  unitPrice: item.price,
+});
 
-  const items = [];
-  for (const [aliasKey, quantity] of orderMap.entries()) {
-    const menuItem = resolve(aliasKey);
-    if (!menuItem) continue;
-    const unitPrice = menuItem.price;
-    const totalPrice = unitPrice * quantity;
-    items.push({
-      itemName: menuItem.name,
-      quantity,
-      unitPrice,
-      totalPrice
+/**
+ * Parse a spoken order into one line per recognised mention, with the
+ * evidence behind each line so doubtful ones can be reviewed
+ * @param {string} voiceInputText - Raw speech-to-text
+ * @param {Object} catalogOrMatcher - Shop catalog or a compiled matcher
+ * @param {Object} options - { reservedRanges, isServed }: spans of `text`
+ *   already read as something else (e.g. "10 percent discount", see
+ *   utils/voiceAdjustments); isServed(item) tells whether an item is served
+ *   at this time of day (see utils/serviceTime)
+ * @returns {Object} - { text, lines, unmatchedWords }; spans index into `text`
+ */
+function analyzeOrder(voiceInputText, catalogOrMatcher, options = {}) {
+  const empty = { text: '', lines: [], unmatchedWords: [] };
+  if (!voiceInputText || typeof voiceInputText !== 'string') return empty;
+  const text = preprocessText(voiceInputText).toLowerCase();
+  if (!text || !catalogOrMatcher) return { ...empty, text };
+
+  const matcher = catalogOrMatcher.terms
+    ? catalogOrMatcher
+    : getCatalogMatcher(catalogOrMatcher);
+  const reservedRanges = options.reservedRanges || [];
+  const optionSpans = findOptionSpans(text, matcher, reservedRanges);
+  const matches = findMenuMatches(
+    text,
+    matcher,
+    reservedRanges.concat(optionSpans)
+  );
+  const { isServed } = options;
+  if (isServed) {
+    // An item outside its service time gives way to an alternative that is
+    // served now ("dosa" at dinner when only some dosas are served then)
+    for (const match of matches) {
+      if (isServed(match.item)) continue;
+      const served = match.alternatives.find(isServed);
+      if (!served) continue;
+      match.alternatives = [match.item].concat(
+        match.alternatives.filter((alt) => alt !== served)
+      );
+      match.item = served;
+    }
+  }
+  attachOptions(text, matches, optionSpans);
+
+  // Quantities are read left to right once every dish span is known
+  const usedRanges = reservedRanges.concat(
+    matches.flatMap((m) => m.ranges.concat(m.options))
+  );
+  const lines = [];
+  for (const match of matches) {
+    const { item, start, baseStart, end } = match;
+    let q = detectQuantityNear(text, start, end, usedRanges);
+    if (q.start < 0 && baseStart > start) {
+      // "nei 2 dosa": the number sits between qualifier and dish
+      q = detectQuantityNear(text, baseStart, end, usedRanges);
+    }
+    const lineStart = Math.min(start, ...match.options.map((o) => o.start));
+    const lineEnd = Math.max(end, ...match.options.map((o) => o.end));
+    if (q.start < 0 && (lineStart < start || lineEnd > end)) {
+      // "rendu half biryani": the number sits before the variant word
+      q = detectQuantityNear(text, lineStart, lineEnd, usedRanges);
+    }
+    if (q.start >= 0 && q.end > q.start) {
+      usedRanges.push({ start: q.start, end: q.end });
+    }
+    const selection = selectionOf(item, match.options);
+    let confidence = scoreLine(match, q.source);
+    if (!selection.ok || missesRequired(item, selection)) {
+      confidence = Math.min(confidence, 0.7);
+    }
+    lines.push({
+      ...toItemRef(item),
+      unitPrice: selection.unitPrice,
+      variant: selection.variant,
+      modifiers: selection.modifiers,
+      note: selection.note,
+      quantity: q.quantity,
+      totalPrice: selection.unitPrice * q.quantity,
+      confidence,
+      matchedBy: match.matchedBy,
+      span: {
+        start: lineStart,
+        end: lineEnd,
+        text: text.slice(lineStart, lineEnd),
+      },
+      quantitySource: q.source,
+      alternatives: match.alternatives.map(toItemRef),
+      ...(isServed && !isServed(item) && { outsideServiceTime: true }),
     });
   }
 
-  return items;
+  const unmatchedWords = tokenize(text)
+    .filter(
+      (tok) =>
+        !LINE_SEPARATORS.has(tok.text) &&
+        !overlaps(usedRanges, tok.start, tok.end)
+    )
+    .map((tok) => ({ word: tok.text, start: tok.start, end: tok.end }));
+
+  return { text, lines, unmatchedWords };
 }
 
-module.exports = {
-  parseOrderWithFuzzyMap
-};
+/**
+ * Merge analysed lines into bill items, one per menu item and choice of
+ * variant, modifiers and note
+ * @param {Array<Object>} lines - Lines from analyzeOrder
+ * @returns {Array<Object>} - Bill lines { menuItem, itemName, quantity,
+ *   unitPrice, totalPrice, variant?, modifiers?, note? }
+ */
+function aggregateOrderLines(lines) {
+  const byItem = new Map();
+  for (const line of lines) {
+    const key = selectionKey(line);
+    const existing = byItem.get(key);
+    if (existing) {
+      existing.quantity += line.quantity;
+      existing.totalPrice = existing.unitPrice * existing.quantity;
+    } else {
+      byItem.set(key, {
+        menuItem: line.menuItem,
+        itemName: line.itemName,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        totalPrice: line.unitPrice * line.quantity,
+        variant: line.variant,
+        modifiers: line.modifiers,
+        note: line.note,
+      });
+    }
+  }
+  return Array.from(byItem.values());
+}
 
+/**
+ * Parse a spoken order against a shop catalog
+ * @param {string} voiceInputText - Raw speech-to-text
+ * @param {Object} catalogOrMatcher - Shop catalog or a compiled matcher
+ * @returns {Array<Object>} - Bill lines { menuItem, itemName, quantity, unitPrice, totalPrice }
+ */
+function parseOrderWithFuzzyMap(voiceInputText, catalogOrMatcher) {
+  return aggregateOrderLines(
+    analyzeOrder(voiceInputText, catalogOrMatcher).lines
+  );
+}
 
+module.exports = {
+  TAMIL_NUMBER_MAP,
+  preprocessText,
+  normalizeTerm,
+  compileMenuMatcher,
+  getCatalogMatcher,
+  detectQuantityNear,
+  analyzeOrder,
+  aggregateOrderLines,
+  parseOrderWithFuzzyMap,
+};
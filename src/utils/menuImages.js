@@ -0,0 +1,132 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { UPLOAD_DIR } = require('../config/upload');
+
+// Menu item photos
+//
+// Uploads are saved by multer under uploads/menu, then opened with sharp to
+// make sure they really are JPEG, PNG or WebP images. Each gets a square
+// WebP thumbnail next to it. Items store the public URLs of both; the files
+// are removed with the image or its item.
+
+const MENU_IMAGE_DIR = 'menu';
+const MAX_MENU_IMAGES = 5;
+const MAX_IMAGE_SIZE = parseInt(process.env.MAX_IMAGE_SIZE) || 5 * 1024 * 1024; // 5MB
+const THUMBNAIL_SIZE = 320;
+// Refuse images that would take too much memory to decode
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp'];
+
+class MenuImageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MenuImageError';
+    this.status = status;
+  }
+}
+
+const imageDir = () => path.join(UPLOAD_DIR, MENU_IMAGE_DIR);
+const publicUrl = (fileName) => `/uploads/${MENU_IMAGE_DIR}/${fileName}`;
+// Only the file name of a stored URL is trusted
+const fileOfUrl = (url) => path.join(imageDir(), path.basename(String(url)));
+
+const removeFile = async (file) => {
+  try {
+    await fs.unlink(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('⚠️  Could not remove menu image:', error.message);
+    }
+  }
+};
+
+/**
+ * Check an uploaded image and make its thumbnail. The upload is removed
+ * when it is not a usable image.
+ * @param {Object} file - Multer file saved on disk
+ * @returns {Promise<Object>} - { url, thumbnailUrl, contentType, width,
+ *   height, size } for MenuItem.images
+ * @throws {MenuImageError}
+ */
+const processMenuImage = async (file) => {
+  const { name } = path.parse(file.filename);
+  const thumbnailName = `${name}-thumb.webp`;
+  const thumbnailPath = path.join(path.dirname(file.path), thumbnailName);
+  const open = () => sharp(file.path, { limitInputPixels: MAX_IMAGE_PIXELS });
+
+  try {
+    let meta;
+    try {
+      meta = await open().metadata();
+    } catch (error) {
+      throw new MenuImageError('The file is not a readable image');
+    }
+    if (!IMAGE_FORMATS.includes(meta.format)) {
+      throw new MenuImageError('Only JPEG, PNG and WebP images are allowed');
+    }
+    if (meta.width * meta.height > MAX_IMAGE_PIXELS) {
+      throw new MenuImageError('The image has too many pixels');
+    }
+    await open()
+      .rotate() // follow the camera's EXIF orientation
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+      .webp({ quality: 80 })
+      .toFile(thumbnailPath);
+
+    // Orientations 5-8 are rotated by 90 degrees
+    const turned = meta.orientation >= 5;
+    return {
+      url: publicUrl(file.filename),
+      thumbnailUrl: publicUrl(thumbnailName),
+      contentType: `image/${meta.format}`,
+      width: turned ? meta.height : meta.width,
+      height: turned ? meta.width : meta.height,
+      size: file.size,
+    };
+  } catch (error) {
+    await Promise.all([removeFile(file.path), removeFile(thumbnailPath)]);
+    if (error.name === 'MenuImageError') throw error;
+    throw new MenuImageError(`Could not process the image: ${error.message}`);
+  }
+};
+
+/**
+ * Delete the files of menu images
+ * @param {Array<Object>} images - MenuItem.images entries
+ * @returns {Promise<void>}
+ */
+const removeImageFiles = async (images = []) => {
+  await Promise.all(
+    images.flatMap((image) =>
+      [image.url, image.thumbnailUrl]
+        .filter(Boolean)
+        .map((url) => removeFile(fileOfUrl(url)))
+    )
+  );
+};
+
+/**
+ * Delete an upload that was not kept (e.g. its item does not exist)
+ * @param {Object} [file] - Multer file
+ * @returns {Promise<void>}
+ */
+const discardUpload = async (file) => {
+  if (file?.path) await removeFile(file.path);
+};
+
+module.exports = {
+  MENU_IMAGE_DIR,
+  MAX_MENU_IMAGES,
+  MAX_IMAGE_SIZE,
+  THUMBNAIL_SIZE,
+  IMAGE_MIME_TYPES,
+  IMAGE_EXTENSIONS,
+  MenuImageError,
+  processMenuImage,
+  removeImageFiles,
+  discardUpload,
+};
@@ -0,0 +1,148 @@
+// Item variants (half/full, 250 gms) and modifiers (extra egg, less spicy)
+//
+// A MenuItem may list variants, each with its own price, and modifier groups
+// whose options add a price delta. Bill, draft and table order lines carry
+// the chosen { variant, modifiers, note } next to the item; unitPrice is the
+// variant price plus the option deltas.
+
+class MenuOptionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MenuOptionError';
+    this.status = status;
+  }
+}
+
+const NOTE_MAX_LENGTH = 140;
+
+/**
+ * Variant a line gets when none was chosen: the one marked default, else the
+ * first
+ * @param {Object} entry - Catalog entry (see utils/menuCatalog)
+ * @returns {Object|undefined}
+ */
+const defaultVariant = (entry) =>
+  entry.variants?.find((v) => v.isDefault) || entry.variants?.[0];
+
+const normalizeNote = (note) => {
+  if (note === undefined || note === null) return undefined;
+  if (typeof note !== 'string') {
+    throw new MenuOptionError('note must be a string');
+  }
+  const text = note.trim();
+  if (text.length > NOTE_MAX_LENGTH) {
+    throw new MenuOptionError(
+      `note must be at most ${NOTE_MAX_LENGTH} characters`
+    );
+  }
+  return text || undefined;
+};
+
+/**
+ * Price a variant/modifier choice for a catalog entry
+ * @param {Object} entry - Catalog entry (see utils/menuCatalog)
+ * @param {Object} [choice] - { variantId?, modifierIds?, note? }
+ * @param {Object} [options] - { strict }: when false (voice orders) a group's
+ *   minimum is not enforced; the cashier reviews the line instead
+ * @returns {Object} - { unitPrice, variant?, modifiers?, note? } to spread
+ *   into a line
+ * @throws {MenuOptionError}
+ */
+const resolveSelection = (entry, choice = {}, { strict = true } = {}) => {
+  const { variantId, modifierIds, note } = choice;
+  let variant = defaultVariant(entry);
+  if (variantId !== undefined && variantId !== null && variantId !== '') {
+    variant = entry.variants?.find((v) => v.id === String(variantId));
+    if (!variant) {
+      throw new MenuOptionError(`${entry.name} has no variant ${variantId}`);
+    }
+  }
+
+  const ids = modifierIds === undefined ? [] : modifierIds;
+  if (!Array.isArray(ids)) {
+    throw new MenuOptionError('modifierIds must be an array');
+  }
+  const modifiers = [];
+  const chosen = new Map(); // group id -> count
+  for (const id of new Set(ids.map(String))) {
+    const group = entry.modifierGroups?.find((g) =>
+      g.options.some((o) => o.id === id)
+    );
+    if (!group) {
+      throw new MenuOptionError(`${entry.name} has no modifier ${id}`);
+    }
+    const option = group.options.find((o) => o.id === id);
+    chosen.set(group.id, (chosen.get(group.id) || 0) + 1);
+    modifiers.push({
+      group: group.id,
+      groupName: group.name,
+      option: option.id,
+      name: option.name,
+      priceDelta: option.priceDelta || 0,
+    });
+  }
+  for (const group of entry.modifierGroups || []) {
+    const count = chosen.get(group.id) || 0;
+    if (group.maxSelect && count > group.maxSelect) {
+      throw new MenuOptionError(
+        `Choose at most ${group.maxSelect} of ${group.name}`
+      );
+    }
+    if (strict && count < (group.minSelect || 0)) {
+      throw new MenuOptionError(
+        `Choose at least ${group.minSelect} of ${group.name} for ${entry.name}`
+      );
+    }
+  }
+
+  const unitPrice = Math.max(
+    0,
+    (variant ? variant.price : entry.price) +
+      modifiers.reduce((s, m) => s + m.priceDelta, 0)
+  );
+  const selection = { unitPrice };
+  if (variant) selection.variant = { variant: variant.id, name: variant.name };
+  if (modifiers.length) selection.modifiers = modifiers;
+  const text = normalizeNote(note);
+  if (text) selection.note = text;
+  return selection;
+};
+
+/**
+ * Key that tells lines of the same item apart by variant, modifiers and note
+ * @param {Object} line - Bill/draft/order line
+ * @returns {string}
+ */
+const selectionKey = (line) =>
+  [
+    String(line.menuItem),
+    line.variant?.variant ? String(line.variant.variant) : '',
+    (line.modifiers || [])
+      .map((m) => String(m.option || m.name))
+      .sort()
+      .join('+'),
+    line.note || '',
+  ].join('|');
+
+/**
+ * Name of a line as printed on receipts and KOTs: "Biryani (Half) + Extra egg"
+ * @param {Object} line - Bill/draft/order line
+ * @param {string} [name] - Item name to start from; defaults to line.itemName
+ * @returns {string}
+ */
+const lineLabel = (line, name = line.itemName) => {
+  let label = name;
+  if (line.variant?.name) label += ` (${line.variant.name})`;
+  if (line.modifiers?.length) {
+    label += ` + ${line.modifiers.map((m) => m.name).join(', ')}`;
+  }
+  return label;
+};
+
+module.exports = {
+  MenuOptionError,
+  defaultVariant,
+  resolveSelection,
+  selectionKey,
+  lineLabel,
+};
@@ -0,0 +1,292 @@
+// Spelling-tolerant menu search
+//
+// Cashiers and customers spell dishes many ways: "parotta", "barotta",
+// "porotta", "பரோட்டா". Every name, synonym and tag is reduced to a phonetic
+// key: Tamil script is transliterated to Latin letters, then sounds that
+// Tamil does not tell apart are folded together (b/p, d/t, g/k, ch/s, th/t,
+// long and short vowels, doubled letters). Keys are compared with an edit
+// distance, so typos still score. Used by GET /api/menu/search and by the
+// voice parser for words its exact matcher did not recognise.
+
+const TAMIL_VOWELS = {
+  அ: 'a',
+  ஆ: 'a',
+  இ: 'i',
+  ஈ: 'i',
+  உ: 'u',
+  ஊ: 'u',
+  எ: 'e',
+  ஏ: 'e',
+  ஐ: 'ai',
+  ஒ: 'o',
+  ஓ: 'o',
+  ஔ: 'au',
+};
+const TAMIL_VOWEL_SIGNS = {
+  'ா': 'a',
+  'ி': 'i',
+  'ீ': 'i',
+  'ு': 'u',
+  'ூ': 'u',
+  'ெ': 'e',
+  'ே': 'e',
+  'ை': 'ai',
+  'ொ': 'o',
+  'ோ': 'o',
+  'ௌ': 'au',
+};
+const TAMIL_CONSONANTS = {
+  க: 'k',
+  ங: 'n',
+  ச: 's',
+  ஞ: 'n',
+  ட: 't',
+  ண: 'n',
+  த: 't',
+  ந: 'n',
+  ப: 'p',
+  ம: 'm',
+  ய: 'y',
+  ர: 'r',
+  ல: 'l',
+  வ: 'v',
+  ழ: 'l',
+  ள: 'l',
+  ற: 'r',
+  ன: 'n',
+  ஜ: 'j',
+  ஷ: 's',
+  ஸ: 's',
+  ஹ: 'h',
+};
+const VIRAMA = '்';
+
+// Applied in order to each word
+const PHONETIC_RULES = [
+  [/zh/g, 'l'],
+  [/[sc]h/g, 's'],
+  [/ck/g, 'k'],
+  [/c(?=[eiy])/g, 's'],
+  [/c/g, 'k'],
+  [/[td]h/g, 't'],
+  [/[pb]h|f/g, 'p'],
+  [/[gk]h|q/g, 'k'],
+  [/x/g, 'ks'],
+  [/z/g, 's'],
+  [/w/g, 'v'],
+  [/b/g, 'p'],
+  [/d/g, 't'],
+  [/g/g, 'k'],
+  [/j/g, 's'],
+  [/ee|ea$/g, 'i'],
+  [/oo|ou/g, 'u'],
+  [/y/g, 'i'],
+  [/(.)\1+/g, '$1'],
+  // dosai/dosa, vadai/vada
+  [/ai$/, 'a'],
+];
+
+const FIELD_WEIGHT = { name: 1, synonym: 0.95, tag: 0.7 };
+const FIELD_RANK = { name: 0, synonym: 1, tag: 2 };
+// Below this length a word must match exactly; "tea" is not a typo of "ten"
+const MIN_FUZZY_LENGTH = 3;
+
+/**
+ * Write Tamil script in Latin letters, leaving other text as it is
+ * @param {string} text
+ * @returns {string} - e.g. "பரோட்டா" -> "parotta"
+ */
+const transliterateTamil = (text) => {
+  let out = '';
+  const chars = [...String(text || '').normalize('NFC')];
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    const consonant = TAMIL_CONSONANTS[ch];
+    if (consonant !== undefined) {
+      const next = chars[i + 1];
+      out += consonant;
+      if (next === VIRAMA) {
+        i++;
+      } else if (TAMIL_VOWEL_SIGNS[next] !== undefined) {
+        out += TAMIL_VOWEL_SIGNS[next];
+        i++;
+      } else {
+        out += 'a';
+      }
+    } else if (TAMIL_VOWELS[ch] !== undefined) {
+      out += TAMIL_VOWELS[ch];
+    } else if (ch !== 'ஃ' && TAMIL_VOWEL_SIGNS[ch] === undefined) {
+      out += ch;
+    }
+  }
+  return out;
+};
+
+// Lower-case Latin words: no portion hints like "(2 pcs)", no punctuation
+const toWords = (text) =>
+  transliterateTamil(String(text || '').replace(/\([^)]*\)/g, ' '))
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // accents: café -> cafe
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+/**
+ * Phonetic key of one Latin word
+ * @param {string} word - Lower-case word
+ * @returns {string} - e.g. "barotta" and "parotta" -> "parota"
+ */
+const phoneticWord = (word) =>
+  /^\d+$/.test(word)
+    ? word
+    : PHONETIC_RULES.reduce((w, [re, to]) => w.replace(re, to), word);
+
+/**
+ * Prepare a name, synonym or query for comparison
+ * @param {string} text - Any mix of English, Tanglish and Tamil
+ * @returns {Object} - { words, keys, joined, raw }: Latin words, their
+ *   phonetic keys, the keys without spaces and the words without spaces
+ */
+const searchKey = (text) => {
+  const words = toWords(text);
+  const keys = words.map(phoneticWord);
+  return { words, keys, joined: keys.join(''), raw: words.join('') };
+};
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        prev[j] + 1,
+        row[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// 0..1, 1 for equal strings
+const similarity = (a, b) => {
+  if (a === b) return a ? 1 : 0;
+  if (Math.min(a.length, b.length) < MIN_FUZZY_LENGTH) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// A query typed so far ("paro") scores against the start of a longer word
+const prefixSimilarity = (query, target) =>
+  query.length >= MIN_FUZZY_LENGTH && target.startsWith(query)
+    ? 0.8 + (0.2 * query.length) / target.length
+    : 0;
+
+const wordSimilarity = (q, t, prefix) =>
+  Math.max(similarity(q, t), prefix ? prefixSimilarity(q, t) : 0);
+
+// Query words against the words of a term: every query word should find
+// itself in the term; terms with fewer unmatched words rank higher
+const wordsScore = (qKeys, tKeys, prefix) => {
+  const matched = new Set();
+  let total = 0;
+  for (const q of qKeys) {
+    let best = 0;
+    let at = -1;
+    tKeys.forEach((t, i) => {
+      const s = wordSimilarity(q, t, prefix);
+      if (s > best) [best, at] = [s, i];
+    });
+    total += best;
+    if (best >= 0.75) matched.add(at);
+  }
+  return (total / qKeys.length) * (0.8 + (0.2 * matched.size) / tKeys.length);
+};
+
+const termScore = (query, term, prefix) => {
+  const phonetic = Math.max(
+    similarity(query.joined, term.joined),
+    prefix ? prefixSimilarity(query.joined, term.joined) : 0,
+    wordsScore(query.keys, term.keys, prefix)
+  );
+  // The exact spelling breaks ties between phonetic equals
+  return 0.9 * phonetic + 0.1 * similarity(query.raw, term.raw);
+};
+
+/**
+ * Searchable terms of catalog entries (see utils/menuCatalog)
+ * @param {Array<Object>} items - Catalog entries
+ * @returns {Object} - Index for searchMenu
+ */
+const compileSearchIndex = (items) => ({
+  entries: (items || []).map((item) => {
+    const seen = new Set();
+    const terms = [];
+    const add = (text, field) => {
+      const key = searchKey(text);
+      if (!key.joined || seen.has(`${field}:${key.joined}`)) return;
+      seen.add(`${field}:${key.joined}`);
+      terms.push({ text, field, ...key });
+    };
+    [item.name, item.shortName, item.ta, item.taShort].forEach((t) =>
+      add(t, 'name')
+    );
+    [...(item.synonyms?.en || []), ...(item.synonyms?.ta || [])].forEach((t) =>
+      add(t, 'synonym')
+    );
+    (item.tags || []).forEach((t) => add(t, 'tag'));
+    return { item, terms };
+  }),
+});
+
+/**
+ * Rank menu items for a query
+ * @param {Object} index - From compileSearchIndex
+ * @param {string} query - What was typed or said
+ * @param {Object} [options] - { limit = 10, minScore = 0.55, prefix = true };
+ *   prefix lets a partly typed word match ("paro" -> Parotta)
+ * @returns {Array<Object>} - [{ item, score, field, term }], best first;
+ *   term is the name, synonym or tag that matched
+ */
+const searchMenu = (index, query, options = {}) => {
+  const { limit = 10, minScore = 0.55, prefix = true } = options;
+  const q = searchKey(query);
+  if (!q.joined) return [];
+
+  const results = [];
+  for (const { item, terms } of index.entries) {
+    let best = null;
+    for (const term of terms) {
+      const score = FIELD_WEIGHT[term.field] * termScore(q, term, prefix);
+      if (!best || score > best.score) best = { score, term };
+    }
+    if (best && best.score >= minScore) {
+      results.push({
+        item,
+        score: Math.round(best.score * 1000) / 1000,
+        field: best.term.field,
+        term: best.term.text,
+      });
+    }
+  }
+  return results
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        FIELD_RANK[a.field] - FIELD_RANK[b.field] ||
+        String(a.item.name).length - String(b.item.name).length ||
+        String(a.item.name).localeCompare(String(b.item.name))
+    )
+    .slice(0, limit);
+};
+
+module.exports = {
+  transliterateTamil,
+  phoneticWord,
+  searchKey,
+  compileSearchIndex,
+  searchMenu,
+};
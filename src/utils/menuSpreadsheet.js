@@ -0,0 +1,208 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+// Menu import/export as CSV or Excel
+//
+// One row per menu item. Lists (categories, synonyms, tags, foodTimes) are
+// comma-separated in one cell. Variants, modifier groups and combo
+// components are not part of the sheet; they are kept as they are on import
+// and edited through the JSON API.
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Column key -> header written on export; headers are matched loosely on
+// import (case, spaces and underscores ignored), aliases included
+const MENU_COLUMNS = [
+  {
+    key: 'name',
+    header: 'Name',
+    aliases: ['english name', 'item', 'item name'],
+  },
+  { key: 'shortName', header: 'Short Name' },
+  { key: 'tamilName', header: 'Tamil Name', aliases: ['name ta', 'tamil'] },
+  { key: 'tamilShortName', header: 'Tamil Short Name' },
+  { key: 'price', header: 'Price', aliases: ['rate', 'mrp'] },
+  { key: 'unit', header: 'Unit' },
+  { key: 'categories', header: 'Categories', aliases: ['category'] },
+  { key: 'foodTimes', header: 'Food Times', aliases: ['served at'] },
+  { key: 'enSynonyms', header: 'English Synonyms', aliases: ['synonyms'] },
+  { key: 'taSynonyms', header: 'Tamil Synonyms' },
+  { key: 'tags', header: 'Tags' },
+  { key: 'isAvailable', header: 'Available', aliases: ['is available'] },
+  { key: 'taxRate', header: 'GST Rate', aliases: ['tax rate', 'gst'] },
+  { key: 'hsnCode', header: 'HSN Code', aliases: ['hsn', 'sac'] },
+  { key: 'description', header: 'Description' },
+];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    contentType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+};
+
+class MenuSheetError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MenuSheetError';
+    this.status = status;
+  }
+}
+
+const headerKey = (text) =>
+  String(text || '')
+    .replace(/^\ufeff/, '')
+    .toLowerCase()
+    .replace(/[\s_-]+/g, ' ')
+    .trim();
+
+const COLUMN_BY_HEADER = new Map(
+  MENU_COLUMNS.flatMap((col) =>
+    [
+      col.key.replace(/([A-Z])/g, ' $1'),
+      col.header,
+      ...(col.aliases || []),
+    ].map((h) => [headerKey(h), col.key])
+  )
+);
+
+/**
+ * Spreadsheet format of an upload, from its file name or MIME type
+ * @param {Object} file - Multer file
+ * @returns {string|null} - 'csv', 'xlsx' or null
+ */
+const formatOf = (file) => {
+  const name = String(file?.originalname || '').toLowerCase();
+  if (name.endsWith('.csv') || file?.mimetype === 'text/csv') return 'csv';
+  if (name.endsWith('.xlsx') || file?.mimetype === FORMATS.xlsx.contentType) {
+    return 'xlsx';
+  }
+  return null;
+};
+
+const loadWorkbook = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    if (format === 'csv') {
+      // Keep every cell as text: HSN codes and prices are read as written
+      await workbook.csv.read(Readable.from(buffer), {
+        map: (value) => value,
+      });
+    } else {
+      await workbook.xlsx.load(buffer);
+    }
+  } catch (error) {
+    throw new MenuSheetError(`Could not read the ${format} file`);
+  }
+  return workbook;
+};
+
+/**
+ * Read the menu rows of an uploaded sheet (the first worksheet)
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Promise<Array<Object>>} - [{ row, values }], row being the
+ *   spreadsheet row number and values the non-empty cells by column key
+ * @throws {MenuSheetError} - Unreadable file, no Name/Price columns, or too
+ *   many rows
+ */
+const readMenuSheet = async (buffer, format) => {
+  const workbook = await loadWorkbook(buffer, format);
+  const sheet = workbook.worksheets[0];
+  if (!sheet || sheet.rowCount < 2) {
+    throw new MenuSheetError('The file has no menu rows');
+  }
+
+  const columns = new Map(); // column number -> key
+  sheet.getRow(1).eachCell((cell, col) => {
+    const key = COLUMN_BY_HEADER.get(headerKey(cell.text));
+    if (key) columns.set(col, key);
+  });
+  const keys = new Set(columns.values());
+  if (!keys.has('name') || !keys.has('price')) {
+    throw new MenuSheetError('The first row must have Name and Price headers');
+  }
+
+  const rows = [];
+  sheet.eachRow((row, number) => {
+    if (number === 1) return;
+    const values = {};
+    row.eachCell((cell, col) => {
+      const key = columns.get(col);
+      const text = String(cell.text ?? '').trim();
+      if (key && text) values[key] = text;
+    });
+    if (Object.keys(values).length) rows.push({ row: number, values });
+  });
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new MenuSheetError(`Import at most ${MAX_IMPORT_ROWS} rows at once`);
+  }
+  return rows;
+};
+
+const cellValue = (item, key) => {
+  switch (key) {
+    case 'name':
+      return item.names?.en?.full;
+    case 'shortName':
+      return item.names?.en?.short;
+    case 'tamilName':
+      return item.names?.ta?.full;
+    case 'tamilShortName':
+      return item.names?.ta?.short;
+    case 'enSynonyms':
+      return (item.synonyms?.en || []).join(', ');
+    case 'taSynonyms':
+      return (item.synonyms?.ta || []).join(', ');
+    case 'categories':
+    case 'foodTimes':
+    case 'tags':
+      return (item[key] || []).join(', ');
+    case 'isAvailable':
+      return item.isAvailable === false ? 'no' : 'yes';
+    default:
+      return item[key];
+  }
+};
+
+/**
+ * Write menu items as a sheet that readMenuSheet reads back
+ * @param {Array<Object>} items - MenuItems (lean)
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Promise<Buffer>}
+ */
+const writeMenuSheet = async (items, format) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Menu');
+  sheet.columns = MENU_COLUMNS.map(({ key, header }) => ({
+    key,
+    header,
+    width: Math.max(12, header.length + 2),
+  }));
+  for (const item of items) {
+    sheet.addRow(
+      Object.fromEntries(
+        MENU_COLUMNS.map(({ key }) => [key, cellValue(item, key) ?? ''])
+      )
+    );
+  }
+  if (format === 'csv') {
+    // The BOM makes Excel open the file as UTF-8, so Tamil names survive
+    const csv = await workbook.csv.writeBuffer();
+    return Buffer.concat([Buffer.from('\ufeff'), Buffer.from(csv)]);
+  }
+  sheet.getRow(1).font = { bold: true };
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  MENU_COLUMNS,
+  FORMATS,
+  MenuSheetError,
+  formatOf,
+  readMenuSheet,
+  writeMenuSheet,
+};
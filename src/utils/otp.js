@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+const OtpThrottle = require('../models/OtpThrottle');
+const { sendSms } = require('./sms');
+
+// One-time codes by SMS, for logging in and resetting a forgotten password
+//
+// A code is 6 digits, lasts OTP_TTL_MINUTES and takes OTP_MAX_ATTEMPTS
+// guesses. Asking again replaces the previous code. A number gets at most
+// one code a minute and OTP_MAX_PER_HOUR an hour, whatever the purpose; a
+// send is claimed against both limits in one update of the number's
+// OtpThrottle.
+
+const OTP_PURPOSES = ['login', 'password-reset'];
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 5;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = 60;
+const OTP_MAX_PER_HOUR = 5;
+const HOUR_MS = 60 * 60 * 1000;
+
+class OtpError extends Error {
+  constructor(message, status = 400, retryAfter) {
+    super(message);
+    this.name = 'OtpError';
+    this.status = status;
+    // Seconds until another code may be asked for (429 only)
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Keyed with JWT_SECRET, so a copied database does not reveal open codes
+const hashCode = (phone, purpose, code) => {
+  if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET is not set');
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${phone}:${purpose}:${code}`)
+    .digest('hex');
+};
+
+const SMS_TEXT = {
+  login: (code) =>
+    `${code} is your login code. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`,
+  'password-reset': (code) =>
+    `${code} is your password reset code. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`,
+};
+
+/**
+ * How long a code lasts and when another may be asked for, as told to the
+ * client
+ * @returns {Object} - { expiresIn, resendAfter } in seconds
+ */
+const otpTimings = () => ({
+  expiresIn: OTP_TTL_MINUTES * 60,
+  resendAfter: OTP_RESEND_SECONDS,
+});
+
+// Why a number may not get a code now, from its OtpThrottle
+const limitError = async (phone, now) => {
+  const throttle = await OtpThrottle.findById(phone).lean();
+  const wait = Math.ceil(((throttle?.resendAt?.getTime() ?? now) - now) / 1000);
+  if (wait > 0) {
+    return new OtpError(
+      `Wait ${wait} seconds before asking for another code`,
+      429,
+      wait
+    );
+  }
+  const oldest = throttle?.sentAt?.[0]?.getTime() ?? now;
+  return new OtpError(
+    'Too many codes were sent to this number; try again later',
+    429,
+    Math.max(1, Math.ceil((oldest + HOUR_MS - now) / 1000))
+  );
+};
+
+// Count a send against the number's limits. The filter holds the limits, so
+// of parallel requests only one finds the document; the others fail to
+// insert a second one for the number (E11000) and are refused.
+const claimSend = async (phone, now) => {
+  try {
+    await OtpThrottle.findOneAndUpdate(
+      {
+        _id: phone,
+        resendAt: { $lte: new Date(now) },
+        // Fewer than OTP_MAX_PER_HOUR sends kept, or the oldest is over an
+        // hour old
+        $or: [
+          { [`sentAt.${OTP_MAX_PER_HOUR - 1}`]: { $exists: false } },
+          { 'sentAt.0': { $lte: new Date(now - HOUR_MS) } },
+        ],
+      },
+      {
+        $set: { resendAt: new Date(now + OTP_RESEND_SECONDS * 1000) },
+        $push: {
+          sentAt: { $each: [new Date(now)], $slice: -OTP_MAX_PER_HOUR },
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    throw await limitError(phone, now);
+  }
+};
+
+// Give back a claimed send whose SMS did not go out
+const releaseSend = (phone, now) =>
+  OtpThrottle.updateOne(
+    { _id: phone },
+    {
+      $pull: { sentAt: new Date(now) },
+      $set: { resendAt: new Date(now) },
+    }
+  );
+
+/**
+ * Send a new code to a phone number
+ * @param {string} phone - 10 digits
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {Object} [req] - Request, for the client's IP
+ * @returns {Promise<Object>} - otpTimings()
+ * @throws {OtpError} - 429 when the number asked too often
+ * @throws {SmsError} - When the SMS could not be sent
+ */
+const issueOtp = async (phone, purpose, req) => {
+  const now = Date.now();
+  await claimSend(phone, now);
+
+  await OtpCode.updateMany(
+    { phone, purpose, consumedAt: null },
+    { $set: { consumedAt: new Date(now) } }
+  );
+  const code = String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(
+    OTP_LENGTH,
+    '0'
+  );
+  const otp = await OtpCode.create({
+    phone,
+    purpose,
+    codeHash: hashCode(phone, purpose, code),
+    expiresAt: new Date(now + OTP_TTL_MINUTES * 60 * 1000),
+    ip: req?.ip,
+  });
+  try {
+    await sendSms(phone, SMS_TEXT[purpose](code));
+  } catch (error) {
+    // Not sent, so it does not count against the number's limits
+    await Promise.all([
+      OtpCode.deleteOne({ _id: otp._id }),
+      releaseSend(phone, now),
+    ]);
+    throw error;
+  }
+  return otpTimings();
+};
+
+/**
+ * Check a code and use it up
+ * @param {string} phone - 10 digits
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {*} code - As typed
+ * @returns {Promise<void>}
+ * @throws {OtpError} - 401 when wrong, expired, used or out of attempts
+ */
+const verifyOtp = async (phone, purpose, code) => {
+  const invalid = () =>
+    new OtpError('The code is wrong or has expired; ask for a new one', 401);
+  const typed = String(code ?? '').trim();
+  if (!new RegExp(`^\\d{${OTP_LENGTH}}$`).test(typed)) throw invalid();
+
+  // Counting the guess first means parallel guesses cannot pass the limit
+  const otp = await OtpCode.findOneAndUpdate(
+    {
+      phone,
+      purpose,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: OTP_MAX_ATTEMPTS },
+    },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 }, new: true }
+  ).lean();
+  if (!otp) throw invalid();
+
+  const expected = Buffer.from(otp.codeHash);
+  const given = Buffer.from(hashCode(phone, purpose, typed));
+  if (!crypto.timingSafeEqual(expected, given)) {
+    const left = OTP_MAX_ATTEMPTS - otp.attempts;
+    if (left <= 0) throw invalid();
+    throw new OtpError(
+      `The code is wrong; ${left} ${left === 1 ? 'attempt' : 'attempts'} left`,
+      401
+    );
+  }
+
+  const used = await OtpCode.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+  if (!used) throw invalid();
+};
+
+module.exports = {
+  OTP_PURPOSES,
+  OtpError,
+  otpTimings,
+  issueOtp,
+  verifyOtp,
+};
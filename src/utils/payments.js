@@ -0,0 +1,134 @@
+const { round2 } = require('./billCalculator');
+
+// How a bill can be paid. "credit" is a sale on the customer's account
+// (khata): it settles the bill but brings no money into the drawer.
+const PAYMENT_MODES = ['cash', 'card', 'upi', 'credit'];
+const PAYMENT_STATUSES = ['unpaid', 'partial', 'paid'];
+
+class PaymentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PaymentError';
+    this.status = status;
+  }
+}
+
+const sumAmounts = (payments, key = 'amount') =>
+  round2(payments.reduce((s, p) => s + (Number(p[key]) || 0), 0));
+
+const optionalText = (value, maxLength) =>
+  value === undefined || value === null || String(value).trim() === ''
+    ? undefined
+    : String(value).trim().slice(0, maxLength);
+
+/**
+ * Validate tenders sent by a client
+ * @param {Object|Array} input - One tender { mode, amount, reference?, note? }
+ *   or a list of them (split tender)
+ * @returns {Array} - [{ mode, amount, reference?, note? }]
+ * @throws {PaymentError}
+ */
+const normalizePayments = (input) => {
+  if (input === undefined || input === null) return [];
+  const list = Array.isArray(input) ? input : [input];
+  return list.map((tender, i) => {
+    const field = `payments[${i}]`;
+    if (!tender || typeof tender !== 'object') {
+      throw new PaymentError(`${field} must be { mode, amount }`);
+    }
+    const mode = String(tender.mode || '').toLowerCase();
+    if (!PAYMENT_MODES.includes(mode)) {
+      throw new PaymentError(
+        `${field}.mode must be one of ${PAYMENT_MODES.join(', ')}`
+      );
+    }
+    const amount = Number(tender.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new PaymentError(`${field}.amount must be a positive number`);
+    }
+    const payment = { mode, amount: round2(amount) };
+    const reference = optionalText(tender.reference, 64);
+    const note = optionalText(tender.note, 200);
+    if (reference) payment.reference = reference;
+    if (note) payment.note = note;
+    return payment;
+  });
+};
+
+/**
+ * Payment status for an amount paid against a bill total
+ * @param {number} total - Bill total
+ * @param {number} amountPaid - Sum of recorded payments
+ * @returns {string} - 'unpaid' | 'partial' | 'paid'
+ */
+const paymentStatusOf = (total, amountPaid) => {
+  if (amountPaid >= total) return 'paid';
+  return amountPaid > 0 ? 'partial' : 'unpaid';
+};
+
+/**
+ * Apply new tenders to what is still owed on a bill. Card, UPI and credit
+ * cannot exceed the balance; cash beyond it is handed back as change.
+ * @param {number} total - Bill total
+ * @param {Array} existing - Payments already recorded on the bill
+ * @param {Array} tenders - From normalizePayments
+ * @param {Date} [at] - When the tenders were received
+ * @returns {Object} - { payments (the new ones, cash with tendered/change),
+ *   amountPaid, balanceDue, changeDue, paymentStatus }
+ * @throws {PaymentError}
+ */
+const settlePayments = (
+  total,
+  existing = [],
+  tenders = [],
+  at = new Date()
+) => {
+  const balance = round2(total - sumAmounts(existing));
+  if (tenders.length && balance <= 0) {
+    throw new PaymentError('Bill is already fully paid', 409);
+  }
+  const nonCash = sumAmounts(tenders.filter((t) => t.mode !== 'cash'));
+  if (nonCash > balance) {
+    throw new PaymentError(
+      `Card, UPI and credit payments cannot exceed the balance due (${balance.toFixed(2)})`
+    );
+  }
+
+  // Change comes out of the last cash tenders
+  let change = round2(Math.max(0, sumAmounts(tenders) - balance));
+  const payments = tenders.map((t) => ({ ...t, receivedAt: at }));
+  for (let i = payments.length - 1; i >= 0 && change > 0; i--) {
+    const payment = payments[i];
+    if (payment.mode !== 'cash') continue;
+    const back = Math.min(change, payment.amount);
+    payment.tendered = payment.amount;
+    payment.change = round2(back);
+    payment.amount = round2(payment.amount - back);
+    change = round2(change - back);
+  }
+  const applied = payments.filter((p) => p.amount > 0);
+  if (applied.length < payments.length) {
+    throw new PaymentError(
+      'A cash tender is not needed: the other payments already cover the bill'
+    );
+  }
+
+  const all = [...existing, ...payments];
+  const amountPaid = sumAmounts(all);
+  return {
+    payments,
+    amountPaid,
+    balanceDue: round2(Math.max(0, total - amountPaid)),
+    changeDue: sumAmounts(all, 'change'),
+    paymentStatus: paymentStatusOf(total, amountPaid),
+  };
+};
+
+module.exports = {
+  PAYMENT_MODES,
+  PAYMENT_STATUSES,
+  PaymentError,
+  normalizePayments,
+  paymentStatusOf,
+  settlePayments,
+};
@@ -0,0 +1,120 @@
+// Staff roles and what each may do
+//
+// The shop's own login is the owner and may do everything. Owners add staff
+// (models/Staff) with a role whose permissions apply unless the staff member
+// has their own list. Routes name the permission they need with
+// requirePermission (middleware/auth).
+
+const PERMISSIONS = [
+  'bills:create', // voice, manual and draft bills; closing a table
+  'bills:read', // bills, receipts and credit notes
+  'bills:pay', // record payments and show UPI codes
+  'bills:split', // split and merge unpaid bills
+  'bills:void',
+  'bills:refund',
+  'reports:read',
+  'menu:read',
+  'menu:availability', // mark items sold out or back
+  'menu:write', // everything else about menu items but their prices
+  'menu:price',
+  'coupons:read',
+  'coupons:write',
+  'tables:read',
+  'tables:order', // add items to a table's order
+  'tables:write', // create and rename tables
+  'kots:read',
+  'kots:update',
+  'staff:manage',
+  'shop:settings',
+];
+
+// Roles a staff member can have; 'owner' is the shop's own login only
+const STAFF_ROLES = ['manager', 'cashier', 'waiter', 'kitchen'];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  manager: PERMISSIONS.filter(
+    (p) => !['staff:manage', 'shop:settings'].includes(p)
+  ),
+  cashier: [
+    'bills:create',
+    'bills:read',
+    'bills:pay',
+    'bills:split',
+    'menu:read',
+    'menu:availability',
+    'coupons:read',
+    'tables:read',
+    'tables:order',
+    'kots:read',
+  ],
+  waiter: ['menu:read', 'tables:read', 'tables:order', 'kots:read'],
+  kitchen: ['menu:read', 'menu:availability', 'kots:read', 'kots:update'],
+};
+
+class PermissionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PermissionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Permissions of a role, or of a staff member with their own list
+ * @param {string} role - 'owner' or one of STAFF_ROLES
+ * @param {Array<string>} [custom] - Staff.permissions
+ * @returns {Array<string>}
+ */
+const permissionsFor = (role, custom) =>
+  Array.isArray(custom) ? custom : ROLE_PERMISSIONS[role] || [];
+
+/**
+ * The first of the permissions the signed-in user lacks
+ * @param {Object} user - req.user
+ * @param {Array<string>} needed
+ * @returns {string|null}
+ */
+const missingPermission = (user, needed) =>
+  needed.find((p) => !user?.permissions?.includes(p)) || null;
+
+/**
+ * Check a permission list sent by a client
+ * @param {*} input
+ * @returns {Array<string>} - Without duplicates
+ * @throws {PermissionError} - When not an array of known permissions
+ */
+const normalizePermissions = (input) => {
+  if (!Array.isArray(input)) {
+    throw new PermissionError('permissions must be an array');
+  }
+  const unknown = input.filter((p) => !PERMISSIONS.includes(p));
+  if (unknown.length) {
+    throw new PermissionError(
+      `Unknown permissions: ${unknown.join(', ')} (known: ${PERMISSIONS.join(', ')})`
+    );
+  }
+  return [...new Set(input)];
+};
+
+/**
+ * Who did something, as stored on bills (Bill.createdBy)
+ * @param {Object} user - req.user
+ * @returns {Object} - { staff?, name, role }
+ */
+const actorOf = (user) => ({
+  staff: user.staffId || undefined,
+  name: user.name,
+  role: user.role,
+});
+
+module.exports = {
+  PERMISSIONS,
+  STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  PermissionError,
+  permissionsFor,
+  missingPermission,
+  normalizePermissions,
+  actorOf,
+};
@@ -0,0 +1,462 @@
+const mongoose = require('mongoose');
+const Bill = require('../models/Bill');
+const MenuItem = require('../models/MenuItem');
+const PriceChange = require('../models/PriceChange');
+const { round2 } = require('./billCalculator');
+
+// Menu price history
+//
+// Every change to an item's price, or to a variant's price, is kept as a
+// PriceChange with its effective date and who made it. Changes made through
+// the menu API take effect at once. Scheduled changes wait until their
+// effectiveAt: the shop's billing catalog applies due changes before it is
+// built (utils/menuCatalog), and a timer started with the server applies
+// them for every shop.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_IMPACT_DAYS = 90;
+const SCHEDULER_INTERVAL_MS =
+  parseInt(process.env.PRICE_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+class PriceChangeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PriceChangeError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validate who made a change; optional on menu edits
+ * @param {*} value - performedBy from the request
+ * @param {boolean} [required]
+ * @returns {string|undefined}
+ * @throws {PriceChangeError}
+ */
+const normalizeChangedBy = (value, required = false) => {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw new PriceChangeError('performedBy is required');
+    return undefined;
+  }
+  const by = typeof value === 'string' ? value.trim() : '';
+  if (!by) throw new PriceChangeError('performedBy must be a name or id');
+  if (by.length > 64) {
+    throw new PriceChangeError('performedBy must be at most 64 characters');
+  }
+  return by;
+};
+
+const variantRef = (v) => ({ variant: v._id, name: v.name });
+
+/**
+ * Prices that differ between two versions of a menu item
+ * @param {Object|null} before - MenuItem before the change; null for a new item
+ * @param {Object} after - MenuItem after the change
+ * @returns {Array<Object>} - [{ variant?, oldPrice?, newPrice }]; variants
+ *   are matched by _id, new ones have no oldPrice
+ */
+const priceChangesBetween = (before, after) => {
+  const changes = [];
+  if (before?.price !== after.price) {
+    changes.push({ oldPrice: before?.price, newPrice: after.price });
+  }
+  const previous = new Map(
+    (before?.variants || []).map((v) => [String(v._id), v])
+  );
+  for (const v of after.variants || []) {
+    const old = previous.get(String(v._id));
+    if (old?.price !== v.price) {
+      changes.push({
+        variant: variantRef(v),
+        oldPrice: old?.price,
+        newPrice: v.price,
+      });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Record the price changes of menu edits (already saved)
+ * @param {Array<Object>} edits - [{ before, after }]: each MenuItem before
+ *   the edit (null when created) and after it
+ * @param {Object} meta - { changedBy?, source }
+ * @returns {Promise<Array<Object>>} - PriceChanges written
+ */
+const recordPriceChanges = async (edits, { changedBy, source }) => {
+  const now = new Date();
+  const docs = edits.flatMap(({ before, after }) =>
+    priceChangesBetween(before, after).map((change) => ({
+      ...change,
+      shopId: after.shopId,
+      menuItem: after._id,
+      itemName: after.names?.en?.full,
+      effectiveAt: now,
+      appliedAt: now,
+      status: 'applied',
+      source,
+      changedBy,
+    }))
+  );
+  return docs.length ? PriceChange.insertMany(docs) : [];
+};
+
+/**
+ * Check and save a future price change for a menu item
+ * @param {Object} item - MenuItem (lean)
+ * @param {Object} body - { price, effectiveAt, variantId?, performedBy }
+ * @returns {Promise<Object>} - The scheduled PriceChange
+ * @throws {PriceChangeError}
+ */
+const schedulePriceChange = async (item, body = {}) => {
+  const newPrice = Number(body.price);
+  if (body.price === null || body.price === '' || !(newPrice >= 0)) {
+    throw new PriceChangeError('price must be a non-negative number');
+  }
+  const effectiveAt = new Date(body.effectiveAt);
+  if (!body.effectiveAt || Number.isNaN(effectiveAt.getTime())) {
+    throw new PriceChangeError('effectiveAt must be a date and time');
+  }
+  if (effectiveAt <= new Date()) {
+    throw new PriceChangeError(
+      'effectiveAt must be in the future; change the price now with PATCH /api/menu/:id'
+    );
+  }
+  const changedBy = normalizeChangedBy(body.performedBy, true);
+
+  let variant;
+  if (body.variantId) {
+    const v = (item.variants || []).find(
+      (x) => String(x._id) === String(body.variantId)
+    );
+    if (!v) {
+      throw new PriceChangeError('variantId is not a variant of this item');
+    }
+    variant = variantRef(v);
+  } else if (item.variants?.length) {
+    throw new PriceChangeError(
+      'This item is priced by its variants; give the variantId to change'
+    );
+  }
+
+  const clash = await PriceChange.exists({
+    menuItem: item._id,
+    'variant.variant': variant ? variant.variant : { $exists: false },
+    status: 'scheduled',
+    effectiveAt,
+  });
+  if (clash) {
+    throw new PriceChangeError(
+      'A price change is already scheduled for that time',
+      409
+    );
+  }
+
+  return PriceChange.create({
+    shopId: item.shopId,
+    menuItem: item._id,
+    itemName: item.names?.en?.full,
+    variant,
+    newPrice,
+    effectiveAt,
+    status: 'scheduled',
+    source: 'schedule',
+    changedBy,
+  });
+};
+
+/**
+ * Cancel scheduled changes, e.g. when their item is deleted
+ * @param {Object} filter - PriceChange filter, narrowed to scheduled changes
+ * @param {Object} meta - { by?, reason }
+ */
+const cancelScheduledChanges = (filter, { by, reason }) =>
+  PriceChange.updateMany(
+    { ...filter, status: 'scheduled' },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: by,
+        cancelReason: reason,
+      },
+    }
+  );
+
+// Claim one due change, then set the price it names. The old price is read
+// in the same update, so it is the price the change actually replaced.
+const applyChange = async (change, now) => {
+  const claimed = await PriceChange.findOneAndUpdate(
+    { _id: change._id, status: 'scheduled' },
+    { $set: { status: 'applied', appliedAt: now } },
+    { new: true }
+  );
+  if (!claimed) return null; // applied elsewhere in the meantime
+
+  const variantId = claimed.variant?.variant;
+  const before = variantId
+    ? await MenuItem.findOneAndUpdate(
+        { _id: claimed.menuItem, 'variants._id': variantId },
+        { $set: { 'variants.$.price': claimed.newPrice } },
+        { new: false, projection: { shopId: 1, variants: 1 } }
+      ).lean()
+    : await MenuItem.findByIdAndUpdate(
+        claimed.menuItem,
+        { $set: { price: claimed.newPrice } },
+        { new: false, projection: { shopId: 1, price: 1 } }
+      ).lean();
+
+  if (!before) {
+    claimed.set({
+      status: 'cancelled',
+      appliedAt: undefined,
+      cancelledAt: now,
+      cancelReason: variantId
+        ? 'The variant no longer exists'
+        : 'The item no longer exists',
+    });
+  } else {
+    claimed.oldPrice = variantId
+      ? before.variants.find((v) => String(v._id) === String(variantId))?.price
+      : before.price;
+  }
+  await claimed.save();
+  return before ? claimed : null;
+};
+
+/**
+ * Apply the scheduled changes that are due, oldest first
+ * @param {Object} [options] - { shopId?, now? }; without shopId every shop
+ * @returns {Promise<Array<string>>} - Shops whose prices changed
+ */
+const applyDuePriceChanges = async ({ shopId, now = new Date() } = {}) => {
+  const due = await PriceChange.find({
+    ...(shopId && { shopId }),
+    status: 'scheduled',
+    effectiveAt: { $lte: now },
+  })
+    .sort({ effectiveAt: 1 })
+    .select('_id')
+    .lean();
+  const shops = new Set();
+  for (const change of due) {
+    const applied = await applyChange(change, now);
+    if (applied) shops.add(String(applied.shopId));
+  }
+  return [...shops];
+};
+
+/**
+ * When a shop's next scheduled change is due
+ * @param {string} shopId
+ * @returns {Promise<Date|null>}
+ */
+const nextPriceChangeAt = async (shopId) => {
+  const next = await PriceChange.findOne({
+    shopId,
+    status: 'scheduled',
+  })
+    .sort({ effectiveAt: 1 })
+    .select('effectiveAt')
+    .lean();
+  return next ? next.effectiveAt : null;
+};
+
+/**
+ * Apply due changes for every shop at an interval. The timer does not keep
+ * the process alive.
+ * @param {Function} [onApplied] - Called with the shops whose prices changed
+ * @param {number} [intervalMs]
+ * @returns {Object} - The interval, for clearInterval
+ */
+const startPriceScheduler = (
+  onApplied = () => {},
+  intervalMs = SCHEDULER_INTERVAL_MS
+) => {
+  const run = async () => {
+    try {
+      const shops = await applyDuePriceChanges();
+      if (shops.length) onApplied(shops);
+    } catch (error) {
+      console.error('❌ Scheduled price changes failed:', error.message);
+    }
+  };
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+const percentChange = (before, after) =>
+  before > 0 ? round2(((after - before) / before) * 100) : null;
+
+/**
+ * Sales of a menu item (or variant) before and after an applied price
+ * change, from the unit prices and quantities on bill lines. Units and
+ * revenue are net of refunds; void bills are left out. Per-day figures
+ * allow for an "after" period that has not run its full length yet.
+ * @param {Object} change - Applied PriceChange
+ * @param {Object} [options] - { days = 7, now }
+ * @returns {Promise<Object>} - { change, days, before, after, impact }
+ * @throws {PriceChangeError}
+ */
+const priceChangeImpact = async (
+  change,
+  { days = 7, now = new Date() } = {}
+) => {
+  if (change.status !== 'applied') {
+    throw new PriceChangeError(
+      'Only applied price changes have an impact report',
+      409
+    );
+  }
+  if (!Number.isInteger(days) || days < 1 || days > MAX_IMPACT_DAYS) {
+    throw new PriceChangeError(
+      `days must be a whole number from 1 to ${MAX_IMPACT_DAYS}`
+    );
+  }
+  if (!mongoose.Types.ObjectId.isValid(change.shopId)) {
+    throw new PriceChangeError('The item does not belong to a valid shop');
+  }
+
+  const at = new Date(change.effectiveAt);
+  const periods = {
+    before: { from: new Date(at.getTime() - days * DAY_MS), to: at },
+    after: {
+      from: at,
+      to: new Date(Math.min(at.getTime() + days * DAY_MS, now.getTime())),
+    },
+  };
+  const isLine = {
+    $and: [
+      { $eq: ['$items.menuItem', change.menuItem] },
+      ...(change.variant?.variant
+        ? [{ $eq: ['$items.variant.variant', change.variant.variant] }]
+        : []),
+    ],
+  };
+  const whenLine = (value) => ({ $cond: [isLine, value, 0] });
+
+  const rows = await Bill.aggregate([
+    {
+      $match: {
+        shop: new mongoose.Types.ObjectId(change.shopId),
+        status: { $ne: 'void' },
+        createdAt: { $gte: periods.before.from, $lt: periods.after.to },
+      },
+    },
+    { $unwind: '$items' },
+    {
+      $addFields: {
+        period: { $cond: [{ $lt: ['$createdAt', at] }, 'before', 'after'] },
+        netQty: {
+          $subtract: [
+            '$items.quantity',
+            { $ifNull: ['$items.refundedQuantity', 0] },
+          ],
+        },
+        netRevenue: {
+          $multiply: [
+            '$items.totalPrice',
+            {
+              $subtract: [
+                1,
+                {
+                  $divide: [
+                    { $ifNull: ['$items.refundedQuantity', 0] },
+                    '$items.quantity',
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: '$period',
+        shopRevenue: { $sum: '$netRevenue' },
+        quantity: { $sum: whenLine('$netQty') },
+        revenue: { $sum: whenLine('$netRevenue') },
+        soldQty: { $sum: whenLine('$items.quantity') },
+        soldValue: {
+          $sum: whenLine({
+            $multiply: ['$items.unitPrice', '$items.quantity'],
+          }),
+        },
+        bills: { $addToSet: { $cond: [isLine, '$_id', '$$REMOVE'] } },
+      },
+    },
+  ]);
+
+  const byPeriod = new Map(rows.map((r) => [r._id, r]));
+  const summarize = (name) => {
+    const { from, to } = periods[name];
+    const r = byPeriod.get(name) || {};
+    const spanDays = Math.max(0, (to - from) / DAY_MS);
+    const perDay = (value) => (spanDays > 0 ? round2(value / spanDays) : null);
+    return {
+      from,
+      to,
+      days: round2(spanDays),
+      bills: r.bills?.length || 0,
+      quantity: round2(r.quantity || 0),
+      revenue: round2(r.revenue || 0),
+      // Average price the item was actually billed at
+      avgUnitPrice: r.soldQty ? round2(r.soldValue / r.soldQty) : null,
+      quantityPerDay: perDay(r.quantity || 0),
+      revenuePerDay: perDay(r.revenue || 0),
+      // Percent of all the shop's line revenue in the period
+      revenueShare: r.shopRevenue
+        ? round2(((r.revenue || 0) / r.shopRevenue) * 100)
+        : null,
+    };
+  };
+
+  const before = summarize('before');
+  const after = summarize('after');
+  return {
+    change,
+    days,
+    before,
+    after,
+    afterComplete: after.days >= days,
+    impact: {
+      priceChange:
+        change.oldPrice === undefined
+          ? null
+          : round2(change.newPrice - change.oldPrice),
+      avgUnitPriceChange:
+        before.avgUnitPrice === null || after.avgUnitPrice === null
+          ? null
+          : round2(after.avgUnitPrice - before.avgUnitPrice),
+      quantityPerDayChangePct: percentChange(
+        before.quantityPerDay,
+        after.quantityPerDay
+      ),
+      revenuePerDayChangePct: percentChange(
+        before.revenuePerDay,
+        after.revenuePerDay
+      ),
+      revenueShareChange:
+        before.revenueShare === null || after.revenueShare === null
+          ? null
+          : round2(after.revenueShare - before.revenueShare),
+    },
+  };
+};
+
+module.exports = {
+  MAX_IMPACT_DAYS,
+  PriceChangeError,
+  normalizeChangedBy,
+  priceChangesBetween,
+  recordPriceChanges,
+  schedulePriceChange,
+  cancelScheduledChanges,
+  applyDuePriceChanges,
+  nextPriceChangeAt,
+  startPriceScheduler,
+  priceChangeImpact,
+};
@@ -0,0 +1,188 @@
+const Bill = require('../models/Bill');
+const MenuItem = require('../models/MenuItem');
+const Shop = require('../models/shop');
+const { INVOICE_TIMEZONE } = require('./invoiceNumber');
+const { lineLabel } = require('./menuOptions');
+const { loadReceiptLogo } = require('./shopLogo');
+
+// Print-ready view of a bill shared by the PDF and ESC/POS renderers, so
+// both outputs always show the same lines and figures.
+
+const money = (value) => (Number(value) || 0).toFixed(2);
+const sumOf = (rows, key) =>
+  rows.reduce((s, r) => s + (Number(r[key]) || 0), 0);
+
+// In the shop's timezone
+const formatDate = (date, timeZone = INVOICE_TIMEZONE) =>
+  new Intl.DateTimeFormat('en-IN', {
+    timeZone,
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  }).format(new Date(date));
+
+// "₹" for INR, "$" for USD; the code itself when there is no symbol
+const currencySymbol = (currency = 'INR') =>
+  new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency,
+    currencyDisplay: 'narrowSymbol',
+  })
+    .formatToParts(0)
+    .find((part) => part.type === 'currency')?.value || currency;
+
+// Header lines under the shop name: the shop's own lines, then its address,
+// GSTIN, FSSAI number and phone
+const headerLinesOf = (shop) => {
+  const address = shop?.address || {};
+  const cityLine = [address.city, address.state].filter(Boolean).join(', ');
+  return [
+    ...(shop?.receiptSettings?.headerLines || []),
+    address.line1,
+    address.line2,
+    [cityLine, address.pincode].filter(Boolean).join(' - '),
+    shop?.gstin ? `GSTIN: ${shop.gstin}` : null,
+    shop?.fssaiNumber ? `FSSAI Lic. No: ${shop.fssaiNumber}` : null,
+    shop?.phone ? `Ph: ${shop.phone}` : null,
+  ].filter(Boolean);
+};
+
+/**
+ * Build the receipt of a bill
+ * @param {Object} params - { bill, shop, menuItems }; menuItems supply the
+ *   bilingual names (a deleted item falls back to the name on the bill)
+ * @returns {Object} - { shop, title, invoiceNumber, date, lines, summary,
+ *   taxBreakdown, currency (symbol), total, footer }
+ */
+const buildReceipt = ({ bill, shop, menuItems = [] }) => {
+  const names = new Map(menuItems.map((m) => [String(m._id), m.names || {}]));
+  const breakdown = bill.taxBreakdown || [];
+  const charges = bill.charges || [];
+
+  const lines = (bill.items || []).map((item) => {
+    const itemNames = names.get(String(item.menuItem)) || {};
+    return {
+      name: lineLabel(item, itemNames.en?.full || item.itemName),
+      tamilName: itemNames.ta?.full || '',
+      note: item.note || null,
+      quantity: item.quantity,
+      unitPrice: money(item.unitPrice),
+      amount: money(item.totalPrice),
+      discount: item.discount?.amount ? money(item.discount.amount) : null,
+    };
+  });
+
+  // Label/amount rows between the item table and the total
+  const summary = [
+    {
+      label: 'Item total',
+      amount: money(bill.grossAmount ?? sumOf(bill.items || [], 'totalPrice')),
+    },
+  ];
+  const lineDiscounts = (bill.items || []).reduce(
+    (s, it) => s + (it.discount?.amount || 0),
+    0
+  );
+  if (lineDiscounts) {
+    summary.push({
+      label: 'Item discounts',
+      amount: `-${money(lineDiscounts)}`,
+    });
+  }
+  if (bill.discount?.amount) {
+    const label =
+      bill.discount.type === 'percent'
+        ? `Discount (${bill.discount.value}%)`
+        : 'Discount';
+    summary.push({ label, amount: `-${money(bill.discount.amount)}` });
+  }
+  if (bill.coupon?.amount) {
+    summary.push({
+      label: `Coupon ${bill.coupon.code}`,
+      amount: `-${money(bill.coupon.amount)}`,
+    });
+  }
+  for (const charge of charges) {
+    summary.push({
+      label:
+        charge.type === 'service'
+          ? `Service charge (${charge.rate}%)`
+          : 'Packing charge',
+      amount: money(charge.amount),
+    });
+  }
+  if (bill.tax) {
+    summary.push({
+      label: bill.taxInclusive
+        ? 'Taxable value (incl. in prices)'
+        : 'Taxable value',
+      amount: money(sumOf(breakdown, 'taxableValue')),
+    });
+    for (const key of ['cgst', 'sgst', 'igst']) {
+      const amount = sumOf(breakdown, key);
+      if (amount)
+        summary.push({ label: key.toUpperCase(), amount: money(amount) });
+    }
+  }
+  if (bill.roundOff) {
+    summary.push({ label: 'Round off', amount: money(bill.roundOff) });
+  }
+
+  return {
+    shop: {
+      name: shop?.shopName || '',
+      lines: headerLinesOf(shop),
+    },
+    title: bill.status === 'void' ? 'VOID' : bill.tax ? 'TAX INVOICE' : 'BILL',
+    invoiceNumber:
+      bill.invoiceNumber || String(bill._id).slice(-8).toUpperCase(),
+    date: formatDate(
+      bill.createdAt || Date.now(),
+      shop?.serviceSettings?.timezone
+    ),
+    lines,
+    summary,
+    taxBreakdown: breakdown
+      .filter((slab) => slab.tax)
+      .map((slab) => ({
+        rate: `${slab.rate}%`,
+        taxableValue: money(slab.taxableValue),
+        cgst: money(slab.cgst),
+        sgst: money(slab.sgst),
+        igst: money(slab.igst),
+        tax: money(slab.tax),
+      })),
+    currency: currencySymbol(shop?.currency),
+    total: money(bill.total),
+    footer: shop?.receiptSettings?.footer || '',
+  };
+};
+
+/**
+ * Load a bill with its shop and menu items and build its receipt
+ * @param {string} billId - Bill ObjectId
+ * @param {string} shopId - Shop the bill must belong to
+ * @returns {Promise<Object|null>} - Receipt with the shop's `logo` (see
+ *   loadReceiptLogo), or null when the shop has no such bill
+ */
+const loadReceipt = async (billId, shopId) => {
+  const bill = await Bill.findOne({ _id: billId, shop: shopId }).lean();
+  if (!bill) return null;
+  const [shop, menuItems] = await Promise.all([
+    // Not lean, so shops saved before these settings existed get their defaults
+    Shop.findById(bill.shop).select(
+      'shopName phone address gstin fssaiNumber logoUrl currency receiptSettings serviceSettings'
+    ),
+    MenuItem.find({ _id: { $in: (bill.items || []).map((i) => i.menuItem) } })
+      .select('names')
+      .lean(),
+  ]);
+  return {
+    ...buildReceipt({ bill, shop, menuItems }),
+    logo: await loadReceiptLogo(shop?.logoUrl, bill.shop),
+  };
+};
+
+module.exports = {
+  buildReceipt,
+  loadReceipt,
+};
@@ -0,0 +1,197 @@
+const { measureText, renderTextBitmap } = require('./textRaster');
+
+// Raw ESC/POS for 58mm and 80mm thermal printers (203 dpi, font A 12x24).
+// Plain ASCII lines are sent as text; any line with Tamil or other
+// non-ASCII characters is rasterised and sent as a GS v 0 bit image.
+const PAPER_LAYOUTS = {
+  '58mm': { dots: 384, chars: 32 },
+  '80mm': { dots: 576, chars: 48 },
+};
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const COMMANDS = {
+  init: [ESC, 0x40],
+  alignLeft: [ESC, 0x61, 0],
+  alignCenter: [ESC, 0x61, 1],
+  boldOn: [ESC, 0x45, 1],
+  boldOff: [ESC, 0x45, 0],
+  doubleSize: [GS, 0x21, 0x11],
+  normalSize: [GS, 0x21, 0x00],
+  // Feed to the cutter and cut, leaving a small hinge
+  cut: [GS, 0x56, 0x42, 0x00],
+};
+
+const isPlainAscii = (text) => /^[\x20-\x7e]*$/.test(text);
+
+const fit = (text, width) =>
+  text.length > width ? text.slice(0, Math.max(0, width - 1)) + '~' : text;
+
+// Left text and right text on one line of `width` characters
+const columns = (leftText, rightText, width) => {
+  const right = String(rightText);
+  const left = fit(String(leftText), Math.max(1, width - right.length - 1));
+  return (
+    left + ' '.repeat(Math.max(1, width - left.length - right.length)) + right
+  );
+};
+
+// Break text into lines that fit `maxWidth` pixels, at word boundaries
+const wrapWords = (text, maxWidth, options) => {
+  const lines = [];
+  let current = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && measureText(candidate, options) > maxWidth) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+};
+
+const rasterCommand = ({ bytesPerRow, height, data }) =>
+  Buffer.concat([
+    Buffer.from([
+      GS,
+      0x76,
+      0x30,
+      0x00,
+      bytesPerRow & 0xff,
+      bytesPerRow >> 8,
+      height & 0xff,
+      height >> 8,
+    ]),
+    data,
+  ]);
+
+// The shop logo (utils/shopLogo) centred on a full-width bit image; darker
+// than mid-grey prints black
+const logoCommand = ({ width, height, pixels }, dots) => {
+  const bytesPerRow = Math.ceil(dots / 8);
+  const offset = Math.max(0, Math.floor((dots - width) / 2));
+  const data = Buffer.alloc(bytesPerRow * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < Math.min(width, dots - offset); x++) {
+      if (pixels[y * width + x] < 128) {
+        const dot = x + offset;
+        data[y * bytesPerRow + (dot >> 3)] |= 0x80 >> (dot & 7);
+      }
+    }
+  }
+  return rasterCommand({ bytesPerRow, height, data });
+};
+
+/**
+ * Render a receipt (utils/receipt) as an ESC/POS byte stream
+ * @param {Object} receipt - From buildReceipt
+ * @param {Object} [options] - { paper: '58mm' | '80mm' }
+ * @returns {Buffer} - Bytes to send to the printer as-is
+ */
+const renderReceiptEscPos = (receipt, { paper = '80mm' } = {}) => {
+  const layout = PAPER_LAYOUTS[paper] || PAPER_LAYOUTS['80mm'];
+  const width = layout.chars;
+  const parts = [Buffer.from(COMMANDS.init)];
+  const command = (name) => parts.push(Buffer.from(COMMANDS[name]));
+
+  const line = (text = '', { align = 'left', bold = false, size } = {}) => {
+    if (isPlainAscii(text)) {
+      parts.push(Buffer.from(`${text}\n`, 'ascii'));
+      return;
+    }
+    const options = { size: size || 24, bold };
+    for (const part of wrapWords(text, layout.dots, options)) {
+      parts.push(
+        rasterCommand(
+          renderTextBitmap(part, { ...options, width: layout.dots, align })
+        )
+      );
+    }
+  };
+  const rule = () => line('-'.repeat(width));
+
+  // Shop header
+  command('alignCenter');
+  if (receipt.logo) parts.push(logoCommand(receipt.logo, layout.dots));
+  command('boldOn');
+  if (isPlainAscii(receipt.shop.name)) {
+    command('doubleSize');
+    line(fit(receipt.shop.name, Math.floor(width / 2)));
+    command('normalSize');
+  } else {
+    line(receipt.shop.name, { align: 'center', bold: true, size: 40 });
+  }
+  command('boldOff');
+  for (const text of receipt.shop.lines) {
+    line(isPlainAscii(text) ? fit(text, width) : text, { align: 'center' });
+  }
+  command('boldOn');
+  line(receipt.title);
+  command('boldOff');
+  command('alignLeft');
+  line(fit(`Invoice: ${receipt.invoiceNumber}`, width));
+  line(receipt.date);
+  rule();
+
+  // Items: name, Tamil name, note, then quantity x rate and amount
+  for (const item of receipt.lines) {
+    line(isPlainAscii(item.name) ? fit(item.name, width) : item.name);
+    if (item.tamilName) line(item.tamilName);
+    if (item.note) {
+      const note = `  * ${item.note}`;
+      line(isPlainAscii(note) ? fit(note, width) : note);
+    }
+    line(columns(`  ${item.quantity} x ${item.unitPrice}`, item.amount, width));
+    if (item.discount) {
+      line(columns('  Discount', `-${item.discount}`, width));
+    }
+  }
+  rule();
+
+  for (const row of receipt.summary) {
+    line(columns(row.label, row.amount, width));
+  }
+  const total = `${receipt.currency || ''}${receipt.total}`;
+  if (isPlainAscii(total)) {
+    command('boldOn');
+    command('doubleSize');
+    line(columns('TOTAL', total, Math.floor(width / 2)));
+    command('normalSize');
+    command('boldOff');
+  } else {
+    // A symbol such as ₹ is printed as an image, at double height
+    line(`TOTAL  ${total}`, { align: 'right', bold: true, size: 48 });
+  }
+
+  if (receipt.taxBreakdown.length) {
+    rule();
+    for (const slab of receipt.taxBreakdown) {
+      line(
+        columns(`GST ${slab.rate} on ${slab.taxableValue}`, slab.tax, width)
+      );
+      const split = Number(slab.igst)
+        ? `  IGST ${slab.igst}`
+        : `  CGST ${slab.cgst}  SGST ${slab.sgst}`;
+      line(fit(split, width));
+    }
+  }
+
+  if (receipt.footer) {
+    rule();
+    command('alignCenter');
+    line(receipt.footer, { align: 'center' });
+    command('alignLeft');
+  }
+
+  parts.push(Buffer.from('\n\n\n'));
+  command('cut');
+  return Buffer.concat(parts);
+};
+
+module.exports = {
+  PAPER_LAYOUTS,
+  renderReceiptEscPos,
+};
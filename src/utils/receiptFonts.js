@@ -0,0 +1,67 @@
+const fontkit = require('fontkit');
+
+// Noto Sans Tamil ships as per-script subsets: Tamil text (and ₹) uses the
+// Tamil file, everything else the Latin one. Both PDF and thermal receipts
+// shape text through fontkit, so Tamil vowel signs and conjuncts render
+// correctly in either output.
+const fontFile = (subset, weight) =>
+  require.resolve(
+    `@fontsource/noto-sans-tamil/files/noto-sans-tamil-${subset}-${weight}-normal.woff`
+  );
+
+const FONT_FILES = {
+  tamil: fontFile('tamil', 400),
+  tamilBold: fontFile('tamil', 700),
+  latin: fontFile('latin', 400),
+  latinBold: fontFile('latin', 700),
+};
+
+const fontCache = new Map();
+
+/**
+ * Open (once) one of the receipt fonts
+ * @param {string} key - Key of FONT_FILES
+ * @returns {Object} - fontkit font
+ */
+const getFont = (key) => {
+  if (!fontCache.has(key))
+    fontCache.set(key, fontkit.openSync(FONT_FILES[key]));
+  return fontCache.get(key);
+};
+
+// Tamil block, Indian rupee sign and the joiners used inside Tamil words
+const TAMIL_RUN_CHAR = /[\u0B80-\u0BFF\u20B9\u200C\u200D]/u;
+const NEUTRAL_CHAR = /\s/u;
+
+/**
+ * Split text into runs that each use a single font
+ * @param {string} text - Text to render
+ * @param {boolean} bold - Use the bold weights
+ * @returns {Array<Object>} - [{ text, fontKey }]
+ */
+const fontRuns = (text, bold = false) => {
+  const runs = [];
+  for (const char of String(text ?? '')) {
+    const script = TAMIL_RUN_CHAR.test(char) ? 'tamil' : 'latin';
+    const last = runs[runs.length - 1];
+    // Spaces stay with the run they are in so words keep their shaping
+    if (last && (NEUTRAL_CHAR.test(char) || last.script === script)) {
+      last.text += char;
+    } else {
+      runs.push({ text: char, script });
+    }
+  }
+  return runs.map(({ text: runText, script }) => ({
+    text: runText,
+    fontKey: bold ? `${script}Bold` : script,
+  }));
+};
+
+const hasTamil = (text) => /[\u0B80-\u0BFF]/u.test(String(text ?? ''));
+
+module.exports = {
+  FONT_FILES,
+  getFont,
+  fontRuns,
+  hasTamil,
+};
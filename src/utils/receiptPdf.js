@@ -0,0 +1,240 @@
+const PDFDocument = require('pdfkit');
+const { FONT_FILES, fontRuns } = require('./receiptFonts');
+
+const PAGE_LAYOUTS = {
+  A4: { margin: 40, fontSize: 10 },
+  A5: { margin: 28, fontSize: 8 },
+};
+
+/**
+ * Render a receipt (utils/receipt) as a PDF
+ * @param {Object} receipt - From buildReceipt
+ * @param {Object} [options] - { size: 'A4' | 'A5' }
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+const renderReceiptPdf = (receipt, { size = 'A4' } = {}) =>
+  new Promise((resolve, reject) => {
+    const layout = PAGE_LAYOUTS[size] || PAGE_LAYOUTS.A4;
+    const doc = new PDFDocument({
+      size,
+      margin: layout.margin,
+      info: { Title: `${receipt.title} ${receipt.invoiceNumber}` },
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    for (const [key, file] of Object.entries(FONT_FILES)) {
+      doc.registerFont(key, file);
+    }
+
+    const base = layout.fontSize;
+    const left = layout.margin;
+    const right = doc.page.width - layout.margin;
+    const contentWidth = right - left;
+    const bottom = doc.page.height - layout.margin;
+    let y = layout.margin;
+
+    const widthOf = (runs, fontSize) =>
+      runs.reduce(
+        (w, run) =>
+          w + doc.font(run.fontKey).fontSize(fontSize).widthOfString(run.text),
+        0
+      );
+
+    // Write single-line text that may mix Tamil and Latin script
+    const write = (text, x, width, opts = {}) => {
+      const fontSize = opts.size || base;
+      let value = String(text ?? '');
+      let runs = fontRuns(value, opts.bold);
+      while (value.length > 1 && widthOf(runs, fontSize) > width) {
+        value = value.slice(0, -2) + '…';
+        runs = fontRuns(value, opts.bold);
+      }
+      const textWidth = widthOf(runs, fontSize);
+      let cursor =
+        opts.align === 'right'
+          ? x + width - textWidth
+          : opts.align === 'center'
+            ? x + (width - textWidth) / 2
+            : x;
+      for (const run of runs) {
+        doc
+          .font(run.fontKey)
+          .fontSize(fontSize)
+          .text(run.text, cursor, y, { lineBreak: false });
+        cursor += doc.widthOfString(run.text);
+      }
+    };
+
+    const lineHeight = (fontSize = base) => fontSize * 1.6;
+    const ensureSpace = (height) => {
+      if (y + height <= bottom) return;
+      doc.addPage();
+      y = layout.margin;
+    };
+    const rule = () => {
+      doc
+        .moveTo(left, y + 2)
+        .lineTo(right, y + 2)
+        .lineWidth(0.5)
+        .strokeColor('#888888')
+        .stroke();
+      y += 6;
+    };
+
+    // Shop header
+    if (receipt.logo) {
+      const logoHeight = base * 6;
+      doc.image(receipt.logo.png, left, y, {
+        fit: [contentWidth, logoHeight],
+        align: 'center',
+      });
+      y += logoHeight + 4;
+    }
+    write(receipt.shop.name, left, contentWidth, {
+      size: base * 1.8,
+      bold: true,
+      align: 'center',
+    });
+    y += lineHeight(base * 1.8);
+    for (const line of receipt.shop.lines) {
+      write(line, left, contentWidth, { align: 'center' });
+      y += lineHeight();
+    }
+    y += 4;
+    write(receipt.title, left, contentWidth, {
+      size: base * 1.2,
+      bold: true,
+      align: 'center',
+    });
+    y += lineHeight(base * 1.2);
+    write(`Invoice: ${receipt.invoiceNumber}`, left, contentWidth / 2);
+    write(receipt.date, left + contentWidth / 2, contentWidth / 2, {
+      align: 'right',
+    });
+    y += lineHeight();
+    rule();
+
+    // Item table
+    const amountWidth = base * 8;
+    const rateWidth = base * 7;
+    const qtyWidth = base * 4;
+    const indexWidth = base * 2.5;
+    const nameWidth =
+      contentWidth - amountWidth - rateWidth - qtyWidth - indexWidth;
+    const columns = {
+      index: left,
+      name: left + indexWidth,
+      qty: left + indexWidth + nameWidth,
+      rate: left + indexWidth + nameWidth + qtyWidth,
+      amount: right - amountWidth,
+    };
+    const header = () => {
+      write('#', columns.index, indexWidth, { bold: true });
+      write('Item', columns.name, nameWidth, { bold: true });
+      write('Qty', columns.qty, qtyWidth, { bold: true, align: 'right' });
+      write('Rate', columns.rate, rateWidth, { bold: true, align: 'right' });
+      write('Amount', columns.amount, amountWidth, {
+        bold: true,
+        align: 'right',
+      });
+      y += lineHeight();
+    };
+    header();
+    receipt.lines.forEach((line, i) => {
+      const rows =
+        1 +
+        (line.tamilName ? 1 : 0) +
+        (line.note ? 1 : 0) +
+        (line.discount ? 1 : 0);
+      if (y + rows * lineHeight() > bottom) {
+        doc.addPage();
+        y = layout.margin;
+        header();
+      }
+      write(String(i + 1), columns.index, indexWidth);
+      write(line.name, columns.name, nameWidth);
+      write(String(line.quantity), columns.qty, qtyWidth, { align: 'right' });
+      write(line.unitPrice, columns.rate, rateWidth, { align: 'right' });
+      write(line.amount, columns.amount, amountWidth, { align: 'right' });
+      y += lineHeight();
+      if (line.tamilName) {
+        write(line.tamilName, columns.name, nameWidth, { size: base * 0.95 });
+        y += lineHeight();
+      }
+      if (line.note) {
+        write(line.note, columns.name, nameWidth, { size: base * 0.9 });
+        y += lineHeight();
+      }
+      if (line.discount) {
+        write('Discount', columns.name, nameWidth, { size: base * 0.9 });
+        write(`-${line.discount}`, columns.amount, amountWidth, {
+          size: base * 0.9,
+          align: 'right',
+        });
+        y += lineHeight();
+      }
+    });
+    rule();
+
+    // Summary and total
+    const labelWidth = contentWidth - amountWidth;
+    for (const row of receipt.summary) {
+      ensureSpace(lineHeight());
+      write(row.label, left, labelWidth, { align: 'right' });
+      write(row.amount, columns.amount, amountWidth, { align: 'right' });
+      y += lineHeight();
+    }
+    ensureSpace(lineHeight(base * 1.4));
+    write('TOTAL', left, labelWidth, {
+      size: base * 1.4,
+      bold: true,
+      align: 'right',
+    });
+    write(`${receipt.currency}${receipt.total}`, columns.amount, amountWidth, {
+      size: base * 1.4,
+      bold: true,
+      align: 'right',
+    });
+    y += lineHeight(base * 1.4);
+
+    // GST breakdown per rate
+    if (receipt.taxBreakdown.length) {
+      ensureSpace(lineHeight() * (receipt.taxBreakdown.length + 2));
+      rule();
+      const taxColumns = [
+        'rate',
+        'taxableValue',
+        'cgst',
+        'sgst',
+        'igst',
+        'tax',
+      ];
+      const taxHeaders = ['GST rate', 'Taxable', 'CGST', 'SGST', 'IGST', 'Tax'];
+      const cell = contentWidth / taxColumns.length;
+      taxHeaders.forEach((title, i) =>
+        write(title, left + i * cell, cell, { bold: true, align: 'right' })
+      );
+      y += lineHeight();
+      for (const slab of receipt.taxBreakdown) {
+        taxColumns.forEach((key, i) =>
+          write(slab[key], left + i * cell, cell, { align: 'right' })
+        );
+        y += lineHeight();
+      }
+    }
+
+    if (receipt.footer) {
+      ensureSpace(lineHeight() * 2);
+      y += lineHeight() / 2;
+      write(receipt.footer, left, contentWidth, { align: 'center' });
+    }
+
+    doc.end();
+  });
+
+module.exports = {
+  renderReceiptPdf,
+};
@@ -0,0 +1,218 @@
+const { round2, round3 } = require('./billCalculator');
+const { PAYMENT_MODES } = require('./payments');
+
+class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = status;
+  }
+}
+
+const sum = (values) => round2(values.reduce((s, v) => s + (v || 0), 0));
+
+const requiredText = (value, field, maxLength) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) throw new RefundError(`${field} is required`);
+  if (text.length > maxLength) {
+    throw new RefundError(`${field} must be at most ${maxLength} characters`);
+  }
+  return text;
+};
+
+/**
+ * Validate who voids/refunds and why
+ * @param {Object} body - { reason, performedBy }
+ * @returns {Object} - { reason, by }
+ * @throws {RefundError}
+ */
+const normalizeAuditInput = (body = {}) => ({
+  reason: requiredText(body.reason, 'reason', 200),
+  by: requiredText(body.performedBy, 'performedBy', 64),
+});
+
+/**
+ * Validate the lines to refund
+ * @param {Array} input - [{ lineId, quantity }]; lineId is the _id of the
+ *   line in Bill.items
+ * @returns {Array} - Same, one entry per line
+ * @throws {RefundError}
+ */
+const normalizeRefundLines = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new RefundError(
+      'lines must be a non-empty array of { lineId, quantity }'
+    );
+  }
+  const quantities = new Map();
+  input.forEach((line, i) => {
+    const lineId = String(line?.lineId || '');
+    // Lines of bills split into equal shares have fractional quantities
+    const quantity = round3(Number(line?.quantity));
+    if (!/^[a-f0-9]{24}$/i.test(lineId)) {
+      throw new RefundError(`lines[${i}].lineId must be a bill line _id`);
+    }
+    if (!(quantity > 0)) {
+      throw new RefundError(`lines[${i}].quantity must be a positive number`);
+    }
+    quantities.set(lineId, round3((quantities.get(lineId) || 0) + quantity));
+  });
+  return Array.from(quantities, ([lineId, quantity]) => ({ lineId, quantity }));
+};
+
+/**
+ * Work out a credit note for refunding lines of a bill. Each line gives back
+ * its share of what the customer paid for it (discounts and GST included);
+ * the refund that empties the bill also gives back its charges and round-off,
+ * so all credit notes of a bill add up to its total.
+ * @param {Object} bill - Bill (plain object or document)
+ * @param {Array} lines - From normalizeRefundLines
+ * @returns {Object} - { items, otherAmount, subtotal, tax, taxBreakdown,
+ *   total, lineUpdates: [{ index, quantity }] }
+ * @throws {RefundError}
+ */
+const buildCreditNote = (bill, lines) => {
+  const breakdown = new Map();
+  const addToSlab = (rate, values) => {
+    const slab = breakdown.get(rate) || {
+      rate,
+      taxableValue: 0,
+      cgst: 0,
+      sgst: 0,
+      igst: 0,
+      tax: 0,
+    };
+    for (const key of ['taxableValue', 'cgst', 'sgst', 'igst', 'tax']) {
+      slab[key] = round2(slab[key] + (values[key] || 0));
+    }
+    breakdown.set(rate, slab);
+  };
+
+  const refunded = bill.items.map((item) => item.refundedQuantity || 0);
+  const items = lines.map(({ lineId, quantity }) => {
+    const index = bill.items.findIndex((it) => String(it._id) === lineId);
+    if (index === -1) {
+      throw new RefundError(`Line ${lineId} is not on this bill`);
+    }
+    const item = bill.items[index];
+    const remaining = round3(item.quantity - refunded[index]);
+    if (quantity > remaining) {
+      throw new RefundError(
+        `Only ${remaining} of ${item.itemName} can still be refunded`
+      );
+    }
+
+    // Difference of cumulative shares, so the last unit takes the rounding
+    const before = refunded[index];
+    const after = round3(before + quantity);
+    refunded[index] = after;
+    const part = (value) =>
+      round2(
+        round2(((value || 0) * after) / item.quantity) -
+          round2(((value || 0) * before) / item.quantity)
+      );
+    // Bills from before GST have no taxableValue
+    const taxable =
+      item.taxableValue ??
+      item.totalPrice -
+        (item.discount?.amount || 0) -
+        (item.billDiscountShare || 0);
+    // Tax is split like utils/billCalculator does, so the halves add up
+    const tax = part(item.taxAmount);
+    const igst = item.igst ? tax : 0;
+    const cgst = igst ? 0 : round2(tax / 2);
+    const values = {
+      taxableValue: part(taxable),
+      cgst,
+      sgst: round2(tax - igst - cgst),
+      igst,
+      tax,
+    };
+    addToSlab(item.taxRate || 0, values);
+    return {
+      index,
+      line: {
+        billItem: item._id,
+        menuItem: item.menuItem,
+        itemName: item.itemName,
+        quantity,
+        unitPrice: item.unitPrice,
+        taxRate: item.taxRate || 0,
+        hsnCode: item.hsnCode,
+        taxableValue: values.taxableValue,
+        cgst: values.cgst,
+        sgst: values.sgst,
+        igst: values.igst,
+        taxAmount: values.tax,
+        amount: round2(values.taxableValue + values.tax),
+      },
+    };
+  });
+
+  const linesTotal = sum(items.map(({ line }) => line.amount));
+  const open = round2(bill.total - (bill.refundedTotal || 0));
+  const emptiesBill = bill.items.every((it, i) => refunded[i] >= it.quantity);
+  let otherAmount = 0;
+  if (emptiesBill) {
+    for (const charge of bill.charges || []) {
+      addToSlab(charge.taxRate || 0, {
+        taxableValue: charge.amount,
+        cgst: charge.cgst,
+        sgst: charge.sgst,
+        igst: charge.igst,
+        tax: charge.tax,
+      });
+    }
+    otherAmount = round2(open - linesTotal);
+  }
+  const taxBreakdown = Array.from(breakdown.values()).sort(
+    (a, b) => a.rate - b.rate
+  );
+
+  return {
+    items: items.map(({ line }) => line),
+    otherAmount,
+    subtotal: sum(taxBreakdown.map((s) => s.taxableValue)),
+    tax: sum(taxBreakdown.map((s) => s.tax)),
+    taxBreakdown,
+    total: Math.min(open, round2(linesTotal + otherAmount)),
+    lineUpdates: items.map(({ index, line }) => ({
+      index,
+      quantity: line.quantity,
+    })),
+  };
+};
+
+/**
+ * Split a refund between the bill's unpaid balance and money handed back
+ * @param {Object} bill - Bill being refunded
+ * @param {number} total - Credit note total
+ * @param {string} [mode] - How the money goes back; defaults to the mode of
+ *   the bill's last payment, else cash
+ * @returns {Object} - { adjustedAgainstBalance, refundAmount, refundMode }
+ * @throws {RefundError}
+ */
+const splitRefund = (bill, total, mode) => {
+  // Bills from before payments were tracked count as paid
+  const adjustedAgainstBalance = Math.min(bill.balanceDue || 0, total);
+  const refundAmount = round2(total - adjustedAgainstBalance);
+  if (refundAmount === 0) return { adjustedAgainstBalance, refundAmount };
+
+  const refundMode = mode
+    ? String(mode).toLowerCase()
+    : bill.payments?.[bill.payments.length - 1]?.mode || 'cash';
+  if (!PAYMENT_MODES.includes(refundMode)) {
+    throw new RefundError(
+      `refundMode must be one of ${PAYMENT_MODES.join(', ')}`
+    );
+  }
+  return { adjustedAgainstBalance, refundAmount, refundMode };
+};
+
+module.exports = {
+  RefundError,
+  normalizeAuditInput,
+  normalizeRefundLines,
+  buildCreditNote,
+  splitRefund,
+};
@@ -0,0 +1,189 @@
+const Shop = require('../models/shop');
+const { INVOICE_TIMEZONE } = require('./invoiceNumber');
+
+// Time-of-day menus
+//
+// A shop may set service windows ("breakfast 07:00-11:30") in its
+// serviceSettings. A menu item is served when one of its foodTimes has a
+// window open now, in the shop's timezone. Shops without windows serve the
+// whole menu all day. Outside its window an item is billed with a warning,
+// or refused when the shop's outOfWindow setting is 'block'.
+
+const FOOD_TIMES = ['breakfast', 'lunch', 'dinner'];
+
+class ServiceTimeError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'ServiceTimeError';
+    this.status = status;
+  }
+}
+
+// "07:30" -> 450
+const minutesOf = (hhmm) => {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+};
+
+// Wall-clock time of a moment in a timezone, as "HH:MM"
+const localTimeOf = (at, timeZone) =>
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).format(at);
+
+// Milliseconds a timezone is ahead of UTC at a moment
+const offsetAt = (at, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    })
+      .formatToParts(at)
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - Math.floor(at.getTime() / 1000) * 1000;
+};
+
+// Moment of local midnight starting a day; month is 0-based and the day may
+// overflow into the next month. Checked twice for days a DST change starts.
+const midnightIn = (year, month, day, timeZone) => {
+  const wallClock = Date.UTC(year, month, day);
+  const guess = wallClock - offsetAt(new Date(wallClock), timeZone);
+  return new Date(wallClock - offsetAt(new Date(guess), timeZone));
+};
+
+/**
+ * The calendar day a moment falls on in a timezone, e.g. for a shop's
+ * daily report
+ * @param {string} timeZone - IANA name, e.g. Asia/Kolkata
+ * @param {Date} [at] - Defaults to now
+ * @returns {Object} - { date: 'YYYY-MM-DD', start, end } (end exclusive)
+ */
+const localDayRange = (timeZone, at = new Date()) => {
+  const date = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(at);
+  const [year, month, day] = date.split('-').map(Number);
+  return {
+    date,
+    start: midnightIn(year, month - 1, day, timeZone),
+    end: midnightIn(year, month - 1, day + 1, timeZone),
+  };
+};
+
+const isOpen = (window, minutes) => {
+  const start = minutesOf(window.start);
+  const end = minutesOf(window.end);
+  // A window may run past midnight: 22:00-02:00
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+/**
+ * Which parts of the menu a shop serves at a moment
+ * @param {Object} [settings] - Shop serviceSettings
+ * @param {Date} [at] - Moment to check; defaults to now
+ * @returns {Object} - { timezone, localTime, foodTimes, enforcement };
+ *   foodTimes is null when the shop has no windows (everything is served)
+ */
+const serviceContext = (settings = {}, at = new Date()) => {
+  const timezone = settings.timezone || INVOICE_TIMEZONE;
+  const localTime = localTimeOf(at, timezone);
+  const windows = settings.windows || [];
+  const minutes = minutesOf(localTime);
+  return {
+    timezone,
+    localTime,
+    foodTimes: windows.length
+      ? [
+          ...new Set(
+            windows.filter((w) => isOpen(w, minutes)).map((w) => w.foodTime)
+          ),
+        ]
+      : null,
+    enforcement: settings.outOfWindow || 'warn',
+  };
+};
+
+/**
+ * Load a shop's service context
+ * @param {string} shopId - Shop ObjectId
+ * @param {Date} [at] - Moment to check; defaults to now
+ * @returns {Promise<Object>} - See serviceContext
+ */
+const loadServiceContext = async (shopId, at = new Date()) => {
+  const shop = await Shop.findById(shopId).select('serviceSettings').lean();
+  return serviceContext(shop?.serviceSettings, at);
+};
+
+/**
+ * Whether an item is served now. Items without foodTimes are served all day.
+ * @param {Object} item - Catalog entry (see utils/menuCatalog)
+ * @param {Object} [service] - From serviceContext; none serves everything
+ * @returns {boolean}
+ */
+const isServedNow = (item, service) =>
+  !service?.foodTimes ||
+  !item?.foodTimes?.length ||
+  item.foodTimes.some((t) => service.foodTimes.includes(t));
+
+// Warning shown for a line outside its service time
+const outOfWindowWarning = (item, service) => ({
+  menuItem: item.menuItemId,
+  itemName: item.name,
+  foodTimes: item.foodTimes,
+  message: `${item.name} is served at ${item.foodTimes.join('/')}, not at ${service.localTime}`,
+});
+
+/**
+ * Check items a cashier adds by hand against the service windows
+ * @param {Array<Object>} items - Catalog entries being ordered
+ * @param {Object} [service] - From serviceContext
+ * @returns {Array<Object>} - Warnings for items outside their time
+ * @throws {ServiceTimeError} - When the shop blocks such items
+ */
+const checkServiceTime = (items, service) => {
+  const outside = [...new Set(items)].filter(
+    (item) => item && !isServedNow(item, service)
+  );
+  if (outside.length && service.enforcement === 'block') {
+    throw new ServiceTimeError(
+      outside
+        .map((item) => outOfWindowWarning(item, service).message)
+        .join('; ')
+    );
+  }
+  return outside.map((item) => outOfWindowWarning(item, service));
+};
+
+module.exports = {
+  FOOD_TIMES,
+  ServiceTimeError,
+  localDayRange,
+  serviceContext,
+  loadServiceContext,
+  isServedNow,
+  outOfWindowWarning,
+  checkServiceTime,
+};
@@ -0,0 +1,141 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { UPLOAD_DIR } = require('../config/upload');
+
+// Shop logos
+//
+// Uploaded with PUT /api/shop/me/logo, checked with sharp and stored as a PNG
+// under uploads/logos; Shop.logoUrl holds its public URL. Stored files are
+// named after their shop, and a shop only prints or deletes its own. Receipts
+// print logos stored here. A logoUrl elsewhere (https://) is only shown by the
+// apps: rendering a receipt never downloads anything.
+
+const SHOP_LOGO_DIR = 'logos';
+// Longest side of a stored logo
+const LOGO_SIZE = 600;
+// Longest side, in printer dots, of the logo on thermal receipts
+const ESCPOS_LOGO_DOTS = 256;
+const MAX_LOGO_PIXELS = 40 * 1000 * 1000;
+const LOGO_FORMATS = ['jpeg', 'png', 'webp'];
+
+class ShopLogoError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ShopLogoError';
+    this.status = status;
+  }
+}
+
+const logoDir = () => path.join(UPLOAD_DIR, SHOP_LOGO_DIR);
+const publicUrl = (fileName) => `/uploads/${SHOP_LOGO_DIR}/${fileName}`;
+
+// The file of a logo this shop uploaded; null for any other URL
+const fileOfLogoUrl = (url, shopId) => {
+  if (typeof url !== 'string' || !shopId) return null;
+  const fileName = path.basename(url);
+  return url === publicUrl(fileName) && fileName.startsWith(`${shopId}-`)
+    ? path.join(logoDir(), fileName)
+    : null;
+};
+
+const removeFile = async (file) => {
+  try {
+    await fs.unlink(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('⚠️  Could not remove shop logo:', error.message);
+    }
+  }
+};
+
+/**
+ * Check an uploaded logo and store it as a PNG. The upload itself is
+ * removed either way.
+ * @param {Object} file - Multer file saved on disk
+ * @param {string} shopId - Shop the logo is for
+ * @returns {Promise<string>} - Public URL for Shop.logoUrl
+ * @throws {ShopLogoError}
+ */
+const processShopLogo = async (file, shopId) => {
+  const { name } = path.parse(file.filename);
+  const target = path.join(path.dirname(file.path), `${shopId}-${name}.png`);
+  const open = () => sharp(file.path, { limitInputPixels: MAX_LOGO_PIXELS });
+
+  try {
+    let meta;
+    try {
+      meta = await open().metadata();
+    } catch (error) {
+      throw new ShopLogoError('The file is not a readable image');
+    }
+    if (!LOGO_FORMATS.includes(meta.format)) {
+      throw new ShopLogoError('Only JPEG, PNG and WebP images are allowed');
+    }
+    if (meta.width * meta.height > MAX_LOGO_PIXELS) {
+      throw new ShopLogoError('The image has too many pixels');
+    }
+    const png = await open()
+      .rotate() // follow the camera's EXIF orientation
+      .resize(LOGO_SIZE, LOGO_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+    await removeFile(file.path);
+    await fs.writeFile(target, png);
+    return publicUrl(path.basename(target));
+  } catch (error) {
+    await removeFile(file.path);
+    if (error.name === 'ShopLogoError') throw error;
+    throw new ShopLogoError(`Could not process the image: ${error.message}`);
+  }
+};
+
+/**
+ * Delete the file of a logo that is no longer the shop's
+ * @param {string} [logoUrl] - Former Shop.logoUrl; URLs of files the shop
+ *   did not upload are ignored
+ * @param {string} shopId
+ * @returns {Promise<void>}
+ */
+const removeShopLogo = async (logoUrl, shopId) => {
+  const file = fileOfLogoUrl(logoUrl, shopId);
+  if (file) await removeFile(file);
+};
+
+/**
+ * The logo printed on a shop's receipts
+ * @param {string} [logoUrl] - Shop.logoUrl
+ * @param {string} shopId
+ * @returns {Promise<Object|null>} - { png, width, height, pixels }: the PNG
+ *   for PDFs, and for thermal printers its grey levels (one byte per pixel)
+ *   at ESCPOS_LOGO_DOTS at most; null when the shop has no uploaded logo or
+ *   it cannot be read
+ */
+const loadReceiptLogo = async (logoUrl, shopId) => {
+  const file = fileOfLogoUrl(logoUrl, shopId);
+  if (!file) return null;
+  try {
+    const png = await fs.readFile(file);
+    const { data, info } = await sharp(png)
+      .flatten({ background: '#ffffff' })
+      .resize(ESCPOS_LOGO_DOTS, ESCPOS_LOGO_DOTS, {
+        fit: 'inside',
+        withoutEnlargement: true,
+      })
+      .toColourspace('b-w')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { png, width: info.width, height: info.height, pixels: data };
+  } catch (error) {
+    console.warn('⚠️  Could not load shop logo:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  SHOP_LOGO_DIR,
+  ShopLogoError,
+  processShopLogo,
+  removeShopLogo,
+  loadReceiptLogo,
+};
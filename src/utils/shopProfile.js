@@ -0,0 +1,119 @@
+// The shop's profile, as read and changed through /api/shop/me
+//
+// Most fields are Shop fields; the timezone and the receipt header and
+// footer are kept in serviceSettings and receiptSettings, where the service
+// time and receipt code read them.
+
+const PROFILE_PATHS = {
+  shopName: 'shopName',
+  name: 'name',
+  address: 'address',
+  gstin: 'gstin',
+  fssaiNumber: 'fssaiNumber',
+  logoUrl: 'logoUrl',
+  currency: 'currency',
+  language: 'language',
+  timezone: 'serviceSettings.timezone',
+  businessHours: 'businessHours',
+  receiptHeader: 'receiptSettings.headerLines',
+  receiptFooter: 'receiptSettings.footer',
+};
+
+// Fields that null (or "") clears, and what they are cleared to
+const CLEARED_VALUES = {
+  address: () => ({}),
+  gstin: () => undefined,
+  fssaiNumber: () => undefined,
+  logoUrl: () => undefined,
+  businessHours: () => [],
+  receiptHeader: () => [],
+  receiptFooter: () => '',
+};
+
+const PROFILE_SELECT =
+  'shopName name phone address gstin fssaiNumber logoUrl currency language businessHours serviceSettings receiptSettings';
+
+// Only PUT /api/shop/me/logo sets an uploaded (/uploads/) logo; the profile
+// takes links to logos hosted elsewhere
+const isHttpsUrl = (value) => {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+class ShopProfileError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ShopProfileError';
+    this.status = status;
+  }
+}
+
+/**
+ * The profile of a shop
+ * @param {Object} shop - Shop document selected with PROFILE_SELECT
+ * @returns {Object}
+ */
+const profileOf = (shop) => ({
+  _id: shop._id,
+  shopName: shop.shopName,
+  name: shop.name,
+  phone: shop.phone,
+  address: shop.address || {},
+  gstin: shop.gstin || null,
+  fssaiNumber: shop.fssaiNumber || null,
+  logoUrl: shop.logoUrl || null,
+  currency: shop.currency,
+  language: shop.language,
+  timezone: shop.serviceSettings?.timezone,
+  businessHours: shop.businessHours || [],
+  receiptHeader: shop.receiptSettings?.headerLines || [],
+  receiptFooter: shop.receiptSettings?.footer || '',
+});
+
+/**
+ * Apply the profile fields of a request body to a shop document; the
+ * schema validates them when it is saved
+ * @param {Object} shop - Shop document
+ * @param {Object} body - Any of the PROFILE_PATHS fields
+ * @returns {Array<string>} - The fields changed
+ * @throws {ShopProfileError} - For other fields, none at all, null for a
+ *   field that cannot be empty, or a logoUrl that is not an https:// URL
+ */
+const applyProfile = (shop, body) => {
+  const fields = Object.keys(body || {}).filter((f) => f !== 'shopId');
+  const unknown = fields.filter((f) => !Object.hasOwn(PROFILE_PATHS, f));
+  if (unknown.length) {
+    throw new ShopProfileError(
+      `Unknown fields: ${unknown.join(', ')}. The profile has ${Object.keys(PROFILE_PATHS).join(', ')}`
+    );
+  }
+  if (!fields.length) {
+    throw new ShopProfileError(
+      `Provide at least one of: ${Object.keys(PROFILE_PATHS).join(', ')}`
+    );
+  }
+  for (const field of fields) {
+    const value = body[field];
+    const empty = value === null || value === '';
+    if (empty && !Object.hasOwn(CLEARED_VALUES, field)) {
+      throw new ShopProfileError(`${field} cannot be empty`);
+    }
+    if (field === 'logoUrl' && !empty && !isHttpsUrl(value)) {
+      throw new ShopProfileError(
+        'logoUrl must be an https:// URL; upload a logo with PUT /api/shop/me/logo'
+      );
+    }
+    shop.set(PROFILE_PATHS[field], empty ? CLEARED_VALUES[field]() : value);
+  }
+  return fields;
+};
+
+module.exports = {
+  PROFILE_SELECT,
+  ShopProfileError,
+  profileOf,
+  applyProfile,
+};
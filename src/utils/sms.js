@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing SMS
+//
+// Messages go through the provider named by SMS_PROVIDER. Two are built in
+// for development and tests: "console" (the default) prints each message,
+// "file" appends it as a JSON line to SMS_OUTBOX_FILE. A real gateway is
+// added with registerSmsProvider at start-up:
+//
+//   registerSmsProvider('msg91', { send: async ({ to, message }) => ... });
+
+const SMS_OUTBOX_FILE = process.env.SMS_OUTBOX_FILE || 'sms-outbox.log';
+
+const providers = new Map([
+  [
+    'console',
+    {
+      send: async ({ to, message }) => {
+        console.log(`📱 SMS to ${to}: ${message}`);
+      },
+    },
+  ],
+  [
+    'file',
+    {
+      send: async ({ to, message }) => {
+        await fs.promises.mkdir(path.dirname(path.resolve(SMS_OUTBOX_FILE)), {
+          recursive: true,
+        });
+        await fs.promises.appendFile(
+          SMS_OUTBOX_FILE,
+          `${JSON.stringify({ to, message, sentAt: new Date() })}\n`
+        );
+      },
+    },
+  ],
+]);
+
+class SmsError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'SmsError';
+    this.status = status;
+  }
+}
+
+/**
+ * Make an SMS provider available under a name for SMS_PROVIDER
+ * @param {string} name
+ * @param {Object} provider - { send: async ({ to, message }) => void }
+ */
+const registerSmsProvider = (name, provider) => {
+  if (typeof provider?.send !== 'function') {
+    throw new Error('An SMS provider needs a send({ to, message }) function');
+  }
+  providers.set(name, provider);
+};
+
+let warnedInsecure = false;
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} to - 10-digit Indian mobile number
+ * @param {string} message
+ * @returns {Promise<void>}
+ * @throws {SmsError} - When the provider is unknown or fails
+ */
+const sendSms = async (to, message) => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new SmsError(`Unknown SMS_PROVIDER "${name}"`, 500);
+  }
+  if (
+    name === 'console' &&
+    process.env.NODE_ENV === 'production' &&
+    !warnedInsecure
+  ) {
+    warnedInsecure = true;
+    console.warn(
+      '⚠️ SMS_PROVIDER is "console": one-time codes are written to the log instead of being sent'
+    );
+  }
+  try {
+    await provider.send({ to: String(to), message });
+  } catch (error) {
+    console.error(`❌ SMS provider "${name}" failed:`, error);
+    throw new SmsError('The SMS could not be sent; try again shortly');
+  }
+};
+
+module.exports = {
+  SMS_OUTBOX_FILE,
+  SmsError,
+  registerSmsProvider,
+  sendSms,
+};
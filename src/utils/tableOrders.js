@@ -0,0 +1,180 @@
+const Counter = require('../models/Counter');
+const Kot = require('../models/Kot');
+const TableOrder = require('../models/TableOrder');
+const { INVOICE_TIMEZONE } = require('./invoiceNumber');
+const { aggregateOrderLines } = require('./menuFuzzyMap');
+const { runInTransaction, createPricedBill } = require('./billStore');
+
+class TableOrderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TableOrderError';
+    this.status = status;
+  }
+}
+
+// KOT numbers restart every day, counted in IST: "2026-10-19"
+const kotDateOf = (at = new Date()) =>
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: INVOICE_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(at);
+
+/**
+ * Get the open order of a table, opening one when there is none
+ * @param {Object} table - Table document
+ * @returns {Promise<Object>} - Open TableOrder
+ */
+const openOrderFor = async (table) => {
+  const filter = { table: table._id, status: 'open' };
+  try {
+    return await TableOrder.findOneAndUpdate(
+      filter,
+      {
+        $setOnInsert: {
+          shop: table.shop,
+          table: table._id,
+          tableNumber: table.number,
+        },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Another request opened it first (unique open order per table)
+    if (error.code === 11000) return TableOrder.findOne(filter);
+    throw error;
+  }
+};
+
+/**
+ * Add a batch of lines to a table's open order and raise its KOT
+ * @param {Object} table - Table document
+ * @param {Array} lines - [{ menuItem, itemName, quantity, unitPrice,
+ *   variant?, modifiers?, note? }]
+ * @param {Object} [options] - { source: 'voice' | 'manual', voiceInput }
+ * @returns {Promise<Object>} - { order, kot }
+ * @throws {TableOrderError} - 409 when the order was closed meanwhile
+ */
+const sendToKitchen = async (table, lines, { source, voiceInput } = {}) => {
+  const order = await openOrderFor(table);
+  return runInTransaction(async (session) => {
+    const kotDate = kotDateOf();
+    const kotNumber = await Counter.next(`kot:${table.shop}:${kotDate}`, {
+      session,
+    });
+    const [kot] = await Kot.create(
+      [
+        {
+          shop: table.shop,
+          order: order._id,
+          table: table._id,
+          tableNumber: table.number,
+          kotNumber,
+          kotDate,
+          items: lines.map(
+            ({ menuItem, itemName, quantity, variant, modifiers, note }) => ({
+              menuItem,
+              itemName,
+              quantity,
+              variant,
+              modifiers,
+              note,
+            })
+          ),
+          source,
+          voiceInput,
+        },
+      ],
+      { session }
+    );
+    const updated = await TableOrder.findOneAndUpdate(
+      { _id: order._id, status: 'open' },
+      {
+        $push: {
+          items: {
+            $each: lines.map((line) => ({
+              ...line,
+              totalPrice: line.unitPrice * line.quantity,
+              kot: kot._id,
+            })),
+          },
+        },
+        $inc: { kotCount: 1 },
+      },
+      { new: true, session }
+    );
+    if (!updated) {
+      if (!session) await Kot.deleteOne({ _id: kot._id });
+      throw new TableOrderError('The table was billed meanwhile; retry', 409);
+    }
+    return { order: updated, kot };
+  });
+};
+
+/**
+ * Close a table: bill its open order (priced like every other bill) and
+ * free the table for the next guests
+ * @param {Object} table - Table document
+ * @param {Object} [options] - { adjustments, payments, createdBy } as for
+ *   createPricedBill
+ * @returns {Promise<Object>} - { order, bill }
+ * @throws {TableOrderError} - 404 without an open order, 400 when it is empty
+ */
+const closeTable = async (table, { adjustments, payments, createdBy } = {}) => {
+  const order = await TableOrder.findOne({ table: table._id, status: 'open' });
+  if (!order) {
+    throw new TableOrderError('The table has no open order', 404);
+  }
+  if (order.items.length === 0) {
+    throw new TableOrderError('The order has no items to bill');
+  }
+
+  // Claim the order first so a double submit cannot bill it twice; a batch
+  // sent to the kitchen meanwhile changes updatedAt and fails the claim
+  const claimed = await TableOrder.findOneAndUpdate(
+    { _id: order._id, status: 'open', updatedAt: order.updatedAt },
+    { $set: { status: 'billed', closedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new TableOrderError(
+      'The order changed or was billed by another request; reload and retry',
+      409
+    );
+  }
+
+  let bill;
+  try {
+    bill = await createPricedBill({
+      shop: claimed.shop,
+      items: aggregateOrderLines(claimed.items),
+      adjustments,
+      payments,
+      source: 'table',
+      createdBy,
+      tableOrder: claimed._id,
+      processedText: `Table ${claimed.tableNumber}`,
+    });
+  } catch (error) {
+    await TableOrder.updateOne(
+      { _id: claimed._id },
+      { $set: { status: 'open' }, $unset: { closedAt: 1 } }
+    );
+    throw error;
+  }
+  claimed.bill = bill._id;
+  await TableOrder.updateOne(
+    { _id: claimed._id },
+    { $set: { bill: bill._id } }
+  );
+  return { order: claimed, bill };
+};
+
+module.exports = {
+  TableOrderError,
+  kotDateOf,
+  sendToKitchen,
+  closeTable,
+};
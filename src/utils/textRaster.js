@@ -0,0 +1,189 @@
+const { getFont, fontRuns } = require('./receiptFonts');
+
+// Thermal printers have no Tamil code page, so Tamil lines are printed as
+// bitmaps. Glyph outlines come from fontkit (already shaped); this module
+// flattens them to polygons and fills them with a non-zero winding scanline.
+
+const CURVE_STEPS = 8;
+// Shrink long lines to fit, but not below this share of the requested size
+const MIN_SHRINK = 0.6;
+
+// Vertical extent shared by every line so stacked bitmaps line up
+const lineMetrics = (size, bold) =>
+  ['tamil', 'latin'].reduce(
+    (acc, script) => {
+      const font = getFont(bold ? `${script}Bold` : script);
+      const scale = size / font.unitsPerEm;
+      return {
+        ascent: Math.max(acc.ascent, font.ascent * scale),
+        descent: Math.max(acc.descent, -font.descent * scale),
+      };
+    },
+    { ascent: 0, descent: 0 }
+  );
+
+// Turn one glyph's path commands into closed contours (baseline-relative,
+// y pointing up)
+function glyphContours(commands, originX, originY, scale) {
+  const contours = [];
+  let contour = null;
+  let x = 0;
+  let y = 0;
+  const point = (px, py) => [originX + px * scale, originY + py * scale];
+
+  for (const { command, args } of commands) {
+    if (command === 'moveTo') {
+      contour = [point(args[0], args[1])];
+      contours.push(contour);
+      [x, y] = args;
+    } else if (command === 'lineTo') {
+      contour?.push(point(args[0], args[1]));
+      [x, y] = args;
+    } else if (command === 'quadraticCurveTo') {
+      const [cx, cy, ex, ey] = args;
+      for (let i = 1; i <= CURVE_STEPS; i++) {
+        const t = i / CURVE_STEPS;
+        const mt = 1 - t;
+        contour?.push(
+          point(
+            mt * mt * x + 2 * mt * t * cx + t * t * ex,
+            mt * mt * y + 2 * mt * t * cy + t * t * ey
+          )
+        );
+      }
+      [x, y] = [ex, ey];
+    } else if (command === 'bezierCurveTo') {
+      const [c1x, c1y, c2x, c2y, ex, ey] = args;
+      for (let i = 1; i <= CURVE_STEPS; i++) {
+        const t = i / CURVE_STEPS;
+        const mt = 1 - t;
+        const a = mt * mt * mt;
+        const b = 3 * mt * mt * t;
+        const c = 3 * mt * t * t;
+        const d = t * t * t;
+        contour?.push(
+          point(
+            a * x + b * c1x + c * c2x + d * ex,
+            a * y + b * c1y + c * c2y + d * ey
+          )
+        );
+      }
+      [x, y] = [ex, ey];
+    }
+    // closePath: contours are closed when edges are built
+  }
+  return contours;
+}
+
+// Shape and outline a line of text at a pixel size
+function outlineText(text, size, bold) {
+  const contours = [];
+  let penX = 0;
+  for (const run of fontRuns(text, bold)) {
+    const font = getFont(run.fontKey);
+    const scale = size / font.unitsPerEm;
+    const { glyphs, positions } = font.layout(run.text);
+    glyphs.forEach((glyph, i) => {
+      const pos = positions[i];
+      contours.push(
+        ...glyphContours(
+          glyph.path.commands,
+          penX + pos.xOffset * scale,
+          pos.yOffset * scale,
+          scale
+        )
+      );
+      penX += pos.xAdvance * scale;
+    });
+  }
+  return { contours, advance: penX };
+}
+
+/**
+ * Width in pixels a line of text takes at a pixel size
+ * @param {string} text - Text in any mix of Tamil and Latin script
+ * @param {Object} [options] - { size, bold }
+ * @returns {number}
+ */
+function measureText(text, { size = 24, bold = false } = {}) {
+  return outlineText(text, size, bold).advance;
+}
+
+/**
+ * Render one line of text to a 1-bit bitmap
+ * @param {string} text - Text in any mix of Tamil and Latin script
+ * @param {Object} [options] - { size (px), width (px, default: text width), align, bold }
+ * @returns {Object} - { width, height, bytesPerRow, data }; `data` holds rows
+ *   of MSB-first bits with 1 meaning black, as ESC/POS raster commands expect
+ */
+function renderTextBitmap(text, options = {}) {
+  const { align = 'left', bold = false } = options;
+  let size = options.size || 24;
+  let outline = outlineText(text, size, bold);
+  if (options.width && outline.advance > options.width) {
+    const shrink = Math.max(MIN_SHRINK, options.width / outline.advance);
+    size *= shrink;
+    outline = outlineText(text, size, bold);
+  }
+
+  const { ascent, descent } = lineMetrics(size, bold);
+  const width = Math.max(8, Math.ceil(options.width || outline.advance));
+  const bytesPerRow = Math.ceil(width / 8);
+  const height = Math.ceil(ascent + descent) + 2;
+  const baseline = Math.ceil(ascent) + 1;
+  const offsetX =
+    align === 'right'
+      ? width - outline.advance
+      : align === 'center'
+        ? (width - outline.advance) / 2
+        : 0;
+
+  const edges = [];
+  for (const contour of outline.contours) {
+    for (let i = 0; i < contour.length; i++) {
+      const [x0, y0] = contour[i];
+      const [x1, y1] = contour[(i + 1) % contour.length];
+      if (y0 === y1) continue;
+      edges.push({
+        x0: x0 + offsetX,
+        y0: baseline - y0,
+        x1: x1 + offsetX,
+        y1: baseline - y1,
+      });
+    }
+  }
+
+  const data = Buffer.alloc(bytesPerRow * height);
+  for (let row = 0; row < height; row++) {
+    const y = row + 0.5;
+    const crossings = [];
+    for (const e of edges) {
+      const top = Math.min(e.y0, e.y1);
+      const bottom = Math.max(e.y0, e.y1);
+      if (y < top || y >= bottom) continue;
+      crossings.push({
+        x: e.x0 + ((y - e.y0) * (e.x1 - e.x0)) / (e.y1 - e.y0),
+        dir: e.y1 > e.y0 ? 1 : -1,
+      });
+    }
+    crossings.sort((a, b) => a.x - b.x);
+
+    let winding = 0;
+    for (let i = 0; i < crossings.length - 1; i++) {
+      winding += crossings[i].dir;
+      if (winding === 0) continue;
+      const from = Math.max(0, Math.ceil(crossings[i].x - 0.5));
+      const to = Math.min(width - 1, Math.floor(crossings[i + 1].x - 0.5));
+      for (let x = from; x <= to; x++) {
+        data[row * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  return { width, height, bytesPerRow, data };
+}
+
+module.exports = {
+  measureText,
+  renderTextBitmap,
+};
@@ -0,0 +1,30 @@
+// UPI deep links (NPCI "upi://pay" intent), shown as a QR code at the counter
+const VPA_PATTERN = /^[A-Za-z0-9._-]{2,256}@[A-Za-z][A-Za-z0-9]{1,63}$/;
+
+// UPI apps expect %20 rather than "+" for spaces
+const encode = (value) => encodeURIComponent(String(value));
+
+/**
+ * Build a UPI payment intent
+ * @param {Object} params - { vpa, payeeName, amount, note?, reference? }
+ * @returns {string} - e.g. upi://pay?pa=shop@okaxis&pn=Sri%20Murugan&am=120.00&cu=INR
+ */
+const buildUpiUri = ({ vpa, payeeName, amount, note, reference }) => {
+  const params = [
+    ['pa', vpa],
+    ['pn', payeeName],
+    ['am', Number(amount).toFixed(2)],
+    ['cu', 'INR'],
+  ];
+  if (reference) params.push(['tr', reference]);
+  if (note) params.push(['tn', note]);
+  // The VPA is left as-is (VPA_PATTERN only allows URL-safe characters)
+  return `upi://pay?${params
+    .map(([k, v]) => `${k}=${k === 'pa' ? v : encode(v)}`)
+    .join('&')}`;
+};
+
+module.exports = {
+  VPA_PATTERN,
+  buildUpiUri,
+};
@@ -0,0 +1,119 @@
+// Spoken bill adjustments: discounts, coupon codes, parcel packing and
+// service charge opt-out ("10 percent discount", "50 ரூபாய் தள்ளுபடி",
+// "coupon SAVE20", "parcel"). They are read from the same normalised text
+// the order parser uses, and their spans are reserved so the numbers in them
+// are not taken as item quantities.
+
+const { preprocessText } = require('./menuFuzzyMap');
+
+const PERCENT =
+  '(?:percent(?:age)?|per cent|சதவீதம்|சதவிகிதம்|பர்சன்ட்|பர்சென்ட்)';
+const RUPEES = '(?:rs|rupees?|ரூபாய்|ரூபா|ரூ)';
+const DISCOUNT = '(?:discount|off|தள்ளுபடி|டிஸ்கவுண்ட்|கழிவு)';
+const WORD_START = '(?<![a-z0-9\\u0B80-\\u0BFF])';
+const WORD_END = '(?![a-z0-9])';
+
+// Checked in order; later patterns skip text claimed by earlier ones
+const PATTERNS = [
+  {
+    // "10 percent discount", "10 சதவீதம் தள்ளுபடி"
+    kind: 'discount',
+    regex: new RegExp(
+      `${WORD_START}(\\d+)\\s*${PERCENT}\\s*${DISCOUNT}`,
+      'giu'
+    ),
+    read: (m) => ({ discount: { type: 'percent', value: Number(m[1]) } }),
+  },
+  {
+    // "discount 10 percent", "தள்ளுபடி 10 சதவீதம்"
+    kind: 'discount',
+    regex: new RegExp(
+      `${WORD_START}${DISCOUNT}\\s*(?:of\\s*)?(\\d+)\\s*${PERCENT}`,
+      'giu'
+    ),
+    read: (m) => ({ discount: { type: 'percent', value: Number(m[1]) } }),
+  },
+  {
+    // "50 rupees discount", "₹50 off", "50 ரூபாய் தள்ளுபடி"
+    kind: 'discount',
+    regex: new RegExp(
+      `${WORD_START}(?:₹\\s*|${RUPEES}\\s*)?(\\d+)\\s*(?:${RUPEES}\\s*)?${DISCOUNT}${WORD_END}`,
+      'giu'
+    ),
+    read: (m) => ({ discount: { type: 'flat', value: Number(m[1]) } }),
+  },
+  {
+    // "discount 50 rupees", "தள்ளுபடி 50 ரூபாய்"
+    kind: 'discount',
+    regex: new RegExp(
+      `${WORD_START}${DISCOUNT}\\s*(?:of\\s*)?(?:₹\\s*)?(\\d+)\\s*${RUPEES}`,
+      'giu'
+    ),
+    read: (m) => ({ discount: { type: 'flat', value: Number(m[1]) } }),
+  },
+  {
+    // "coupon save20", "coupon code save 20", "கூப்பன் save20"
+    kind: 'coupon',
+    regex: new RegExp(
+      `${WORD_START}(?:coupon|promo|கூப்பன்)\\s*(?:code\\s*)?([a-z]+(?:\\s?\\d+)?|\\d+)${WORD_END}`,
+      'giu'
+    ),
+    read: (m) => ({ couponCode: m[1].replace(/\s+/g, '').toUpperCase() }),
+  },
+  {
+    kind: 'service-charge',
+    regex: new RegExp(
+      `${WORD_START}(?:(?:no|without)\\s*service\\s*charges?|சர்வீஸ்\\s*சார்ஜ்\\s*(?:வேண்டாம்|இல்லை))`,
+      'giu'
+    ),
+    read: () => ({ serviceCharge: false }),
+  },
+  {
+    kind: 'packing',
+    regex: new RegExp(
+      `${WORD_START}(?:parcel|take\\s*away|packing|பார்சல்)${WORD_END}`,
+      'giu'
+    ),
+    read: () => ({ packing: true }),
+  },
+];
+
+const overlaps = (ranges, s, e) =>
+  ranges.some((r) => !(e <= r.start || s >= r.end));
+
+/**
+ * Find spoken bill adjustments in an order
+ * @param {string} voiceInputText - Raw speech-to-text
+ * @returns {Object} - { text, adjustments, spans }; `adjustments` has the
+ *   normalizeAdjustments shape and `spans` ({ kind, start, end, text }) index
+ *   into `text`, the same normalised text analyzeOrder works on
+ */
+function extractVoiceAdjustments(voiceInputText) {
+  const text = preprocessText(voiceInputText || '').toLowerCase();
+  const found = [];
+
+  for (const { kind, regex, read } of PATTERNS) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (overlaps(found, start, end)) continue;
+      found.push({ kind, start, end, text: match[0], values: read(match) });
+    }
+  }
+
+  // Applied in spoken order so the last one wins ("10 percent... no, 5
+  // percent discount")
+  found.sort((a, b) => a.start - b.start);
+  const adjustments = {};
+  const spans = found.map(({ values, ...span }) => {
+    Object.assign(adjustments, values);
+    return span;
+  });
+  return { text, adjustments, spans };
+}
+
+module.exports = {
+  extractVoiceAdjustments,
+};
@@ -0,0 +1,294 @@
+/**
+ * Voice order parsing shared by bill and draft endpoints
+ * ------------------------------------------------------------------
+ * - Tries deterministic fuzzy parsing first (₹0, see utils/menuFuzzyMap).
+ * - Falls back to Gemini 1.5 Flash with ultra-compact prompt (very low cost).
+ * - LLM returns only { id, qty } against a short ID catalog to minimize tokens.
+ * - Prices always come from the shop catalog (no LLM math).
+ *
+ * ENV:
+ *   GEMINI_API_KEY=...
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const {
+  preprocessText,
+  analyzeOrder,
+  aggregateOrderLines,
+} = require('./menuFuzzyMap');
+const { extractVoiceAdjustments } = require('./voiceAdjustments');
+const { defaultVariant } = require('./menuOptions');
+const { isServedNow, outOfWindowWarning } = require('./serviceTime');
+
+// ------------------------------
+// Config & LLM init
+// ------------------------------
+const ENABLE_GEMINI_BILLING = true; // Force-enable LLM usage
+const MODEL_NAME = 'gemini-1.5-flash';
+const PRICING_PER_MTOKENS_USD = {
+  [MODEL_NAME]: {
+    input: parseFloat(process.env.GEMINI_FLASH_INPUT_PER_MTOKENS_USD || '0'),
+    output: parseFloat(process.env.GEMINI_FLASH_OUTPUT_PER_MTOKENS_USD || '0'),
+  },
+};
+const genAI = process.env.GEMINI_API_KEY
+  ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
+  : null;
+
+// ------------------------------
+// Ultra-low-token LLM fallback
+// ------------------------------
+
+// Very small, deterministic JSON schema for LLM output
+// { processed: string, lines: [{ id: "M1", qty: number }] }
+async function llmParseToIds(voiceInput, catalog) {
+  if (!genAI) {
+    console.warn('⚠️ GEMINI_API_KEY not set; skipping LLM fallback.');
+    return null;
+  }
+
+  const catalogLines = catalog.list
+    .map((x) => `${x.id}|${x.name}|${x.ta}`)
+    .join('\n');
+
+  const prompt = `TASK: Convert noisy Tamil/English speech text to bill items by MENU ID.
+MENU (id|en|ta):
+${catalogLines}
+
+RULES:
+- Return ONLY JSON: {"processed":string,"lines":[{"id":string,"qty":number}]}
+- Map slang/misspellings/accents (Tamil+Tanglish) to the closest menu item ID.
+- Quantities can be digits or Tamil words (ஒரு, ரெண்டு, மூணு, நாலு...).
+- If a dish is said with qualifiers (masala/ghee/egg/kothu/chicken...), pick that specific item; else the plainest item of that dish.
+- Ignore anything not in MENU. Do not invent items.
+- Discounts, coupons, parcel requests and table numbers ("table 4") are not items; ignore them.
+- If the same item is repeated, sum quantities.
+- Keep processed as a clean human-readable summary string.
+
+TEXT:
+"""${voiceInput}"""`;
+
+  const model = genAI.getGenerativeModel({ model: MODEL_NAME });
+
+  const result = await model.generateContent({
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    generationConfig: {
+      temperature: 0.2,
+      maxOutputTokens: 256,
+    },
+  });
+
+  // ------- usage metrics & response text -------
+  let text = '';
+  const usage =
+    (result && result.response && result.response.usageMetadata) ||
+    (result && result.usageMetadata) ||
+    {};
+  const toInt = (v) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : undefined;
+  };
+  const promptTokens = toInt(usage.promptTokenCount ?? usage.inputTokenCount);
+  const outputTokens = toInt(
+    usage.candidatesTokenCount ?? usage.outputTokenCount
+  );
+  const totalTokens = toInt(
+    usage.totalTokenCount ?? (promptTokens || 0) + (outputTokens || 0)
+  );
+  const pricing = PRICING_PER_MTOKENS_USD[MODEL_NAME] || {
+    input: 0,
+    output: 0,
+  };
+  const estimatedCostUsd = Number(
+    (
+      ((promptTokens || 0) * pricing.input +
+        (outputTokens || 0) * pricing.output) /
+      1_000_000
+    ).toFixed(6)
+  );
+  try {
+    text = result.response.text();
+  } catch {
+    // Older SDKs
+    text =
+      (await result.response)?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+  }
+
+  // Defensive un-fencing
+  if (!text) return null;
+  if (text.includes('```')) {
+    text = text.replace(/```json\s*|```/g, '').trim();
+  }
+  // Extract JSON
+  const match = text.match(/\{[\s\S]*\}/);
+  const jsonStr = match ? match[0] : text;
+  try {
+    const obj = JSON.parse(jsonStr);
+    if (!obj || !Array.isArray(obj.lines)) return null;
+    // sanitize
+    const lines = obj.lines
+      .filter((l) => l && typeof l.id === 'string' && Number.isFinite(l.qty))
+      .map((l) => ({ id: l.id.trim(), qty: Math.max(1, Math.floor(l.qty)) }));
+    const metrics = {
+      model: MODEL_NAME,
+      promptTokens: promptTokens ?? null,
+      outputTokens: outputTokens ?? null,
+      totalTokens: totalTokens ?? null,
+      estimatedCostUsd,
+      pricingPerMTokensUsd: { input: pricing.input, output: pricing.output },
+    };
+    if (metrics.totalTokens != null) {
+      console.log(
+        `🤖 Gemini usage → in: ${metrics.promptTokens || 0}, out: ${metrics.outputTokens || 0}, total: ${metrics.totalTokens || 0}, est. cost: $${metrics.estimatedCostUsd}`
+      );
+    }
+    return {
+      processed: String(obj.processed || '').slice(0, 300),
+      lines,
+      metrics,
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Cache LLM results per normalized input to save cost on repeats.
+// The cache lives on each shop catalog, so a menu change discards it.
+function cacheKeyFromInput(s) {
+  return preprocessText((s || '').toLowerCase());
+}
+
+// The LLM gives no evidence for its picks, so its lines are always reviewed
+const LLM_LINE_CONFIDENCE = 0.6;
+// Lines below this confidence are flagged for the cashier to check
+const REVIEW_CONFIDENCE = 0.75;
+
+const flagDoubtful = (line) => ({
+  ...line,
+  doubtful: line.confidence < REVIEW_CONFIDENCE || !!line.outsideServiceTime,
+});
+
+// Lines outside their service time are flagged and warned about; a shop that
+// blocks them keeps them off the order
+const applyServiceTime = (lines, catalog, service) => {
+  const outside = lines.filter((l) => l.outsideServiceTime);
+  const warnings = [...new Set(outside.map((l) => String(l.menuItem)))].map(
+    (id) => outOfWindowWarning(catalog.byMenuItemId.get(id), service)
+  );
+  const kept =
+    service?.enforcement === 'block'
+      ? lines.filter((l) => !l.outsideServiceTime)
+      : lines;
+  return { lines: kept, warnings };
+};
+
+/**
+ * Turn spoken order text into bill lines priced from the shop catalog
+ * @param {string} voiceInput - Raw speech-to-text
+ * @param {Object} catalog - Shop catalog from utils/menuCatalog
+ * @param {Object} [options] - { reservedRanges, service }: spans of the
+ *   normalised text that are not part of the order (e.g. a spoken table
+ *   number); the shop's service context (see utils/serviceTime)
+ * @returns {Promise<Object>} - { items, lines, unmatchedWords, adjustments, warnings, text, processedText, usage, parser }
+ *   `items` has one entry per menu item; `lines` one per recognised mention
+ *   with its confidence, matched span, quantity source and alternatives.
+ *   `adjustments` holds spoken discounts/coupon/parcel ({ values, spans }).
+ *   `warnings` lists items ordered outside their service time.
+ */
+const parseVoiceOrder = async (voiceInput, catalog, options = {}) => {
+  const spoken = extractVoiceAdjustments(voiceInput);
+  const adjustments = { values: spoken.adjustments, spans: spoken.spans };
+  const { service } = options;
+  const isServed = service && ((item) => isServedNow(item, service));
+
+  // ---- Deterministic path first (free) -----
+  const analysis = analyzeOrder(voiceInput, catalog, {
+    reservedRanges: spoken.spans.concat(options.reservedRanges || []),
+    isServed,
+  });
+  if (analysis.lines.length > 0 || !ENABLE_GEMINI_BILLING) {
+    const { lines, warnings } = applyServiceTime(
+      analysis.lines,
+      catalog,
+      service
+    );
+    const items = aggregateOrderLines(lines);
+    return {
+      items,
+      lines: lines.map(flagDoubtful),
+      unmatchedWords: analysis.unmatchedWords,
+      adjustments,
+      warnings,
+      text: analysis.text,
+      processedText: items
+        .map((it) => `${it.quantity} ${it.itemName}`)
+        .join(', '),
+      usage: null,
+      parser: 'fuzzy',
+    };
+  }
+
+  // ---- LLM fallback -----
+  const key = cacheKeyFromInput(voiceInput);
+  let parsed = catalog.llmCache.get(key);
+  if (!parsed) {
+    parsed = await llmParseToIds(voiceInput, catalog);
+    if (parsed) catalog.llmCache.set(key, parsed);
+  }
+  if (!parsed || !parsed.lines) {
+    return {
+      items: [],
+      lines: [],
+      unmatchedWords: analysis.unmatchedWords,
+      adjustments,
+      warnings: [],
+      text: analysis.text,
+      processedText: '',
+      usage: null,
+      parser: 'llm',
+    };
+  }
+
+  // Map IDs to the shop's items & compute totals deterministically
+  const llmLines = [];
+  for (const { id, qty } of parsed.lines) {
+    const menuItem = catalog.byId.get(id);
+    if (!menuItem) continue;
+    // The LLM picks no variant: the line gets the item's default one,
+    // whose price is the catalog price
+    const variant = defaultVariant(menuItem);
+    llmLines.push(
+      flagDoubtful({
+        menuItem: menuItem.menuItemId,
+        itemName: menuItem.name,
+        unitPrice: menuItem.price,
+        variant: variant && { variant: variant.id, name: variant.name },
+        quantity: qty,
+        totalPrice: menuItem.price * qty,
+        confidence: LLM_LINE_CONFIDENCE,
+        matchedBy: 'llm',
+        span: null,
+        quantitySource: 'llm',
+        alternatives: [],
+        ...(isServed && !isServed(menuItem) && { outsideServiceTime: true }),
+      })
+    );
+  }
+  const { lines, warnings } = applyServiceTime(llmLines, catalog, service);
+  return {
+    items: aggregateOrderLines(lines),
+    lines,
+    // Not tracked: the LLM does not say which words it used
+    unmatchedWords: null,
+    adjustments,
+    warnings,
+    text: analysis.text,
+    processedText: parsed.processed || '',
+    usage: parsed.metrics || null,
+    parser: 'llm',
+  };
+};
+
+module.exports = {
+  parseVoiceOrder,
+};
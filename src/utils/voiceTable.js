@@ -0,0 +1,46 @@
+// Spoken table references for dine-in orders: "table 4 rendu parotta",
+// "table number 12", "டேபிள் நாலு". Like voiceAdjustments, the span is read
+// from the normalised text analyzeOrder works on and is reserved, so the
+// table number is not taken as an item quantity.
+
+const { preprocessText, TAMIL_NUMBER_MAP } = require('./menuFuzzyMap');
+
+const TABLE = '(?:table|tabel|டேபிள்|டேபில்|மேசை)';
+const NUMBER_LABEL = '(?:no|number|num|நம்பர்|எண்)';
+const NUMBER_WORDS = Array.from(TAMIL_NUMBER_MAP.keys())
+  .sort((a, b) => b.length - a.length)
+  .join('|');
+
+const TABLE_PATTERN = new RegExp(
+  `(?<![a-z0-9\\u0B80-\\u0BFF])${TABLE}\\s*(?:${NUMBER_LABEL}\\s*)?(\\d+|${NUMBER_WORDS})(?![a-z0-9\\u0B80-\\u0BFF])`,
+  'iu'
+);
+
+/**
+ * Find the table an order is for
+ * @param {string} voiceInputText - Raw speech-to-text
+ * @returns {Object|null} - { tableNumber, span: { kind, start, end, text } }
+ *   with the span indexing the normalised text, or null when no table is said
+ */
+function extractTableReference(voiceInputText) {
+  const text = preprocessText(voiceInputText || '').toLowerCase();
+  const match = TABLE_PATTERN.exec(text);
+  if (!match) return null;
+  const spoken = match[1];
+  const tableNumber = /^\d+$/.test(spoken)
+    ? parseInt(spoken, 10)
+    : TAMIL_NUMBER_MAP.get(spoken);
+  return {
+    tableNumber,
+    span: {
+      kind: 'table',
+      start: match.index,
+      end: match.index + match[0].length,
+      text: match[0],
+    },
+  };
+}
+
+module.exports = {
+  extractTableReference,
+};
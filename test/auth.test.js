@@ -0,0 +1,116 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const AuthSession = require('../src/models/AuthSession');
+const {
+  AuthError,
+  isPasswordHash,
+  checkNewPassword,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  refreshSession,
+  verifyAccessToken,
+} = require('../src/utils/auth');
+
+const SHOP_ID = '64b000000000000000000301';
+const SESSION_ID = '64b000000000000000000302';
+
+describe('passwords', () => {
+  it('accepts 8 to 72 bytes', () => {
+    assert.equal(checkNewPassword('idli-vada'), 'idli-vada');
+    for (const password of [
+      'short',
+      'x'.repeat(73),
+      'த'.repeat(25),
+      12345678,
+    ]) {
+      assert.throws(
+        () => checkNewPassword(password),
+        (error) => error instanceof AuthError && error.status === 400
+      );
+    }
+  });
+
+  it('checks hashed and legacy plain-text passwords', async () => {
+    const hash = await hashPassword('idli-vada');
+    assert.ok(isPasswordHash(hash));
+    assert.ok(!isPasswordHash('idli-vada'));
+    assert.equal(await verifyPassword('idli-vada', hash), true);
+    assert.equal(await verifyPassword('idli-vadai', hash), false);
+    assert.equal(await verifyPassword('1234', '1234'), true);
+    assert.equal(await verifyPassword('12345', '1234'), false);
+    assert.equal(await verifyPassword(undefined, '1234'), false);
+  });
+});
+
+describe('sessions', () => {
+  before(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  // An AuthSession as AuthSession.create stores it
+  const stored = (fields) => ({
+    _id: SESSION_ID,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null,
+    ...fields,
+  });
+  const lean = (value) => ({
+    select: () => ({ lean: async () => value }),
+    lean: async () => value,
+  });
+
+  it('signs access tokens that name the session', async (t) => {
+    let created;
+    t.mock.method(AuthSession, 'create', async (fields) => {
+      created = stored(fields);
+      return created;
+    });
+    const tokens = await createSession(SHOP_ID, {
+      headers: { 'user-agent': 'till-1' },
+    });
+    assert.equal(created.userAgent, 'till-1');
+    assert.match(tokens.refreshToken, new RegExp(`^${SESSION_ID}\\.`));
+
+    t.mock.method(AuthSession, 'findOne', (filter) =>
+      lean(
+        filter._id === SESSION_ID && filter.shop === SHOP_ID
+          ? { staff: null }
+          : null
+      )
+    );
+    assert.deepEqual(await verifyAccessToken(tokens.accessToken), {
+      shopId: SHOP_ID,
+      sessionId: SESSION_ID,
+      staffId: null,
+    });
+    await assert.rejects(verifyAccessToken('not-a-token'), AuthError);
+  });
+
+  it('rotates refresh tokens and revokes the session when one is reused', async (t) => {
+    let session;
+    t.mock.method(AuthSession, 'create', async (fields) => {
+      session = stored(fields);
+      return session;
+    });
+    const first = await createSession(SHOP_ID);
+
+    t.mock.method(AuthSession, 'findById', () => lean(session));
+    t.mock.method(AuthSession, 'findOneAndUpdate', async (filter, update) => {
+      if (filter.refreshTokenHash !== session.refreshTokenHash) return null;
+      session = { ...session, ...update.$set };
+      return session;
+    });
+    const revoke = t.mock.method(AuthSession, 'updateMany', async () => ({
+      modifiedCount: 1,
+    }));
+
+    const second = await refreshSession(first.refreshToken);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(revoke.mock.callCount(), 0);
+
+    await assert.rejects(refreshSession(first.refreshToken), AuthError);
+    assert.equal(revoke.mock.callCount(), 1);
+    assert.equal(revoke.mock.calls[0].arguments[1].$set.revokeReason, 'reuse');
+  });
+});
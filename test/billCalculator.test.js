@@ -0,0 +1,251 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_TAX_SETTINGS,
+  BillAdjustmentError,
+  calculateBill,
+  couponDiscount,
+  normalizeAdjustments,
+  normalizeDiscount,
+  resolveTaxSettings,
+} = require('../src/utils/billCalculator');
+
+const gst = (overrides = {}) => ({
+  ...DEFAULT_TAX_SETTINGS,
+  enabled: true,
+  ...overrides,
+});
+
+describe('calculateBill: GST', () => {
+  it('adds tax per rate on top of menu prices', () => {
+    const bill = calculateBill(
+      [
+        { itemName: 'Dosa', quantity: 2, unitPrice: 100, taxRate: 5 },
+        { itemName: 'Cola', quantity: 1, unitPrice: 50, taxRate: 18 },
+      ],
+      gst()
+    );
+    assert.equal(bill.subtotal, 250);
+    assert.equal(bill.tax, 19);
+    assert.equal(bill.total, 269);
+    assert.equal(bill.roundOff, 0);
+    assert.deepEqual(bill.taxBreakdown, [
+      { rate: 5, taxableValue: 200, cgst: 5, sgst: 5, igst: 0, tax: 10 },
+      { rate: 18, taxableValue: 50, cgst: 4.5, sgst: 4.5, igst: 0, tax: 9 },
+    ]);
+  });
+
+  it('takes tax out of tax-inclusive prices', () => {
+    const bill = calculateBill(
+      [{ itemName: 'Meals', quantity: 1, unitPrice: 105, taxRate: 5 }],
+      gst({ pricesIncludeTax: true })
+    );
+    assert.equal(bill.taxInclusive, true);
+    assert.equal(bill.subtotal, 100);
+    assert.equal(bill.tax, 5);
+    assert.equal(bill.total, 105);
+    assert.equal(bill.items[0].totalPrice, 105);
+  });
+
+  it('charges IGST instead of CGST and SGST between states', () => {
+    const bill = calculateBill(
+      [{ itemName: 'Dosa', quantity: 1, unitPrice: 100, taxRate: 12 }],
+      gst({ interState: true })
+    );
+    assert.deepEqual(bill.taxBreakdown, [
+      { rate: 12, taxableValue: 100, cgst: 0, sgst: 0, igst: 12, tax: 12 },
+    ]);
+  });
+
+  it('splits odd paise between CGST and SGST without losing any', () => {
+    const bill = calculateBill(
+      [{ itemName: 'Tea', quantity: 1, unitPrice: 1, taxRate: 5 }],
+      gst({ roundingMode: 'none' })
+    );
+    const [item] = bill.items;
+    assert.equal(item.taxAmount, 0.05);
+    assert.equal(item.cgst + item.sgst, item.taxAmount);
+  });
+
+  it('uses the shop default rate and SAC code for items without their own', () => {
+    const bill = calculateBill(
+      [{ itemName: 'Idli', quantity: 4, unitPrice: 10 }],
+      gst({ defaultRate: 12 })
+    );
+    assert.equal(bill.items[0].taxRate, 12);
+    assert.equal(bill.items[0].hsnCode, '996331');
+    assert.equal(bill.tax, 4.8);
+  });
+
+  it('charges no tax when GST is off', () => {
+    const bill = calculateBill(
+      [{ itemName: 'Dosa', quantity: 2, unitPrice: 100, taxRate: 18 }],
+      resolveTaxSettings(null)
+    );
+    assert.equal(bill.items[0].taxRate, 0);
+    assert.equal(bill.tax, 0);
+    assert.deepEqual(bill.taxBreakdown, [
+      { rate: 0, taxableValue: 200, cgst: 0, sgst: 0, igst: 0, tax: 0 },
+    ]);
+    assert.equal(bill.total, 200);
+  });
+
+  it('rounds the total as the shop asks and records the difference', () => {
+    const lines = [{ itemName: 'Thali', quantity: 1, unitPrice: 99 }];
+    const nearest = calculateBill(lines, gst());
+    assert.equal(nearest.total, 104);
+    assert.equal(nearest.roundOff, 0.05);
+
+    const down = calculateBill(lines, gst({ roundingMode: 'down' }));
+    assert.equal(down.total, 103);
+    assert.equal(down.roundOff, -0.95);
+
+    const none = calculateBill(lines, gst({ roundingMode: 'none' }));
+    assert.equal(none.total, 103.95);
+    assert.equal(none.roundOff, 0);
+  });
+});
+
+describe('resolveTaxSettings', () => {
+  it('fills settings the shop has not stored with the defaults', () => {
+    const settings = resolveTaxSettings({
+      taxSettings: { enabled: true, defaultRate: 18, interState: null },
+    });
+    assert.equal(settings.enabled, true);
+    assert.equal(settings.defaultRate, 18);
+    assert.equal(settings.interState, false);
+    assert.equal(settings.roundTo, 1);
+  });
+});
+
+describe('calculateBill: discounts, coupons and charges', () => {
+  const lines = [
+    {
+      itemName: 'Dosa',
+      quantity: 2,
+      unitPrice: 100,
+      discount: { type: 'percent', value: 10 },
+    },
+    { itemName: 'Vada', quantity: 2, unitPrice: 50 },
+  ];
+
+  it('applies line discounts, then spreads the bill discount by line value', () => {
+    const bill = calculateBill(lines, gst(), {
+      discount: { type: 'flat', value: 28 },
+    });
+    assert.equal(bill.grossAmount, 300);
+    assert.equal(bill.items[0].discount.amount, 20);
+    assert.deepEqual(
+      bill.items.map((it) => it.billDiscountShare),
+      [18, 10]
+    );
+    assert.equal(bill.discountTotal, 48);
+    assert.equal(bill.subtotal, 252);
+    assert.equal(bill.tax, 12.6);
+  });
+
+  it('adds service and packing charges before GST, taxed at the default rate', () => {
+    const bill = calculateBill(lines, gst(), {
+      discount: { type: 'flat', value: 28 },
+      serviceChargeRate: 10,
+      packingCharge: 10,
+    });
+    assert.equal(bill.serviceCharge, 25.2);
+    assert.equal(bill.packingCharge, 10);
+    assert.deepEqual(
+      bill.charges.map((c) => [c.type, c.tax]),
+      [
+        ['service', 1.26],
+        ['packing', 0.5],
+      ]
+    );
+    assert.equal(bill.tax, 14.36);
+    assert.equal(bill.total, 302);
+    assert.equal(bill.roundOff, 0.44);
+  });
+
+  it('never discounts more than the bill is worth', () => {
+    const bill = calculateBill(lines, gst(), {
+      discount: { type: 'flat', value: 1000 },
+    });
+    assert.equal(bill.subtotal, 0);
+    assert.equal(bill.total, 0);
+  });
+
+  it('applies a coupon after the bill discount', () => {
+    const coupon = {
+      _id: 'c1',
+      code: 'SAVE10',
+      discountType: 'percent',
+      value: 10,
+    };
+    const bill = calculateBill(lines, gst(), {
+      discount: { type: 'flat', value: 30 },
+      coupon,
+    });
+    assert.deepEqual(bill.coupon, { coupon: 'c1', code: 'SAVE10', amount: 25 });
+    assert.equal(bill.discountTotal, 75);
+    assert.equal(bill.subtotal, 225);
+  });
+});
+
+describe('couponDiscount', () => {
+  const coupon = {
+    code: 'SAVE10',
+    discountType: 'percent',
+    value: 10,
+    maxDiscount: 15,
+    minOrderValue: 100,
+  };
+
+  it('caps the discount at maxDiscount', () => {
+    assert.equal(couponDiscount(coupon, 280, 28), 15);
+    assert.equal(
+      couponDiscount({ ...coupon, maxDiscount: null }, 280, 28),
+      25.2
+    );
+  });
+
+  it('refuses bills under the minimum order', () => {
+    assert.throws(() => couponDiscount(coupon, 99), BillAdjustmentError);
+  });
+});
+
+describe('normalizeDiscount', () => {
+  it('accepts percent and flat discounts', () => {
+    assert.deepEqual(normalizeDiscount({ type: 'percent', value: '12.5' }), {
+      type: 'percent',
+      value: 12.5,
+    });
+    assert.deepEqual(normalizeDiscount({ type: 'flat', value: 500 }), {
+      type: 'flat',
+      value: 500,
+    });
+  });
+
+  it('rejects other types, negative values and more than 100 percent', () => {
+    for (const input of [
+      null,
+      { type: 'bogo', value: 1 },
+      { type: 'flat', value: -5 },
+      { type: 'flat', value: 'lots' },
+      { type: 'percent', value: 200 },
+    ]) {
+      assert.throws(() => normalizeDiscount(input), BillAdjustmentError);
+    }
+  });
+});
+
+describe('normalizeAdjustments', () => {
+  it('keeps only the adjustments given', () => {
+    assert.deepEqual(normalizeAdjustments({}), {});
+    assert.deepEqual(
+      normalizeAdjustments({
+        couponCode: ' save10 ',
+        packing: 1,
+        serviceCharge: false,
+      }),
+      { couponCode: 'SAVE10', packing: true, serviceCharge: false }
+    );
+  });
+});
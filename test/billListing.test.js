@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Bill = require('../src/models/Bill');
+const { getAllBills } = require('../src/controllers/billController');
+
+const SHOP_ID = '64b000000000000000000801';
+
+// Runs a controller and returns the status and JSON it answered with
+const call = async (handler, req) => {
+  const result = { status: 200 };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  await handler(req, res);
+  return result;
+};
+
+// Bill.find and countDocuments over 45 stored bills
+const fakeBills = (t) => {
+  const queries = [];
+  t.mock.method(Bill, 'find', (filter) => {
+    const query = { filter };
+    queries.push(query);
+    const chain = {
+      sort: () => chain,
+      skip: (n) => ((query.skip = n), chain),
+      limit: (n) => ((query.limit = n), chain),
+      select: () => chain,
+      lean: async () =>
+        Array.from({ length: Math.min(query.limit, 45 - query.skip) }, () => ({
+          total: 10,
+        })),
+    };
+    return chain;
+  });
+  t.mock.method(Bill, 'countDocuments', async () => 45);
+  return queries;
+};
+
+describe('getAllBills', () => {
+  it('pages the bills of the signed-in shop', async (t) => {
+    const queries = fakeBills(t);
+    const { body } = await call(getAllBills, {
+      shopId: SHOP_ID,
+      query: { page: '3', limit: '20' },
+    });
+    assert.deepEqual(queries[0], {
+      filter: { shop: SHOP_ID },
+      skip: 40,
+      limit: 20,
+    });
+    assert.equal(body.count, 5);
+    assert.equal(body.total, 45);
+    assert.equal(body.pages, 3);
+  });
+
+  it('keeps the page size within bounds', async (t) => {
+    const queries = fakeBills(t);
+    await call(getAllBills, {
+      shopId: SHOP_ID,
+      query: { limit: '1000', page: '-2' },
+    });
+    assert.equal(queries[0].limit, 100);
+    assert.equal(queries[0].skip, 0);
+  });
+
+  it('takes a date range, a plain "to" date covering the whole day', async (t) => {
+    const queries = fakeBills(t);
+    await call(getAllBills, {
+      shopId: SHOP_ID,
+      query: { from: '2026-10-01', to: '2026-10-19' },
+    });
+    assert.deepEqual(queries[0].filter.createdAt, {
+      $gte: new Date('2026-10-01T00:00:00Z'),
+      $lt: new Date('2026-10-20T00:00:00Z'),
+    });
+  });
+
+  it('rejects a bad date or payment status', async () => {
+    assert.equal(
+      (
+        await call(getAllBills, {
+          shopId: SHOP_ID,
+          query: { from: 'yesterday' },
+        })
+      ).status,
+      400
+    );
+    assert.equal(
+      (
+        await call(getAllBills, {
+          shopId: SHOP_ID,
+          query: { paymentStatus: 'maybe' },
+        })
+      ).status,
+      400
+    );
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_TAX_SETTINGS,
+  calculateBill,
+} = require('../src/utils/billCalculator');
+const {
+  BillSplitError,
+  normalizeSplitAudit,
+  planSplit,
+  priceSplit,
+  priceMerge,
+  unsplittableReason,
+} = require('../src/utils/billSplit');
+
+const { DOSA_LINE, TEA_LINE, makeBill } = require('./helpers/bills');
+
+// Dosa 2 x 100 and tea 2 x 20, 24 off the bill, coupon X for 12 and a
+// packing charge of 10
+const makeSplittableBill = () =>
+  makeBill(
+    { dosa: 2, tea: 2 },
+    {
+      discount: { type: 'flat', value: 24 },
+      coupon: { _id: 'c1', code: 'X', discountType: 'flat', value: 12 },
+      packingCharge: 10,
+    }
+  );
+
+const sumOf = (bills, key) =>
+  Math.round(bills.reduce((s, b) => s + b[key], 0) * 100) / 100;
+
+describe('planSplit', () => {
+  it('splits every line into equal shares that add up', () => {
+    const parts = planSplit(makeSplittableBill(), { shares: 3 });
+    assert.equal(parts.length, 3);
+    assert.deepEqual(
+      parts.map((part) => part[0].quantity),
+      [0.667, 0.667, 0.666]
+    );
+  });
+
+  it('puts what the parts leave over on one more bill', () => {
+    const parts = planSplit(makeSplittableBill(), {
+      parts: [{ lines: [{ lineId: DOSA_LINE, quantity: 1 }] }],
+    });
+    assert.deepEqual(parts, [
+      [{ index: 0, quantity: 1 }],
+      [
+        { index: 0, quantity: 1 },
+        { index: 1, quantity: 2 },
+      ],
+    ]);
+  });
+
+  it('refuses splits that are not splits', () => {
+    const bill = makeSplittableBill();
+    for (const body of [
+      { shares: 1 },
+      { shares: 2.5 },
+      { parts: [] },
+      { parts: [{ lines: [{ lineId: DOSA_LINE }, { lineId: TEA_LINE }] }] },
+      { parts: [{ lines: [{ lineId: DOSA_LINE, quantity: 3 }] }] },
+      { parts: [{ lines: [{ lineId: '64b0000000000000000002ff' }] }] },
+    ]) {
+      assert.throws(() => planSplit(bill, body), BillSplitError);
+    }
+  });
+});
+
+describe('priceSplit and priceMerge', () => {
+  it('shares discounts, the coupon and packing out by value', () => {
+    const bill = makeSplittableBill();
+    assert.equal(bill.subtotal, 204);
+    const parts = priceSplit(
+      bill,
+      planSplit(bill, { parts: [{ lines: [{ lineId: DOSA_LINE }] }] }),
+      null
+    );
+    assert.deepEqual(
+      parts.map((p) => [p.discount.amount, p.coupon.amount, p.packingCharge]),
+      [
+        [20, 10, 8.33],
+        [4, 2, 1.67],
+      ]
+    );
+    assert.equal(sumOf(parts, 'subtotal'), bill.subtotal);
+    assert.equal(sumOf(parts, 'discountTotal'), bill.discountTotal);
+    // The coupon's one use stays on one bill
+    assert.deepEqual(
+      parts.map((p) => p.coupon.coupon),
+      ['c1', undefined]
+    );
+  });
+
+  it('merges the parts back into the original bill', () => {
+    const bill = makeSplittableBill();
+    const parts = priceSplit(bill, planSplit(bill, { shares: 2 }), null);
+    const merged = priceMerge(parts, null);
+    assert.equal(merged.subtotal, bill.subtotal);
+    assert.equal(merged.discountTotal, bill.discountTotal);
+    assert.equal(merged.packingCharge, bill.packingCharge);
+    assert.equal(merged.total, bill.total);
+    assert.equal(merged.coupon.coupon, 'c1');
+  });
+
+  it('refuses to merge bills taxed differently', () => {
+    const bill = makeSplittableBill();
+    const interState = calculateBill(
+      [{ itemName: 'Tea', quantity: 1, unitPrice: 20, taxRate: 5 }],
+      { ...DEFAULT_TAX_SETTINGS, enabled: true, interState: true }
+    );
+    assert.throws(
+      () => priceMerge([bill, interState], null),
+      (error) => error instanceof BillSplitError && error.status === 409
+    );
+  });
+});
+
+describe('unsplittableReason', () => {
+  it('keeps void, refunded and paid bills as they are', () => {
+    assert.equal(unsplittableReason({ status: 'void' }), 'Bill is void');
+    assert.equal(
+      unsplittableReason({ refundedTotal: 10 }),
+      'Bill has credit notes'
+    );
+    assert.equal(
+      unsplittableReason({ amountPaid: 5 }),
+      'Bill already has payments'
+    );
+    assert.equal(unsplittableReason({ status: 'completed' }), undefined);
+  });
+});
+
+describe('normalizeSplitAudit', () => {
+  it('needs who split the bill', () => {
+    assert.deepEqual(normalizeSplitAudit({ performedBy: ' Ravi ' }), {
+      by: 'Ravi',
+      reason: undefined,
+    });
+    assert.throws(() => normalizeSplitAudit({}), BillSplitError);
+  });
+});
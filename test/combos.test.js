@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MenuItem = require('../src/models/MenuItem');
+const { loadComponentItems, comboComponents } = require('../src/utils/combos');
+
+const PAROTTA = '64b000000000000000000b11';
+const KALAKKI = '64b000000000000000000b12';
+
+const componentItems = new Map([
+  [PAROTTA, { _id: PAROTTA, names: { en: { full: 'Parotta' } }, price: 20 }],
+  [
+    KALAKKI,
+    { _id: KALAKKI, names: { en: { full: 'Egg Kalakki' } }, price: 40 },
+  ],
+]);
+
+const combo = {
+  names: { en: { full: 'Parotta + Egg Kalakki' } },
+  price: 70,
+  components: [
+    { menuItem: PAROTTA, quantity: 2 },
+    { menuItem: KALAKKI, quantity: 1 },
+  ],
+};
+
+describe('comboComponents', () => {
+  it('shares the combo price by the menu price of each component', () => {
+    assert.deepEqual(comboComponents(combo, componentItems), [
+      { menuItem: PAROTTA, itemName: 'Parotta', quantity: 2, share: 0.5 },
+      { menuItem: KALAKKI, itemName: 'Egg Kalakki', quantity: 1, share: 0.5 },
+    ]);
+  });
+
+  it('shares equally when the components have no price', () => {
+    const rows = comboComponents(
+      { components: [...combo.components, { menuItem: 'x', quantity: 1 }] },
+      new Map()
+    );
+    assert.deepEqual(
+      rows.map((row) => [row.itemName, row.share]),
+      [
+        ['Unknown item', 1 / 3],
+        ['Unknown item', 1 / 3],
+        ['Unknown item', 1 / 3],
+      ]
+    );
+  });
+
+  it('leaves plain items alone', () => {
+    assert.equal(comboComponents({ price: 20 }, componentItems), undefined);
+    assert.equal(
+      comboComponents({ components: [] }, componentItems),
+      undefined
+    );
+  });
+});
+
+describe('loadComponentItems', () => {
+  it('loads each component once', async (t) => {
+    const find = t.mock.method(MenuItem, 'find', (filter) => ({
+      select: () => ({
+        lean: async () => filter._id.$in.map((id) => componentItems.get(id)),
+      }),
+    }));
+    const items = await loadComponentItems([
+      combo,
+      { components: [{ menuItem: PAROTTA, quantity: 1 }] },
+      { price: 30 },
+    ]);
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      _id: { $in: [PAROTTA, KALAKKI] },
+    });
+    assert.equal(items.get(KALAKKI).price, 40);
+  });
+
+  it('does not query without combos', async (t) => {
+    const find = t.mock.method(MenuItem, 'find');
+    assert.equal((await loadComponentItems([{ price: 30 }])).size, 0);
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
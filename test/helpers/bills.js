@@ -0,0 +1,41 @@
+const {
+  DEFAULT_TAX_SETTINGS,
+  calculateBill,
+} = require('../../src/utils/billCalculator');
+
+// Bills priced by the real calculateBill, shared by the refund and split
+// tests so their fixtures follow the calculator
+
+const DOSA_LINE = '64b000000000000000000101';
+const TEA_LINE = '64b000000000000000000102';
+
+/**
+ * A bill of dosa at 100 and tea at 20, both at 5% GST
+ * @param {Object} quantities - { dosa, tea }
+ * @param {Object} [adjustments] - Discount, coupon and charges, as for
+ *   calculateBill
+ * @returns {Object} - Priced bill; its lines have the _ids above
+ */
+const makeBill = ({ dosa, tea }, adjustments) =>
+  calculateBill(
+    [
+      {
+        _id: DOSA_LINE,
+        itemName: 'Dosa',
+        quantity: dosa,
+        unitPrice: 100,
+        taxRate: 5,
+      },
+      {
+        _id: TEA_LINE,
+        itemName: 'Tea',
+        quantity: tea,
+        unitPrice: 20,
+        taxRate: 5,
+      },
+    ],
+    { ...DEFAULT_TAX_SETTINGS, enabled: true },
+    adjustments
+  );
+
+module.exports = { DOSA_LINE, TEA_LINE, makeBill };
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Counter = require('../src/models/Counter');
+const Shop = require('../src/models/shop');
+const {
+  financialYearOf,
+  resolveInvoiceSettings,
+  formatInvoiceNumber,
+  nextInvoiceNumber,
+  nextCreditNoteNumber,
+} = require('../src/utils/invoiceNumber');
+
+describe('financialYearOf', () => {
+  it('starts the year on 1 April in IST', () => {
+    // 23:59 and 00:00 IST either side of the change of year
+    assert.equal(financialYearOf(new Date('2026-03-31T18:29:00Z')), '2025-26');
+    assert.equal(financialYearOf(new Date('2026-03-31T18:30:00Z')), '2026-27');
+    assert.equal(financialYearOf(new Date('2027-01-15T00:00:00Z')), '2026-27');
+  });
+
+  it('writes the end year with two digits across a century', () => {
+    assert.equal(financialYearOf(new Date('2099-06-01T00:00:00Z')), '2099-00');
+  });
+});
+
+describe('resolveInvoiceSettings', () => {
+  it('makes a prefix from the shop name when none is set', () => {
+    const settings = resolveInvoiceSettings({ shopName: 'Sri Murugan Bhavan' });
+    assert.equal(settings.prefix, 'SRIMUR');
+    assert.equal(settings.padding, 6);
+    assert.equal(resolveInvoiceSettings({ shopName: '!!' }).prefix, 'INV');
+  });
+
+  it('keeps the settings the shop stored', () => {
+    const settings = resolveInvoiceSettings({
+      shopName: 'Any',
+      invoiceSettings: { prefix: 'MB', padding: 4, format: '' },
+    });
+    assert.equal(settings.prefix, 'MB');
+    assert.equal(settings.padding, 4);
+    assert.equal(settings.format, '{prefix}-{fy}/{seq}');
+  });
+});
+
+describe('formatInvoiceNumber', () => {
+  it('fills in the prefix, year and padded sequence', () => {
+    const settings = {
+      prefix: 'MB',
+      format: '{prefix}-{fy}/{seq}',
+      padding: 6,
+    };
+    assert.equal(
+      formatInvoiceNumber(settings, 123, '2026-27'),
+      'MB-2026-27/000123'
+    );
+    assert.equal(
+      formatInvoiceNumber({ ...settings, format: '{seq}', padding: 2 }, 1234),
+      '1234'
+    );
+  });
+});
+
+describe('nextInvoiceNumber', () => {
+  const shopId = '64b000000000000000000001';
+  const withShop = (t, invoiceSettings) => {
+    t.mock.method(Shop, 'findById', () => ({
+      select: () => ({
+        session: () => ({
+          lean: async () => ({ shopName: 'Murugan', invoiceSettings }),
+        }),
+      }),
+    }));
+    const keys = [];
+    t.mock.method(Counter, 'next', async (key) => {
+      keys.push(key);
+      return keys.length;
+    });
+    return keys;
+  };
+
+  it('numbers each financial year in its own series', async (t) => {
+    const keys = withShop(t);
+    const at = new Date('2026-05-01T00:00:00Z');
+    assert.deepEqual(await nextInvoiceNumber(shopId, { at }), {
+      invoiceNumber: 'MURUGA-2026-27/000001',
+      invoiceSeq: 1,
+      financialYear: '2026-27',
+    });
+    assert.deepEqual(keys, [`invoice:${shopId}:2026-27`]);
+  });
+
+  it('keeps one series when the shop does not reset each year', async (t) => {
+    const keys = withShop(t, { resetEachFinancialYear: false });
+    await nextInvoiceNumber(shopId);
+    assert.deepEqual(keys, [`invoice:${shopId}:all`]);
+  });
+
+  it('numbers credit notes in a series of their own', async (t) => {
+    const keys = withShop(t, { prefix: 'MB' });
+    const at = new Date('2026-05-01T00:00:00Z');
+    const { creditNoteNumber } = await nextCreditNoteNumber(shopId, { at });
+    assert.equal(creditNoteNumber, 'CN-MB-2026-27/000001');
+    assert.deepEqual(keys, [`creditNote:${shopId}:2026-27`]);
+  });
+});
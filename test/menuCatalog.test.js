@@ -0,0 +1,113 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const MenuItem = require('../src/models/MenuItem');
+const PriceChange = require('../src/models/PriceChange');
+const {
+  getShopCatalog,
+  invalidateShopCatalog,
+  buildCatalog,
+} = require('../src/utils/menuCatalog');
+
+const SHOP_ID = '64b000000000000000000601';
+
+const dosa = {
+  _id: '64b000000000000000000611',
+  names: { en: { full: 'Plain Dosa', short: 'Dosa' }, ta: { full: 'தோசை' } },
+  price: 60,
+  unit: 'plate',
+  foodTimes: ['breakfast'],
+  synonyms: { en: ['dosai'] },
+  tags: ['tiffin'],
+};
+
+describe('buildCatalog', () => {
+  it('keeps what voice billing needs of each item', () => {
+    const catalog = buildCatalog(SHOP_ID, [dosa]);
+    assert.deepEqual(catalog.list, [
+      {
+        id: 'M0',
+        menuItemId: dosa._id,
+        name: 'Plain Dosa',
+        shortName: 'Dosa',
+        ta: 'தோசை',
+        taShort: '',
+        price: 60,
+        unit: 'plate',
+        category: 'breakfast',
+        foodTimes: ['breakfast'],
+        synonyms: { en: ['dosai'], ta: [] },
+        tags: ['tiffin'],
+        variants: [],
+        modifierGroups: [],
+      },
+    ]);
+    assert.equal(catalog.byId.get('M0'), catalog.list[0]);
+    assert.equal(catalog.byMenuItemId.get(dosa._id), catalog.list[0]);
+    assert.equal(catalog.byName.get('plain dosa'), catalog.list[0]);
+  });
+});
+
+// A query chain that resolves to value
+const query = (value) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    lean: async () => value,
+  };
+  return chain;
+};
+
+describe('getShopCatalog', () => {
+  let loads;
+  let nextChange;
+
+  beforeEach((t) => {
+    loads = 0;
+    nextChange = null;
+    invalidateShopCatalog(SHOP_ID);
+    // No scheduled price changes are due
+    t.mock.method(PriceChange, 'find', () => query([]));
+    t.mock.method(PriceChange, 'findOne', () => query(nextChange));
+    t.mock.method(MenuItem, 'find', (filter) => {
+      loads += 1;
+      assert.deepEqual(filter, { shopId: SHOP_ID, isAvailable: true });
+      return { sort: () => ({ lean: async () => [dosa] }) };
+    });
+  });
+
+  it('loads the menu of a shop once until it changes', async () => {
+    const [first, second] = await Promise.all([
+      getShopCatalog(SHOP_ID),
+      getShopCatalog(SHOP_ID),
+    ]);
+    assert.equal(first, second);
+    assert.equal(loads, 1);
+
+    invalidateShopCatalog(SHOP_ID);
+    const reloaded = await getShopCatalog(SHOP_ID);
+    assert.notEqual(reloaded, first);
+    assert.ok(reloaded.version > first.version);
+    assert.equal(loads, 2);
+  });
+
+  it('reloads when a scheduled price change is due', async () => {
+    nextChange = { effectiveAt: new Date(Date.now() - 1) };
+    await getShopCatalog(SHOP_ID);
+    nextChange = null;
+    await getShopCatalog(SHOP_ID);
+    await getShopCatalog(SHOP_ID);
+    assert.equal(loads, 2);
+  });
+
+  it('does not keep a failed load', async () => {
+    MenuItem.find.mock.mockImplementationOnce(() => ({
+      sort: () => ({
+        lean: async () => {
+          throw new Error('not connected');
+        },
+      }),
+    }));
+    await assert.rejects(getShopCatalog(SHOP_ID), /not connected/);
+    assert.equal((await getShopCatalog(SHOP_ID)).list.length, 1);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const MenuItem = require('../src/models/MenuItem');
+const { migrateMenuFoodTimes } = require('../src/migrations/menuFoodTimes');
+
+const LUNCH_ONLY = ['64b000000000000000000a21', '64b000000000000000000a22'];
+
+describe('migrateMenuFoodTimes', () => {
+  let recorded;
+  let migrations;
+
+  beforeEach((t) => {
+    recorded = null;
+    migrations = {
+      findOne: async () => recorded,
+      updateOne: t.mock.fn(async (filter, update) => {
+        recorded = { _id: filter._id, ...update.$setOnInsert };
+      }),
+    };
+    t.mock.method(mongoose.connection, 'collection', () => migrations);
+    t.mock.method(MenuItem.collection, 'distinct', async () => LUNCH_ONLY);
+    t.mock.method(MenuItem.collection, 'updateMany', async () => ({
+      modifiedCount: LUNCH_ONLY.length,
+    }));
+    t.mock.method(console, 'log', () => {});
+  });
+
+  it('lists the items it would widen on a dry run', async () => {
+    const report = await migrateMenuFoodTimes({ dryRun: true });
+    assert.deepEqual(report, {
+      itemIds: LUNCH_ONLY,
+      widened: 0,
+      skipped: false,
+    });
+    assert.match(console.log.mock.calls[0].arguments[0], /2 menu items .*a21/);
+    assert.equal(MenuItem.collection.updateMany.mock.callCount(), 0);
+    assert.equal(recorded, null);
+  });
+
+  it('widens the listed items once', async () => {
+    const report = await migrateMenuFoodTimes();
+    assert.equal(report.widened, 2);
+    const [filter, update] =
+      MenuItem.collection.updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter._id, { $in: LUNCH_ONLY });
+    assert.deepEqual(update, {
+      $set: { foodTimes: ['breakfast', 'lunch', 'dinner'] },
+    });
+    assert.deepEqual(migrations.updateOne.mock.calls[0].arguments[2], {
+      upsert: true,
+    });
+
+    assert.deepEqual(await migrateMenuFoodTimes(), {
+      itemIds: [],
+      widened: 0,
+      skipped: true,
+    });
+    assert.equal(MenuItem.collection.updateMany.mock.callCount(), 1);
+  });
+
+  it('does not fail when another server recorded the run first', async () => {
+    migrations.updateOne = async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    };
+    assert.equal((await migrateMenuFoodTimes()).widened, 2);
+  });
+});
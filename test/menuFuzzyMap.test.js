@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCatalog } = require('../src/utils/menuCatalog');
+const {
+  normalizeTerm,
+  compileMenuMatcher,
+  analyzeOrder,
+  parseOrderWithFuzzyMap,
+} = require('../src/utils/menuFuzzyMap');
+
+const menuItem = (n, en, ta, price, extra = {}) => ({
+  _id: `64b0000000000000000007${String(n).padStart(2, '0')}`,
+  names: { en: { full: en }, ta: { full: ta } },
+  price,
+  ...extra,
+});
+
+const catalog = buildCatalog('64b000000000000000000701', [
+  menuItem(1, 'Plain Dosa', 'சாதா தோசை', 50),
+  menuItem(2, 'Ghee Dosa', 'நெய் தோசை', 80, { tags: ['nei'] }),
+  menuItem(3, 'Masala Dosa', 'மசாலா தோசை', 90),
+  menuItem(4, 'Idli (2 pcs)', 'இட்லி', 30),
+  menuItem(5, 'Filter Coffee', 'காபி', 25, {
+    names: {
+      en: { full: 'Filter Coffee', short: 'Coffee' },
+      ta: { full: 'காபி' },
+    },
+  }),
+]);
+
+// What was ordered, as "name x quantity"
+const order = (text) =>
+  parseOrderWithFuzzyMap(text, catalog).map(
+    (line) => `${line.itemName} x ${line.quantity}`
+  );
+
+describe('compileMenuMatcher', () => {
+  it('compiles terms from names, longest first, and qualifiers for bases', () => {
+    const matcher = compileMenuMatcher(catalog.list);
+    assert.equal(matcher.terms[0].tokens.length, 2);
+    assert.ok(matcher.terms.some((term) => term.text === 'idli'));
+    assert.deepEqual(
+      matcher.qualifiers.get('dosa').map((q) => [q.item.name, ...q.words]),
+      [
+        ['Plain Dosa', 'plain'],
+        ['Ghee Dosa', 'ghee'],
+        ['Ghee Dosa', 'nei'],
+        ['Masala Dosa', 'masala'],
+      ]
+    );
+  });
+
+  it('drops the portion hints of menu names', () => {
+    assert.equal(normalizeTerm('Idli (2 pcs)'), 'idli');
+  });
+});
+
+describe('parseOrderWithFuzzyMap', () => {
+  it('reads English orders with quantities before or after the dish', () => {
+    assert.deepEqual(order('2 masala dosas and coffee 3'), [
+      'Masala Dosa x 2',
+      'Filter Coffee x 3',
+    ]);
+  });
+
+  it('reads Tamil names and number words', () => {
+    assert.deepEqual(order('இரண்டு இட்லி மூணு காபி'), [
+      'Idli (2 pcs) x 2',
+      'Filter Coffee x 3',
+    ]);
+  });
+
+  it('resolves a bare dish to the plainest one', () => {
+    assert.deepEqual(order('dosa'), ['Plain Dosa x 1']);
+  });
+
+  it('attaches a qualifier spoken before the quantity', () => {
+    assert.deepEqual(order('nei 2 dosa and 1 dosa'), [
+      'Ghee Dosa x 2',
+      'Plain Dosa x 1',
+    ]);
+  });
+
+  it('adds up repeated dishes and ignores unknown words', () => {
+    assert.deepEqual(order('idli, one pongal, 2 idli'), ['Idli (2 pcs) x 3']);
+    assert.deepEqual(parseOrderWithFuzzyMap('', catalog), []);
+  });
+});
+
+describe('analyzeOrder', () => {
+  it('reports how each mention was read', () => {
+    const { lines, unmatchedWords } = analyzeOrder(
+      '2 masala dosa, dosa and coffee please',
+      catalog
+    );
+    assert.deepEqual(
+      lines.map((line) => [
+        line.itemName,
+        line.matchedBy,
+        line.span.text,
+        line.quantitySource,
+        line.confidence,
+      ]),
+      [
+        ['Masala Dosa', 'name', 'masala dosa', 'digit', 0.95],
+        ['Plain Dosa', 'head', 'dosa', 'default', 0.47],
+        ['Filter Coffee', 'short', 'coffee', 'default', 0.9],
+      ]
+    );
+    assert.deepEqual(unmatchedWords, [{ word: 'please', start: 30, end: 36 }]);
+  });
+
+  it('offers the other dishes a bare head noun could mean', () => {
+    const [line] = analyzeOrder('dosa', catalog).lines;
+    assert.deepEqual(
+      line.alternatives.map((item) => item.itemName),
+      ['Ghee Dosa', 'Masala Dosa']
+    );
+  });
+
+  it('spans the qualifier and dish, and reads Tamil number words', () => {
+    const [ghee] = analyzeOrder('nei 2 dosa', catalog).lines;
+    assert.deepEqual(
+      [ghee.matchedBy, ghee.span.text, ghee.quantity, ghee.confidence],
+      ['qualifier', 'nei 2 dosa', 2, 0.85]
+    );
+    const [idli] = analyzeOrder('இரண்டு இட்லி', catalog).lines;
+    assert.equal(idli.quantitySource, 'tamil-word');
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// Uploads go to a scratch folder for these tests
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'menu-images-'));
+process.env.UPLOAD_DIR = uploadDir;
+const {
+  MenuImageError,
+  processMenuImage,
+  removeImageFiles,
+} = require('../src/utils/menuImages');
+
+const menuDir = path.join(uploadDir, 'menu');
+
+// Save bytes as multer would have
+const upload = (filename, bytes) => {
+  const file = path.join(menuDir, filename);
+  fs.writeFileSync(file, bytes);
+  return { filename, path: file, size: bytes.length };
+};
+
+const image = (format, options = {}) =>
+  sharp({
+    create: {
+      width: 40,
+      height: 30,
+      channels: 3,
+      background: '#c33',
+    },
+  })
+    [format](options)
+    .toBuffer();
+
+const isMenuImageError = (message) => (error) =>
+  error instanceof MenuImageError &&
+  error.status === 400 &&
+  message.test(error.message);
+
+describe('processMenuImage', () => {
+  before(() => fs.mkdirSync(menuDir, { recursive: true }));
+  after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+  it('makes a square thumbnail next to the upload', async () => {
+    const file = upload('menu-1.png', await image('png'));
+    const stored = await processMenuImage(file);
+    assert.deepEqual(stored, {
+      url: '/uploads/menu/menu-1.png',
+      thumbnailUrl: '/uploads/menu/menu-1-thumb.webp',
+      contentType: 'image/png',
+      width: 40,
+      height: 30,
+      size: file.size,
+    });
+    const thumbnail = await sharp(
+      path.join(menuDir, 'menu-1-thumb.webp')
+    ).metadata();
+    assert.deepEqual(
+      [thumbnail.format, thumbnail.width, thumbnail.height],
+      ['webp', 320, 320]
+    );
+  });
+
+  it('reports the size of a photo turned by the camera', async () => {
+    const jpeg = await sharp(await image('jpeg'))
+      .withMetadata({ orientation: 6 })
+      .toBuffer();
+    const stored = await processMenuImage(upload('menu-2.jpg', jpeg));
+    assert.deepEqual([stored.width, stored.height], [30, 40]);
+  });
+
+  it('removes files that are not images', async () => {
+    const file = upload('menu-3.png', Buffer.from('not really a png'));
+    await assert.rejects(
+      processMenuImage(file),
+      isMenuImageError(/not a readable image/)
+    );
+    assert.equal(fs.existsSync(file.path), false);
+  });
+
+  it('removes images of other formats', async () => {
+    const file = upload('menu-4.png', await image('gif'));
+    await assert.rejects(
+      processMenuImage(file),
+      isMenuImageError(/Only JPEG, PNG and WebP/)
+    );
+    assert.equal(fs.existsSync(file.path), false);
+    assert.equal(fs.existsSync(path.join(menuDir, 'menu-4-thumb.webp')), false);
+  });
+
+  it('deletes the files of removed images by their file name only', async () => {
+    const kept = path.join(uploadDir, 'kept.png');
+    fs.writeFileSync(kept, 'x');
+    await removeImageFiles([
+      {
+        url: '/uploads/menu/menu-1.png',
+        thumbnailUrl: '/uploads/menu/menu-1-thumb.webp',
+      },
+      { url: '/uploads/menu/../kept.png' },
+    ]);
+    assert.equal(fs.existsSync(path.join(menuDir, 'menu-1.png')), false);
+    assert.equal(fs.existsSync(path.join(menuDir, 'menu-1-thumb.webp')), false);
+    assert.equal(fs.existsSync(kept), true);
+  });
+});
@@ -0,0 +1,225 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MenuItem = require('../src/models/MenuItem');
+const PriceChange = require('../src/models/PriceChange');
+const {
+  importMenuItems,
+  exportMenuItems,
+} = require('../src/controllers/menuController');
+const {
+  MenuSheetError,
+  readMenuSheet,
+  writeMenuSheet,
+} = require('../src/utils/menuSpreadsheet');
+
+const SHOP_ID = '64b000000000000000000c01';
+
+const dosa = {
+  _id: '64b000000000000000000c11',
+  shopId: SHOP_ID,
+  names: { en: { full: 'Plain Dosa' }, ta: { full: 'தோசை' } },
+  price: 50,
+  unit: 'plate',
+  categories: ['breakfast'],
+  synonyms: { en: ['dosai'], ta: [] },
+  tags: [],
+  isAvailable: true,
+  hsnCode: '996331',
+};
+
+const csv = (...lines) => Buffer.from(lines.join('\n'));
+
+// Runs a controller and returns the status and what it answered with
+const call = async (handler, req) => {
+  const result = { status: 200, headers: {} };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+    set(headers) {
+      Object.assign(result.headers, headers);
+      return this;
+    },
+    send(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  await handler(req, res);
+  return result;
+};
+
+const importSheet = (buffer, query = {}) =>
+  call(importMenuItems, {
+    shopId: SHOP_ID,
+    query,
+    file: { originalname: 'menu.csv', buffer },
+  });
+
+// The shop's menu holds only the dosa; writes are recorded, not made
+const fakeMenu = (t) => {
+  t.mock.method(MenuItem, 'find', () => ({
+    sort: () => ({ lean: async () => [dosa] }),
+    lean: async () => [dosa],
+  }));
+  t.mock.method(PriceChange, 'insertMany', async (docs) => docs);
+  return t.mock.method(MenuItem, 'bulkWrite', async () => ({}));
+};
+
+describe('readMenuSheet', () => {
+  it('matches headers loosely and keeps cells as written', async () => {
+    const rows = await readMenuSheet(
+      csv(
+        '\ufeffItem Name,RATE,tamil,hsn_code,Notes',
+        'Plain Dosa,50,தோசை,0996,crisp',
+        ',,,,',
+        'Tea,15,,,'
+      ),
+      'csv'
+    );
+    assert.deepEqual(rows, [
+      {
+        row: 2,
+        values: {
+          name: 'Plain Dosa',
+          price: '50',
+          tamilName: 'தோசை',
+          hsnCode: '0996',
+        },
+      },
+      { row: 4, values: { name: 'Tea', price: '15' } },
+    ]);
+  });
+
+  it('needs the Name and Price columns', async () => {
+    await assert.rejects(
+      readMenuSheet(csv('Name,Unit', 'Tea,cup'), 'csv'),
+      (error) =>
+        error instanceof MenuSheetError &&
+        /Name and Price headers/.test(error.message)
+    );
+    await assert.rejects(
+      readMenuSheet(Buffer.from('not a workbook'), 'xlsx'),
+      MenuSheetError
+    );
+  });
+
+  it('reads back what writeMenuSheet wrote', async () => {
+    for (const format of ['csv', 'xlsx']) {
+      const rows = await readMenuSheet(
+        await writeMenuSheet([dosa], format),
+        format
+      );
+      assert.deepEqual(rows[0].values, {
+        name: 'Plain Dosa',
+        tamilName: 'தோசை',
+        price: '50',
+        unit: 'plate',
+        categories: 'breakfast',
+        enSynonyms: 'dosai',
+        isAvailable: 'yes',
+        hsnCode: '996331',
+      });
+    }
+  });
+});
+
+describe('importMenuItems', () => {
+  it('reports every invalid row and imports nothing', async (t) => {
+    const bulkWrite = fakeMenu(t);
+    const { status, body } = await importSheet(
+      csv(
+        'Name,Price,Available',
+        'plain dosa,55,',
+        'Tea,15,',
+        'TEA,20,',
+        'Coffee,cheap,',
+        'Vada,10,maybe',
+        ',30,'
+      )
+    );
+    assert.equal(status, 422);
+    assert.deepEqual(body.summary, {
+      rows: 6,
+      create: 1,
+      update: 1,
+      invalid: 4,
+    });
+    assert.deepEqual(
+      body.rows.map((row) => [row.row, row.action, row.errors]),
+      [
+        [2, 'update', undefined],
+        [3, 'create', undefined],
+        [4, 'create', ['Name repeats row 3']],
+        [5, 'create', ['Valid price is required']],
+        [6, 'create', ['Available must be yes or no']],
+        [7, 'create', ['English name (names.en.full) is required']],
+      ]
+    );
+    assert.equal(bulkWrite.mock.callCount(), 0);
+  });
+
+  it('writes nothing on a dry run', async (t) => {
+    const bulkWrite = fakeMenu(t);
+    const { status, body } = await importSheet(csv('Name,Price', 'Tea,15'), {
+      dryRun: 'true',
+    });
+    assert.equal(status, 200);
+    assert.equal(body.message, 'Dry run: nothing was imported');
+    assert.equal(bulkWrite.mock.callCount(), 0);
+  });
+
+  it('updates items by name from their non-blank cells and adds the rest', async (t) => {
+    const bulkWrite = fakeMenu(t);
+    const { body } = await importSheet(
+      csv('Name,Price,Unit', 'PLAIN DOSA,55,', 'Tea,15,cup')
+    );
+    assert.equal(body.success, true);
+    const [update, insert] = bulkWrite.mock.calls[0].arguments[0];
+    assert.deepEqual(update.updateOne.filter, { _id: dosa._id });
+    const changed = update.updateOne.update.$set;
+    assert.deepEqual(
+      [changed.names.en.full, changed.price, changed.unit, changed.hsnCode],
+      ['PLAIN DOSA', 55, 'plate', '996331']
+    );
+    assert.deepEqual(
+      [insert.insertOne.document.names.en.full, insert.insertOne.document.unit],
+      ['Tea', 'cup']
+    );
+    const prices = PriceChange.insertMany.mock.calls[0].arguments[0];
+    assert.deepEqual(
+      prices.map((p) => [String(p.menuItem), p.oldPrice, p.newPrice, p.source]),
+      [
+        [dosa._id, 50, 55, 'import'],
+        [String(insert.insertOne.document._id), undefined, 15, 'import'],
+      ]
+    );
+  });
+
+  it('rejects files that are not spreadsheets', async () => {
+    const { status } = await call(importMenuItems, {
+      shopId: SHOP_ID,
+      query: {},
+      file: { originalname: 'menu.pdf', buffer: Buffer.from('') },
+    });
+    assert.equal(status, 400);
+  });
+});
+
+describe('exportMenuItems', () => {
+  it('sends the menu as a named attachment', async (t) => {
+    fakeMenu(t);
+    const { headers, body } = await call(exportMenuItems, {
+      shopId: SHOP_ID,
+      query: {},
+    });
+    assert.equal(headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.match(headers['Content-Disposition'], /menu-64b0+c01\.csv/);
+    assert.ok(body.toString('utf8').startsWith('\ufeffName,Short Name'));
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MenuItem = require('../src/models/MenuItem');
+const Shop = require('../src/models/shop');
+const { listMenuItems } = require('../src/controllers/menuController');
+
+const SHOP_ID = '64b000000000000000000a31';
+
+// Runs a controller and returns the JSON it answered with
+const call = async (handler, req) => {
+  let body;
+  await handler(req, {
+    status() {
+      return this;
+    },
+    json(value) {
+      body = value;
+      return this;
+    },
+  });
+  return body;
+};
+
+// MenuItem.find over no items, recording the filters it was given
+const fakeMenu = (t) => {
+  const filters = [];
+  t.mock.method(MenuItem, 'find', (filter) => {
+    filters.push(filter);
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      lean: async () => [],
+    };
+    return chain;
+  });
+  return filters;
+};
+
+describe('listMenuItems', () => {
+  it('lists what is served now, and items served all day', async (t) => {
+    t.mock.method(Shop, 'findById', () => ({
+      select: () => ({
+        lean: async () => ({
+          serviceSettings: {
+            timezone: 'UTC',
+            // Breakfast all day
+            windows: [
+              { foodTime: 'breakfast', start: '00:00', end: '12:00' },
+              { foodTime: 'breakfast', start: '12:00', end: '00:00' },
+            ],
+          },
+        }),
+      }),
+    }));
+    const filters = fakeMenu(t);
+    const body = await call(listMenuItems, {
+      shopId: SHOP_ID,
+      query: { availableNow: 'true' },
+    });
+    assert.deepEqual(filters[0], {
+      shopId: SHOP_ID,
+      isAvailable: true,
+      $or: [
+        { foodTimes: { $in: ['breakfast'] } },
+        { foodTimes: { $exists: false } },
+        { foodTimes: { $size: 0 } },
+      ],
+    });
+    assert.deepEqual(body.serviceTime.foodTimes, ['breakfast']);
+  });
+
+  it('does not filter by time when the shop has no windows', async (t) => {
+    t.mock.method(Shop, 'findById', () => ({
+      select: () => ({ lean: async () => ({}) }),
+    }));
+    const filters = fakeMenu(t);
+    await call(listMenuItems, {
+      shopId: SHOP_ID,
+      query: { availableNow: 'true' },
+    });
+    assert.deepEqual(filters[0], { shopId: SHOP_ID, isAvailable: true });
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MenuOptionError,
+  resolveSelection,
+  selectionKey,
+  lineLabel,
+} = require('../src/utils/menuOptions');
+
+// A catalog entry as utils/menuCatalog builds it
+const biryani = {
+  name: 'Biryani',
+  price: 180,
+  variants: [
+    { id: 'half', name: 'Half', price: 120 },
+    { id: 'full', name: 'Full', price: 180, isDefault: true },
+  ],
+  modifierGroups: [
+    {
+      id: 'extras',
+      name: 'Extras',
+      maxSelect: 2,
+      options: [
+        { id: 'egg', name: 'Extra egg', priceDelta: 15 },
+        { id: 'raita', name: 'Raita', priceDelta: 10 },
+        { id: 'gravy', name: 'Gravy', priceDelta: 20 },
+      ],
+    },
+    {
+      id: 'spice',
+      name: 'Spice',
+      minSelect: 1,
+      maxSelect: 1,
+      options: [
+        { id: 'mild', name: 'Less spicy' },
+        { id: 'hot', name: 'Spicy' },
+      ],
+    },
+  ],
+};
+
+describe('resolveSelection', () => {
+  it('prices the variant plus the chosen options', () => {
+    const selection = resolveSelection(biryani, {
+      variantId: 'half',
+      modifierIds: ['egg', 'mild', 'egg'],
+      note: '  no onion ',
+    });
+    assert.equal(selection.unitPrice, 135);
+    assert.deepEqual(selection.variant, { variant: 'half', name: 'Half' });
+    assert.deepEqual(
+      selection.modifiers.map((m) => m.name),
+      ['Extra egg', 'Less spicy']
+    );
+    assert.equal(selection.note, 'no onion');
+  });
+
+  it('uses the default variant when none is chosen', () => {
+    const selection = resolveSelection(biryani, { modifierIds: ['hot'] });
+    assert.equal(selection.unitPrice, 180);
+    assert.equal(selection.variant.name, 'Full');
+  });
+
+  it('enforces group limits, except minimums on voice orders', () => {
+    assert.throws(() => resolveSelection(biryani, {}), MenuOptionError);
+    assert.equal(
+      resolveSelection(biryani, {}, { strict: false }).unitPrice,
+      180
+    );
+    assert.throws(
+      () =>
+        resolveSelection(biryani, {
+          modifierIds: ['egg', 'raita', 'gravy', 'mild'],
+        }),
+      MenuOptionError
+    );
+  });
+
+  it('rejects variants and options the item does not have', () => {
+    assert.throws(
+      () => resolveSelection(biryani, { variantId: 'quarter' }),
+      MenuOptionError
+    );
+    assert.throws(
+      () => resolveSelection(biryani, { modifierIds: ['cheese'] }),
+      MenuOptionError
+    );
+    assert.throws(
+      () => resolveSelection(biryani, { modifierIds: 'egg' }),
+      MenuOptionError
+    );
+  });
+
+  it('prices plain items at their own price', () => {
+    assert.deepEqual(resolveSelection({ name: 'Tea', price: 15 }), {
+      unitPrice: 15,
+    });
+  });
+});
+
+describe('selectionKey and lineLabel', () => {
+  const line = {
+    menuItem: 'm1',
+    itemName: 'Biryani',
+    variant: { variant: 'half', name: 'Half' },
+    modifiers: [
+      { option: 'raita', name: 'Raita' },
+      { option: 'egg', name: 'Extra egg' },
+    ],
+  };
+
+  it('tells lines apart by variant, options and note, in any order', () => {
+    const reordered = { ...line, modifiers: [...line.modifiers].reverse() };
+    assert.equal(selectionKey(line), selectionKey(reordered));
+    assert.notEqual(selectionKey(line), selectionKey({ ...line, note: 'x' }));
+    assert.notEqual(
+      selectionKey(line),
+      selectionKey({ ...line, variant: undefined })
+    );
+  });
+
+  it('names the line as printed', () => {
+    assert.equal(lineLabel(line), 'Biryani (Half) + Raita, Extra egg');
+    assert.equal(lineLabel({ itemName: 'Tea' }), 'Tea');
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCatalog } = require('../src/utils/menuCatalog');
+const { analyzeOrder } = require('../src/utils/menuFuzzyMap');
+const {
+  transliterateTamil,
+  phoneticWord,
+  searchKey,
+  compileSearchIndex,
+  searchMenu,
+} = require('../src/utils/menuSearch');
+
+const menuItem = (n, en, ta, extra = {}) => ({
+  _id: `64b000000000000000000e${n}`,
+  names: { en: { full: en }, ta: { full: ta } },
+  price: 20,
+  ...extra,
+});
+
+const catalog = buildCatalog('64b000000000000000000e01', [
+  menuItem(11, 'Parotta', 'பரோட்டா'),
+  menuItem(12, 'Plain Dosa', 'சாதா தோசை', { synonyms: { en: ['dosai'] } }),
+  menuItem(13, 'Masala Dosa', 'மசாலா தோசை'),
+  menuItem(14, 'Filter Coffee', 'காபி'),
+  menuItem(15, 'Tea', 'டீ'),
+  menuItem(16, 'Ghee Roast', 'நெய் ரோஸ்ட்', { tags: ['dosa'] }),
+]);
+const index = compileSearchIndex(catalog.list);
+
+// What a query finds, as [name, score, field]
+const search = (query, options) =>
+  searchMenu(index, query, options).map((r) => [r.item.name, r.score, r.field]);
+
+describe('transliterateTamil', () => {
+  it('writes Tamil in Latin letters and leaves the rest', () => {
+    assert.equal(transliterateTamil('பரோட்டா'), 'parotta');
+    assert.equal(transliterateTamil('நெய் ரோஸ்ட்'), 'ney rost');
+    assert.equal(transliterateTamil('தோசை 2'), 'tosai 2');
+  });
+});
+
+describe('searchKey', () => {
+  it('folds sounds Tamil does not tell apart', () => {
+    assert.deepEqual(
+      ['barotta', 'parotta', 'dosai', 'thosai'].map(phoneticWord),
+      ['parota', 'parota', 'tosa', 'tosa']
+    );
+    assert.equal(phoneticWord('65'), '65');
+  });
+
+  it('drops portion hints, accents and punctuation', () => {
+    assert.deepEqual(searchKey('Idli (2 pcs)'), {
+      words: ['idli'],
+      keys: ['itli'],
+      joined: 'itli',
+      raw: 'idli',
+    });
+    assert.equal(searchKey('Café!').raw, 'cafe');
+  });
+});
+
+describe('searchMenu', () => {
+  it('finds dishes however they are spelt', () => {
+    assert.deepEqual(search('barotta'), [['Parotta', 0.986, 'name']]);
+    assert.deepEqual(search('பரோட்டா'), [['Parotta', 1, 'name']]);
+    assert.deepEqual(search('kapi'), [['Filter Coffee', 1, 'name']]);
+    assert.deepEqual(search('tee'), [['Tea', 0.967, 'name']]);
+  });
+
+  it('ranks names over synonyms over tags', () => {
+    assert.deepEqual(search('dosa'), [
+      ['Plain Dosa', 0.931, 'synonym'],
+      ['Masala Dosa', 0.85, 'name'],
+      ['Ghee Roast', 0.7, 'tag'],
+    ]);
+    assert.deepEqual(search('dosa', { limit: 1 }), [
+      ['Plain Dosa', 0.931, 'synonym'],
+    ]);
+  });
+
+  it('matches a partly typed word', () => {
+    assert.deepEqual(search('paro'), [['Parotta', 0.897, 'name']]);
+  });
+
+  it('does not take short words as typos', () => {
+    assert.deepEqual(search('ten'), []);
+    assert.deepEqual(search('xyz'), []);
+    assert.deepEqual(search('  '), []);
+  });
+});
+
+describe('analyzeOrder with spelling variants', () => {
+  it('reads dishes the exact matcher does not know', () => {
+    const { lines } = analyzeOrder('2 barotta and oru thosai', catalog);
+    assert.deepEqual(
+      lines.map((line) => [
+        line.itemName,
+        line.quantity,
+        line.matchedBy,
+        line.span.text,
+      ]),
+      [
+        ['Parotta', 2, 'fuzzy', 'barotta'],
+        ['Plain Dosa', 1, 'fuzzy', 'thosai'],
+      ]
+    );
+    assert.equal(lines[0].confidence, 0.6);
+  });
+});
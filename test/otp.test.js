@@ -0,0 +1,211 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const OtpCode = require('../src/models/OtpCode');
+const OtpThrottle = require('../src/models/OtpThrottle');
+const { SmsError, registerSmsProvider } = require('../src/utils/sms');
+const { OtpError, issueOtp, verifyOtp } = require('../src/utils/otp');
+
+const PHONE = '9876543210';
+
+// OtpCode and OtpThrottle documents kept in memory, and the SMS sent
+let codes;
+let throttles;
+let outbox;
+let failSms;
+
+// A query that can be awaited or chained like Mongoose's
+const query = (value) => ({
+  sort: () => query(value),
+  select: () => query(value),
+  lean: async () => value,
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+});
+
+const isOpen = (otp, filter) =>
+  otp.consumedAt === null &&
+  (!filter._id || otp._id === filter._id) &&
+  (!filter.phone || otp.phone === filter.phone) &&
+  (!filter.purpose || otp.purpose === filter.purpose) &&
+  (!filter.expiresAt || otp.expiresAt > filter.expiresAt.$gt) &&
+  (!filter.attempts || otp.attempts < filter.attempts.$lt);
+
+const newest = (list) => [...list].sort((a, b) => b.createdAt - a.createdAt);
+
+const fakeOtpCode = (t) => {
+  t.mock.method(OtpCode, 'create', async (fields) => {
+    const otp = {
+      _id: String(codes.length + 1),
+      createdAt: new Date(),
+      attempts: 0,
+      consumedAt: null,
+      ...fields,
+    };
+    codes.push(otp);
+    return otp;
+  });
+  t.mock.method(OtpCode, 'updateMany', async (filter, update) => {
+    for (const otp of codes.filter((o) => isOpen(o, filter))) {
+      Object.assign(otp, update.$set);
+    }
+  });
+  t.mock.method(OtpCode, 'deleteOne', async ({ _id }) => {
+    codes = codes.filter((otp) => otp._id !== _id);
+  });
+  t.mock.method(OtpCode, 'findOneAndUpdate', (filter, update) => {
+    const [otp] = newest(codes.filter((o) => isOpen(o, filter)));
+    if (otp && update.$inc) otp.attempts += update.$inc.attempts;
+    if (otp && update.$set) Object.assign(otp, update.$set);
+    return query(otp ? { ...otp } : null);
+  });
+};
+
+// A dotted path of a document, e.g. "sentAt.4"
+const valueAt = (doc, path) =>
+  path.split('.').reduce((value, key) => value?.[key], doc);
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') return condition.some((c) => matches(doc, c));
+    const value = valueAt(doc, path);
+    if (condition?.$exists === false) return value === undefined;
+    if (condition?.$lte) return value <= condition.$lte;
+    return value === condition;
+  });
+
+// findOneAndUpdate with upsert, atomic as in MongoDB: it runs without
+// awaiting, so no other request can come in between
+const fakeOtpThrottle = (t) => {
+  t.mock.method(OtpThrottle, 'findOneAndUpdate', async (filter, update) => {
+    let doc = throttles.get(filter._id);
+    if (doc && !matches(doc, filter)) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    doc = doc || { _id: filter._id, sentAt: [] };
+    const { $each, $slice } = update.$push.sentAt;
+    doc.sentAt = [...doc.sentAt, ...$each].slice($slice);
+    Object.assign(doc, update.$set);
+    throttles.set(doc._id, doc);
+    return doc;
+  });
+  t.mock.method(OtpThrottle, 'findById', (id) => query(throttles.get(id)));
+  t.mock.method(OtpThrottle, 'updateOne', async (filter, update) => {
+    const doc = throttles.get(filter._id);
+    const pulled = update.$pull.sentAt.getTime();
+    doc.sentAt = doc.sentAt.filter((at) => at.getTime() !== pulled);
+    Object.assign(doc, update.$set);
+  });
+};
+
+const lastCode = () => outbox[outbox.length - 1].message.slice(0, 6);
+
+describe('one-time codes', () => {
+  before(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.SMS_PROVIDER = 'test';
+    registerSmsProvider('test', {
+      send: async (sms) => {
+        if (failSms) throw new Error('gateway down');
+        outbox.push(sms);
+      },
+    });
+  });
+
+  beforeEach((t) => {
+    codes = [];
+    throttles = new Map();
+    outbox = [];
+    failSms = false;
+    fakeOtpCode(t);
+    fakeOtpThrottle(t);
+  });
+
+  it('sends a code that works once', async () => {
+    const timings = await issueOtp(PHONE, 'login');
+    assert.deepEqual(timings, { expiresIn: 300, resendAfter: 60 });
+    assert.equal(outbox[0].to, PHONE);
+    assert.match(outbox[0].message, /^\d{6} is your login code/);
+    // Only its hash is stored
+    assert.ok(!JSON.stringify(codes).includes(lastCode()));
+
+    await verifyOtp(PHONE, 'login', ` ${lastCode()} `);
+    await assert.rejects(
+      verifyOtp(PHONE, 'login', lastCode()),
+      (error) => error instanceof OtpError && error.status === 401
+    );
+  });
+
+  it('keeps codes to their purpose', async () => {
+    await issueOtp(PHONE, 'password-reset');
+    await assert.rejects(verifyOtp(PHONE, 'login', lastCode()), OtpError);
+    await verifyOtp(PHONE, 'password-reset', lastCode());
+  });
+
+  it('gives up after five wrong guesses', async () => {
+    await issueOtp(PHONE, 'login');
+    const wrong = lastCode() === '000000' ? '111111' : '000000';
+    await assert.rejects(verifyOtp(PHONE, 'login', wrong), {
+      message: 'The code is wrong; 4 attempts left',
+    });
+    for (let i = 0; i < 4; i++) {
+      await assert.rejects(verifyOtp(PHONE, 'login', wrong), OtpError);
+    }
+    await assert.rejects(verifyOtp(PHONE, 'login', lastCode()), {
+      message: 'The code is wrong or has expired; ask for a new one',
+    });
+  });
+
+  it('limits how often a number gets codes', async () => {
+    await issueOtp(PHONE, 'login');
+    await assert.rejects(
+      issueOtp(PHONE, 'password-reset'),
+      (error) =>
+        error.status === 429 && error.retryAfter > 0 && error.retryAfter <= 60
+    );
+
+    // Five codes in the last 50 minutes
+    const minutesAgo = (n) => new Date(Date.now() - n * 60 * 1000);
+    throttles.set(PHONE, {
+      _id: PHONE,
+      resendAt: minutesAgo(9),
+      sentAt: [50, 40, 30, 20, 10].map(minutesAgo),
+    });
+    await assert.rejects(
+      issueOtp(PHONE, 'login'),
+      (error) =>
+        error.message ===
+          'Too many codes were sent to this number; try again later' &&
+        error.retryAfter > 9 * 60 &&
+        error.retryAfter <= 10 * 60
+    );
+
+    // Once the oldest is over an hour old
+    throttles.get(PHONE).sentAt[0] = minutesAgo(61);
+    await issueOtp(PHONE, 'login');
+    assert.equal(throttles.get(PHONE).sentAt.length, 5);
+  });
+
+  it('sends one code when asked several times at once', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () =>
+        issueOtp(PHONE, 'login').then(
+          () => 'sent',
+          (error) => error.status
+        )
+      )
+    );
+    assert.deepEqual(results.sort(), [429, 429, 429, 429, 'sent']);
+    assert.equal(outbox.length, 1);
+    assert.equal(codes.length, 1);
+  });
+
+  it('does not keep a code that could not be sent', async (t) => {
+    failSms = true;
+    t.mock.method(console, 'error', () => {});
+    await assert.rejects(issueOtp(PHONE, 'login'), SmsError);
+    assert.deepEqual(codes, []);
+    // Asking again straight away is allowed
+    failSms = false;
+    await issueOtp(PHONE, 'login');
+    assert.equal(throttles.get(PHONE).sentAt.length, 1);
+  });
+});
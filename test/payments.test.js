@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PaymentError,
+  normalizePayments,
+  paymentStatusOf,
+  settlePayments,
+} = require('../src/utils/payments');
+const { VPA_PATTERN, buildUpiUri } = require('../src/utils/upi');
+
+const at = new Date('2026-10-19T10:00:00Z');
+
+describe('normalizePayments', () => {
+  it('accepts one tender or a list of them', () => {
+    assert.deepEqual(normalizePayments(undefined), []);
+    assert.deepEqual(normalizePayments({ mode: 'CASH', amount: '100.555' }), [
+      { mode: 'cash', amount: 100.56 },
+    ]);
+    assert.deepEqual(
+      normalizePayments([
+        { mode: 'upi', amount: 50, reference: ' 4221 ', note: '' },
+        { mode: 'card', amount: 20 },
+      ]),
+      [
+        { mode: 'upi', amount: 50, reference: '4221' },
+        { mode: 'card', amount: 20 },
+      ]
+    );
+  });
+
+  it('rejects unknown modes and amounts that are not positive', () => {
+    for (const input of [
+      'cash',
+      { mode: 'cheque', amount: 10 },
+      { mode: 'cash', amount: 0 },
+      { mode: 'cash', amount: 'ten' },
+    ]) {
+      assert.throws(() => normalizePayments(input), PaymentError);
+    }
+  });
+});
+
+describe('settlePayments', () => {
+  it('gives change from cash beyond the balance', () => {
+    const result = settlePayments(250, [], [{ mode: 'cash', amount: 500 }], at);
+    assert.deepEqual(result.payments, [
+      { mode: 'cash', amount: 250, tendered: 500, change: 250, receivedAt: at },
+    ]);
+    assert.equal(result.amountPaid, 250);
+    assert.equal(result.balanceDue, 0);
+    assert.equal(result.changeDue, 250);
+    assert.equal(result.paymentStatus, 'paid');
+  });
+
+  it('takes change out of the cash part of a split tender', () => {
+    const result = settlePayments(
+      250,
+      [],
+      [
+        { mode: 'upi', amount: 100 },
+        { mode: 'cash', amount: 200 },
+      ],
+      at
+    );
+    assert.deepEqual(
+      result.payments.map((p) => [p.mode, p.amount, p.change]),
+      [
+        ['upi', 100, undefined],
+        ['cash', 150, 50],
+      ]
+    );
+    assert.equal(result.amountPaid, 250);
+  });
+
+  it('records part payments against earlier ones', () => {
+    const partial = settlePayments(250, [], [{ mode: 'cash', amount: 100 }]);
+    assert.equal(partial.paymentStatus, 'partial');
+    assert.equal(partial.balanceDue, 150);
+
+    const rest = settlePayments(
+      250,
+      partial.payments,
+      [{ mode: 'upi', amount: 150 }],
+      at
+    );
+    assert.equal(rest.paymentStatus, 'paid');
+    assert.equal(rest.amountPaid, 250);
+  });
+
+  it('refuses card, UPI or credit beyond the balance', () => {
+    assert.throws(
+      () => settlePayments(100, [], [{ mode: 'card', amount: 101 }]),
+      PaymentError
+    );
+  });
+
+  it('refuses payments on a paid bill', () => {
+    assert.throws(
+      () =>
+        settlePayments(
+          100,
+          [{ mode: 'cash', amount: 100 }],
+          [{ mode: 'cash', amount: 10 }]
+        ),
+      (error) => error instanceof PaymentError && error.status === 409
+    );
+  });
+
+  it('refuses cash the other tenders make unnecessary', () => {
+    assert.throws(
+      () =>
+        settlePayments(
+          100,
+          [],
+          [
+            { mode: 'card', amount: 100 },
+            { mode: 'cash', amount: 50 },
+          ]
+        ),
+      PaymentError
+    );
+  });
+});
+
+describe('paymentStatusOf', () => {
+  it('compares the amount paid with the total', () => {
+    assert.equal(paymentStatusOf(100, 0), 'unpaid');
+    assert.equal(paymentStatusOf(100, 40), 'partial');
+    assert.equal(paymentStatusOf(100, 100), 'paid');
+  });
+});
+
+describe('buildUpiUri', () => {
+  it('builds a upi://pay intent for the amount due', () => {
+    assert.equal(
+      buildUpiUri({
+        vpa: 'shop@okaxis',
+        payeeName: 'Sri Murugan',
+        amount: 120,
+        reference: 'MB-2026-27/000042',
+      }),
+      'upi://pay?pa=shop@okaxis&pn=Sri%20Murugan&am=120.00&cu=INR&tr=MB-2026-27%2F000042'
+    );
+  });
+
+  it('accepts UPI IDs only in their usual form', () => {
+    assert.match('shop.name-1@okaxis', VPA_PATTERN);
+    assert.doesNotMatch('shop@', VPA_PATTERN);
+    assert.doesNotMatch('shop@ok axis', VPA_PATTERN);
+  });
+});
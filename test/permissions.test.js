@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PERMISSIONS,
+  STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  PermissionError,
+  permissionsFor,
+  missingPermission,
+  normalizePermissions,
+  actorOf,
+} = require('../src/utils/permissions');
+
+describe('permissionsFor', () => {
+  it('gives the owner everything and each staff role its list', () => {
+    assert.deepEqual(permissionsFor('owner'), PERMISSIONS);
+    assert.ok(!permissionsFor('manager').includes('staff:manage'));
+    assert.deepEqual(permissionsFor('waiter'), ROLE_PERMISSIONS.waiter);
+    assert.deepEqual(permissionsFor('stranger'), []);
+  });
+
+  it('uses the list a staff member has, even an empty one', () => {
+    assert.deepEqual(permissionsFor('cashier', ['bills:read']), ['bills:read']);
+    assert.deepEqual(permissionsFor('manager', []), []);
+  });
+
+  it('only lists known permissions in roles', () => {
+    for (const role of STAFF_ROLES) {
+      for (const permission of ROLE_PERMISSIONS[role]) {
+        assert.ok(PERMISSIONS.includes(permission), permission);
+      }
+    }
+  });
+});
+
+describe('missingPermission', () => {
+  it('names the first permission the user lacks', () => {
+    const cashier = { permissions: permissionsFor('cashier') };
+    assert.equal(missingPermission(cashier, ['bills:create']), null);
+    assert.equal(
+      missingPermission(cashier, ['bills:read', 'bills:void', 'bills:refund']),
+      'bills:void'
+    );
+    assert.equal(missingPermission(undefined, ['menu:read']), 'menu:read');
+  });
+});
+
+describe('normalizePermissions', () => {
+  it('drops duplicates', () => {
+    assert.deepEqual(
+      normalizePermissions(['kots:read', 'kots:update', 'kots:read']),
+      ['kots:read', 'kots:update']
+    );
+  });
+
+  it('rejects unknown permissions and non-lists', () => {
+    assert.throws(
+      () => normalizePermissions(['bills:read', 'bills:delete']),
+      (error) =>
+        error instanceof PermissionError &&
+        error.message.startsWith('Unknown permissions: bills:delete')
+    );
+    assert.throws(() => normalizePermissions('bills:read'), PermissionError);
+  });
+});
+
+describe('actorOf', () => {
+  it('records the staff member, or the owner without one', () => {
+    assert.deepEqual(
+      actorOf({ staffId: 's1', name: 'Kumar', role: 'cashier' }),
+      { staff: 's1', name: 'Kumar', role: 'cashier' }
+    );
+    assert.deepEqual(actorOf({ staffId: null, name: 'Owner', role: 'owner' }), {
+      staff: undefined,
+      name: 'Owner',
+      role: 'owner',
+    });
+  });
+});
@@ -0,0 +1,223 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Bill = require('../src/models/Bill');
+const PriceChange = require('../src/models/PriceChange');
+const {
+  PriceChangeError,
+  normalizeChangedBy,
+  priceChangesBetween,
+  recordPriceChanges,
+  schedulePriceChange,
+  priceChangeImpact,
+} = require('../src/utils/priceChanges');
+
+const SHOP_ID = '64b000000000000000000d01';
+const SMALL = '64b000000000000000000d21';
+const LARGE = '64b000000000000000000d22';
+
+const coffee = {
+  _id: '64b000000000000000000d11',
+  shopId: SHOP_ID,
+  names: { en: { full: 'Filter Coffee' } },
+  price: 25,
+  variants: [
+    { _id: SMALL, name: 'Small', price: 25 },
+    { _id: LARGE, name: 'Large', price: 40 },
+  ],
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+const isPriceChangeError =
+  (message, status = 400) =>
+  (error) =>
+    error instanceof PriceChangeError &&
+    error.status === status &&
+    message.test(error.message);
+
+describe('priceChangesBetween', () => {
+  it('lists the item and variant prices that changed', () => {
+    const after = {
+      ...coffee,
+      price: 30,
+      variants: [
+        { _id: SMALL, name: 'Small', price: 25 },
+        { _id: LARGE, name: 'Large', price: 45 },
+        { _id: 'v3', name: 'Mega', price: 60 },
+      ],
+    };
+    assert.deepEqual(priceChangesBetween(coffee, after), [
+      { oldPrice: 25, newPrice: 30 },
+      {
+        variant: { variant: LARGE, name: 'Large' },
+        oldPrice: 40,
+        newPrice: 45,
+      },
+      {
+        variant: { variant: 'v3', name: 'Mega' },
+        oldPrice: undefined,
+        newPrice: 60,
+      },
+    ]);
+  });
+
+  it('has no old prices for a new item and nothing for an unchanged one', () => {
+    assert.deepEqual(priceChangesBetween(null, { price: 20 }), [
+      { oldPrice: undefined, newPrice: 20 },
+    ]);
+    assert.deepEqual(priceChangesBetween(coffee, { ...coffee }), []);
+  });
+});
+
+describe('normalizeChangedBy', () => {
+  it('trims the name and requires it when asked to', () => {
+    assert.equal(normalizeChangedBy('  Meena '), 'Meena');
+    assert.equal(normalizeChangedBy(''), undefined);
+    assert.throws(
+      () => normalizeChangedBy(undefined, true),
+      isPriceChangeError(/is required/)
+    );
+    assert.throws(() => normalizeChangedBy(42), PriceChangeError);
+    assert.throws(() => normalizeChangedBy('x'.repeat(65)), PriceChangeError);
+  });
+});
+
+describe('recordPriceChanges', () => {
+  it('records each changed price as applied now', async (t) => {
+    const insertMany = t.mock.method(PriceChange, 'insertMany', async (d) => d);
+    const docs = await recordPriceChanges(
+      [
+        { before: coffee, after: { ...coffee, price: 30 } },
+        { before: coffee, after: coffee },
+      ],
+      { changedBy: 'Meena', source: 'menu' }
+    );
+    assert.equal(insertMany.mock.callCount(), 1);
+    assert.equal(docs.length, 1);
+    assert.deepEqual(
+      [docs[0].itemName, docs[0].oldPrice, docs[0].newPrice, docs[0].status],
+      ['Filter Coffee', 25, 30, 'applied']
+    );
+    assert.equal(docs[0].effectiveAt, docs[0].appliedAt);
+  });
+
+  it('writes nothing when no price changed', async (t) => {
+    const insertMany = t.mock.method(PriceChange, 'insertMany');
+    assert.deepEqual(
+      await recordPriceChanges([{ before: coffee, after: coffee }], {
+        source: 'menu',
+      }),
+      []
+    );
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+});
+
+describe('schedulePriceChange', () => {
+  it('schedules a variant price for later', async (t) => {
+    t.mock.method(PriceChange, 'exists', async () => null);
+    t.mock.method(PriceChange, 'create', async (doc) => doc);
+    const change = await schedulePriceChange(coffee, {
+      price: '45',
+      effectiveAt: inAnHour(),
+      variantId: LARGE,
+      performedBy: 'Meena',
+    });
+    assert.deepEqual(
+      [change.variant, change.newPrice, change.status, change.changedBy],
+      [{ variant: LARGE, name: 'Large' }, 45, 'scheduled', 'Meena']
+    );
+  });
+
+  it('refuses bad prices, past times and a missing variant', async () => {
+    const body = { price: 30, effectiveAt: inAnHour(), performedBy: 'Meena' };
+    await assert.rejects(
+      schedulePriceChange(coffee, { ...body, price: -1 }),
+      isPriceChangeError(/non-negative/)
+    );
+    await assert.rejects(
+      schedulePriceChange(coffee, { ...body, effectiveAt: '2020-01-01' }),
+      isPriceChangeError(/in the future/)
+    );
+    await assert.rejects(
+      schedulePriceChange(coffee, body),
+      isPriceChangeError(/priced by its variants/)
+    );
+    await assert.rejects(
+      schedulePriceChange(coffee, { ...body, variantId: 'v9' }),
+      isPriceChangeError(/not a variant/)
+    );
+  });
+
+  it('refuses a second change for the same time', async (t) => {
+    t.mock.method(PriceChange, 'exists', async () => ({ _id: 'c1' }));
+    await assert.rejects(
+      schedulePriceChange(
+        { ...coffee, variants: [] },
+        { price: 30, effectiveAt: inAnHour(), performedBy: 'Meena' }
+      ),
+      isPriceChangeError(/already scheduled/, 409)
+    );
+  });
+});
+
+describe('priceChangeImpact', () => {
+  const change = {
+    status: 'applied',
+    shopId: SHOP_ID,
+    menuItem: coffee._id,
+    oldPrice: 25,
+    newPrice: 30,
+    effectiveAt: new Date('2026-10-10T00:00:00Z'),
+  };
+
+  it('compares sales per day before and after the change', async (t) => {
+    t.mock.method(Bill, 'aggregate', async () => [
+      {
+        _id: 'before',
+        shopRevenue: 5000,
+        quantity: 70,
+        revenue: 1750,
+        soldQty: 70,
+        soldValue: 1750,
+        bills: Array(50),
+      },
+      {
+        _id: 'after',
+        shopRevenue: 2000,
+        quantity: 24,
+        revenue: 720,
+        soldQty: 24,
+        soldValue: 720,
+        bills: Array(20),
+      },
+    ]);
+    const report = await priceChangeImpact(change, {
+      now: new Date(change.effectiveAt.getTime() + 3 * DAY),
+    });
+    assert.equal(report.afterComplete, false);
+    assert.deepEqual(
+      [report.before.quantityPerDay, report.after.quantityPerDay],
+      [10, 8]
+    );
+    assert.deepEqual(report.impact, {
+      priceChange: 5,
+      avgUnitPriceChange: 5,
+      quantityPerDayChangePct: -20,
+      revenuePerDayChangePct: -4,
+      revenueShareChange: 1,
+    });
+  });
+
+  it('needs an applied change and a sensible number of days', async () => {
+    await assert.rejects(
+      priceChangeImpact({ ...change, status: 'scheduled' }),
+      isPriceChangeError(/Only applied/, 409)
+    );
+    await assert.rejects(
+      priceChangeImpact(change, { days: 0 }),
+      isPriceChangeError(/days must be/)
+    );
+  });
+});
@@ -0,0 +1,163 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildReceipt } = require('../src/utils/receipt');
+const { renderReceiptEscPos } = require('../src/utils/receiptEscPos');
+const { renderReceiptPdf } = require('../src/utils/receiptPdf');
+
+const dosaId = '64b000000000000000000011';
+const bill = {
+  _id: '64b0000000000000000000ab',
+  invoiceNumber: 'MB-2026-27/000042',
+  createdAt: new Date('2026-10-19T06:30:00Z'),
+  items: [
+    {
+      menuItem: dosaId,
+      itemName: 'Dosa',
+      quantity: 2,
+      unitPrice: 60,
+      totalPrice: 120,
+      variant: { name: 'Ghee' },
+    },
+  ],
+  grossAmount: 120,
+  taxBreakdown: [
+    { rate: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, tax: 0 },
+    { rate: 5, taxableValue: 120, cgst: 3, sgst: 3, igst: 0, tax: 6 },
+  ],
+  tax: 6,
+  total: 126,
+};
+const shop = { shopName: 'Murugan Bhavan', phone: '9876543210' };
+const menuItems = [
+  { _id: dosaId, names: { en: { full: 'Plain Dosa' }, ta: { full: 'தோசை' } } },
+];
+
+describe('buildReceipt', () => {
+  it('lists the items with their menu names in English and Tamil', () => {
+    const receipt = buildReceipt({ bill, shop, menuItems });
+    assert.deepEqual(receipt.lines, [
+      {
+        name: 'Plain Dosa (Ghee)',
+        tamilName: 'தோசை',
+        note: null,
+        quantity: 2,
+        unitPrice: '60.00',
+        amount: '120.00',
+        discount: null,
+      },
+    ]);
+  });
+
+  it('falls back to the name on the bill for deleted items', () => {
+    const receipt = buildReceipt({ bill, shop });
+    assert.equal(receipt.lines[0].name, 'Dosa (Ghee)');
+    assert.equal(receipt.lines[0].tamilName, '');
+  });
+
+  it('prints a tax invoice with the GST split and only taxed slabs', () => {
+    const receipt = buildReceipt({ bill, shop, menuItems });
+    assert.equal(receipt.title, 'TAX INVOICE');
+    assert.equal(receipt.invoiceNumber, 'MB-2026-27/000042');
+    assert.equal(receipt.total, '126.00');
+    assert.deepEqual(
+      receipt.summary.map((row) => [row.label, row.amount]),
+      [
+        ['Item total', '120.00'],
+        ['Taxable value', '120.00'],
+        ['CGST', '3.00'],
+        ['SGST', '3.00'],
+      ]
+    );
+    assert.deepEqual(
+      receipt.taxBreakdown.map((slab) => slab.rate),
+      ['5%']
+    );
+  });
+
+  it('titles untaxed and voided bills', () => {
+    const plain = { ...bill, invoiceNumber: undefined, tax: 0 };
+    const receipt = buildReceipt({ bill: plain, shop });
+    assert.equal(receipt.title, 'BILL');
+    assert.equal(receipt.invoiceNumber, '000000AB');
+    assert.equal(
+      buildReceipt({ bill: { ...bill, status: 'void' }, shop }).title,
+      'VOID'
+    );
+  });
+
+  it('dates the bill in IST by default', () => {
+    const receipt = buildReceipt({ bill, shop });
+    assert.match(receipt.date, /19 Oct 2026, 12:00\s?pm/i);
+  });
+
+  it('heads the receipt with the shop profile', () => {
+    const receipt = buildReceipt({
+      bill,
+      shop: {
+        ...shop,
+        address: { line1: '12 Car Street', city: 'Madurai', pincode: '625001' },
+        gstin: '33AAPFU0939F1Z2',
+        fssaiNumber: '12419999000123',
+        currency: 'USD',
+        serviceSettings: { timezone: 'America/New_York' },
+        receiptSettings: { headerLines: ['Pure vegetarian'], footer: 'Bye' },
+      },
+    });
+    assert.deepEqual(receipt.shop.lines, [
+      'Pure vegetarian',
+      '12 Car Street',
+      'Madurai - 625001',
+      'GSTIN: 33AAPFU0939F1Z2',
+      'FSSAI Lic. No: 12419999000123',
+      'Ph: 9876543210',
+    ]);
+    assert.equal(receipt.currency, '$');
+    assert.match(receipt.date, /19 Oct 2026, 2:30\s?am/i);
+    assert.equal(receipt.footer, 'Bye');
+    assert.equal(buildReceipt({ bill, shop }).currency, '₹');
+  });
+});
+
+describe('receipt renderers', () => {
+  const receipt = buildReceipt({ bill, shop, menuItems });
+
+  it('writes ESC/POS that starts with a reset and ends with a cut', () => {
+    const bytes = renderReceiptEscPos(receipt, { paper: '58mm' });
+    assert.deepEqual([...bytes.subarray(0, 2)], [0x1b, 0x40]);
+    assert.deepEqual([...bytes.subarray(-4)], [0x1d, 0x56, 0x42, 0x00]);
+    assert.ok(bytes.includes(Buffer.from('Invoice: MB-2026-27/000042')));
+  });
+
+  it('prints the total with the currency', () => {
+    const dollars = renderReceiptEscPos({ ...receipt, currency: '$' });
+    assert.ok(dollars.includes(Buffer.from('$126.00')));
+    // ₹ is not in the printer's code page, so the line is an image
+    const rupees = renderReceiptEscPos(receipt);
+    assert.ok(!rupees.includes(Buffer.from('126.00')));
+  });
+
+  it('prints the logo centred above the shop name', () => {
+    // 16 dots wide, black and white in turn, on one row
+    const logo = {
+      width: 16,
+      height: 1,
+      pixels: Buffer.from(Array.from({ length: 16 }, (_, x) => 255 * (x % 2))),
+    };
+    const bytes = renderReceiptEscPos({ ...receipt, logo }, { paper: '58mm' });
+    // GS v 0 with 48 bytes a row (384 dots) and one row
+    const start = bytes.indexOf(
+      Buffer.from([0x1d, 0x76, 0x30, 0x00, 48, 0, 1, 0])
+    );
+    assert.ok(start > 0);
+    const row = bytes.subarray(start + 8, start + 8 + 48);
+    // Starting at dot 184
+    assert.deepEqual([...row.subarray(22, 26)], [0, 0xaa, 0xaa, 0]);
+    assert.equal(row.filter(Boolean).length, 2);
+    assert.ok(start < bytes.indexOf(Buffer.from('Murugan Bhavan')));
+  });
+
+  it('writes a PDF', async () => {
+    const pdf = await renderReceiptPdf(receipt, { size: 'A5' });
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  RefundError,
+  normalizeAuditInput,
+  normalizeRefundLines,
+  buildCreditNote,
+  splitRefund,
+} = require('../src/utils/refunds');
+
+const { DOSA_LINE, TEA_LINE, makeBill } = require('./helpers/bills');
+
+// 3 dosa and a tea with a 10% service charge: 370 after round-off
+const makeRefundableBill = () => ({
+  ...makeBill({ dosa: 3, tea: 1 }, { serviceChargeRate: 10 }),
+  refundedTotal: 0,
+});
+
+// What saving a credit note does to its bill
+const applyCreditNote = (bill, note) => {
+  for (const { index, quantity } of note.lineUpdates) {
+    const item = bill.items[index];
+    item.refundedQuantity = (item.refundedQuantity || 0) + quantity;
+  }
+  bill.refundedTotal += note.total;
+};
+
+describe('buildCreditNote', () => {
+  it('gives back what the customer paid for the refunded units', () => {
+    const bill = makeRefundableBill();
+    assert.equal(bill.total, 370);
+    const note = buildCreditNote(
+      bill,
+      normalizeRefundLines([{ lineId: DOSA_LINE, quantity: 1 }])
+    );
+    assert.deepEqual(
+      note.items.map((line) => [line.itemName, line.taxableValue, line.cgst]),
+      [['Dosa', 100, 2.5]]
+    );
+    assert.equal(note.tax, 5);
+    assert.equal(note.otherAmount, 0);
+    assert.equal(note.total, 105);
+  });
+
+  it('adds up to the bill total once everything is refunded', () => {
+    const bill = makeRefundableBill();
+    const first = buildCreditNote(
+      bill,
+      normalizeRefundLines([{ lineId: DOSA_LINE, quantity: 1 }])
+    );
+    applyCreditNote(bill, first);
+    const second = buildCreditNote(
+      bill,
+      normalizeRefundLines([
+        { lineId: DOSA_LINE, quantity: 2 },
+        { lineId: TEA_LINE, quantity: 1 },
+      ])
+    );
+    // The last refund carries the service charge and round-off
+    assert.equal(second.otherAmount, 34);
+    assert.equal(second.total, 265);
+    assert.equal(first.total + second.total, bill.total);
+    assert.equal(
+      second.taxBreakdown.reduce((s, slab) => s + slab.tax, 0),
+      second.tax
+    );
+  });
+
+  it('refuses more units than are left and lines not on the bill', () => {
+    const bill = makeRefundableBill();
+    assert.throws(
+      () => buildCreditNote(bill, [{ lineId: DOSA_LINE, quantity: 4 }]),
+      RefundError
+    );
+    assert.throws(
+      () =>
+        buildCreditNote(bill, [
+          { lineId: '64b0000000000000000001ff', quantity: 1 },
+        ]),
+      RefundError
+    );
+  });
+});
+
+describe('normalizeRefundLines', () => {
+  it('adds up repeated lines', () => {
+    assert.deepEqual(
+      normalizeRefundLines([
+        { lineId: DOSA_LINE, quantity: 1 },
+        { lineId: DOSA_LINE, quantity: '0.5' },
+      ]),
+      [{ lineId: DOSA_LINE, quantity: 1.5 }]
+    );
+  });
+
+  it('rejects empty lists, bad ids and quantities', () => {
+    for (const input of [
+      [],
+      undefined,
+      [{ lineId: 'dosa', quantity: 1 }],
+      [{ lineId: DOSA_LINE, quantity: 0 }],
+    ]) {
+      assert.throws(() => normalizeRefundLines(input), RefundError);
+    }
+  });
+});
+
+describe('normalizeAuditInput', () => {
+  it('needs a reason and who did it', () => {
+    assert.deepEqual(
+      normalizeAuditInput({ reason: ' Wrong order ', performedBy: 'Ravi' }),
+      { reason: 'Wrong order', by: 'Ravi' }
+    );
+    assert.throws(() => normalizeAuditInput({ reason: 'x' }), RefundError);
+  });
+});
+
+describe('splitRefund', () => {
+  it('writes off the unpaid balance before handing money back', () => {
+    const bill = { balanceDue: 50, payments: [{ mode: 'upi', amount: 320 }] };
+    assert.deepEqual(splitRefund(bill, 105), {
+      adjustedAgainstBalance: 50,
+      refundAmount: 55,
+      refundMode: 'upi',
+    });
+    assert.deepEqual(splitRefund(bill, 30), {
+      adjustedAgainstBalance: 30,
+      refundAmount: 0,
+    });
+  });
+
+  it('refunds in cash by default and checks the mode given', () => {
+    assert.equal(splitRefund({}, 10).refundMode, 'cash');
+    assert.equal(splitRefund({}, 10, 'CARD').refundMode, 'card');
+    assert.throws(() => splitRefund({}, 10, 'cheque'), RefundError);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ServiceTimeError,
+  localDayRange,
+  serviceContext,
+  checkServiceTime,
+} = require('../src/utils/serviceTime');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('localDayRange', () => {
+  it('runs from midnight to midnight in IST', () => {
+    const range = localDayRange(
+      'Asia/Kolkata',
+      new Date('2026-10-19T20:00:00Z')
+    );
+    assert.equal(range.date, '2026-10-20');
+    assert.equal(range.start.toISOString(), '2026-10-19T18:30:00.000Z');
+    assert.equal(range.end.toISOString(), '2026-10-20T18:30:00.000Z');
+  });
+
+  it('is 23 hours long the day the clocks go forward', () => {
+    const range = localDayRange(
+      'America/New_York',
+      new Date('2026-03-08T12:00:00Z')
+    );
+    assert.equal(range.start.toISOString(), '2026-03-08T05:00:00.000Z');
+    assert.equal(range.end - range.start, 23 * HOUR);
+  });
+
+  it('copes with half-hour DST changes', () => {
+    const range = localDayRange(
+      'Australia/Lord_Howe',
+      new Date('2026-10-04T06:00:00Z')
+    );
+    assert.equal(range.date, '2026-10-04');
+    assert.equal(range.end - range.start, 23.5 * HOUR);
+  });
+});
+
+describe('serviceContext', () => {
+  const settings = {
+    timezone: 'Asia/Kolkata',
+    windows: [
+      { foodTime: 'breakfast', start: '07:00', end: '11:30' },
+      { foodTime: 'lunch', start: '11:00', end: '15:00' },
+      { foodTime: 'dinner', start: '22:00', end: '02:00' },
+    ],
+  };
+
+  it('lists the food times open at the local time', () => {
+    // 11:15 IST
+    const service = serviceContext(settings, new Date('2026-10-19T05:45:00Z'));
+    assert.equal(service.localTime, '11:15');
+    assert.deepEqual(service.foodTimes, ['breakfast', 'lunch']);
+    assert.equal(service.enforcement, 'warn');
+  });
+
+  it('keeps windows open past midnight', () => {
+    // 01:00 IST
+    const service = serviceContext(settings, new Date('2026-10-18T19:30:00Z'));
+    assert.deepEqual(service.foodTimes, ['dinner']);
+  });
+
+  it('serves everything when the shop has no windows', () => {
+    assert.equal(serviceContext({}).foodTimes, null);
+  });
+});
+
+describe('checkServiceTime', () => {
+  const idli = { menuItemId: 'm1', name: 'Idli', foodTimes: ['breakfast'] };
+  const tea = { menuItemId: 'm2', name: 'Tea', foodTimes: [] };
+  const service = {
+    localTime: '20:00',
+    foodTimes: ['dinner'],
+    enforcement: 'warn',
+  };
+
+  it('warns about items outside their time once each', () => {
+    assert.deepEqual(checkServiceTime([idli, tea, idli], service), [
+      {
+        menuItem: 'm1',
+        itemName: 'Idli',
+        foodTimes: ['breakfast'],
+        message: 'Idli is served at breakfast, not at 20:00',
+      },
+    ]);
+  });
+
+  it('refuses them when the shop blocks out-of-time items', () => {
+    assert.throws(
+      () => checkServiceTime([idli], { ...service, enforcement: 'block' }),
+      (error) => error instanceof ServiceTimeError && error.status === 409
+    );
+    assert.deepEqual(
+      checkServiceTime([tea], { ...service, enforcement: 'block' }),
+      []
+    );
+  });
+});
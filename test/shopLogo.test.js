@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// Logos are written under UPLOAD_DIR, read when the module loads
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logo-test-'));
+process.env.UPLOAD_DIR = uploadDir;
+const {
+  ShopLogoError,
+  processShopLogo,
+  removeShopLogo,
+  loadReceiptLogo,
+} = require('../src/utils/shopLogo');
+
+const logoDir = path.join(uploadDir, 'logos');
+const SHOP_ID = '64b000000000000000000f01';
+const OTHER_SHOP_ID = '64b000000000000000000f02';
+
+// Saves an upload the way multer does
+const upload = async (fileName, content) => {
+  const file = path.join(logoDir, fileName);
+  await fs.promises.writeFile(file, content);
+  return { path: file, filename: fileName };
+};
+
+describe('shop logos', () => {
+  before(() => fs.mkdirSync(logoDir, { recursive: true }));
+  after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+  it('stores an upload as a PNG and prints it in grey levels', async () => {
+    // 1000x500, black on the left half and white on the right
+    const jpeg = await sharp({
+      create: { width: 1000, height: 500, channels: 3, background: '#fff' },
+    })
+      .composite([
+        {
+          input: {
+            create: {
+              width: 500,
+              height: 500,
+              channels: 3,
+              background: '#000',
+            },
+          },
+          left: 0,
+          top: 0,
+        },
+      ])
+      .jpeg()
+      .toBuffer();
+    const file = await upload('logo-1.jpg', jpeg);
+    const url = await processShopLogo(file, SHOP_ID);
+    assert.equal(url, `/uploads/logos/${SHOP_ID}-logo-1.png`);
+    assert.ok(!fs.existsSync(file.path));
+    const stored = await sharp(
+      path.join(logoDir, `${SHOP_ID}-logo-1.png`)
+    ).metadata();
+    assert.deepEqual(
+      [stored.format, stored.width, stored.height],
+      ['png', 600, 300]
+    );
+
+    const logo = await loadReceiptLogo(url, SHOP_ID);
+    assert.deepEqual([logo.width, logo.height], [256, 128]);
+    assert.equal(logo.pixels.length, 256 * 128);
+    assert.ok(logo.pixels[0] < 128);
+    assert.ok(logo.pixels[255] >= 128);
+
+    await removeShopLogo(url, SHOP_ID);
+    assert.ok(!fs.existsSync(path.join(logoDir, `${SHOP_ID}-logo-1.png`)));
+  });
+
+  it('rejects files that are not images, and removes them', async () => {
+    const file = await upload('logo-2.png', 'not a picture');
+    await assert.rejects(processShopLogo(file, SHOP_ID), ShopLogoError);
+    assert.ok(!fs.existsSync(file.path));
+  });
+
+  it('only prints logos that were uploaded here', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const logo = (url) => loadReceiptLogo(url, SHOP_ID);
+    assert.equal(await logo(undefined), null);
+    assert.equal(await logo('https://example.com/logo.png'), null);
+    assert.equal(await logo(`/uploads/logos/../${SHOP_ID}-logo.png`), null);
+    assert.equal(await logo(`/uploads/logos/${SHOP_ID}-missing.png`), null);
+  });
+
+  it('leaves the logos of other shops alone', async () => {
+    const file = await upload(
+      'logo-3.png',
+      await sharp({
+        create: { width: 10, height: 10, channels: 3, background: '#000' },
+      })
+        .png()
+        .toBuffer()
+    );
+    const url = await processShopLogo(file, OTHER_SHOP_ID);
+    assert.equal(await loadReceiptLogo(url, SHOP_ID), null);
+    await removeShopLogo(url, SHOP_ID);
+    assert.ok(fs.existsSync(path.join(logoDir, path.basename(url))));
+    assert.ok(await loadReceiptLogo(url, OTHER_SHOP_ID));
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Shop = require('../src/models/shop');
+const {
+  ShopProfileError,
+  profileOf,
+  applyProfile,
+} = require('../src/utils/shopProfile');
+
+const makeShop = () =>
+  new Shop({
+    shopName: 'Murugan Bhavan',
+    name: 'Murugan',
+    phone: 9876543210,
+    password: 'x',
+    gstin: '33AAPFU0939F1Z2',
+  });
+
+describe('applyProfile', () => {
+  it('keeps the timezone and receipt text in their settings', () => {
+    const shop = makeShop();
+    const changed = applyProfile(shop, {
+      shopId: 'ignored',
+      timezone: 'Asia/Dubai',
+      receiptHeader: ['Pure vegetarian'],
+      receiptFooter: 'Come again',
+    });
+    assert.deepEqual(changed, ['timezone', 'receiptHeader', 'receiptFooter']);
+    assert.equal(shop.serviceSettings.timezone, 'Asia/Dubai');
+    assert.deepEqual(
+      [...shop.receiptSettings.headerLines],
+      ['Pure vegetarian']
+    );
+    assert.equal(shop.receiptSettings.footer, 'Come again');
+    assert.equal(shop.validateSync(), undefined);
+  });
+
+  it('clears optional fields and refuses to clear required ones', () => {
+    const shop = makeShop();
+    applyProfile(shop, { gstin: null, receiptFooter: '' });
+    assert.equal(shop.gstin, undefined);
+    assert.equal(shop.receiptSettings.footer, '');
+    assert.throws(
+      () => applyProfile(shop, { shopName: '' }),
+      (error) =>
+        error instanceof ShopProfileError &&
+        error.message === 'shopName cannot be empty'
+    );
+  });
+
+  it('rejects other fields, including inherited names', () => {
+    for (const body of [
+      { phone: 9000000000 },
+      JSON.parse('{"toString": "x"}'),
+      JSON.parse('{"__proto__": {"shopName": "x"}}'),
+      {},
+    ]) {
+      assert.throws(() => applyProfile(makeShop(), body), ShopProfileError);
+    }
+  });
+
+  it('takes only https:// links as logoUrl', () => {
+    const shop = makeShop();
+    applyProfile(shop, { logoUrl: 'https://cdn.example.com/logo.png' });
+    assert.equal(shop.logoUrl, 'https://cdn.example.com/logo.png');
+    for (const logoUrl of [
+      '/uploads/logos/64b000000000000000000401-logo-1.png',
+      'http://cdn.example.com/logo.png',
+      'logo.png',
+    ]) {
+      assert.throws(
+        () => applyProfile(shop, { logoUrl }),
+        (error) =>
+          error instanceof ShopProfileError && /https:\/\//.test(error.message)
+      );
+    }
+    applyProfile(shop, { logoUrl: null });
+    assert.equal(shop.logoUrl, undefined);
+  });
+
+  it('leaves checking values to the schema', () => {
+    const shop = makeShop();
+    applyProfile(shop, { timezone: 'Mars/Olympus', currency: 'XYZ' });
+    const { errors } = shop.validateSync();
+    assert.deepEqual(Object.keys(errors).sort(), [
+      'currency',
+      'serviceSettings.timezone',
+    ]);
+  });
+});
+
+describe('profileOf', () => {
+  it('shows defaults, and empty fields as empty', () => {
+    // As the client gets it
+    const profile = JSON.parse(
+      JSON.stringify(
+        profileOf(
+          Shop.hydrate({
+            _id: '64b000000000000000000501',
+            shopName: 'Tea Stall',
+          })
+        )
+      )
+    );
+    assert.equal(profile.shopName, 'Tea Stall');
+    assert.deepEqual(profile.address, {});
+    assert.equal(profile.gstin, null);
+    assert.equal(profile.logoUrl, null);
+    assert.deepEqual(profile.receiptHeader, []);
+    assert.equal(profile.timezone, 'Asia/Kolkata');
+    assert.match(profile.receiptFooter, /^Thank you!/);
+  });
+});
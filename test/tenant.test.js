@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { scopeToShop } = require('../src/middleware/tenant');
+
+const SHOP_ID = '64b000000000000000000401';
+
+// Runs the middleware and reports what it did
+const run = (req) => {
+  const result = { next: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  scopeToShop(req, res, () => {
+    result.next = true;
+  });
+  return result;
+};
+
+describe('scopeToShop', () => {
+  const owner = { shopId: SHOP_ID, name: 'Murugan Bhavan' };
+
+  it('fills in the signed-in shop', () => {
+    const req = { user: owner, query: {}, body: { items: [] } };
+    assert.equal(run(req).next, true);
+    assert.equal(req.shopId, SHOP_ID);
+    assert.equal(req.query.shopId, SHOP_ID);
+    assert.equal(req.body.shopId, SHOP_ID);
+  });
+
+  it('refuses another shop', () => {
+    const req = {
+      user: owner,
+      query: { shopId: '64b0000000000000000004ff' },
+      body: {},
+    };
+    const result = run(req);
+    assert.equal(result.next, false);
+    assert.equal(result.status, 403);
+    assert.equal(result.body.error, 'Forbidden');
+    assert.equal(req.shopId, undefined);
+  });
+
+  it('accepts the same shop sent by the client', () => {
+    const req = { user: owner, query: { shopId: ` ${SHOP_ID}` }, body: [] };
+    assert.equal(run(req).next, true);
+    assert.equal(req.query.shopId, SHOP_ID);
+  });
+
+  it('names staff in audit trails, and the owner unless told otherwise', () => {
+    const named = { user: owner, query: {}, body: { performedBy: 'Ravi' } };
+    run(named);
+    assert.equal(named.body.performedBy, 'Ravi');
+    assert.equal(named.query.performedBy, 'Murugan Bhavan');
+
+    const staff = {
+      user: { ...owner, staffId: 's1', name: 'Kumar' },
+      query: {},
+      body: { performedBy: 'Ravi' },
+    };
+    run(staff);
+    assert.equal(staff.body.performedBy, 'Kumar');
+  });
+});
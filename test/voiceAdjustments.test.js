@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractVoiceAdjustments } = require('../src/utils/voiceAdjustments');
+
+const adjustmentsOf = (text) => extractVoiceAdjustments(text).adjustments;
+
+describe('extractVoiceAdjustments', () => {
+  it('reads percent and flat discounts in English and Tamil', () => {
+    assert.deepEqual(adjustmentsOf('2 dosa, 10 percent discount'), {
+      discount: { type: 'percent', value: 10 },
+    });
+    assert.deepEqual(adjustmentsOf('2 dosa 50 ரூபாய் தள்ளுபடி'), {
+      discount: { type: 'flat', value: 50 },
+    });
+    assert.deepEqual(adjustmentsOf('discount of 5 percent'), {
+      discount: { type: 'percent', value: 5 },
+    });
+  });
+
+  it('reads coupons, parcel and no service charge', () => {
+    assert.deepEqual(
+      adjustmentsOf('coupon code save 20, parcel, no service charge'),
+      { couponCode: 'SAVE20', packing: true, serviceCharge: false }
+    );
+  });
+
+  it('keeps the last discount spoken', () => {
+    assert.deepEqual(
+      adjustmentsOf('10 percent off no 5 percent discount').discount,
+      { type: 'percent', value: 5 }
+    );
+  });
+
+  it('reports spans so their numbers are not read as quantities', () => {
+    const { text, spans } = extractVoiceAdjustments('3 idli 20 rs off');
+    assert.deepEqual(spans, [
+      { kind: 'discount', start: 7, end: 16, text: '20 rs off' },
+    ]);
+    assert.equal(text.slice(7, 16), '20 rs off');
+  });
+
+  it('leaves plain orders alone', () => {
+    assert.deepEqual(extractVoiceAdjustments('2 coffee').spans, []);
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCatalog } = require('../src/utils/menuCatalog');
+const { parseVoiceOrder } = require('../src/utils/voiceBillParser');
+
+const MENU = [
+  {
+    _id: '64b000000000000000000911',
+    names: { en: { full: 'Plain Dosa' }, ta: { full: 'தோசை' } },
+    price: 50,
+  },
+  {
+    _id: '64b000000000000000000912',
+    names: { en: { full: 'Tea' }, ta: { full: 'டீ' } },
+    price: 15,
+  },
+];
+
+const makeCatalog = (more = []) =>
+  buildCatalog('64b000000000000000000901', [...MENU, ...more]);
+
+describe('parseVoiceOrder', () => {
+  it('prices fuzzy matches from the catalog', async () => {
+    const result = await parseVoiceOrder('2 dosa and tea', makeCatalog());
+    assert.equal(result.parser, 'fuzzy');
+    assert.equal(result.processedText, '2 Plain Dosa, 1 Tea');
+    assert.deepEqual(result.items[0], {
+      menuItem: '64b000000000000000000911',
+      itemName: 'Plain Dosa',
+      quantity: 2,
+      unitPrice: 50,
+      totalPrice: 100,
+      variant: undefined,
+      modifiers: undefined,
+      note: undefined,
+    });
+  });
+
+  it('flags lines that need a second look', async () => {
+    const catalog = makeCatalog([
+      {
+        _id: '64b000000000000000000913',
+        names: { en: { full: 'Masala Dosa' } },
+        price: 80,
+      },
+    ]);
+    const { lines } = await parseVoiceOrder('2 tea and dosa', catalog);
+    assert.deepEqual(
+      lines.map((line) => [line.itemName, line.doubtful]),
+      [
+        ['Tea', false],
+        ['Plain Dosa', true],
+      ]
+    );
+  });
+
+  it('maps LLM ids to catalog items and drops unknown ones', async () => {
+    const catalog = makeCatalog();
+    // A cached answer, as the LLM fallback stores it
+    catalog.llmCache.set('rendu sadha and oru chaya', {
+      processed: '2 Plain Dosa, 1 Tea',
+      lines: [
+        { id: 'M0', qty: 2 },
+        { id: 'M1', qty: 1 },
+        { id: 'M9', qty: 4 },
+      ],
+      metrics: { model: 'test' },
+    });
+    const result = await parseVoiceOrder('Rendu sadha and oru chaya', catalog);
+    assert.equal(result.parser, 'llm');
+    assert.deepEqual(
+      result.items.map((line) => [line.itemName, line.totalPrice]),
+      [
+        ['Plain Dosa', 100],
+        ['Tea', 15],
+      ]
+    );
+    assert.deepEqual(result.usage, { model: 'test' });
+  });
+
+  it('returns no items when nothing matches and no LLM is set up', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const result = await parseVoiceOrder('something else', makeCatalog());
+    assert.deepEqual(result.items, []);
+    assert.equal(result.parser, 'llm');
+  });
+});
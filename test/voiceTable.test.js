@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCatalog } = require('../src/utils/menuCatalog');
+const { parseVoiceOrder } = require('../src/utils/voiceBillParser');
+const { extractTableReference } = require('../src/utils/voiceTable');
+
+const catalog = buildCatalog('64b000000000000000000a01', [
+  {
+    _id: '64b000000000000000000a11',
+    names: { en: { full: 'Parotta' }, ta: { full: 'பரோட்டா' } },
+    price: 20,
+  },
+]);
+
+describe('extractTableReference', () => {
+  it('reads the table in English, Tamil and with a number label', () => {
+    assert.deepEqual(extractTableReference('Table 4, rendu parotta'), {
+      tableNumber: 4,
+      span: { kind: 'table', start: 0, end: 7, text: 'table 4' },
+    });
+    assert.equal(
+      extractTableReference('table number 12 parotta').tableNumber,
+      12
+    );
+    assert.equal(extractTableReference('டேபிள் நாலு பரோட்டா').tableNumber, 4);
+  });
+
+  it('needs the word table', () => {
+    assert.equal(extractTableReference('4 parotta'), null);
+    assert.equal(extractTableReference('vegetable 4'), null);
+  });
+});
+
+describe('parseVoiceOrder with a table', () => {
+  it('does not take the table number as a quantity', async () => {
+    const table = extractTableReference('table 4 rendu parotta');
+    const { items } = await parseVoiceOrder('table 4 rendu parotta', catalog, {
+      reservedRanges: [table.span],
+    });
+    assert.deepEqual(
+      items.map((line) => [line.itemName, line.quantity]),
+      [['Parotta', 2]]
+    );
+  });
+
+  it('reads number words only when spoken whole', async () => {
+    const { items } = await parseVoiceOrder('kettu parotta', catalog);
+    assert.equal(items[0].quantity, 1);
+  });
+});